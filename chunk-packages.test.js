@@ -0,0 +1,107 @@
+// chunk-packages.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+	formatPackageSpecifier,
+	getModulePackage,
+	packageFromPath,
+} = require("./src/chunk-packages");
+
+describe("packageFromPath", () => {
+	test("finds scoped, pnpm and Windows package paths", () => {
+		expect(packageFromPath("/app/node_modules/react/index.js")).toBe("react");
+		expect(packageFromPath("/app/node_modules/@scope/pkg/lib/a.js")).toBe(
+			"@scope/pkg",
+		);
+		expect(
+			packageFromPath(
+				"/app/node_modules/.pnpm/react@18.2.0/node_modules/react/index.js",
+			),
+		).toBe("react");
+		expect(packageFromPath("C:\\app\\node_modules\\lodash\\map.js")).toBe(
+			"lodash",
+		);
+		expect(packageFromPath("/app/src/index.js")).toBeNull();
+	});
+});
+
+describe("getModulePackage", () => {
+	let root;
+
+	beforeEach(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), "chunk-packages-"));
+		fs.mkdirSync(path.join(root, "node_modules", "date-lib", "esm"), {
+			recursive: true,
+		});
+		fs.writeFileSync(
+			path.join(root, "node_modules", "date-lib", "package.json"),
+			JSON.stringify({ name: "date-lib", version: "2.30.0" }),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test("uses the package.json webpack resolved with", () => {
+		expect(
+			getModulePackage({
+				resource:
+					"/app/node_modules/.pnpm/@faker-js+faker@8.4.1/node_modules/@faker-js/faker/dist/esm/index.mjs",
+				resourceResolveData: {
+					descriptionFileRoot:
+						"/app/node_modules/.pnpm/@faker-js+faker@8.4.1/node_modules/@faker-js/faker",
+					descriptionFileData: { name: "@faker-js/faker", version: "8.4.1" },
+				},
+			}),
+		).toEqual({ name: "@faker-js/faker", version: "8.4.1" });
+		expect(
+			getModulePackage({
+				resource: "C:\\app\\node_modules\\react\\index.js",
+				resourceResolveData: {
+					descriptionFileRoot: "C:\\app\\node_modules\\react",
+					descriptionFileData: { name: "react", version: "18.2.0" },
+				},
+			}),
+		).toEqual({ name: "react", version: "18.2.0" });
+	});
+
+	test("reads the package's own package.json past a nested one", () => {
+		expect(
+			getModulePackage({
+				resource: path.join(
+					root,
+					"node_modules",
+					"date-lib",
+					"esm",
+					"index.js",
+				),
+				resourceResolveData: {
+					descriptionFileRoot: path.join(
+						root,
+						"node_modules",
+						"date-lib",
+						"esm",
+					),
+					descriptionFileData: { sideEffects: false },
+				},
+			}),
+		).toEqual({ name: "date-lib", version: "2.30.0" });
+	});
+
+	test("returns null for first-party code", () => {
+		expect(getModulePackage({ resource: "/app/src/index.js" })).toBeNull();
+	});
+});
+
+describe("formatPackageSpecifier", () => {
+	test("adds the version when it is known", () => {
+		expect(formatPackageSpecifier({ name: "react", version: "18.2.0" })).toBe(
+			"react@18.2.0",
+		);
+		expect(formatPackageSpecifier({ name: "react", version: null })).toBe(
+			"react",
+		);
+	});
+});
@@ -0,0 +1,229 @@
+// cli.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EXIT_FAILURE, EXIT_SUCCESS, EXIT_USAGE, runCli } = require("./src/cli");
+
+function createOutput() {
+	let text = "";
+	return {
+		write: (chunk) => {
+			text += chunk;
+		},
+		get text() {
+			return text;
+		},
+	};
+}
+
+async function run(argv, cwd) {
+	const stdout = createOutput();
+	const stderr = createOutput();
+	const exitCode = await runCli(argv, { stdout, stderr, cwd });
+	return { exitCode, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe("sri-import-map CLI", () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "sri-import-map-"));
+		fs.mkdirSync(path.join(dir, "dist/chunks"), { recursive: true });
+		fs.writeFileSync(path.join(dir, "dist/app.js"), "export const app = 1;\n");
+		fs.writeFileSync(path.join(dir, "dist/chunks/app.mjs"), "export {};\n");
+		fs.writeFileSync(path.join(dir, "dist/styles.css"), "body {}\n");
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("generate hashes a directory into an import map", async () => {
+		const { exitCode, stdout } = await run(
+			["generate", "dist", "--algorithm", "sha256", "--algorithm", "sha512"],
+			dir,
+		);
+		const importMap = JSON.parse(stdout);
+
+		expect(exitCode).toBe(EXIT_SUCCESS);
+		expect(importMap.imports).toEqual({
+			app: "/app.js",
+			"chunks/app": "/chunks/app.mjs",
+		});
+		expect(importMap.integrity["/app.js"]).toMatch(/^sha256-\S+ sha512-\S+$/);
+	});
+
+	test("verify passes for a fresh map and fails after tampering", async () => {
+		await run(["generate", "dist", "--out", "dist/importmap.json"], dir);
+		expect((await run(["verify", "dist"], dir)).exitCode).toBe(EXIT_SUCCESS);
+
+		fs.appendFileSync(path.join(dir, "dist/app.js"), "// tampered\n");
+		const { exitCode, stdout } = await run(["verify", "dist", "--json"], dir);
+		const results = JSON.parse(stdout);
+
+		expect(exitCode).toBe(EXIT_FAILURE);
+		expect(results.failures).toEqual([
+			expect.objectContaining({ url: "/app.js" }),
+		]);
+	});
+
+	test("verify fails on missing files unless given --no-fail-on-missing", async () => {
+		await run(["generate", "dist", "--out", "map.json"], dir);
+		fs.rmSync(path.join(dir, "dist/chunks/app.mjs"));
+		const importMap = path.join(dir, "map.json");
+
+		expect(
+			(await run(["verify", "dist", "--import-map", importMap], dir)).exitCode,
+		).toBe(EXIT_FAILURE);
+		expect(
+			(
+				await run(
+					["verify", "dist", "--import-map", importMap, "--no-fail-on-missing"],
+					dir,
+				)
+			).exitCode,
+		).toBe(EXIT_SUCCESS);
+	});
+
+	test("verify writes reports given with --reporter", async () => {
+		await run(["generate", "dist", "--out", "dist/importmap.json"], dir);
+
+		const { exitCode } = await run(
+			["verify", "dist", "--reporter", "sarif=reports/integrity.sarif"],
+			dir,
+		);
+		expect(exitCode).toBe(EXIT_SUCCESS);
+		expect(
+			JSON.parse(
+				fs.readFileSync(path.join(dir, "reports/integrity.sarif"), "utf8"),
+			).runs[0].results,
+		).toEqual([]);
+
+		expect(
+			(await run(["verify", "dist", "--reporter", "html=report.html"], dir))
+				.exitCode,
+		).toBe(EXIT_USAGE);
+	});
+
+	test("verify --coverage fails on outputs missing from the map", async () => {
+		fs.writeFileSync(
+			path.join(dir, "map.json"),
+			JSON.stringify({ integrity: { "/app.js": "sha384-unused" } }),
+		);
+		const importMap = path.join(dir, "map.json");
+
+		const { exitCode, stdout } = await run(
+			["verify", "dist", "--import-map", importMap, "--coverage", "--json"],
+			dir,
+		);
+		expect(exitCode).toBe(EXIT_FAILURE);
+		expect(
+			JSON.parse(stdout)
+				.failures.filter((failure) => failure.category === "uncovered")
+				.map((failure) => failure.url),
+		).toEqual(["/chunks/app.mjs", "/styles.css"]);
+
+		expect(
+			(
+				await run(
+					["verify", "dist", "--import-map", importMap, "--max-uncovered", "x"],
+					dir,
+				)
+			).exitCode,
+		).toBe(EXIT_USAGE);
+	});
+
+	test("verify reports a missing import map as an error", async () => {
+		const { exitCode, stderr } = await run(["verify", "dist", "--json"], dir);
+
+		expect(exitCode).toBe(EXIT_USAGE);
+		expect(stderr).toMatch(/Import map not found/);
+	});
+
+	test("diff exits 1 when maps differ", async () => {
+		fs.writeFileSync(
+			path.join(dir, "old.json"),
+			JSON.stringify({ imports: { a: "/a.js", b: "/b.js" } }),
+		);
+		fs.writeFileSync(
+			path.join(dir, "new.json"),
+			JSON.stringify({ imports: { a: "/a2.js", c: "/c.js" } }),
+		);
+
+		const same = await run(["diff", "old.json", "old.json"], dir);
+		expect(same.exitCode).toBe(EXIT_SUCCESS);
+
+		const { exitCode, stdout } = await run(
+			["diff", "old.json", "new.json", "--json"],
+			dir,
+		);
+		expect(exitCode).toBe(EXIT_FAILURE);
+		expect(
+			JSON.parse(stdout).changes.map(({ key, type }) => [key, type]),
+		).toEqual([
+			["a", "remapped"],
+			["b", "removed"],
+			["c", "added"],
+		]);
+
+		const changelog = await run(["diff", "old.json", "new.json"], dir);
+		expect(changelog.stdout).toMatch(
+			/^Import map changes: 0 rehashed, 1 remapped/,
+		);
+	});
+
+	test("inject writes the import map into HTML files", async () => {
+		const importMap = { imports: { app: "/app.js" } };
+		fs.writeFileSync(path.join(dir, "map.json"), JSON.stringify(importMap));
+		fs.writeFileSync(
+			path.join(dir, "index.html"),
+			'<html><head><script type="module" src="/app.js"></script></head></html>',
+		);
+
+		const { exitCode } = await run(
+			["inject", "index.html", "--import-map", "map.json", "--nonce", "abc"],
+			dir,
+		);
+		const html = fs.readFileSync(path.join(dir, "index.html"), "utf8");
+
+		expect(exitCode).toBe(EXIT_SUCCESS);
+		expect(html.indexOf('<script type="importmap" nonce="abc">')).toBeLessThan(
+			html.indexOf('<script type="module"'),
+		);
+
+		// Injecting again replaces the existing map
+		fs.writeFileSync(
+			path.join(dir, "map.json"),
+			JSON.stringify({ imports: { app: "/app2.js" } }),
+		);
+		await run(["inject", "index.html", "--import-map", "map.json"], dir);
+		const updated = fs.readFileSync(path.join(dir, "index.html"), "utf8");
+		expect(updated.match(/type="importmap"/g)).toHaveLength(1);
+		expect(updated).toContain("/app2.js");
+	});
+
+	test("rejects unknown commands and bad arguments with exit code 2", async () => {
+		expect((await run(["publish"], dir)).exitCode).toBe(EXIT_USAGE);
+		expect((await run(["verify", "--unknown"], dir)).exitCode).toBe(EXIT_USAGE);
+		expect((await run(["inject", "index.html"], dir)).exitCode).toBe(
+			EXIT_USAGE,
+		);
+		expect((await run(["collect", "--port", "http"], dir)).exitCode).toBe(
+			EXIT_USAGE,
+		);
+		expect((await run([], dir)).exitCode).toBe(EXIT_USAGE);
+		expect((await run(["help"], dir)).stdout).toMatch(/Usage: sri-import-map/);
+	});
+});
+
+describe("import map HTML serialization", () => {
+	const { injectImportMapIntoHTML } = require("./src/import-map-html");
+
+	test("cannot close the script element", () => {
+		const html = injectImportMapIntoHTML("<head></head>", {
+			imports: { x: "/</script><script>alert(1)</script>.js" },
+		});
+
+		expect(html.match(/<\/script>/g)).toHaveLength(1);
+	});
+});
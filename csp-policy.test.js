@@ -0,0 +1,175 @@
+// csp-policy.test.js
+const {
+	CSP_FORMATS,
+	addSources,
+	buildPolicy,
+	parsePolicy,
+	removeSources,
+	serializePolicy,
+	toHeadersFile,
+	toMetaTag,
+	toNextHeaders,
+	toNginxConfig,
+} = require("./src/csp-policy");
+const { ModuleIntegrityError } = require("./src/integrity-errors");
+
+const HASH_A = `sha384-${"a".repeat(64)}`;
+const HASH_B = `sha384-${"b".repeat(64)}`;
+
+describe("parsePolicy", () => {
+	test("parses directives and drops repeated sources", () => {
+		expect(
+			parsePolicy(
+				"Default-Src 'SELF';  script-src 'self' https://cdn.example 'self' ;img-src *",
+			),
+		).toEqual({
+			"default-src": ["'self'"],
+			"script-src": ["'self'", "https://cdn.example"],
+			"img-src": ["*"],
+		});
+	});
+
+	test("keeps the first of repeated directives, as browsers do", () => {
+		expect(parsePolicy("script-src 'self'; script-src *")).toEqual({
+			"script-src": ["'self'"],
+		});
+	});
+
+	test("round-trips through serializePolicy", () => {
+		const text =
+			"default-src 'self'; script-src 'self' 'nonce-abc'; upgrade-insecure-requests";
+
+		expect(serializePolicy(parsePolicy(text))).toBe(text);
+	});
+});
+
+describe("addSources", () => {
+	test("adds each source once and replaces 'none'", () => {
+		const policy = addSources(parsePolicy("script-src 'none'"), "script-src", [
+			`'${HASH_A}'`,
+			`'${HASH_A}'`,
+		]);
+
+		expect(policy["script-src"]).toEqual([`'${HASH_A}'`]);
+	});
+
+	test("rejects sources that would break the policy", () => {
+		expect(() => addSources({}, "script-src", ["'self'; img-src *"])).toThrow(
+			ModuleIntegrityError,
+		);
+		expect(() => addSources({}, "script src", ["'self'"])).toThrow(
+			ModuleIntegrityError,
+		);
+	});
+});
+
+describe("removeSources", () => {
+	test("removes the listed sources from one directive", () => {
+		const policy = parsePolicy(
+			`script-src 'self' '${HASH_A}' '${HASH_B}'; img-src '${HASH_A}'`,
+		);
+
+		expect(
+			serializePolicy(removeSources(policy, "Script-Src", [`'${HASH_A}'`])),
+		).toBe(`script-src 'self' '${HASH_B}'; img-src '${HASH_A}'`);
+		expect(removeSources({}, "script-src", ["'self'"])).toEqual({});
+	});
+});
+
+describe("buildPolicy", () => {
+	test("adds integrity hashes to script-src", () => {
+		const policy = buildPolicy({
+			integrity: { "/a.js": HASH_A, "/b.js": `${HASH_B} ${HASH_A}` },
+		});
+
+		expect(serializePolicy(policy)).toBe(
+			`default-src 'self'; script-src 'self' '${HASH_A}' '${HASH_B}'`,
+		);
+	});
+
+	test("leaves a policy that already has the hashes unchanged", () => {
+		const integrity = { "/a.js": HASH_A };
+		const once = serializePolicy(buildPolicy({ integrity }));
+
+		expect(serializePolicy(buildPolicy({ policy: once, integrity }))).toBe(
+			once,
+		);
+	});
+
+	test("starts script-src from default-src", () => {
+		expect(
+			buildPolicy({ policy: "default-src 'self' https://cdn.example" })[
+				"script-src"
+			],
+		).toEqual(["'self'", "https://cdn.example"]);
+	});
+
+	test("adds a nonce, strict-dynamic and require-sri-for", () => {
+		const policy = buildPolicy({
+			policy: "script-src 'self'",
+			nonce: "r4nd0m==",
+			strictDynamic: true,
+			requireSriFor: ["script", "style"],
+		});
+
+		expect(serializePolicy(policy)).toBe(
+			"script-src 'self' 'nonce-r4nd0m==' 'strict-dynamic'; require-sri-for script style",
+		);
+	});
+
+	test("rejects a nonce that is not base64", () => {
+		expect(() => buildPolicy({ nonce: "a' 'unsafe-inline" })).toThrow(
+			ModuleIntegrityError,
+		);
+	});
+});
+
+describe("policy outputs", () => {
+	const policy = parsePolicy(
+		"default-src 'self'; script-src 'self' 'sha256-x'; frame-ancestors 'none'",
+	);
+	const value =
+		"default-src 'self'; script-src 'self' 'sha256-x'; frame-ancestors 'none'";
+
+	test("writes Next.js headers() rules", () => {
+		expect(toNextHeaders(policy, { source: "/app/:path*" })).toEqual([
+			{
+				source: "/app/:path*",
+				headers: [{ key: "Content-Security-Policy", value }],
+			},
+		]);
+		expect(toNextHeaders(policy, { reportOnly: true })[0].headers[0].key).toBe(
+			"Content-Security-Policy-Report-Only",
+		);
+	});
+
+	test("writes a _headers file", () => {
+		expect(toHeadersFile(policy)).toBe(
+			`/*\n  Content-Security-Policy: ${value}\n`,
+		);
+	});
+
+	test("writes an nginx add_header line", () => {
+		expect(toNginxConfig(policy)).toBe(
+			`add_header Content-Security-Policy "${value}" always;\n`,
+		);
+		expect(toNginxConfig({ "script-src": ['"$x'] })).toBe(
+			'add_header Content-Security-Policy "script-src \\"\\$x" always;\n',
+		);
+	});
+
+	test("writes a meta tag without header-only directives", () => {
+		expect(toMetaTag(policy)).toBe(
+			`<meta http-equiv="Content-Security-Policy" content="default-src 'self'; script-src 'self' 'sha256-x'">`,
+		);
+	});
+
+	test("lists every format by name", () => {
+		expect(Object.keys(CSP_FORMATS).sort()).toEqual([
+			"headers",
+			"meta",
+			"next",
+			"nginx",
+		]);
+	});
+});
@@ -0,0 +1,139 @@
+// import-map-diff.test.js
+const { diffImportMaps, formatChangelog } = require("./src/import-map-diff");
+
+const before = {
+	imports: {
+		react: "/vendor/react-18.2.0.js",
+		lodash: "/vendor/lodash.js",
+		old: "/old.js",
+	},
+	scopes: {
+		"/app/": { lodash: "/vendor/lodash-es.js" },
+		"/legacy/": { jquery: "/vendor/jquery.js" },
+	},
+	integrity: {
+		"/vendor/react-18.2.0.js": "sha384-react",
+		"/vendor/lodash.js": "sha256-a sha384-b",
+		"/old.js": "sha384-old",
+	},
+};
+
+const after = {
+	imports: {
+		react: "/vendor/react-18.3.1.js",
+		lodash: "/vendor/lodash.js",
+		added: "/added.js",
+	},
+	scopes: {
+		"/app/": { lodash: "/vendor/lodash-es.js", extra: "/extra.js" },
+	},
+	integrity: {
+		"/vendor/react-18.3.1.js": "sha384-react2",
+		"/vendor/lodash.js": "sha384-b sha256-a",
+		"/vendor/lodash-es.js": "sha384-es",
+	},
+};
+
+describe("diffImportMaps", () => {
+	test("reports identical maps", () => {
+		expect(diffImportMaps(before, structuredClone(before))).toEqual({
+			identical: true,
+			changes: [],
+			summary: { added: 0, removed: 0, remapped: 0, rehashed: 0 },
+		});
+	});
+
+	test("classifies changes across imports, scopes and integrity", () => {
+		const diff = diffImportMaps(before, after);
+
+		expect(diff.summary).toEqual({
+			added: 4,
+			removed: 4,
+			remapped: 1,
+			rehashed: 0,
+		});
+		expect(
+			diff.changes.map(({ section, scope, key, type }) =>
+				[section, scope, key, type].filter(Boolean).join(" "),
+			),
+		).toEqual([
+			"imports added added",
+			"imports old removed",
+			"imports react remapped",
+			"scopes /app/ extra added",
+			"scopes /legacy/ jquery removed",
+			"integrity /old.js removed",
+			"integrity /vendor/lodash-es.js added",
+			"integrity /vendor/react-18.2.0.js removed",
+			"integrity /vendor/react-18.3.1.js added",
+		]);
+	});
+
+	test("flags rehashed URLs with the specifiers that load them", () => {
+		const diff = diffImportMaps(before, {
+			...before,
+			integrity: { ...before.integrity, "/vendor/lodash.js": "sha384-new" },
+		});
+
+		expect(diff.changes).toEqual([
+			{
+				section: "integrity",
+				key: "/vendor/lodash.js",
+				type: "rehashed",
+				before: "sha256-a sha384-b",
+				after: "sha384-new",
+				specifiers: ["lodash"],
+			},
+		]);
+	});
+
+	test("ignores the order of hashes within integrity metadata", () => {
+		const diff = diffImportMaps(before, {
+			...before,
+			integrity: {
+				...before.integrity,
+				"/vendor/lodash.js": " sha384-b  sha256-a",
+			},
+		});
+
+		expect(diff.identical).toBe(true);
+	});
+
+	test("tolerates missing sections", () => {
+		expect(
+			diffImportMaps({}, { scopes: { "/": { a: "/a.js" } } }).changes,
+		).toEqual([
+			{
+				section: "scopes",
+				scope: "/",
+				key: "a",
+				type: "added",
+				after: "/a.js",
+			},
+		]);
+	});
+});
+
+describe("formatChangelog", () => {
+	test("lists rehashed entries first, with old and new hashes", () => {
+		const diff = diffImportMaps(before, {
+			...after,
+			integrity: { ...after.integrity, "/vendor/lodash.js": "sha384-new" },
+		});
+		const changelog = formatChangelog(diff);
+
+		expect(changelog).toMatch(
+			/^Import map changes: 1 rehashed, 1 remapped, 4 added, 4 removed\n\nRehashed:\n {2}~ integrity\["\/vendor\/lodash.js"\] \(lodash\)\n {6}- sha256-a sha384-b\n {6}\+ sha384-new\n/,
+		);
+		expect(changelog).toContain(
+			'  ~ imports["react"]\n      - /vendor/react-18.2.0.js\n      + /vendor/react-18.3.1.js',
+		);
+		expect(changelog).toContain('  - scopes["/legacy/"]["jquery"]');
+	});
+
+	test("says when nothing changed", () => {
+		expect(formatChangelog(diffImportMaps(before, before))).toBe(
+			"Import maps are identical\n",
+		);
+	});
+});
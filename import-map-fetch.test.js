@@ -0,0 +1,91 @@
+// import-map-fetch.test.js
+const {
+	fetchImportMap,
+	parseImportMapText,
+} = require("./src/import-map-fetch");
+const {
+	ERROR_CODES,
+	FetchFailedError,
+	ImportMapParseError,
+	MissingImportMapError,
+	ModuleIntegrityError,
+	isModuleIntegrityError,
+} = require("./src/integrity-errors");
+
+const importMap = {
+	imports: { react: "/vendor/react.js" },
+	integrity: { "/vendor/react.js": "sha384-abc" },
+};
+
+function respond(body, init) {
+	return jest.fn(async () => new Response(body, init));
+}
+
+describe("fetchImportMap", () => {
+	test("returns the parsed map", async () => {
+		await expect(
+			fetchImportMap("/importmap.json", respond(JSON.stringify(importMap))),
+		).resolves.toEqual(importMap);
+	});
+
+	test("reports an absent map as missing", async () => {
+		const error = await fetchImportMap(
+			"/importmap.json",
+			respond("", { status: 404, statusText: "Not Found" }),
+		).catch((caught) => caught);
+
+		expect(error).toBeInstanceOf(MissingImportMapError);
+		expect(error).toBeInstanceOf(ModuleIntegrityError);
+		expect(error).toMatchObject({
+			code: ERROR_CODES.IMPORT_MAP_MISSING,
+			url: "/importmap.json",
+		});
+		expect(error.message).toBe("Failed to fetch import map: 404 Not Found");
+	});
+
+	test("reports server and network failures as fetch failures", async () => {
+		await expect(
+			fetchImportMap(
+				"/importmap.json",
+				respond("", { status: 503, statusText: "Service Unavailable" }),
+			),
+		).rejects.toMatchObject({ code: ERROR_CODES.FETCH_FAILED });
+
+		const offline = new TypeError("Failed to fetch");
+		const error = await fetchImportMap("/importmap.json", async () => {
+			throw offline;
+		}).catch((caught) => caught);
+		expect(error).toBeInstanceOf(FetchFailedError);
+		expect(error.cause).toBe(offline);
+		expect(error.status).toBe("error");
+	});
+});
+
+describe("parseImportMapText", () => {
+	test("rejects invalid JSON and non-objects", () => {
+		let error;
+		try {
+			parseImportMapText("{ imports:", "/importmap.json");
+		} catch (caught) {
+			error = caught;
+		}
+		expect(error).toBeInstanceOf(ImportMapParseError);
+		expect(error.code).toBe(ERROR_CODES.IMPORT_MAP_PARSE);
+		expect(error.cause).toBeInstanceOf(SyntaxError);
+		expect(error.message).toMatch(/not valid JSON: \/importmap\.json/);
+
+		expect(() => parseImportMapText("[]")).toThrow(/not a JSON object/);
+		expect(() => parseImportMapText("null")).toThrow(ImportMapParseError);
+	});
+});
+
+describe("isModuleIntegrityError", () => {
+	test("recognises every subclass, also by name across module copies", () => {
+		expect(isModuleIntegrityError(new ImportMapParseError("bad"))).toBe(true);
+
+		const foreign = new Error("missing");
+		foreign.name = "MissingImportMapError";
+		expect(isModuleIntegrityError(foreign)).toBe(true);
+		expect(isModuleIntegrityError(new SyntaxError("bad"))).toBe(false);
+	});
+});
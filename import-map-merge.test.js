@@ -0,0 +1,276 @@
+// import-map-merge.test.js
+const crypto = require("crypto");
+const {
+	applyImportMapToDocument,
+	createImportMapMerger,
+	describeImportMapConflict,
+	mergeImportMaps,
+	readDocumentImportMap,
+} = require("./src/import-map-merge");
+const {
+	ERROR_CODES,
+	ImportMapConflictError,
+	ImportMapParseError,
+} = require("./src/integrity-errors");
+
+const baseURL = "https://app.example/";
+const sri = (content) =>
+	`sha384-${crypto.createHash("sha384").update(content).digest("base64")}`;
+
+// Just enough of a document for the import map helpers
+function createDocument(importMaps = [], nonce = "") {
+	const scripts = importMaps.map((importMap) => ({
+		type: "importmap",
+		nonce,
+		textContent: JSON.stringify(importMap),
+	}));
+	return {
+		baseURI: baseURL,
+		scripts,
+		querySelectorAll: () => scripts,
+		querySelector: () => scripts[0] || null,
+		createElement: () => ({}),
+		head: { appendChild: (script) => scripts.push(script) },
+	};
+}
+
+describe("mergeImportMaps", () => {
+	test("combines maps, earlier entries winning", () => {
+		const { importMap, conflicts } = mergeImportMaps(
+			[
+				{ imports: { react: "/vendor/react.js" } },
+				{
+					imports: { react: "/mfe/react.js", "mfe-cart": "/mfe/cart.js" },
+					scopes: { "/mfe/": { lodash: "/mfe/lodash.js" } },
+				},
+			],
+			{ baseURL },
+		);
+
+		expect(importMap).toEqual({
+			imports: { react: "/vendor/react.js", "mfe-cart": "/mfe/cart.js" },
+			scopes: { "/mfe/": { lodash: "/mfe/lodash.js" } },
+		});
+		expect(conflicts).toEqual([
+			{
+				section: "imports",
+				path: "$.imports.react",
+				key: "react",
+				reason: "already-defined",
+				kept: { source: "#0", value: "/vendor/react.js" },
+				ignored: { source: "#1", value: "/mfe/react.js" },
+			},
+		]);
+	});
+
+	test("compares entries by resolved URL, not by how they are written", () => {
+		const { importMap, conflicts } = mergeImportMaps(
+			[
+				{
+					imports: { "/app.js": "/v1/app.js" },
+					integrity: { "/v1/app.js": sri("a") },
+				},
+				{
+					imports: { "./app.js": "https://app.example/v1/app.js" },
+					integrity: { "https://app.example/v1/app.js": sri("a") },
+				},
+			],
+			{ baseURL },
+		);
+
+		expect(importMap).toEqual({
+			imports: { "/app.js": "/v1/app.js" },
+			integrity: { "/v1/app.js": sri("a") },
+		});
+		expect(conflicts).toEqual([]);
+	});
+
+	test("merges scopes per specifier", () => {
+		const { importMap, conflicts } = mergeImportMaps(
+			[
+				{ scopes: { "/admin/": { react: "/a/react.js" } } },
+				{
+					scopes: {
+						"/admin/": { react: "/b/react.js", vue: "/b/vue.js" },
+					},
+				},
+			],
+			{ baseURL },
+		);
+
+		expect(importMap.scopes).toEqual({
+			"/admin/": { react: "/a/react.js", vue: "/b/vue.js" },
+		});
+		expect(conflicts).toHaveLength(1);
+		expect(conflicts[0]).toMatchObject({
+			section: "scopes",
+			scope: "/admin/",
+			path: '$.scopes["/admin/"].react',
+		});
+	});
+
+	test("keeps the first integrity for a URL and reports the conflict", () => {
+		const { importMap, conflicts } = mergeImportMaps(
+			[
+				{ name: "shell", importMap: { integrity: { "/react.js": sri("a") } } },
+				{ name: "cart", importMap: { integrity: { "/react.js": sri("b") } } },
+			],
+			{ baseURL },
+		);
+
+		expect(importMap.integrity).toEqual({ "/react.js": sri("a") });
+		expect(conflicts[0]).toMatchObject({
+			section: "integrity",
+			path: '$.integrity["/react.js"]',
+			kept: { source: "shell", value: sri("a") },
+			ignored: { source: "cart", value: sri("b") },
+		});
+		expect(describeImportMapConflict(conflicts[0])).toBe(
+			`$.integrity["/react.js"] from cart was ignored: shell already maps it to "${sri("a")}"`,
+		);
+	});
+
+	test("throws on integrity conflicts when asked to", () => {
+		expect.assertions(3);
+		try {
+			mergeImportMaps(
+				[
+					{ integrity: { "/react.js": sri("a") } },
+					{ integrity: { "/react.js": sri("b") } },
+				],
+				{ baseURL, integrityConflicts: "error" },
+			);
+		} catch (error) {
+			expect(error).toBeInstanceOf(ImportMapConflictError);
+			expect(error.code).toBe(ERROR_CODES.IMPORT_MAP_CONFLICT);
+			expect(error.conflicts[0].ignored.value).toBe(sri("b"));
+		}
+	});
+
+	test("ignores top-level entries for specifiers already resolved", () => {
+		const { importMap, conflicts } = mergeImportMaps(
+			[{ imports: { "lodash/": "/lodash/", app: "/app.js" } }],
+			{ baseURL, resolvedSpecifiers: ["lodash/map.js"] },
+		);
+
+		expect(importMap.imports).toEqual({ app: "/app.js" });
+		expect(conflicts[0]).toMatchObject({
+			key: "lodash/",
+			reason: "already-resolved",
+		});
+	});
+
+	test("writes entries from a map with another base URL as absolute URLs", () => {
+		const { importMap } = mergeImportMaps(
+			[
+				{ imports: { react: "/react.js" } },
+				{
+					baseURL: "https://cdn.example/cart/",
+					importMap: {
+						imports: { cart: "./cart.js" },
+						scopes: { "./": { lodash: "./lodash.js" } },
+					},
+				},
+			],
+			{ baseURL },
+		);
+
+		expect(importMap).toEqual({
+			imports: { react: "/react.js", cart: "https://cdn.example/cart/cart.js" },
+			scopes: {
+				"https://cdn.example/cart/": {
+					lodash: "https://cdn.example/cart/lodash.js",
+				},
+			},
+		});
+	});
+
+	test("rejects invalid maps", () => {
+		expect(() => mergeImportMaps([{ imports: [] }], { baseURL })).toThrow(
+			ImportMapParseError,
+		);
+	});
+});
+
+describe("createImportMapMerger", () => {
+	test("returns only what each map adds", () => {
+		const merger = createImportMapMerger({ baseURL });
+		merger.add({ imports: { react: "/react.js" } });
+
+		const added = merger.add({
+			imports: { react: "/other.js", cart: "/cart.js" },
+			integrity: { "/cart.js": sri("cart") },
+		});
+
+		expect(added.importMap).toEqual({
+			imports: { cart: "/cart.js" },
+			integrity: { "/cart.js": sri("cart") },
+		});
+		expect(added.conflicts).toHaveLength(1);
+		expect(merger.result().importMap.imports).toEqual({
+			react: "/react.js",
+			cart: "/cart.js",
+		});
+	});
+});
+
+describe("document import maps", () => {
+	let warn;
+	beforeEach(() => {
+		warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+	});
+	afterEach(() => warn.mockRestore());
+
+	test("adds only new entries, keeping the existing import map", () => {
+		const doc = createDocument(
+			[
+				{
+					imports: { react: "/react.js" },
+					integrity: { "/react.js": sri("a") },
+				},
+			],
+			"abc",
+		);
+
+		const result = applyImportMapToDocument(
+			{
+				imports: { react: "/mfe/react.js", cart: "/cart.js" },
+				integrity: { "/cart.js": sri("cart") },
+			},
+			{ document: doc },
+		);
+
+		expect(doc.scripts).toHaveLength(2);
+		expect(doc.scripts[1].nonce).toBe("abc");
+		expect(JSON.parse(doc.scripts[1].textContent)).toEqual({
+			imports: { cart: "/cart.js" },
+			integrity: { "/cart.js": sri("cart") },
+		});
+		expect(result.conflicts).toHaveLength(1);
+		expect(warn).toHaveBeenCalledWith(
+			'[import map] $.imports.react from new map was ignored: document map #0 already maps it to "/react.js"',
+		);
+	});
+
+	test("adds nothing when every entry is already defined", () => {
+		const doc = createDocument([{ imports: { react: "/react.js" } }]);
+
+		applyImportMapToDocument(
+			{ imports: { react: "/react.js" } },
+			{ document: doc },
+		);
+
+		expect(doc.scripts).toHaveLength(1);
+	});
+
+	test("reads every import map in document order", () => {
+		const doc = createDocument([
+			{ imports: { react: "/react.js" } },
+			{ imports: { react: "/mfe/react.js", cart: "/cart.js" } },
+		]);
+
+		expect(readDocumentImportMap(doc)).toEqual({
+			imports: { react: "/react.js", cart: "/cart.js" },
+		});
+	});
+});
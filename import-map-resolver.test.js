@@ -0,0 +1,312 @@
+// import-map-resolver.test.js - conformance cases for the WHATWG import maps algorithm
+// Cases follow the resolution tests in web-platform-tests/import-maps/data-driven
+const {
+	parseImportMap,
+	resolveModuleSpecifier,
+	resolveModuleIntegrity,
+} = require("./src/import-map-resolver");
+
+const BASE_URL = "https://example.com/app/main.js";
+
+function parse(importMap, baseURL = BASE_URL) {
+	const warnings = [];
+	const parsed = parseImportMap(importMap, baseURL, {
+		onWarning: (message) => warnings.push(message),
+	});
+	return { parsed, warnings };
+}
+
+function resolve(importMap, specifier, baseURL = BASE_URL) {
+	return resolveModuleSpecifier(specifier, parse(importMap).parsed, baseURL)
+		.href;
+}
+
+describe("parseImportMap", () => {
+	test("accepts JSON strings and objects", () => {
+		const map = { imports: { a: "/a.js" } };
+		expect(parse(JSON.stringify(map)).parsed).toEqual(parse(map).parsed);
+	});
+
+	test("resolves addresses against the base URL", () => {
+		const { parsed } = parse({
+			imports: {
+				a: "/a.js",
+				b: "./b.js",
+				c: "../c.js",
+				d: "https://cdn.example.org/d.js",
+			},
+		});
+
+		expect(parsed.imports).toEqual({
+			d: "https://cdn.example.org/d.js",
+			c: "https://example.com/c.js",
+			b: "https://example.com/app/b.js",
+			a: "https://example.com/a.js",
+		});
+	});
+
+	test("normalizes URL-like specifier keys", () => {
+		const { parsed } = parse({ imports: { "./x.js": "/y.js" } });
+		expect(parsed.imports).toEqual({
+			"https://example.com/app/x.js": "https://example.com/y.js",
+		});
+	});
+
+	test("sorts specifier keys longest-first in code unit order", () => {
+		const { parsed } = parse({
+			imports: { "a/": "/1/", "a/b/": "/2/", a: "/3.js" },
+		});
+		expect(Object.keys(parsed.imports)).toEqual(["a/b/", "a/", "a"]);
+	});
+
+	test("nulls out bare-specifier addresses and non-string values", () => {
+		const { parsed, warnings } = parse({
+			imports: { a: "bare", b: 1, c: null },
+		});
+
+		expect(parsed.imports).toEqual({ a: null, b: null, c: null });
+		expect(warnings).toHaveLength(3);
+	});
+
+	test("nulls out package prefixes whose address lacks a trailing slash", () => {
+		const { parsed, warnings } = parse({ imports: { "lodash/": "/lodash" } });
+		expect(parsed.imports).toEqual({ "lodash/": null });
+		expect(warnings).toHaveLength(1);
+	});
+
+	test("ignores empty specifier keys", () => {
+		const { parsed, warnings } = parse({ imports: { "": "/a.js" } });
+		expect(parsed.imports).toEqual({});
+		expect(warnings).toHaveLength(1);
+	});
+
+	test("resolves scope prefixes against the base URL", () => {
+		const { parsed } = parse({
+			scopes: { "/vendor/": { a: "/a.js" } },
+		});
+		expect(Object.keys(parsed.scopes)).toEqual(["https://example.com/vendor/"]);
+	});
+
+	test("normalizes integrity keys and drops non-URL-like ones", () => {
+		const { parsed, warnings } = parse({
+			integrity: { "./a.js": "sha384-a", bare: "sha384-b", "/c.js": 1 },
+		});
+
+		expect(parsed.integrity).toEqual({
+			"https://example.com/app/a.js": "sha384-a",
+		});
+		expect(warnings).toHaveLength(2);
+	});
+
+	test("warns about unknown top-level keys", () => {
+		const { warnings } = parse({ imports: {}, extra: {} });
+		expect(warnings).toHaveLength(1);
+	});
+
+	test.each([
+		["a non-object top-level value", "[]"],
+		["a non-object imports value", { imports: [] }],
+		["a non-object scopes value", { scopes: "x" }],
+		["a non-object scope", { scopes: { "/": [] } }],
+		["a non-object integrity value", { integrity: null }],
+	])("throws a TypeError for %s", (_, importMap) => {
+		expect(() => parse(importMap)).toThrow(TypeError);
+	});
+
+	test("throws a SyntaxError for invalid JSON", () => {
+		expect(() => parse("{")).toThrow(SyntaxError);
+	});
+});
+
+describe("resolveModuleSpecifier", () => {
+	describe("exact matches", () => {
+		test("remaps bare specifiers", () => {
+			expect(resolve({ imports: { moment: "/moment.js" } }, "moment")).toBe(
+				"https://example.com/moment.js",
+			);
+		});
+
+		test("remaps URL-like specifiers after normalization", () => {
+			const map = { imports: { "/app/helper.js": "/v2/helper.js" } };
+			expect(resolve(map, "./helper.js")).toBe(
+				"https://example.com/v2/helper.js",
+			);
+			expect(resolve(map, "https://example.com/app/helper.js")).toBe(
+				"https://example.com/v2/helper.js",
+			);
+		});
+
+		test("is case-sensitive for bare specifiers", () => {
+			expect(() => resolve({ imports: { moment: "/m.js" } }, "Moment")).toThrow(
+				TypeError,
+			);
+		});
+	});
+
+	describe("trailing-slash prefixes", () => {
+		const map = {
+			imports: {
+				lodash: "/vendor/lodash/lodash.js",
+				"lodash/": "/vendor/lodash/",
+				"lodash/fp/": "/vendor/lodash-fp/",
+			},
+		};
+
+		test("resolves the package main", () => {
+			expect(resolve(map, "lodash")).toBe(
+				"https://example.com/vendor/lodash/lodash.js",
+			);
+		});
+
+		test("resolves paths under the prefix", () => {
+			expect(resolve(map, "lodash/map.js")).toBe(
+				"https://example.com/vendor/lodash/map.js",
+			);
+		});
+
+		test("prefers the longest matching prefix", () => {
+			expect(resolve(map, "lodash/fp/map.js")).toBe(
+				"https://example.com/vendor/lodash-fp/map.js",
+			);
+		});
+
+		test("remaps URL prefixes", () => {
+			const urlMap = {
+				imports: { "https://cdn.example.org/": "/mirror/" },
+			};
+			expect(resolve(urlMap, "https://cdn.example.org/a/b.js")).toBe(
+				"https://example.com/mirror/a/b.js",
+			);
+		});
+
+		test("does not prefix-match URLs with non-special schemes", () => {
+			const dataMap = { imports: { "data:text/": "/blocked/" } };
+			expect(resolve(dataMap, "data:text/javascript,1")).toBe(
+				"data:text/javascript,1",
+			);
+		});
+
+		test("blocks backtracking above the prefix", () => {
+			expect(() => resolve(map, "lodash/../../secret.js")).toThrow(
+				/backtracking/,
+			);
+		});
+
+		test("blocks percent-encoded backtracking", () => {
+			expect(() => resolve(map, "lodash/%2E%2E/%2E%2E/x.js")).toThrow(
+				/backtracking/,
+			);
+		});
+	});
+
+	describe("null entries", () => {
+		test("block exact matches", () => {
+			expect(() => resolve({ imports: { a: 1 } }, "a")).toThrow(/blocked/);
+		});
+
+		test("block prefix matches", () => {
+			expect(() =>
+				resolve({ imports: { "a/": "/no-slash" } }, "a/x.js"),
+			).toThrow(/blocked/);
+		});
+
+		test("block URL-like specifiers", () => {
+			expect(() =>
+				resolve({ imports: { "/blocked.js": null } }, "/blocked.js"),
+			).toThrow(/blocked/);
+		});
+	});
+
+	describe("scopes", () => {
+		const map = {
+			imports: { a: "/a-1.js", b: "/b-1.js" },
+			scopes: {
+				"/scope2/": { a: "/a-2.js" },
+				"/scope2/scope3/": { b: "/b-3.js" },
+				"/scope4/page.js": { a: "/a-4.js" },
+			},
+		};
+
+		test("fall back to top-level imports outside any scope", () => {
+			expect(resolve(map, "a")).toBe("https://example.com/a-1.js");
+		});
+
+		test("apply to referrers under a scope prefix", () => {
+			expect(resolve(map, "a", "https://example.com/scope2/x.js")).toBe(
+				"https://example.com/a-2.js",
+			);
+		});
+
+		test("fall back to less specific scopes", () => {
+			expect(resolve(map, "a", "https://example.com/scope2/scope3/x.js")).toBe(
+				"https://example.com/a-2.js",
+			);
+			expect(resolve(map, "b", "https://example.com/scope2/scope3/x.js")).toBe(
+				"https://example.com/b-3.js",
+			);
+			expect(resolve(map, "b", "https://example.com/scope2/x.js")).toBe(
+				"https://example.com/b-1.js",
+			);
+		});
+
+		test("without a trailing slash only match the exact referrer", () => {
+			expect(resolve(map, "a", "https://example.com/scope4/page.js")).toBe(
+				"https://example.com/a-4.js",
+			);
+			expect(resolve(map, "a", "https://example.com/scope4/page.jsx")).toBe(
+				"https://example.com/a-1.js",
+			);
+		});
+
+		test("resolve addresses against the map base URL, not the referrer", () => {
+			const relativeMap = { scopes: { "/scope/": { a: "./a.js" } } };
+			expect(resolve(relativeMap, "a", "https://example.com/scope/x.js")).toBe(
+				"https://example.com/app/a.js",
+			);
+		});
+	});
+
+	describe("unmapped specifiers", () => {
+		test("resolve URL-like specifiers against the referrer", () => {
+			expect(resolve({}, "./x.js")).toBe("https://example.com/app/x.js");
+			expect(resolve({}, "../x.js")).toBe("https://example.com/x.js");
+			expect(resolve({}, "/x.js")).toBe("https://example.com/x.js");
+			expect(resolve({}, "https://cdn.example.org/x.js")).toBe(
+				"https://cdn.example.org/x.js",
+			);
+		});
+
+		test("throw a TypeError for bare specifiers", () => {
+			expect(() => resolve({}, "moment")).toThrow(TypeError);
+		});
+
+		test("do not treat '.x' or '..x' as relative", () => {
+			expect(() => resolve({}, ".x.js")).toThrow(TypeError);
+			expect(() => resolve({}, "..x.js")).toThrow(TypeError);
+		});
+	});
+
+	test("sorts integer-like keys correctly", () => {
+		const map = { imports: { "1/": "/one/", "1/2/": "/one-two/" } };
+		expect(resolve(map, "1/2/x.js")).toBe("https://example.com/one-two/x.js");
+	});
+});
+
+describe("resolveModuleIntegrity", () => {
+	const { parsed } = parse({
+		imports: { app: "./app.js" },
+		integrity: { "./app.js": "sha384-app" },
+	});
+
+	test("looks up metadata by resolved URL", () => {
+		const url = resolveModuleSpecifier("app", parsed, BASE_URL);
+		expect(resolveModuleIntegrity(url, parsed)).toBe("sha384-app");
+		expect(resolveModuleIntegrity(url.href, parsed)).toBe("sha384-app");
+	});
+
+	test("returns undefined for URLs without metadata", () => {
+		expect(
+			resolveModuleIntegrity("https://example.com/other.js", parsed),
+		).toBeUndefined();
+	});
+});
@@ -0,0 +1,158 @@
+// import-map-schema.test.js
+const crypto = require("crypto");
+const {
+	assertValidImportMap,
+	formatImportMapDiagnostics,
+	toJSONPath,
+	validateImportMap,
+	warnImportMapDiagnostics,
+} = require("./src/import-map-schema");
+const { ERROR_CODES } = require("./src/integrity-errors");
+
+const baseURL = "https://app.example/";
+const digest = crypto.createHash("sha384").update("x").digest("base64");
+
+function paths(result, severity) {
+	return result.diagnostics
+		.filter((diagnostic) => diagnostic.severity === severity)
+		.map((diagnostic) => diagnostic.path);
+}
+
+describe("validateImportMap", () => {
+	test("accepts a well-formed map", () => {
+		const result = validateImportMap(
+			{
+				imports: { react: "/vendor/react.js", "lodash/": "/vendor/lodash/" },
+				scopes: { "/admin/": { react: "/vendor/react-admin.js" } },
+				integrity: { "/vendor/react.js": `sha384-${digest}` },
+			},
+			{ baseURL },
+		);
+
+		expect(result).toEqual({ valid: true, diagnostics: [] });
+	});
+
+	test("reports ignored entries as warnings with JSON paths", () => {
+		const result = validateImportMap(
+			{
+				imports: { "": "/a.js", react: 42, "lodash/": "/lodash" },
+				scopes: { "/admin/": { vue: "not a url" } },
+				integrity: { react: `sha384-${digest}`, "/b.js": 7 },
+				extra: true,
+			},
+			{ baseURL },
+		);
+
+		expect(result.valid).toBe(true);
+		expect(paths(result, "warning")).toEqual([
+			'$.imports[""]',
+			"$.imports.react",
+			'$.imports["lodash/"]',
+			'$.scopes["/admin/"].vue',
+			"$.integrity.react",
+			'$.integrity["/b.js"]',
+			"$.extra",
+		]);
+	});
+
+	test("reports structures browsers reject as errors", () => {
+		expect(validateImportMap("[]", { baseURL }).diagnostics).toEqual([
+			{
+				severity: "error",
+				path: "$",
+				message: "The top-level value of an import map must be an object.",
+			},
+		]);
+		expect(
+			paths(validateImportMap({ scopes: { "/a/": [] } }, { baseURL }), "error"),
+		).toEqual(['$.scopes["/a/"]']);
+		expect(
+			paths(validateImportMap({ imports: "x" }, { baseURL }), "error"),
+		).toEqual(["$.imports"]);
+		expect(validateImportMap("{ imports", { baseURL }).valid).toBe(false);
+	});
+
+	test("reports integrity entries that can never verify", () => {
+		const result = validateImportMap(
+			{
+				integrity: {
+					"/md5.js": "md5-abc",
+					"/short.js": "sha384-abc",
+					"/bad.js": "sha384 nonsense",
+					"/mixed.js": `md5-abc sha384-${digest}`,
+				},
+			},
+			{ baseURL },
+		);
+
+		expect(result.valid).toBe(false);
+		expect(paths(result, "error")).toEqual([
+			'$.integrity["/md5.js"]',
+			'$.integrity["/short.js"]',
+			'$.integrity["/bad.js"]',
+		]);
+		expect(result.diagnostics[0].message).toMatch(/no supported algorithm/);
+	});
+
+	test("reports integrity entries for URLs that were not emitted", () => {
+		const result = validateImportMap(
+			{
+				integrity: {
+					"/a.js": `sha384-${digest}`,
+					"./gone.js": `sha384-${digest}`,
+				},
+			},
+			{ baseURL, knownURLs: ["/a.js"] },
+		);
+
+		expect(paths(result, "warning")).toEqual(['$.integrity["./gone.js"]']);
+		expect(result.diagnostics[0].message).toMatch(/points at nothing/);
+	});
+});
+
+describe("assertValidImportMap", () => {
+	test("throws an ImportMapParseError listing the errors", () => {
+		let error;
+		try {
+			assertValidImportMap({ integrity: { "/a.js": "md5-x" } }, { baseURL });
+		} catch (caught) {
+			error = caught;
+		}
+
+		expect(error.code).toBe(ERROR_CODES.IMPORT_MAP_PARSE);
+		expect(error.diagnostics).toHaveLength(1);
+		expect(error.message).toContain('error $.integrity["/a.js"]:');
+	});
+
+	test("returns warnings for maps without errors", () => {
+		expect(assertValidImportMap({ extra: 1 }, { baseURL })).toHaveLength(1);
+	});
+});
+
+describe("warnImportMapDiagnostics", () => {
+	test("warns once per map outside production", () => {
+		const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+		try {
+			const importMap = { imports: { "": "/a.js" } };
+			expect(warnImportMapDiagnostics(importMap, { baseURL })).toHaveLength(1);
+			expect(warnImportMapDiagnostics(importMap, { baseURL })).toEqual([]);
+			expect(warn).toHaveBeenCalledTimes(1);
+			expect(warn.mock.calls[0][0]).toBe(
+				'[import map] warning $.imports[""]: Invalid empty string specifier key.',
+			);
+		} finally {
+			warn.mockRestore();
+		}
+	});
+});
+
+test("formats paths and diagnostics", () => {
+	expect(toJSONPath(["scopes", "/admin/", "react"])).toBe(
+		'$.scopes["/admin/"].react',
+	);
+	expect(
+		formatImportMapDiagnostics([
+			{ severity: "warning", path: "$.extra", message: "Unknown key." },
+		]),
+	).toBe("warning $.extra: Unknown key.");
+});
@@ -0,0 +1,60 @@
+// import-map-script.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { renderToStaticMarkup } = require("react-dom/server");
+const { ImportMapScript } = require("./src/import-map-script");
+const { ERROR_CODES } = require("./src/integrity-errors");
+
+describe("ImportMapScript", () => {
+	let distDir;
+
+	beforeEach(() => {
+		distDir = fs.mkdtempSync(path.join(os.tmpdir(), "import-map-script-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(distDir, { recursive: true, force: true });
+		jest.restoreAllMocks();
+	});
+
+	test("inlines the build's import map with a nonce", () => {
+		fs.writeFileSync(
+			path.join(distDir, "importmap.json"),
+			JSON.stringify({ imports: { app: "/app.js" } }),
+		);
+
+		const html = renderToStaticMarkup(
+			ImportMapScript({ distDir, nonce: "abc123" }),
+		);
+
+		expect(html).toMatch(/^<script type="importmap" nonce="abc123">/);
+		expect(JSON.parse(html.replace(/^<script[^>]*>|<\/script>$/g, ""))).toEqual(
+			{ imports: { app: "/app.js" } },
+		);
+	});
+
+	test("escapes the map so it cannot close the script", () => {
+		const html = renderToStaticMarkup(
+			ImportMapScript({ importMap: { imports: { x: "/</script>.js" } } }),
+		);
+
+		expect(html).not.toContain("</script>.js");
+		expect(html).toContain("\\u003c/script>.js");
+	});
+
+	test("renders nothing when injectImportMap is off", () => {
+		jest.replaceProperty(process, "env", {
+			...process.env,
+			MODULE_INTEGRITY_INJECT_IMPORT_MAP: "false",
+		});
+
+		expect(ImportMapScript({ distDir })).toBeNull();
+	});
+
+	test("fails when the build emitted no import map", () => {
+		expect(() => ImportMapScript({ distDir })).toThrow(
+			expect.objectContaining({ code: ERROR_CODES.IMPORT_MAP_MISSING }),
+		);
+	});
+});
@@ -0,0 +1,228 @@
+// import-map-signature.test.js
+const crypto = require("crypto");
+const {
+	canonicalJSON,
+	fetchSignedImportMap,
+	verifyImportMapSignature,
+} = require("./src/import-map-signature");
+const {
+	getTrustedKey,
+	loadSigningKey,
+	serializeSignature,
+	signImportMap,
+} = require("./src/import-map-signing");
+const {
+	NextJSModuleIntegrityPlugin,
+} = require("./src/nextjs-module-integrity-plugin");
+
+const importMap = {
+	imports: { react: "/vendor/react.js" },
+	integrity: { "/vendor/react.js": "sha384-abc" },
+};
+
+function generatePrivateKey(type, options) {
+	return crypto
+		.generateKeyPairSync(type, options)
+		.privateKey.export({ type: "pkcs8", format: "pem" });
+}
+
+describe("canonical JSON", () => {
+	test("sorts keys at every level and drops whitespace", () => {
+		expect(
+			canonicalJSON({ b: [2, { d: 1, c: null }], a: "x ", u: undefined }),
+		).toBe('{"a":"x ","b":[2,{"c":null,"d":1}]}');
+	});
+});
+
+describe("import map signatures", () => {
+	test.each([
+		["Ed25519", "ed25519", {}],
+		["ECDSA-P256", "ec", { namedCurve: "P-256" }],
+		["ECDSA-P384", "ec", { namedCurve: "P-384" }],
+	])(
+		"%s signatures verify with Web Crypto",
+		async (algorithm, type, options) => {
+			const privateKey = generatePrivateKey(type, options);
+			const signature = signImportMap(importMap, privateKey);
+			const trustedKey = getTrustedKey(privateKey);
+
+			expect(signature.algorithm).toBe(algorithm);
+			expect(trustedKey.algorithm).toBe(algorithm);
+
+			// Formatting and key order do not affect the signature
+			const reformatted = JSON.parse(
+				JSON.stringify(
+					{ integrity: importMap.integrity, imports: importMap.imports },
+					null,
+					4,
+				),
+			);
+			expect(
+				await verifyImportMapSignature(
+					reformatted,
+					serializeSignature(signature),
+					trustedKey,
+				),
+			).toBe(true);
+		},
+	);
+
+	test("rejects tampered maps, other keys and mismatched algorithms", async () => {
+		const privateKey = generatePrivateKey("ed25519", {});
+		const signature = signImportMap(importMap, privateKey);
+		const trustedKey = getTrustedKey(privateKey);
+		const otherKey = getTrustedKey(generatePrivateKey("ed25519", {}));
+		const ecdsaKey = getTrustedKey(
+			generatePrivateKey("ec", { namedCurve: "P-256" }),
+		);
+
+		const tampered = {
+			...importMap,
+			imports: { react: "https://evil.example/react.js" },
+		};
+		expect(
+			await verifyImportMapSignature(tampered, signature, trustedKey),
+		).toBe(false);
+		expect(await verifyImportMapSignature(importMap, signature, otherKey)).toBe(
+			false,
+		);
+		expect(
+			await verifyImportMapSignature(
+				importMap,
+				{ ...signature, algorithm: "ECDSA-P256" },
+				[ecdsaKey, trustedKey],
+			),
+		).toBe(false);
+		expect(
+			await verifyImportMapSignature(importMap, "not json", trustedKey),
+		).toBe(false);
+	});
+
+	test("accepts any of several pinned keys, including JWKs", async () => {
+		const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+		const signature = signImportMap(importMap, privateKey);
+		const jwkKey = {
+			algorithm: "Ed25519",
+			publicKey: publicKey.export({ format: "jwk" }),
+		};
+		const otherKey = getTrustedKey(generatePrivateKey("ed25519", {}));
+
+		expect(
+			await verifyImportMapSignature(importMap, signature, [otherKey, jwkKey]),
+		).toBe(true);
+	});
+
+	test("rejects unsupported signing keys", () => {
+		const rsa = generatePrivateKey("rsa", { modulusLength: 1024 });
+		expect(() => signImportMap(importMap, rsa)).toThrow(/Unsupported/);
+		expect(() => loadSigningKey({})).toThrow(/privateKey/);
+	});
+});
+
+describe("fetchSignedImportMap", () => {
+	const privateKey = generatePrivateKey("ed25519", {});
+	const trustedKeys = [getTrustedKey(privateKey)];
+
+	function createFetch(files) {
+		return jest.fn(async (url) =>
+			url in files
+				? new Response(files[url])
+				: new Response("", { status: 404, statusText: "Not Found" }),
+		);
+	}
+
+	test("returns the map when the signature verifies", async () => {
+		const fetchImpl = createFetch({
+			"/importmap.json": JSON.stringify(importMap),
+			"/importmap.json.sig": serializeSignature(
+				signImportMap(importMap, privateKey),
+			),
+		});
+
+		await expect(
+			fetchSignedImportMap("/importmap.json", {
+				trustedKeys,
+				fetch: fetchImpl,
+			}),
+		).resolves.toEqual(importMap);
+	});
+
+	test("fails when the signature is missing or does not verify", async () => {
+		await expect(
+			fetchSignedImportMap("/importmap.json", {
+				trustedKeys,
+				fetch: createFetch({ "/importmap.json": JSON.stringify(importMap) }),
+			}),
+		).rejects.toThrow(/signature: Not Found/);
+
+		await expect(
+			fetchSignedImportMap("/importmap.json", {
+				trustedKeys,
+				signatureUrl: "/sig",
+				fetch: createFetch({
+					"/importmap.json": JSON.stringify({ imports: {} }),
+					"/sig": serializeSignature(signImportMap(importMap, privateKey)),
+				}),
+			}),
+		).rejects.toThrow(/signature verification failed/);
+	});
+});
+
+describe("Next.js plugin signing", () => {
+	test("emits a detached signature next to the import map", async () => {
+		const privateKey = generatePrivateKey("ec", { namedCurve: "P-256" });
+		const plugin = new NextJSModuleIntegrityPlugin({
+			generateVercelConfig: false,
+			signing: { privateKey },
+		});
+		const emitted = {};
+		const compilation = { errors: [], warnings: [] };
+		let processAssets;
+		plugin.apply({
+			webpack: {
+				WebpackError: Error,
+				DefinePlugin: class {
+					apply() {}
+				},
+				Compilation: { PROCESS_ASSETS_STAGE_REPORT: 5000 },
+			},
+			hooks: {
+				compilation: {
+					tap: (_name, callback) =>
+						callback({
+							hooks: {
+								processAssets: {
+									tap: (_options, handler) => {
+										processAssets = handler;
+									},
+								},
+							},
+							chunks: [],
+							getAsset: () => undefined,
+							emitAsset: (name, source) => {
+								emitted[name] = source.source();
+							},
+							...compilation,
+						}),
+				},
+				afterEmit: { tapAsync: () => {} },
+			},
+		});
+
+		processAssets({ "static/app.js": { source: () => "app" } });
+		expect(compilation.errors).toEqual([]);
+
+		expect(Object.keys(emitted)).toEqual([
+			"importmap.json",
+			"importmap.packages.json",
+			"importmap.json.sig",
+		]);
+		expect(
+			await verifyImportMapSignature(
+				JSON.parse(emitted["importmap.json"]),
+				emitted["importmap.json.sig"],
+				getTrustedKey(privateKey),
+			),
+		).toBe(true);
+	});
+});
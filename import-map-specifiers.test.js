@@ -0,0 +1,69 @@
+// import-map-specifiers.test.js
+const {
+	createSpecifierResolver,
+	logicalName,
+} = require("./src/import-map-specifiers");
+const { ModuleIntegrityError } = require("./src/integrity-errors");
+
+describe("logicalName", () => {
+	test("removes the hashes webpack reports", () => {
+		expect(
+			logicalName({
+				assetName: "static/chunks/app/blog/page-4f1c2e9a.js",
+				info: { contenthash: ["4f1c2e9a"] },
+			}),
+		).toBe("static/chunks/app/blog/page");
+		expect(
+			logicalName({
+				assetName: "static/abc123/_buildManifest.js",
+				info: { fullhash: "abc123" },
+			}),
+		).toBe("static/_buildManifest");
+	});
+
+	test("removes hash-like segments when webpack reports none", () => {
+		expect(
+			logicalName({
+				assetName: "static\\chunks\\main-app.0123456789abcdef.js",
+			}),
+		).toBe("static/chunks/main-app");
+	});
+});
+
+describe("createSpecifierResolver", () => {
+	test("falls back to the logical name", () => {
+		const resolve = createSpecifierResolver(["chunk", "route"]);
+
+		expect(resolve({ assetName: "main-0123456789abcdef.js", chunk: {} })).toBe(
+			"main",
+		);
+		expect(resolve({ assetName: "x.js", chunk: { name: "named" } })).toBe(
+			"named",
+		);
+	});
+
+	test("falls through on a taken specifier, except from the last strategy", () => {
+		const isTaken = (specifier) => specifier === "named";
+
+		expect(
+			createSpecifierResolver(["chunk", "logical"])({
+				assetName: "main-0123456789abcdef.js",
+				chunk: { name: "named" },
+				isTaken,
+			}),
+		).toBe("main");
+		expect(
+			createSpecifierResolver("chunk")({
+				assetName: "main-0123456789abcdef.js",
+				chunk: { name: "named" },
+				isTaken,
+			}),
+		).toBe("named");
+	});
+
+	test("rejects unknown strategies", () => {
+		expect(() => createSpecifierResolver("basename")).toThrow(
+			ModuleIntegrityError,
+		);
+	});
+});
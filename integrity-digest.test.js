@@ -0,0 +1,105 @@
+// integrity-digest.test.js
+const crypto = require("crypto");
+const { createHash } = require("./src/sha2");
+const {
+	digestBytes,
+	digestResponse,
+	digestStream,
+} = require("./src/integrity-digest");
+
+const ALGORITHMS = ["sha256", "sha384", "sha512"];
+
+function nodeDigest(algorithm, bytes) {
+	return crypto.createHash(algorithm).update(bytes).digest("base64");
+}
+
+function streamOf(bytes, chunkSize) {
+	let offset = 0;
+	return new ReadableStream({
+		pull(controller) {
+			if (offset >= bytes.length) {
+				controller.close();
+				return;
+			}
+			controller.enqueue(bytes.subarray(offset, offset + chunkSize));
+			offset += chunkSize;
+		},
+	});
+}
+
+describe("incremental SHA-2", () => {
+	test.each(ALGORITHMS)(
+		"%s matches Node across block boundaries",
+		(algorithm) => {
+			for (const length of [0, 1, 55, 56, 64, 111, 112, 128, 129, 1000]) {
+				const bytes = crypto.randomBytes(length);
+				const hash = createHash(algorithm);
+				for (let i = 0; i < length; i += 7) {
+					hash.update(bytes.subarray(i, i + 7));
+				}
+
+				expect(Buffer.from(hash.digest()).toString("base64")).toBe(
+					nodeDigest(algorithm, bytes),
+				);
+			}
+		},
+	);
+
+	test("rejects unknown algorithms", () => {
+		expect(() => createHash("md5")).toThrow(/Unsupported/);
+	});
+
+	test("cannot be reused after digest", () => {
+		const hash = createHash("sha256");
+		hash.digest();
+		expect(() => hash.update(new Uint8Array(1))).toThrow();
+	});
+});
+
+describe("response digests", () => {
+	// UTF-8 BOM followed by a Latin-1 byte that is not valid UTF-8
+	const bytes = Buffer.from([0xef, 0xbb, 0xbf, 0x2f, 0x2f, 0xe9, 0x0a]);
+
+	test("hash the raw bytes, not re-encoded text", async () => {
+		const expected = nodeDigest("sha384", bytes);
+		const reencoded = nodeDigest(
+			"sha384",
+			new TextEncoder().encode(await new Response(bytes).text()),
+		);
+
+		expect(reencoded).not.toBe(expected);
+		expect(await digestResponse(new Response(bytes), "sha384")).toBe(expected);
+	});
+
+	test("stream bodies above the threshold", async () => {
+		const large = crypto.randomBytes(300000);
+		const response = new Response(streamOf(large, 65536), {
+			headers: { "content-length": String(large.length) },
+		});
+		const arrayBuffer = jest.spyOn(response, "arrayBuffer");
+
+		expect(
+			await digestResponse(response, "sha512", { streamingThreshold: 1024 }),
+		).toBe(nodeDigest("sha512", large));
+		expect(arrayBuffer).not.toHaveBeenCalled();
+	});
+
+	test("buffer small bodies with a known length", async () => {
+		const response = new Response(bytes, {
+			headers: { "content-length": String(bytes.length) },
+		});
+		const arrayBuffer = jest.spyOn(response, "arrayBuffer");
+
+		expect(await digestResponse(response, "sha256")).toBe(
+			nodeDigest("sha256", bytes),
+		);
+		expect(arrayBuffer).toHaveBeenCalled();
+	});
+
+	test("digestStream and digestBytes agree", async () => {
+		const data = crypto.randomBytes(5000);
+		expect(await digestStream(streamOf(data, 333), "sha384")).toBe(
+			await digestBytes(data, "sha384"),
+		);
+	});
+});
@@ -0,0 +1,220 @@
+/**
+ * @jest-environment jsdom
+ */
+// integrity-error-boundary.test.js
+const { Component, Suspense, act, createElement } = require("react");
+const { createRoot } = require("react-dom/client");
+const { IntegrityErrorBoundary } = require("./src/integrity-error-boundary");
+const {
+	FetchFailedError,
+	IntegrityMismatchError,
+	ModuleGraphError,
+} = require("./src/integrity-errors");
+const { createLazyWithIntegrity } = require("./src/lazy-with-integrity");
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+// Catches whatever IntegrityErrorBoundary passes on
+class OuterBoundary extends Component {
+	constructor(props) {
+		super(props);
+		this.state = { error: null };
+	}
+
+	static getDerivedStateFromError(error) {
+		return { error };
+	}
+
+	render() {
+		return this.state.error
+			? createElement("p", null, `outer: ${this.state.error.message}`)
+			: this.props.children;
+	}
+}
+
+describe("IntegrityErrorBoundary", () => {
+	let container;
+	let root;
+	let failure;
+
+	// Throws the current failure, if any
+	function Widget() {
+		if (failure) {
+			throw failure;
+		}
+		return createElement("p", null, "widget");
+	}
+
+	function render(props = {}) {
+		act(() => {
+			root.render(
+				createElement(
+					OuterBoundary,
+					null,
+					createElement(
+						IntegrityErrorBoundary,
+						{
+							fallback: (error, retry) =>
+								createElement(
+									"button",
+									{ type: "button", onClick: retry },
+									`failed: ${error.url}`,
+								),
+							...props,
+						},
+						createElement(Widget),
+					),
+				),
+			);
+		});
+	}
+
+	beforeEach(() => {
+		// React logs every error a boundary catches
+		jest.spyOn(console, "error").mockImplementation(() => {});
+		failure = new IntegrityMismatchError("Integrity check failed", {
+			url: "/chunk.js",
+		});
+		container = document.createElement("div");
+		root = createRoot(container);
+	});
+
+	afterEach(() => {
+		act(() => root.unmount());
+		jest.restoreAllMocks();
+	});
+
+	test("renders the fallback and reports the error once", () => {
+		const onError = jest.fn();
+		render({ onError });
+
+		expect(container.textContent).toBe("failed: /chunk.js");
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(onError).toHaveBeenCalledWith(
+			failure,
+			expect.objectContaining({ componentStack: expect.any(String) }),
+		);
+	});
+
+	test("retry resets and renders the children again", () => {
+		const onReset = jest.fn();
+		render({ onReset });
+
+		failure = null;
+		act(() => container.querySelector("button").click());
+
+		expect(onReset).toHaveBeenCalledTimes(1);
+		expect(container.textContent).toBe("widget");
+	});
+
+	test("renders the children again when a reset key changes", () => {
+		const onReset = jest.fn();
+		render({ onReset, resetKeys: ["/a"] });
+
+		failure = null;
+		render({ onReset, resetKeys: ["/a"] });
+		expect(container.textContent).toBe("failed: /chunk.js");
+
+		render({ onReset, resetKeys: ["/b"] });
+		expect(onReset).toHaveBeenCalledTimes(1);
+		expect(container.textContent).toBe("widget");
+	});
+
+	test("default notice only warns of tampering for mismatched bytes", () => {
+		render({ fallback: undefined });
+		expect(container.querySelector("h2").textContent).toBe(
+			"Module Integrity Error",
+		);
+		expect(container.textContent).toContain("tampered with");
+
+		failure = new ModuleGraphError("Module graph failed verification", {
+			report: { failures: [{ url: "/dep.js", status: "mismatch" }] },
+		});
+		render({ fallback: undefined, resetKeys: ["graph"] });
+		expect(container.textContent).toContain("tampered with");
+
+		failure = new FetchFailedError("Failed to fetch /chunk.js: 503", {
+			url: "/chunk.js",
+		});
+		render({ fallback: undefined, resetKeys: ["fetch"] });
+		expect(container.querySelector("h2").textContent).toBe("Module Load Error");
+		expect(container.textContent).toContain(
+			"One or more scripts could not be loaded.",
+		);
+		expect(container.textContent).not.toContain("tampered");
+		expect(container.textContent).toContain("Failed to fetch /chunk.js: 503");
+
+		failure = new ModuleGraphError("Module graph failed verification", {
+			report: { failures: [{ url: "/dep.js", status: "error" }] },
+		});
+		render({ fallback: undefined, resetKeys: ["graph error"] });
+		expect(container.textContent).not.toContain("tampered");
+	});
+
+	test("passes other errors on to the next boundary", () => {
+		const onError = jest.fn();
+		failure = new TypeError("not ours");
+		render({ onError });
+
+		expect(container.textContent).toBe("outer: not ours");
+		expect(onError).not.toHaveBeenCalled();
+	});
+});
+
+describe("lazyWithIntegrity under Suspense", () => {
+	let container;
+	let root;
+
+	beforeEach(() => {
+		jest.spyOn(console, "error").mockImplementation(() => {});
+		container = document.createElement("div");
+		root = createRoot(container);
+	});
+
+	afterEach(() => {
+		act(() => root.unmount());
+		jest.restoreAllMocks();
+	});
+
+	test("shows a failed load in the boundary, and loads again on retry", async () => {
+		const error = new IntegrityMismatchError("Integrity check failed", {
+			url: "/widget.js",
+		});
+		const importModule = jest
+			.fn()
+			.mockRejectedValueOnce(error)
+			.mockResolvedValue({ default: () => createElement("p", null, "widget") });
+		const { lazyWithIntegrity } = createLazyWithIntegrity(importModule);
+		const Widget = lazyWithIntegrity("widget");
+
+		await act(async () => {
+			root.render(
+				createElement(
+					IntegrityErrorBoundary,
+					{
+						onReset: Widget.reset,
+						fallback: (caught, retry) =>
+							createElement(
+								"button",
+								{ type: "button", onClick: retry },
+								caught.message,
+							),
+					},
+					createElement(
+						Suspense,
+						{ fallback: createElement("p", null, "verifying") },
+						createElement(Widget),
+					),
+				),
+			);
+		});
+
+		expect(container.textContent).toBe("Integrity check failed");
+		expect(importModule).toHaveBeenCalledTimes(1);
+
+		await act(async () => container.querySelector("button").click());
+
+		expect(container.textContent).toBe("widget");
+		expect(importModule).toHaveBeenCalledTimes(2);
+	});
+});
@@ -0,0 +1,115 @@
+// lazy-with-integrity.test.js
+const { ModuleIntegrityError } = require("./src/integrity-errors");
+const { createLazyWithIntegrity } = require("./src/lazy-with-integrity");
+
+function deferred() {
+	let resolve;
+	let reject;
+	const promise = new Promise((res, rej) => {
+		resolve = res;
+		reject = rej;
+	});
+	return { promise, resolve, reject };
+}
+
+// Renders a lazy component once, returning what it rendered or threw
+function render(LazyComponent, props = {}, ref = null) {
+	try {
+		return { element: LazyComponent.render(props, ref) };
+	} catch (thrown) {
+		return { thrown };
+	}
+}
+
+describe("lazyWithIntegrity", () => {
+	beforeEach(() => {
+		global.window = {};
+	});
+
+	afterEach(() => {
+		global.window = undefined;
+	});
+
+	test("suspends while verifying, then renders the named export", async () => {
+		const load = deferred();
+		const importModule = jest.fn(() => load.promise);
+		const { lazyWithIntegrity } = createLazyWithIntegrity(importModule);
+		const Chart = () => null;
+		const LazyChart = lazyWithIntegrity("chart-widget", "Chart");
+
+		const first = render(LazyChart, { data: [1] });
+		expect(first.thrown).toBeInstanceOf(Promise);
+
+		load.resolve({ Chart });
+		await first.thrown;
+
+		const { element } = render(LazyChart, { data: [1] });
+		expect(element.type).toBe(Chart);
+		expect(element.props).toEqual({ data: [1] });
+		expect(LazyChart.displayName).toBe("LazyWithIntegrity(chart-widget)");
+	});
+
+	test("dedupes concurrent loads and preloads of one specifier", async () => {
+		const importModule = jest.fn(async () => ({ default: () => null }));
+		const { lazyWithIntegrity, preloadWithIntegrity } =
+			createLazyWithIntegrity(importModule);
+		const A = lazyWithIntegrity("widget");
+		const B = lazyWithIntegrity("widget");
+
+		const preloaded = A.preload();
+		const rendered = render(B).thrown;
+		await Promise.all([preloaded, rendered, preloadWithIntegrity("widget")]);
+
+		expect(importModule).toHaveBeenCalledTimes(1);
+		expect(importModule).toHaveBeenCalledWith("widget", {});
+
+		// Different evaluation options are separate loads
+		await preloadWithIntegrity("widget", { evaluateAs: "blob" });
+		expect(importModule).toHaveBeenCalledTimes(2);
+	});
+
+	test("keeps throwing a failed load until it is reset", async () => {
+		const error = new ModuleIntegrityError("Integrity check failed", {
+			url: "/widget.js",
+		});
+		const importModule = jest
+			.fn()
+			.mockRejectedValueOnce(error)
+			.mockResolvedValueOnce({ default: () => null });
+		const { lazyWithIntegrity } = createLazyWithIntegrity(importModule);
+		const Widget = lazyWithIntegrity("widget");
+
+		await render(Widget).thrown.catch(() => {});
+		expect(render(Widget).thrown).toBe(error);
+		// React renders again after an error; it must see the same error
+		expect(render(Widget).thrown).toBe(error);
+		expect(importModule).toHaveBeenCalledTimes(1);
+
+		// The boundary's onReset forgets the failure, and the retry loads again
+		Widget.reset();
+		await render(Widget).thrown;
+		expect(render(Widget).element).toBeDefined();
+		expect(importModule).toHaveBeenCalledTimes(2);
+	});
+
+	test("reports a missing export", async () => {
+		const { lazyWithIntegrity } = createLazyWithIntegrity(async () => ({}));
+		const Widget = lazyWithIntegrity("widget", "Widget");
+
+		await Widget.preload();
+		expect(render(Widget).thrown.message).toMatch(
+			/has no export named "Widget"/,
+		);
+	});
+
+	test("renders the Suspense fallback on the server", () => {
+		global.window = undefined;
+		const importModule = jest.fn();
+		const { lazyWithIntegrity } = createLazyWithIntegrity(importModule);
+
+		expect(render(lazyWithIntegrity("widget")).thrown.message).toMatch(
+			/only renders on the client/,
+		);
+		expect(importModule).not.toHaveBeenCalled();
+	});
+});
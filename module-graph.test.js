@@ -0,0 +1,263 @@
+// module-graph.test.js
+const crypto = require("crypto");
+const {
+	describeGraphFailures,
+	verifyModuleGraph,
+} = require("./src/module-graph");
+
+const BASE = "https://app.example.com/";
+
+const files = {
+	"main.js": 'import { a } from "./a.js";\nimport "dep";\nimport("./lazy.js");',
+	"a.js": 'import "./b.js";\nexport const a = 1;',
+	"b.js": 'import "./a.js";\nexport const b = 2;',
+	"vendor/dep.js": "export default 3;",
+	"lazy.js": "export default import(`./${name}.js`);",
+	"data.json": '{"import": "./not-a-module.js"}',
+	"counter.js": 'let i = 0;\nlet a = i++ / 2; import("./lazy.js");',
+};
+
+function integrityOf(path) {
+	const digest = crypto
+		.createHash("sha384")
+		.update(files[path])
+		.digest("base64");
+	return `sha384-${digest}`;
+}
+
+function createFetch(overrides = {}) {
+	return jest.fn(async (url) => {
+		const path = url.slice(BASE.length);
+		const body = path in overrides ? overrides[path] : files[path];
+		if (body === undefined) {
+			return new Response("", { status: 404, statusText: "Not Found" });
+		}
+		const type = path.endsWith(".json")
+			? "application/json"
+			: "text/javascript";
+		return new Response(body, { headers: { "content-type": type } });
+	});
+}
+
+function resolve(specifier, importerURL) {
+	if (specifier === "dep") {
+		return `${BASE}vendor/dep.js`;
+	}
+	if (!/^\.{0,2}\//.test(specifier)) {
+		throw new TypeError(
+			`Bare specifier "${specifier}" was not remapped to anything.`,
+		);
+	}
+	return new URL(specifier, importerURL).href;
+}
+
+const integrity = Object.fromEntries(
+	Object.keys(files).map((path) => [`${BASE}${path}`, integrityOf(path)]),
+);
+
+function verify(options = {}) {
+	return verifyModuleGraph(`${BASE}main.js`, {
+		resolve,
+		getIntegrity: (url) => integrity[url],
+		fetch: createFetch(),
+		...options,
+	});
+}
+
+describe("verifyModuleGraph", () => {
+	test("verifies static and dynamic dependencies, following cycles once", async () => {
+		const fetchImpl = createFetch();
+		const report = await verify({ fetch: fetchImpl });
+
+		expect(report.valid).toBe(true);
+		expect(report.modules.map((module) => [module.url, module.status])).toEqual(
+			[
+				[`${BASE}main.js`, "verified"],
+				[`${BASE}a.js`, "verified"],
+				[`${BASE}vendor/dep.js`, "verified"],
+				[`${BASE}lazy.js`, "verified"],
+				[`${BASE}b.js`, "verified"],
+			],
+		);
+		expect(fetchImpl).toHaveBeenCalledTimes(5);
+
+		const main = report.modules[0];
+		expect(main.dependencies).toEqual([`${BASE}a.js`, `${BASE}vendor/dep.js`]);
+		expect(main.dynamicDependencies).toEqual([`${BASE}lazy.js`]);
+		expect(report.modules[3].computedImports).toBe(1);
+	});
+
+	test("reports a tampered dependency and stops following its imports", async () => {
+		const report = await verify({
+			fetch: createFetch({ "a.js": 'import "./evil.js";' }),
+		});
+
+		expect(report.valid).toBe(false);
+		expect(report.failures).toHaveLength(1);
+		expect(report.failures[0]).toMatchObject({
+			url: `${BASE}a.js`,
+			specifier: "./a.js",
+			importer: `${BASE}main.js`,
+			status: "mismatch",
+			expected: integrity[`${BASE}a.js`],
+		});
+		expect(report.failures[0].actual).toMatch(/^sha384-/);
+		expect(report.modules.map((module) => module.url)).not.toContain(
+			`${BASE}evil.js`,
+		);
+		expect(describeGraphFailures(report)).toContain(
+			`mismatch: ${BASE}a.js (imported by ${BASE}main.js)`,
+		);
+	});
+
+	test("checks an import() that follows a division after i++", async () => {
+		const report = await verifyModuleGraph(`${BASE}counter.js`, {
+			resolve,
+			getIntegrity: (url) => integrity[url],
+			fetch: createFetch({ "lazy.js": "export default 'tampered';" }),
+		});
+
+		expect(report.failures).toEqual([
+			expect.objectContaining({
+				url: `${BASE}lazy.js`,
+				importer: `${BASE}counter.js`,
+				status: "mismatch",
+			}),
+		]);
+	});
+
+	test("reports unresolvable specifiers and fetch failures", async () => {
+		const report = await verify({
+			fetch: createFetch({ "lazy.js": 'import "missing-package";' }),
+			getIntegrity: (url) =>
+				url.endsWith("lazy.js") ? undefined : integrity[url],
+			followUnchecked: true,
+		});
+
+		expect(report.failures).toEqual([
+			expect.objectContaining({
+				url: null,
+				specifier: "missing-package",
+				importer: `${BASE}lazy.js`,
+				status: "unresolved",
+			}),
+		]);
+
+		const notFound = await verify({
+			fetch: createFetch({ "b.js": undefined }),
+		});
+		expect(notFound.failures[0]).toMatchObject({
+			url: `${BASE}b.js`,
+			status: "error",
+		});
+	});
+
+	test("reports unresolvable import() calls without failing", async () => {
+		const report = await verify({
+			fetch: createFetch({ "lazy.js": 'import("optional-plugin");' }),
+			getIntegrity: (url) =>
+				url.endsWith("lazy.js") ? undefined : integrity[url],
+			followUnchecked: true,
+		});
+
+		expect(report.valid).toBe(true);
+		expect(report.modules).toContainEqual(
+			expect.objectContaining({
+				specifier: "optional-plugin",
+				status: "unresolved",
+				dynamic: true,
+			}),
+		);
+	});
+
+	test("keeps the source of verified modules on request", async () => {
+		const fetchImpl = createFetch();
+		const report = await verify({ fetch: fetchImpl, keepSources: true });
+
+		expect([...report.sources.keys()]).toHaveLength(5);
+		expect(report.sources.get(`${BASE}main.js`)).toEqual({
+			url: `${BASE}main.js`,
+			integrity: integrity[`${BASE}main.js`],
+			source: files["main.js"],
+			resolved: {
+				"./a.js": `${BASE}a.js`,
+				dep: `${BASE}vendor/dep.js`,
+				"./lazy.js": `${BASE}lazy.js`,
+			},
+		});
+		expect((await verify()).sources).toBeUndefined();
+	});
+
+	test("only fails unchecked modules when integrity is required", async () => {
+		const getIntegrity = (url) =>
+			url.endsWith("dep.js") ? undefined : integrity[url];
+
+		const lenient = await verify({ getIntegrity });
+		expect(lenient.valid).toBe(true);
+		expect(lenient.modules[2].status).toBe("unchecked");
+
+		// A missing unchecked module is for the browser to report
+		const missing = await verify({
+			getIntegrity,
+			fetch: createFetch({ "vendor/dep.js": undefined }),
+			followUnchecked: true,
+		});
+		expect(missing.valid).toBe(true);
+		expect(missing.modules[2]).toMatchObject({
+			status: "unchecked",
+			error: "Failed to fetch module: Not Found",
+		});
+
+		const strict = await verify({ getIntegrity, requireIntegrity: true });
+		expect(strict.failures.map((module) => module.url)).toEqual([
+			`${BASE}vendor/dep.js`,
+		]);
+	});
+
+	test("records unchecked modules without fetching them", async () => {
+		const fetchImpl = createFetch();
+		const report = await verify({
+			fetch: fetchImpl,
+			getIntegrity: (url) =>
+				url.endsWith("dep.js") ? undefined : integrity[url],
+		});
+
+		expect(report.valid).toBe(true);
+		expect(report.modules[2]).toMatchObject({
+			url: `${BASE}vendor/dep.js`,
+			status: "unchecked",
+		});
+		expect(fetchImpl).toHaveBeenCalledTimes(4);
+		expect(fetchImpl).not.toHaveBeenCalledWith(`${BASE}vendor/dep.js`);
+	});
+
+	test("rejects unsupported algorithms without fetching", async () => {
+		const fetchImpl = createFetch();
+		const report = await verifyModuleGraph(`${BASE}main.js`, {
+			getIntegrity: () => "md5-abc",
+			fetch: fetchImpl,
+		});
+
+		expect(report.failures[0].status).toBe("unsupported");
+		expect(fetchImpl).not.toHaveBeenCalled();
+	});
+
+	test("can skip dynamic imports and non-script responses", async () => {
+		const report = await verifyModuleGraph(`${BASE}main.js`, {
+			resolve,
+			fetch: createFetch({ "main.js": 'import data from "./data.json";' }),
+			includeDynamic: false,
+			followUnchecked: true,
+		});
+
+		expect(report.modules.map((module) => module.url)).toEqual([
+			`${BASE}main.js`,
+			`${BASE}data.json`,
+		]);
+
+		const withoutDynamic = await verify({ includeDynamic: false });
+		expect(withoutDynamic.modules.map((module) => module.url)).not.toContain(
+			`${BASE}lazy.js`,
+		);
+	});
+});
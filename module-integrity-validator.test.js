@@ -0,0 +1,155 @@
+// module-integrity-validator.test.js
+const { spawnSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+	validateNextJSBuildIntegrity,
+} = require("./src/module-integrity-validator");
+const { createMatcher, globToRegExp } = require("./src/glob-pattern");
+
+const silent = { log: () => {}, error: () => {} };
+
+function sha384(content) {
+	return `sha384-${crypto.createHash("sha384").update(content).digest("base64")}`;
+}
+
+describe("glob patterns", () => {
+	test.each([
+		["**/*.js", "app.js", true],
+		["**/*.js", "static/chunks/app.js", true],
+		["**/*.js", "static/chunks/app.json", false],
+		["*.js", "static/app.js", false],
+		["static/**", "static/chunks/app.js", true],
+		["static/**/*.{js,mjs}", "static/a/b/c.mjs", true],
+		["static/**/*.{js,mjs}", "server/a.js", false],
+		["chunk-?.js", "chunk-1.js", true],
+		["a+b.js", "a+b.js", true],
+	])("%s matches %s: %s", (pattern, filePath, expected) => {
+		expect(globToRegExp(pattern).test(filePath)).toBe(expected);
+	});
+
+	test("createMatcher matches any pattern", () => {
+		const matches = createMatcher(["cache/**", "**/*.map"]);
+		expect(matches("cache/x.js")).toBe(true);
+		expect(matches("static/x.js.map")).toBe(true);
+		expect(matches("static/x.js")).toBe(false);
+	});
+});
+
+describe("coverage mode", () => {
+	let dir;
+
+	function write(file, content) {
+		fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+		fs.writeFileSync(path.join(dir, file), content);
+	}
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "sri-coverage-"));
+		write("static/chunks/main.js", "main");
+		write("static/chunks/new-chunk.js", "new");
+		write("static/css/app.css", "body {}");
+		write("cache/webpack.js", "cache");
+		write("static/chunks/main.js.map", "{}");
+		write(
+			"importmap.json",
+			JSON.stringify({
+				integrity: { "/static/chunks/main.js": sha384("main") },
+			}),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function validate(coverage) {
+		return validateNextJSBuildIntegrity({
+			distDir: dir,
+			logger: silent,
+			coverage,
+		});
+	}
+
+	test("is off by default", async () => {
+		const results = await validate(undefined);
+
+		expect(results.success).toBe(true);
+		expect(results.coverage).toBeUndefined();
+	});
+
+	test("reports JS, MJS and CSS outputs without integrity entries", async () => {
+		const results = await validate(true);
+
+		expect(results.success).toBe(false);
+		expect(results.coverage).toEqual({
+			files: 4,
+			covered: 1,
+			uncovered: 3,
+			maxUncovered: 0,
+			success: false,
+		});
+		expect(results.failures).toEqual([
+			expect.objectContaining({
+				url: "/cache/webpack.js",
+				category: "uncovered",
+				expected: null,
+				actual: sha384("cache"),
+			}),
+			expect.objectContaining({ url: "/static/chunks/new-chunk.js" }),
+			expect.objectContaining({ url: "/static/css/app.css" }),
+		]);
+	});
+
+	test("applies include and exclude patterns", async () => {
+		const results = await validate({
+			include: ["static/**/*.js"],
+			exclude: ["**/new-*.js"],
+		});
+
+		expect(results.success).toBe(true);
+		expect(results.coverage.files).toBe(1);
+	});
+
+	test("tolerates uncovered outputs up to the threshold", async () => {
+		const results = await validate({ exclude: ["cache/**"], maxUncovered: 2 });
+
+		expect(results.success).toBe(true);
+		expect(results.coverage.uncovered).toBe(2);
+		expect(results.failures).toHaveLength(2);
+
+		const strict = await validate({ exclude: ["cache/**"], maxUncovered: 1 });
+		expect(strict.success).toBe(false);
+	});
+});
+
+describe("standalone script", () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "sri-validator-"));
+		fs.writeFileSync(path.join(dir, "app.js"), "app");
+		fs.writeFileSync(
+			path.join(dir, "importmap.json"),
+			JSON.stringify({
+				integrity: { "/app.js": sha384("app"), "/missing.js": sha384("x") },
+			}),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("exits 1 when a file in the map is missing", () => {
+		const { status } = spawnSync(
+			process.execPath,
+			[path.join(__dirname, "src", "module-integrity-validator.js"), dir],
+			{ encoding: "utf8", timeout: 30000 },
+		);
+
+		expect(status).toBe(1);
+	});
+});
@@ -0,0 +1,548 @@
+// nextjs-module-integrity-plugin.test.js
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ts = require("typescript");
+const {
+	MinifyPlugin,
+} = require("next/dist/build/webpack/plugins/minify-webpack-plugin/src");
+const {
+	ProfilingPlugin,
+} = require("next/dist/build/webpack/plugins/profiling-plugin");
+const nextWebpack = require("next/dist/compiled/webpack/webpack");
+const { trace } = require("next/dist/trace");
+const {
+	NextJSModuleIntegrityPlugin,
+} = require("./src/nextjs-module-integrity-plugin");
+
+nextWebpack.init();
+const { webpack } = nextWebpack;
+
+// Minifies JavaScript as `next build` does: Next's own minimizer, run at
+// the processAssets stage it registers, under the profiling plugin that
+// gives it a trace span
+function nextMinimizer(context) {
+	return [
+		new ProfilingPlugin({
+			runWebpackSpan: trace("test-build"),
+			rootDir: context,
+		}),
+		new MinifyPlugin({ noMangling: false, disableCharFreq: false }),
+	];
+}
+
+// Loads a TypeScript source file as CommonJS, in the test's own module
+// registry, resolving its relative imports from the file's folder
+function requireTypeScript(file) {
+	const filename = path.join(__dirname, file);
+	const { outputText } = ts.transpileModule(fs.readFileSync(filename, "utf8"), {
+		compilerOptions: {
+			esModuleInterop: true,
+			module: ts.ModuleKind.CommonJS,
+			target: ts.ScriptTarget.ES2020,
+		},
+	});
+	const compiled = { exports: {} };
+	const load = new Function(
+		"exports",
+		"require",
+		"module",
+		"__filename",
+		"__dirname",
+		outputText,
+	);
+	load(
+		compiled.exports,
+		(id) => require(id.startsWith(".") ? path.resolve(filename, "..", id) : id),
+		compiled,
+		filename,
+		path.dirname(filename),
+	);
+	return compiled.exports;
+}
+
+function build(config) {
+	return new Promise((resolve, reject) => {
+		const compiler = webpack(config);
+		compiler.run((error, stats) => {
+			compiler.close(() => {
+				if (error) {
+					reject(error);
+				} else if (stats.hasErrors()) {
+					reject(new Error(stats.toString("errors-only")));
+				} else {
+					resolve(stats);
+				}
+			});
+		});
+	});
+}
+
+function writeFiles(root, files) {
+	for (const [name, content] of Object.entries(files)) {
+		fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+		fs.writeFileSync(path.join(root, name), content);
+	}
+}
+
+// Builds route-like entries into Next.js-style hashed chunk names
+async function buildRoutes(context, pluginConfig) {
+	writeFiles(context, {
+		"app/blog/page.js": `import { format } from "date-lib";
+// Enough first-party code that the package is not most of the chunk
+console.log(format("blog"), ${JSON.stringify("x".repeat(200))});`,
+		"app/shop/page.js": 'console.log("shop");',
+		"node_modules/date-lib/index.js":
+			'export function format(value) { return "formatted " + value; }',
+		"node_modules/date-lib/package.json": JSON.stringify({
+			name: "date-lib",
+			version: "1.2.3",
+		}),
+	});
+	await build({
+		mode: "production",
+		context,
+		entry: {
+			"app/blog/page": "./app/blog/page.js",
+			"app/shop/page": "./app/shop/page.js",
+			"date-lib": "date-lib",
+		},
+		output: {
+			path: path.join(context, "dist"),
+			filename: "static/chunks/[name]-[contenthash].js",
+		},
+		optimization: { minimize: false, concatenateModules: false },
+		plugins: [
+			new NextJSModuleIntegrityPlugin({
+				generateVercelConfig: false,
+				...pluginConfig,
+			}),
+		],
+	});
+	return JSON.parse(
+		fs.readFileSync(path.join(context, "dist", "importmap.json"), "utf8"),
+	);
+}
+
+// Builds test_harness/analyze-bundles-app's pages with @faker-js/faker
+// installed the way pnpm lays it out, split into an unnamed vendor chunk
+async function buildAnalyzeBundlesApp(context, pluginConfig) {
+	const appDir = path.join(__dirname, "test_harness", "analyze-bundles-app");
+	const store =
+		"node_modules/.pnpm/@faker-js+faker@8.4.1/node_modules/@faker-js/faker";
+	const pages = ["page", "about/page", "contact/page"];
+
+	for (const page of pages) {
+		const { outputText } = ts.transpileModule(
+			fs.readFileSync(path.join(appDir, "app", `${page}.tsx`), "utf8"),
+			{
+				compilerOptions: {
+					jsx: ts.JsxEmit.ReactJSX,
+					module: ts.ModuleKind.ESNext,
+					target: ts.ScriptTarget.ES2020,
+				},
+			},
+		);
+		writeFiles(context, { [`app/${page}.js`]: outputText });
+	}
+	writeFiles(context, {
+		[`${store}/package.json`]: JSON.stringify({
+			name: "@faker-js/faker",
+			version: "8.4.1",
+			main: "dist/index.js",
+		}),
+		[`${store}/dist/index.js`]:
+			'export const faker = { person: { fullName: () => "Ada Lovelace" } };',
+		// Marks the folder as ES modules, as many packages do
+		[`${store}/dist/package.json`]: JSON.stringify({ type: "module" }),
+	});
+	fs.mkdirSync(path.join(context, "node_modules", "@faker-js"));
+	fs.symlinkSync(
+		path.join(context, store),
+		path.join(context, "node_modules", "@faker-js", "faker"),
+		"dir",
+	);
+
+	await build({
+		mode: "production",
+		context,
+		entry: Object.fromEntries(
+			pages.map((page) => [`app/${page}`, `./app/${page}.js`]),
+		),
+		externals: ["react", "react/jsx-runtime", "next/link"],
+		externalsType: "commonjs",
+		output: {
+			path: path.join(context, "dist"),
+			filename: "static/chunks/[name]-[contenthash].js",
+			chunkFilename: "static/chunks/[id]-[contenthash].js",
+		},
+		optimization: {
+			minimize: false,
+			splitChunks: {
+				cacheGroups: {
+					vendor: {
+						test: /[\\/]node_modules[\\/]/,
+						chunks: "all",
+						name: false,
+						minSize: 0,
+						enforce: true,
+					},
+				},
+			},
+		},
+		plugins: [
+			new NextJSModuleIntegrityPlugin({
+				generateVercelConfig: false,
+				packageManifestPath: false,
+				...pluginConfig,
+			}),
+		],
+	});
+	return JSON.parse(
+		fs.readFileSync(path.join(context, "dist", "importmap.json"), "utf8"),
+	);
+}
+
+// A hash added to vercel.json by hand, e.g. for an inline script
+const INLINE_HASH = `sha256-${"i".repeat(43)}=`;
+
+describe("NextJSModuleIntegrityPlugin in a webpack build", () => {
+	let context;
+
+	beforeEach(() => {
+		context = fs.mkdtempSync(path.join(os.tmpdir(), "integrity-plugin-"));
+		fs.mkdirSync(path.join(context, "src"));
+		fs.writeFileSync(
+			path.join(context, "src", "index.js"),
+			`// This comment and the long names are gone after minification
+export function greetEveryoneVeryVerbosely(listOfPeopleToGreet) {
+	return listOfPeopleToGreet.map((personToGreet) => "Hello, " + personToGreet);
+}
+console.log(greetEveryoneVeryVerbosely(["a", "b"]));
+`,
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(context, { recursive: true, force: true });
+		jest.restoreAllMocks();
+	});
+
+	test("hashes the minified bytes that are emitted", async () => {
+		await build({
+			mode: "production",
+			context,
+			entry: { main: "./src/index.js" },
+			output: { path: path.join(context, "dist"), filename: "[name].js" },
+			optimization: { minimize: true, minimizer: nextMinimizer(context) },
+			plugins: [
+				new NextJSModuleIntegrityPlugin({ generateVercelConfig: false }),
+			],
+		});
+
+		const emitted = fs.readFileSync(path.join(context, "dist", "main.js"));
+		const importMap = JSON.parse(
+			fs.readFileSync(path.join(context, "dist", "importmap.json"), "utf8"),
+		);
+
+		expect(emitted.toString()).not.toContain("greetEveryoneVeryVerbosely");
+		expect(importMap.imports).toEqual({ main: "/main.js" });
+		expect(importMap.integrity["/main.js"]).toBe(
+			`sha384-${crypto.createHash("sha384").update(emitted).digest("base64")}`,
+		);
+	}, 60000);
+
+	test("hashes the files the TypeScript plugin finds on disk after emit", async () => {
+		const { ModuleIntegrityPlugin } = requireTypeScript(
+			"src/module-integrity-typescript.ts",
+		);
+		jest.spyOn(process, "cwd").mockReturnValue(context);
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		fs.appendFileSync(
+			path.join(context, "src", "index.js"),
+			'import("./lazy.js");\n',
+		);
+		fs.writeFileSync(
+			path.join(context, "src", "lazy.js"),
+			'const localValueWithALongName = ["lazy"];\nexport default localValueWithALongName;\n',
+		);
+
+		await build({
+			mode: "production",
+			context,
+			entry: { main: "./src/index.js" },
+			output: {
+				path: path.join(context, "dist"),
+				filename: "[name]-[contenthash].js",
+				chunkFilename: "[id]-[contenthash].js",
+			},
+			optimization: { minimize: true, minimizer: nextMinimizer(context) },
+			plugins: [
+				new ModuleIntegrityPlugin({
+					extensions: [".js"],
+					outputPath: "importmap.json",
+				}),
+			],
+		});
+
+		const importMap = JSON.parse(
+			fs.readFileSync(path.join(context, "public", "importmap.json"), "utf8"),
+		);
+		const emitted = fs.readdirSync(path.join(context, "dist"));
+
+		expect(emitted).toHaveLength(2);
+		expect(Object.keys(importMap.integrity).sort()).toEqual(
+			emitted.map((file) => `/${file}`).sort(),
+		);
+		for (const file of emitted) {
+			const bytes = fs.readFileSync(path.join(context, "dist", file));
+			expect(bytes.toString()).not.toContain("localValueWithALongName");
+			expect(importMap.integrity[`/${file}`]).toBe(
+				`sha384-${crypto.createHash("sha384").update(bytes).digest("base64")}`,
+			);
+		}
+	}, 60000);
+
+	test("writes the policy in each configured format", async () => {
+		await build({
+			mode: "production",
+			context,
+			entry: { main: "./src/index.js" },
+			output: { path: path.join(context, "dist"), filename: "[name].js" },
+			optimization: { minimize: false },
+			plugins: [
+				new NextJSModuleIntegrityPlugin({
+					generateVercelConfig: false,
+					csp: {
+						strictDynamic: true,
+						outputs: { headers: "_headers", nginx: "csp.nginx.conf" },
+					},
+				}),
+			],
+		});
+
+		const importMap = JSON.parse(
+			fs.readFileSync(path.join(context, "dist", "importmap.json"), "utf8"),
+		);
+		const policy = `default-src 'self'; script-src 'self' '${importMap.integrity["/main.js"]}' 'strict-dynamic'`;
+
+		expect(
+			fs.readFileSync(path.join(context, "dist", "_headers"), "utf8"),
+		).toBe(`/*\n  Content-Security-Policy: ${policy}\n`);
+		expect(
+			fs.readFileSync(path.join(context, "dist", "csp.nginx.conf"), "utf8"),
+		).toBe(`add_header Content-Security-Policy "${policy}" always;\n`);
+	}, 60000);
+
+	test("replaces its own hashes in vercel.json and keeps ones added by hand", async () => {
+		jest.spyOn(process, "cwd").mockReturnValue(context);
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		fs.writeFileSync(
+			path.join(context, "vercel.json"),
+			JSON.stringify({
+				headers: [
+					{
+						source: "/(.*)",
+						headers: [
+							{
+								key: "Content-Security-Policy",
+								value: `default-src 'self'; script-src 'self' '${INLINE_HASH}'`,
+							},
+						],
+					},
+				],
+			}),
+		);
+		const config = {
+			mode: "production",
+			context,
+			entry: { main: "./src/index.js" },
+			output: { path: path.join(context, "dist"), filename: "[name].js" },
+			optimization: { minimize: false },
+			plugins: [new NextJSModuleIntegrityPlugin()],
+		};
+		const readPolicy = () =>
+			JSON.parse(fs.readFileSync(path.join(context, "vercel.json"), "utf8"))
+				.headers[0].headers[0].value;
+		const readHash = () =>
+			JSON.parse(
+				fs.readFileSync(path.join(context, "dist", "importmap.json"), "utf8"),
+			).integrity["/main.js"];
+
+		await build(config);
+		const firstHash = readHash();
+		await build(config);
+
+		expect(readPolicy()).toBe(
+			`default-src 'self'; script-src 'self' '${INLINE_HASH}' '${firstHash}'`,
+		);
+
+		fs.appendFileSync(
+			path.join(context, "src", "index.js"),
+			"console.log(1);\n",
+		);
+		await build(config);
+		const secondHash = readHash();
+
+		expect(secondHash).not.toBe(firstHash);
+		expect(readPolicy()).toBe(
+			`default-src 'self'; script-src 'self' '${INLINE_HASH}' '${secondHash}'`,
+		);
+	}, 60000);
+
+	test("rejects unknown CSP output formats", () => {
+		expect(
+			() =>
+				new NextJSModuleIntegrityPlugin({ csp: { outputs: { apache: "x" } } }),
+		).toThrow(/Unknown CSP output format "apache"/);
+	});
+});
+
+describe("NextJSModuleIntegrityPlugin specifiers", () => {
+	let context;
+
+	beforeEach(() => {
+		context = fs.mkdtempSync(path.join(os.tmpdir(), "integrity-plugin-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(context, { recursive: true, force: true });
+	});
+
+	test("names package chunks by package and version, others by logical name", async () => {
+		const importMap = await buildRoutes(context);
+
+		expect(Object.keys(importMap.imports).sort()).toEqual([
+			"date-lib@1.2.3",
+			"static/chunks/app/blog/page",
+			"static/chunks/app/shop/page",
+		]);
+		expect(importMap.imports["static/chunks/app/blog/page"]).toMatch(
+			/^\/static\/chunks\/app\/blog\/page-[0-9a-f]+\.js$/,
+		);
+	}, 60000);
+
+	test("tries strategies in order", async () => {
+		const importMap = await buildRoutes(context, {
+			specifier: ["package", "route", "chunk"],
+		});
+
+		expect(Object.keys(importMap.imports).sort()).toEqual([
+			"app/blog/page",
+			"app/shop/page",
+			"date-lib@1.2.3",
+		]);
+	}, 60000);
+
+	test("writes the packages in each chunk to a manifest", async () => {
+		const importMap = await buildRoutes(context, { specifier: "route" });
+		const manifest = JSON.parse(
+			fs.readFileSync(
+				path.join(context, "dist", "importmap.packages.json"),
+				"utf8",
+			),
+		);
+		const blogURL = importMap.imports["app/blog/page"];
+
+		expect(manifest[blogURL]).toEqual({
+			specifier: "app/blog/page",
+			integrity: importMap.integrity[blogURL],
+			packages: [{ name: "date-lib", version: "1.2.3", modules: 1, size: 62 }],
+		});
+		expect(manifest[importMap.imports["app/shop/page"]].packages).toEqual([]);
+	}, 60000);
+
+	test("names a second chunk of the same package by its logical name", async () => {
+		writeFiles(context, {
+			"app/a/page.js": 'import { format } from "date-lib"; format("a");',
+			"app/b/page.js": 'import { format } from "date-lib"; format("b");',
+			"node_modules/date-lib/index.js": `export function format(value) { return ${JSON.stringify("x".repeat(200))} + value; }`,
+			"node_modules/date-lib/package.json": JSON.stringify({
+				name: "date-lib",
+				version: "1.2.3",
+			}),
+		});
+		await build({
+			mode: "production",
+			context,
+			entry: {
+				"app/a/page": "./app/a/page.js",
+				"app/b/page": "./app/b/page.js",
+			},
+			output: {
+				path: path.join(context, "dist"),
+				filename: "static/chunks/[name]-[contenthash].js",
+			},
+			optimization: { minimize: false, concatenateModules: false },
+			plugins: [
+				new NextJSModuleIntegrityPlugin({ generateVercelConfig: false }),
+			],
+		});
+		const importMap = JSON.parse(
+			fs.readFileSync(path.join(context, "dist", "importmap.json"), "utf8"),
+		);
+
+		expect(Object.keys(importMap.imports)).toHaveLength(2);
+		expect(importMap.imports).toHaveProperty(["date-lib@1.2.3"]);
+		expect(
+			Object.keys(importMap.imports).filter((specifier) =>
+				specifier.startsWith("static/chunks/app/"),
+			),
+		).toHaveLength(1);
+	}, 60000);
+
+	test("fails the build when two files get the same specifier", async () => {
+		await expect(
+			buildRoutes(context, {
+				specifier: ({ assetName }) =>
+					path.basename(assetName).replace(/-.*/, ""),
+			}),
+		).rejects.toThrow(
+			/Specifier "page" would map both \/static\/chunks\/app\/\w+\/page-[0-9a-f]+\.js and/,
+		);
+	}, 60000);
+});
+
+describe("NextJSModuleIntegrityPlugin packages", () => {
+	let context;
+
+	beforeEach(() => {
+		context = fs.mkdtempSync(path.join(os.tmpdir(), "integrity-plugin-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(context, { recursive: true, force: true });
+	});
+
+	test("finds a pnpm-installed package in an unnamed split chunk", async () => {
+		const importMap = await buildAnalyzeBundlesApp(context, {
+			packages: ["@faker-js/faker"],
+			specifier: "logical",
+		});
+		const urls = Object.values(importMap.imports);
+
+		expect(urls).toHaveLength(1);
+		expect(urls[0]).toMatch(/^\/static\/chunks\/\d+-[0-9a-f]+\.js$/);
+		expect(
+			fs.readFileSync(path.join(context, "dist", urls[0]), "utf8"),
+		).toContain("Ada Lovelace");
+		expect(Object.keys(importMap.integrity)).toEqual(urls);
+	}, 60000);
+
+	test("names the split chunk by the version in its package.json", async () => {
+		const importMap = await buildAnalyzeBundlesApp(context);
+
+		expect(importMap.imports["@faker-js/faker@8.4.1"]).toMatch(
+			/^\/static\/chunks\/\d+-[0-9a-f]+\.js$/,
+		);
+	}, 60000);
+
+	test("skips chunks without the package", async () => {
+		const importMap = await buildAnalyzeBundlesApp(context, {
+			packages: ["faker", "@faker-js/fake"],
+		});
+
+		expect(importMap.imports).toEqual({});
+	}, 60000);
+});
@@ -0,0 +1,163 @@
+// request-integrity.test.js
+const crypto = require("crypto");
+const {
+	VIOLATION_MESSAGE_TYPE,
+	createIntegrityLookup,
+	createVerifiedResponse,
+	createViolationReport,
+	createViolationResponse,
+	isModuleRequest,
+	verifyResponseIntegrity,
+} = require("./src/request-integrity");
+
+const base = "https://app.example/";
+
+function sha384(text) {
+	return `sha384-${crypto.createHash("sha384").update(text).digest("base64")}`;
+}
+
+describe("createIntegrityLookup", () => {
+	const lookup = createIntegrityLookup(
+		{
+			imports: {
+				react: "https://cdn.example/react@18.2.0/index.js",
+				"lodash/": "/vendor/lodash/",
+			},
+			integrity: {
+				"/static/app.js": "sha384-app",
+				"./static/chunk.js": "sha384-chunk",
+				"https://app.example/static/abs.js": "sha384-abs",
+				react: "sha384-react",
+				"lodash/map.js": "sha384-map",
+				unmapped: "sha384-none",
+			},
+		},
+		base,
+	);
+
+	test.each([
+		["https://app.example/static/app.js", "sha384-app"],
+		["https://app.example/static/chunk.js", "sha384-chunk"],
+		["https://app.example/static/abs.js", "sha384-abs"],
+		["https://cdn.example/react@18.2.0/index.js", "sha384-react"],
+		["https://app.example/vendor/lodash/map.js", "sha384-map"],
+		["https://app.example/static/app.js?v=123", "sha384-app"],
+	])("finds the entry for %s", (url, integrity) => {
+		expect(lookup(url)?.integrity).toBe(integrity);
+	});
+
+	test("does not match other origins or unlisted paths", () => {
+		expect(lookup("https://evil.example/static/app.js")).toBeNull();
+		expect(lookup("https://app.example/static/other.js")).toBeNull();
+	});
+
+	test("prefers an exact entry that includes the query string", () => {
+		const withQuery = createIntegrityLookup(
+			{
+				integrity: {
+					"/app.js": "sha384-plain",
+					"/app.js?v=2": "sha384-v2",
+				},
+			},
+			base,
+		);
+		expect(withQuery("https://app.example/app.js?v=2")).toEqual({
+			url: "https://app.example/app.js?v=2",
+			integrity: "sha384-v2",
+		});
+		expect(withQuery("https://app.example/app.js?v=3").integrity).toBe(
+			"sha384-plain",
+		);
+	});
+});
+
+describe("isModuleRequest", () => {
+	test.each([
+		["script", true],
+		["worker", true],
+		["sharedworker", true],
+		["style", false],
+		["", false],
+	])("destination %p -> %p", (destination, expected) => {
+		expect(isModuleRequest({ destination })).toBe(expected);
+	});
+});
+
+describe("verifyResponseIntegrity", () => {
+	const source = "export default 1;\n";
+
+	test("verifies matching bytes and hands them back unchanged", async () => {
+		const response = new Response(source, {
+			headers: { "Content-Type": "text/javascript" },
+		});
+		const verification = await verifyResponseIntegrity(
+			response,
+			sha384(source),
+		);
+
+		expect(verification.status).toBe("verified");
+		expect(verification.actual).toBe(sha384(source));
+
+		const verified = createVerifiedResponse(response, verification.bytes);
+		expect(verified.headers.get("Content-Type")).toBe("text/javascript");
+		expect(await verified.text()).toBe(source);
+	});
+
+	test("reports mismatches, unsupported metadata and failed requests", async () => {
+		const mismatch = await verifyResponseIntegrity(
+			new Response("tampered"),
+			sha384(source),
+		);
+		expect(mismatch.status).toBe("mismatch");
+		expect(mismatch.actual).toBe(sha384("tampered"));
+
+		expect(
+			(await verifyResponseIntegrity(new Response(source), "md5-abc")).status,
+		).toBe("unsupported");
+		expect(
+			(
+				await verifyResponseIntegrity(
+					new Response("", { status: 404 }),
+					sha384(source),
+				)
+			).status,
+		).toBe("error");
+	});
+
+	test("cannot verify opaque responses", async () => {
+		const opaque = { type: "opaque", ok: false };
+		expect((await verifyResponseIntegrity(opaque, sha384(source))).status).toBe(
+			"opaque",
+		);
+	});
+});
+
+describe("violation reports", () => {
+	test("describe the blocked request and block it with an error response", async () => {
+		const request = {
+			url: "https://app.example/static/app.js",
+			destination: "script",
+		};
+		const report = createViolationReport(
+			request,
+			{ status: "mismatch", expected: "sha384-a", actual: "sha384-b" },
+			"client-1",
+		);
+
+		expect(report).toMatchObject({
+			type: VIOLATION_MESSAGE_TYPE,
+			url: request.url,
+			destination: "script",
+			status: "mismatch",
+			expected: "sha384-a",
+			actual: "sha384-b",
+			clientId: "client-1",
+		});
+
+		const response = createViolationResponse(report);
+		expect(response.status).toBe(403);
+		expect(await response.text()).toMatch(
+			/Blocked https:\/\/app.example\/static\/app.js: the response does not match/,
+		);
+	});
+});
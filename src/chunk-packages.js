@@ -0,0 +1,137 @@
+// chunk-packages.js - Find the npm packages, and their versions, in webpack chunks
+//
+// Used to name chunks after the package they hold and to write the package
+// manifest that sits next to the import map, so a reviewer can see which
+// third-party code each integrity hash covers.
+const fs = require("fs");
+const path = require("path");
+
+// The package a file belongs to, from the last node_modules folder in its
+// path; pnpm nests packages as .pnpm/<name>@<version>/node_modules/<name>
+const PACKAGE_PATH = /^(.*\/node_modules\/((?:@[^/]+\/)?[^/]+))\//;
+
+// Versions read from package.json files, by package directory
+const versionCache = new Map();
+
+/**
+ * A package found in a chunk
+ * @typedef {Object} ChunkPackage
+ * @property {string} name - Package name
+ * @property {string|null} version - Resolved version, from its package.json
+ * @property {number} modules - Number of its modules in the chunk
+ * @property {number} size - Size of those modules, in bytes of source
+ */
+
+/**
+ * Gets the npm package a module file belongs to
+ * @param {string} [resource] - Module path
+ * @returns {string|null} Package name, e.g. "@scope/name"
+ */
+function packageFromPath(resource) {
+	const match = resource && PACKAGE_PATH.exec(resource.replace(/\\/g, "/"));
+	return match ? match[2] : null;
+}
+
+/**
+ * Reads a package's version from the package.json in its directory
+ * @param {string} resource - Path of a file in the package
+ * @returns {string|null} Version, or null if it cannot be read
+ */
+function readPackageVersion(resource) {
+	const match = PACKAGE_PATH.exec(resource.replace(/\\/g, "/"));
+	if (!match) {
+		return null;
+	}
+
+	const directory = match[1];
+	if (!versionCache.has(directory)) {
+		let version = null;
+		try {
+			version =
+				JSON.parse(
+					fs.readFileSync(path.join(directory, "package.json"), "utf8"),
+				).version || null;
+		} catch {
+			// No readable package.json; the version stays unknown
+		}
+		versionCache.set(directory, version);
+	}
+	return versionCache.get(directory);
+}
+
+/**
+ * Gets the package a webpack module comes from
+ * Uses the package.json webpack resolved the module with, when that is the
+ * root of a package in node_modules. Nested package.json files, such as
+ * those marking an esm/ folder, fall back to the module's path.
+ * @param {Object} module - Webpack module
+ * @returns {{name: string, version: string|null}|null} Package, or null for first-party code
+ */
+function getModulePackage(module) {
+	const resolved = module.resourceResolveData;
+	const data = resolved?.descriptionFileData;
+	const root = resolved?.descriptionFileRoot?.replace(/\\/g, "/");
+	if (data?.name && root?.endsWith(`/node_modules/${data.name}`)) {
+		return { name: data.name, version: data.version || null };
+	}
+
+	const name = packageFromPath(module.resource);
+	return name ? { name, version: readPackageVersion(module.resource) } : null;
+}
+
+/**
+ * Lists the packages in a chunk, largest first
+ * Concatenated modules are counted module by module; webpack's runtime
+ * modules are not counted.
+ * @param {Object} chunk - Webpack chunk
+ * @param {Object} compilation - Webpack compilation
+ * @returns {{packages: ChunkPackage[], size: number}} Packages, and the size of every file module in the chunk
+ */
+function getChunkPackages(chunk, compilation) {
+	const packages = new Map();
+	let size = 0;
+
+	for (const module of compilation.chunkGraph.getChunkModulesIterable(chunk)) {
+		for (const inner of module.modules || [module]) {
+			// Runtime modules are webpack's own code, not from any file
+			if (!inner.resource) {
+				continue;
+			}
+			const moduleSize = typeof inner.size === "function" ? inner.size() : 0;
+			size += moduleSize;
+
+			const found = getModulePackage(inner);
+			if (!found) {
+				continue;
+			}
+			const key = `${found.name}@${found.version}`;
+			const entry = packages.get(key) || { ...found, modules: 0, size: 0 };
+			entry.modules++;
+			entry.size += moduleSize;
+			packages.set(key, entry);
+		}
+	}
+
+	return {
+		packages: [...packages.values()].sort(
+			(a, b) => b.size - a.size || a.name.localeCompare(b.name),
+		),
+		size,
+	};
+}
+
+/**
+ * Formats a package as a specifier, e.g. "react@18.2.0"
+ * @param {{name: string, version: string|null}} pkg - Package
+ * @returns {string} Specifier; the bare name when the version is unknown
+ */
+function formatPackageSpecifier({ name, version }) {
+	return version ? `${name}@${version}` : name;
+}
+
+module.exports = {
+	packageFromPath,
+	getModulePackage,
+	getChunkPackages,
+	formatPackageSpecifier,
+};
@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+// cli.js - sri-import-map command line interface
+//
+// Exit codes: 0 on success, 1 when verification fails or maps differ, 2 for
+// usage errors and anything that prevented the command from running.
+const fs = require("fs");
+const path = require("path");
+const { format, parseArgs } = require("util");
+const { diffImportMaps, formatChangelog } = require("./import-map-diff");
+const { generateImportMapFromDirectory } = require("./import-map-generator");
+const { injectImportMapIntoHTML } = require("./import-map-html");
+const { getReporter } = require("./validator-reporters");
+const { startViolationCollector } = require("./violation-collector");
+const {
+	validateNextJSBuildIntegrity,
+} = require("./module-integrity-validator");
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: sri-import-map <command> [options]
+
+Commands:
+  generate <dir>            Hash the modules in a directory into an import map
+    --out <file>            Write the map to a file instead of stdout
+    --algorithm <alg>       sha256, sha384 or sha512; repeat for several (default sha384)
+    --base-url <url>        URL prefix the directory is served from (default /)
+
+  verify [distDir]          Check files in a build against the map's integrity (default .next)
+    --import-map <file>     Import map path, relative to distDir (default importmap.json)
+    --json                  Print the results as JSON
+    --no-fail-on-missing    Only report files listed in the map that do not exist,
+                            instead of failing
+    --reporter <name=file>  Also write a json, junit or sarif report; repeatable
+    --coverage              Also fail on JS/MJS/CSS outputs without an integrity entry
+    --include <glob>        Outputs to check in coverage mode; repeatable
+    --exclude <glob>        Outputs to skip in coverage mode; repeatable
+    --max-uncovered <n>     Uncovered outputs tolerated in coverage mode (default 0)
+
+  diff <old> <new>          Changelog of added, removed, remapped and rehashed
+                            entries; exits 1 if the maps differ
+    --json                  Print the differences as JSON
+
+  inject <html...>          Write the import map into HTML files in place
+    --import-map <file>     Import map to inject (required)
+    --nonce <nonce>         CSP nonce for the script element
+
+  collect                   Receive integrity violation reports and print them as
+                            JSON lines until interrupted
+    --port <port>           Port to listen on (default 8787)
+    --host <host>           Interface to listen on (default 127.0.0.1)
+    --path <path>           Path reports are posted to (default /reports)
+    --out <file>            Append the reports to a file instead of stdout
+
+  help                      Show this message`;
+
+/**
+ * Error for invalid command lines; reported with the usage text
+ */
+class UsageError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "UsageError";
+	}
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} file - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJSON(file) {
+	return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * sri-import-map generate
+ * @param {string[]} args - Command arguments
+ * @param {Object} io - Output streams
+ * @returns {number} Exit code
+ */
+function generateCommand(args, io) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			out: { type: "string" },
+			algorithm: { type: "string", multiple: true },
+			"base-url": { type: "string" },
+		},
+	});
+	if (positionals.length !== 1) {
+		throw new UsageError("generate expects exactly one directory");
+	}
+
+	const dir = path.resolve(io.cwd, positionals[0]);
+	const importMap = generateImportMapFromDirectory(dir, {
+		algorithm: values.algorithm,
+		baseURL: values["base-url"],
+	});
+	const json = `${JSON.stringify(importMap, null, 2)}\n`;
+
+	if (values.out) {
+		fs.writeFileSync(path.resolve(io.cwd, values.out), json);
+		io.stderr.write(
+			`Wrote ${Object.keys(importMap.integrity).length} modules to ${values.out}\n`,
+		);
+	} else {
+		io.stdout.write(json);
+	}
+
+	return EXIT_SUCCESS;
+}
+
+/**
+ * sri-import-map verify
+ * @param {string[]} args - Command arguments
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function verifyCommand(args, io) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			"import-map": { type: "string" },
+			json: { type: "boolean" },
+			// Accepted from earlier versions; now the default
+			"fail-on-missing": { type: "boolean" },
+			"no-fail-on-missing": { type: "boolean" },
+			reporter: { type: "string", multiple: true },
+			coverage: { type: "boolean" },
+			include: { type: "string", multiple: true },
+			exclude: { type: "string", multiple: true },
+			"max-uncovered": { type: "string" },
+		},
+	});
+	if (positionals.length > 1) {
+		throw new UsageError("verify expects at most one directory");
+	}
+
+	const reporters = (values.reporter || []).map((value) => {
+		const separator = value.indexOf("=");
+		if (separator <= 0 || separator === value.length - 1) {
+			throw new UsageError(`--reporter expects <name>=<file>, got "${value}"`);
+		}
+		const reporter = value.slice(0, separator);
+		try {
+			getReporter(reporter);
+		} catch (error) {
+			throw new UsageError(error.message);
+		}
+		return { reporter, outputFile: value.slice(separator + 1) };
+	});
+
+	const maxUncovered = Number(values["max-uncovered"] || 0);
+	if (!Number.isInteger(maxUncovered) || maxUncovered < 0) {
+		throw new UsageError("--max-uncovered expects a non-negative integer");
+	}
+	const coverage = (values.coverage ||
+		values.include ||
+		values.exclude ||
+		values["max-uncovered"]) && {
+		include: values.include,
+		exclude: values.exclude,
+		maxUncovered,
+	};
+
+	// With --json, stdout carries only the results
+	const logger = values.json
+		? { log: () => {}, error: () => {} }
+		: {
+				log: (...parts) => io.stdout.write(`${format(...parts)}\n`),
+				error: (...parts) => io.stderr.write(`${format(...parts)}\n`),
+			};
+
+	const results = await validateNextJSBuildIntegrity({
+		distDir: path.resolve(io.cwd, positionals[0] || ".next"),
+		importMapPath: values["import-map"],
+		// Missing files fail by default, as they do in the API
+		failOnMissing: !values["no-fail-on-missing"],
+		logger,
+		reporters,
+		coverage,
+		cwd: io.cwd,
+	});
+
+	if (values.json) {
+		io.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+	}
+
+	return results.success ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+/**
+ * sri-import-map diff
+ * @param {string[]} args - Command arguments
+ * @param {Object} io - Output streams
+ * @returns {number} Exit code
+ */
+function diffCommand(args, io) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			json: { type: "boolean" },
+		},
+	});
+	if (positionals.length !== 2) {
+		throw new UsageError("diff expects two import map files");
+	}
+
+	const [before, after] = positionals.map((file) =>
+		readJSON(path.resolve(io.cwd, file)),
+	);
+	const diff = diffImportMaps(before, after);
+
+	io.stdout.write(
+		values.json ? `${JSON.stringify(diff, null, 2)}\n` : formatChangelog(diff),
+	);
+
+	return diff.identical ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+/**
+ * sri-import-map inject
+ * @param {string[]} args - Command arguments
+ * @param {Object} io - Output streams
+ * @returns {number} Exit code
+ */
+function injectCommand(args, io) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			"import-map": { type: "string" },
+			nonce: { type: "string" },
+		},
+	});
+	if (!values["import-map"]) {
+		throw new UsageError("inject requires --import-map");
+	}
+	if (positionals.length === 0) {
+		throw new UsageError("inject expects at least one HTML file");
+	}
+
+	const importMap = readJSON(path.resolve(io.cwd, values["import-map"]));
+	for (const file of positionals) {
+		const htmlPath = path.resolve(io.cwd, file);
+		const html = fs.readFileSync(htmlPath, "utf8");
+		fs.writeFileSync(
+			htmlPath,
+			injectImportMapIntoHTML(html, importMap, { nonce: values.nonce }),
+		);
+		io.stderr.write(`Injected import map into ${file}\n`);
+	}
+
+	return EXIT_SUCCESS;
+}
+
+/**
+ * sri-import-map collect
+ * @param {string[]} args - Command arguments
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code, once interrupted
+ */
+async function collectCommand(args, io) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			port: { type: "string" },
+			host: { type: "string" },
+			path: { type: "string" },
+			out: { type: "string" },
+		},
+	});
+	const port = values.port === undefined ? 8787 : Number(values.port);
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		throw new UsageError(`Invalid port: ${values.port}`);
+	}
+	const host = values.host || "127.0.0.1";
+	const reportPath = values.path || "/reports";
+
+	const output = values.out
+		? fs.createWriteStream(path.resolve(io.cwd, values.out), { flags: "a" })
+		: io.stdout;
+	const server = await startViolationCollector({
+		port,
+		host,
+		path: reportPath,
+		output,
+	});
+	io.stderr.write(
+		`Collecting reports on http://${host}:${server.address().port}${reportPath}\n`,
+	);
+
+	await new Promise((resolve) => {
+		const stop = () => server.close(resolve);
+		process.once("SIGINT", stop);
+		process.once("SIGTERM", stop);
+	});
+	return EXIT_SUCCESS;
+}
+
+const COMMANDS = {
+	generate: generateCommand,
+	verify: verifyCommand,
+	diff: diffCommand,
+	inject: injectCommand,
+	collect: collectCommand,
+};
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Arguments after the program name
+ * @param {{stdout?: Object, stderr?: Object, cwd?: string}} [io] - Output streams and working directory
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv, io = {}) {
+	const streams = {
+		stdout: io.stdout || process.stdout,
+		stderr: io.stderr || process.stderr,
+		cwd: io.cwd || process.cwd(),
+	};
+	const [command, ...args] = argv;
+
+	if (
+		!command ||
+		command === "help" ||
+		command === "--help" ||
+		command === "-h"
+	) {
+		(command ? streams.stdout : streams.stderr).write(`${USAGE}\n`);
+		return command ? EXIT_SUCCESS : EXIT_USAGE;
+	}
+
+	if (!Object.hasOwn(COMMANDS, command)) {
+		streams.stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+		return EXIT_USAGE;
+	}
+
+	try {
+		return await COMMANDS[command](args, streams);
+	} catch (error) {
+		if (
+			error instanceof UsageError ||
+			error.code?.startsWith("ERR_PARSE_ARGS")
+		) {
+			streams.stderr.write(`${error.message}\n\n${USAGE}\n`);
+		} else {
+			streams.stderr.write(`sri-import-map ${command}: ${error.message}\n`);
+		}
+		return EXIT_USAGE;
+	}
+}
+
+if (require.main === module) {
+	runCli(process.argv.slice(2)).then((exitCode) => {
+		process.exitCode = exitCode;
+	});
+}
+
+module.exports = {
+	EXIT_SUCCESS,
+	EXIT_FAILURE,
+	EXIT_USAGE,
+	runCli,
+};
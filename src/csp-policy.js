@@ -0,0 +1,298 @@
+// csp-policy.js - Build Content-Security-Policy headers for integrity-checked modules
+//
+// A policy is parsed into directives rather than edited as a string, so
+// adding the same hashes on every build leaves it unchanged, and the result
+// can be written for whichever host serves the app: Next.js headers(),
+// a Netlify or Cloudflare _headers file, nginx, or a <meta> tag.
+const { escapeAttribute } = require("./import-map-html");
+const { ModuleIntegrityError } = require("./integrity-errors");
+const { formatIntegrity, parseIntegrityMetadata } = require("./sri-metadata");
+
+// Keyword sources, which are case-insensitive; hashes and nonces are not
+const KEYWORD_SOURCES = new Set([
+	"'self'",
+	"'none'",
+	"'unsafe-inline'",
+	"'unsafe-eval'",
+	"'unsafe-hashes'",
+	"'strict-dynamic'",
+	"'report-sample'",
+	"'wasm-unsafe-eval'",
+	"'inline-speculation-rules'",
+]);
+
+// Directives a <meta> policy cannot contain; browsers ignore them there
+const HEADER_ONLY_DIRECTIVES = new Set([
+	"frame-ancestors",
+	"report-uri",
+	"report-to",
+	"sandbox",
+]);
+
+const DIRECTIVE_NAME = /^[a-z0-9-]+$/;
+const BASE64_VALUE = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+/**
+ * A parsed policy: source lists by lowercase directive name, in policy order
+ * @typedef {Object<string, string[]>} CSPPolicy
+ */
+
+/**
+ * Options for building a policy
+ * @typedef {Object} CSPBuildOptions
+ * @property {string|CSPPolicy} [policy="default-src 'self'; script-src 'self'"] - Policy to add to
+ * @property {Object<string, string>|string[]} [integrity] - Integrity metadata to allow,
+ *   such as an import map's integrity section
+ * @property {string} [nonce] - Nonce to allow scripts with
+ * @property {boolean} [strictDynamic=false] - Let allowed scripts load further scripts,
+ *   which makes browsers ignore 'self' and host sources in script-src
+ * @property {string[]} [requireSriFor] - Resource types that must carry integrity, e.g. ["script"]
+ */
+
+/**
+ * Options for writing a policy as a header
+ * @typedef {Object} CSPHeaderOptions
+ * @property {boolean} [reportOnly=false] - Use Content-Security-Policy-Report-Only
+ */
+
+const DEFAULT_POLICY = "default-src 'self'; script-src 'self'";
+
+/**
+ * Normalizes a source expression's case
+ * @param {string} source - Source expression
+ * @returns {string} Source, with keywords in lower case
+ */
+function normalizeSource(source) {
+	const lower = source.toLowerCase();
+	return KEYWORD_SOURCES.has(lower) ? lower : source;
+}
+
+/**
+ * Parses a Content-Security-Policy header value
+ * As in browsers, only the first occurrence of a directive counts. Repeated
+ * sources are dropped.
+ * @param {string} text - Header value
+ * @returns {CSPPolicy} Policy
+ */
+function parsePolicy(text) {
+	const policy = {};
+	for (const part of String(text).split(";")) {
+		const [name, ...sources] = part.trim().split(/\s+/);
+		if (!name) {
+			continue;
+		}
+		const directive = name.toLowerCase();
+		if (!Object.hasOwn(policy, directive)) {
+			policy[directive] = [...new Set(sources.map(normalizeSource))];
+		}
+	}
+	return policy;
+}
+
+/**
+ * Serializes a policy as a header value
+ * @param {CSPPolicy} policy - Policy
+ * @returns {string} Header value, e.g. "default-src 'self'; script-src 'self'"
+ */
+function serializePolicy(policy) {
+	return Object.entries(policy)
+		.map(([directive, sources]) => [directive, ...sources].join(" "))
+		.join("; ");
+}
+
+/**
+ * Adds sources to a directive
+ * Sources already present are skipped, and 'none' is removed once the
+ * directive allows something.
+ * @param {CSPPolicy} policy - Policy
+ * @param {string} directive - Directive name, e.g. "script-src"
+ * @param {string[]} sources - Source expressions
+ * @returns {CSPPolicy} New policy
+ * @throws {ModuleIntegrityError} If the directive name or a source is malformed
+ */
+function addSources(policy, directive, sources) {
+	const name = directive.toLowerCase();
+	if (!DIRECTIVE_NAME.test(name)) {
+		throw new ModuleIntegrityError(`Invalid CSP directive "${directive}"`);
+	}
+	const added = sources.map((source) => {
+		if (!source || /[\s;,]/.test(source)) {
+			throw new ModuleIntegrityError(
+				`Invalid CSP source "${source}" for ${name}`,
+			);
+		}
+		return normalizeSource(source);
+	});
+
+	const existing = Object.hasOwn(policy, name) ? policy[name] : [];
+	let merged = [...new Set([...existing, ...added])];
+	if (merged.length > 1) {
+		merged = merged.filter((source) => source !== "'none'");
+	}
+	return { ...policy, [name]: merged };
+}
+
+/**
+ * Removes sources from a directive, e.g. the hashes an earlier build added
+ * @param {CSPPolicy} policy - Policy
+ * @param {string} directive - Directive name, e.g. "script-src"
+ * @param {string[]} sources - Source expressions
+ * @returns {CSPPolicy} New policy
+ */
+function removeSources(policy, directive, sources) {
+	const name = directive.toLowerCase();
+	if (!Object.hasOwn(policy, name)) {
+		return policy;
+	}
+	const removed = new Set(sources.map(normalizeSource));
+	return {
+		...policy,
+		[name]: policy[name].filter((source) => !removed.has(source)),
+	};
+}
+
+/**
+ * Gets the hash sources for integrity metadata, e.g. "'sha384-...'"
+ * @param {Object<string, string>|string[]} integrity - Integrity metadata, as a list or by URL
+ * @returns {string[]} Hash sources, without repeats
+ */
+function integritySources(integrity) {
+	const sources = Object.values(integrity)
+		.flatMap((metadata) => parseIntegrityMetadata(metadata))
+		.map(({ algorithm, digest }) => `'${formatIntegrity(algorithm, digest)}'`);
+	return [...new Set(sources)];
+}
+
+/**
+ * Builds a policy that allows integrity-checked scripts
+ * Hashes, the nonce and 'strict-dynamic' go into script-src, which starts
+ * from default-src, or 'self', when the policy has none.
+ * @param {CSPBuildOptions} [options] - What to allow
+ * @returns {CSPPolicy} Policy
+ * @throws {ModuleIntegrityError} If the nonce is not base64
+ */
+function buildPolicy(options = {}) {
+	const {
+		policy: base = DEFAULT_POLICY,
+		integrity = {},
+		nonce,
+		strictDynamic = false,
+		requireSriFor = [],
+	} = options;
+	let policy = typeof base === "string" ? parsePolicy(base) : { ...base };
+
+	if (!Object.hasOwn(policy, "script-src")) {
+		policy = addSources(
+			policy,
+			"script-src",
+			policy["default-src"] || ["'self'"],
+		);
+	}
+	policy = addSources(policy, "script-src", integritySources(integrity));
+	if (nonce !== undefined) {
+		if (!BASE64_VALUE.test(nonce)) {
+			throw new ModuleIntegrityError(
+				`CSP nonce must be base64 or base64url, got "${nonce}"`,
+			);
+		}
+		policy = addSources(policy, "script-src", [`'nonce-${nonce}'`]);
+	}
+	if (strictDynamic) {
+		policy = addSources(policy, "script-src", ["'strict-dynamic'"]);
+	}
+	if (requireSriFor.length > 0) {
+		policy = addSources(policy, "require-sri-for", requireSriFor);
+	}
+	return policy;
+}
+
+/**
+ * Gets the header name for a policy
+ * @param {CSPHeaderOptions} [options] - Header options
+ * @returns {string} Header name
+ */
+function getHeaderName({ reportOnly = false } = {}) {
+	return reportOnly
+		? "Content-Security-Policy-Report-Only"
+		: "Content-Security-Policy";
+}
+
+/**
+ * Writes a policy as Next.js headers() config, which vercel.json also uses
+ * @param {CSPPolicy} policy - Policy
+ * @param {CSPHeaderOptions & {source?: string}} [options] - Header options, and the
+ *   path pattern to send it on (default every path)
+ * @returns {{source: string, headers: {key: string, value: string}[]}[]} Header rules
+ */
+function toNextHeaders(policy, options = {}) {
+	return [
+		{
+			source: options.source || "/(.*)",
+			headers: [
+				{ key: getHeaderName(options), value: serializePolicy(policy) },
+			],
+		},
+	];
+}
+
+/**
+ * Writes a policy as a _headers file for Netlify or Cloudflare Pages
+ * @param {CSPPolicy} policy - Policy
+ * @param {CSPHeaderOptions & {path?: string}} [options] - Header options, and the
+ *   path pattern to send it on (default "/*")
+ * @returns {string} File content
+ */
+function toHeadersFile(policy, options = {}) {
+	return `${options.path || "/*"}\n  ${getHeaderName(options)}: ${serializePolicy(policy)}\n`;
+}
+
+/**
+ * Writes a policy as an nginx add_header directive
+ * "always" sends it on error responses too.
+ * @param {CSPPolicy} policy - Policy
+ * @param {CSPHeaderOptions} [options] - Header options
+ * @returns {string} nginx configuration line
+ */
+function toNginxConfig(policy, options = {}) {
+	const value = serializePolicy(policy).replace(/["\\$]/g, "\\$&");
+	return `add_header ${getHeaderName(options)} "${value}" always;\n`;
+}
+
+/**
+ * Writes a policy as an HTML <meta> tag
+ * Directives that only work in a header (frame-ancestors, report-uri,
+ * report-to, sandbox) are left out, since browsers ignore them in <meta>.
+ * @param {CSPPolicy} policy - Policy
+ * @returns {string} Meta tag for the document's <head>
+ */
+function toMetaTag(policy) {
+	const allowed = Object.fromEntries(
+		Object.entries(policy).filter(
+			([directive]) => !HEADER_ONLY_DIRECTIVES.has(directive),
+		),
+	);
+	return `<meta http-equiv="Content-Security-Policy" content="${escapeAttribute(serializePolicy(allowed))}">`;
+}
+
+// Writers by output format
+const CSP_FORMATS = {
+	next: (policy, options) =>
+		`${JSON.stringify(toNextHeaders(policy, options), null, 2)}\n`,
+	headers: toHeadersFile,
+	nginx: toNginxConfig,
+	meta: (policy) => `${toMetaTag(policy)}\n`,
+};
+
+module.exports = {
+	CSP_FORMATS,
+	parsePolicy,
+	serializePolicy,
+	addSources,
+	removeSources,
+	integritySources,
+	buildPolicy,
+	toNextHeaders,
+	toHeadersFile,
+	toNginxConfig,
+	toMetaTag,
+};
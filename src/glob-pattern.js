@@ -0,0 +1,62 @@
+// glob-pattern.js - Minimal glob matching for build output paths
+//
+// Supports "*" (within one path segment), "**" (any number of segments),
+// "?" and "{a,b}" alternatives. Patterns match the whole path, relative to
+// the directory being scanned, with "/" separators.
+
+/**
+ * Compiles a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern, e.g. "static/**\/*.{js,mjs}"
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+	let source = "";
+	let inGroup = false;
+
+	for (let i = 0; i < pattern.length; i++) {
+		const ch = pattern[i];
+
+		if (ch === "*" && pattern[i + 1] === "*") {
+			const atStart = i === 0 || pattern[i - 1] === "/";
+			if (atStart && pattern[i + 2] === "/") {
+				// "**/" matches zero or more leading directories
+				source += "(?:[^/]*/)*";
+				i += 2;
+			} else {
+				source += ".*";
+				i++;
+			}
+		} else if (ch === "*") {
+			source += "[^/]*";
+		} else if (ch === "?") {
+			source += "[^/]";
+		} else if (ch === "{" && !inGroup) {
+			inGroup = true;
+			source += "(?:";
+		} else if (ch === "}" && inGroup) {
+			inGroup = false;
+			source += ")";
+		} else if (ch === "," && inGroup) {
+			source += "|";
+		} else {
+			source += ch.replace(/[.+^$()|[\]\\{}]/g, "\\$&");
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates a predicate for paths matching any of the patterns
+ * @param {string[]} patterns - Glob patterns
+ * @returns {function(string): boolean} Matcher
+ */
+function createMatcher(patterns) {
+	const regExps = patterns.map(globToRegExp);
+	return (filePath) => regExps.some((regExp) => regExp.test(filePath));
+}
+
+module.exports = {
+	globToRegExp,
+	createMatcher,
+};
@@ -0,0 +1,244 @@
+// import-map-diff.js - Compare two import maps and describe what changed
+//
+// Entries are compared across imports, every scope, and integrity. A
+// specifier pointing somewhere new is "remapped"; a URL whose integrity
+// changed is "rehashed", which is what a reviewer looks for when a deploy
+// updates third-party code.
+const { parseIntegrityMetadata } = require("./sri-metadata");
+
+/**
+ * One changed entry
+ * @typedef {Object} ImportMapChange
+ * @property {"imports"|"scopes"|"integrity"} section - Import map section
+ * @property {string} [scope] - Scope prefix, for scope entries
+ * @property {string} key - Specifier, or URL for integrity entries
+ * @property {"added"|"removed"|"remapped"|"rehashed"} type - Kind of change
+ * @property {string|null} [before] - Old value
+ * @property {string|null} [after] - New value
+ * @property {string[]} [specifiers] - For integrity entries, the specifiers that map to the URL
+ */
+
+/**
+ * Difference between two import maps
+ * @typedef {Object} ImportMapDiff
+ * @property {boolean} identical - Whether nothing changed
+ * @property {ImportMapChange[]} changes - Changes, by section and key
+ * @property {{added: number, removed: number, remapped: number, rehashed: number}} summary - Number of changes of each type
+ */
+
+/**
+ * Canonical form of integrity metadata, so that reordering hashes is not a change
+ * @param {*} metadata - Integrity metadata
+ * @returns {string} Sorted tokens, or the raw value if nothing parses
+ */
+function canonicalIntegrity(metadata) {
+	const tokens = parseIntegrityMetadata(metadata).map(
+		({ algorithm, digest }) => `${algorithm}-${digest}`,
+	);
+	return tokens.length > 0 ? tokens.sort().join(" ") : String(metadata);
+}
+
+/**
+ * Returns the object's own entries as a map, or an empty one
+ * @param {*} value - Section of an import map
+ * @returns {Object<string, *>} Entries
+ */
+function entriesOf(value) {
+	return value && typeof value === "object" && !Array.isArray(value)
+		? value
+		: {};
+}
+
+/**
+ * Sorted union of the keys of two objects
+ * @param {Object} a - First object
+ * @param {Object} b - Second object
+ * @returns {string[]} Keys
+ */
+function unionKeys(a, b) {
+	return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+}
+
+/**
+ * Compares two specifier maps
+ * @param {Object} before - Old specifier map
+ * @param {Object} after - New specifier map
+ * @param {Object} location - Section and scope to record on each change
+ * @returns {ImportMapChange[]} Changes
+ */
+function diffSpecifierMaps(before, after, location) {
+	const changes = [];
+
+	for (const key of unionKeys(before, after)) {
+		const inBefore = Object.hasOwn(before, key);
+		const inAfter = Object.hasOwn(after, key);
+
+		if (!inAfter) {
+			changes.push({ ...location, key, type: "removed", before: before[key] });
+		} else if (!inBefore) {
+			changes.push({ ...location, key, type: "added", after: after[key] });
+		} else if (before[key] !== after[key]) {
+			changes.push({
+				...location,
+				key,
+				type: "remapped",
+				before: before[key],
+				after: after[key],
+			});
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Lists the specifiers, in imports or any scope, that map to a URL
+ * @param {Object[]} importMaps - Import maps to search
+ * @param {string} url - Target URL
+ * @returns {string[]} Specifiers
+ */
+function specifiersFor(importMaps, url) {
+	const specifiers = new Set();
+
+	for (const importMap of importMaps) {
+		const specifierMaps = [
+			entriesOf(importMap.imports),
+			...Object.values(entriesOf(importMap.scopes)).map(entriesOf),
+		];
+		for (const specifierMap of specifierMaps) {
+			for (const [specifier, target] of Object.entries(specifierMap)) {
+				if (target === url) {
+					specifiers.add(specifier);
+				}
+			}
+		}
+	}
+
+	return [...specifiers].sort();
+}
+
+/**
+ * Compares two import maps
+ * @param {Object} before - Old (or trusted) import map
+ * @param {Object} after - New (or served) import map
+ * @returns {ImportMapDiff} Differences
+ */
+function diffImportMaps(before, after) {
+	const oldMap = entriesOf(before);
+	const newMap = entriesOf(after);
+	const changes = diffSpecifierMaps(
+		entriesOf(oldMap.imports),
+		entriesOf(newMap.imports),
+		{ section: "imports" },
+	);
+
+	const oldScopes = entriesOf(oldMap.scopes);
+	const newScopes = entriesOf(newMap.scopes);
+	for (const scope of unionKeys(oldScopes, newScopes)) {
+		changes.push(
+			...diffSpecifierMaps(
+				entriesOf(oldScopes[scope]),
+				entriesOf(newScopes[scope]),
+				{ section: "scopes", scope },
+			),
+		);
+	}
+
+	const oldIntegrity = entriesOf(oldMap.integrity);
+	const newIntegrity = entriesOf(newMap.integrity);
+	for (const key of unionKeys(oldIntegrity, newIntegrity)) {
+		const inBefore = Object.hasOwn(oldIntegrity, key);
+		const inAfter = Object.hasOwn(newIntegrity, key);
+		const change = { section: "integrity", key };
+
+		if (!inAfter) {
+			Object.assign(change, { type: "removed", before: oldIntegrity[key] });
+		} else if (!inBefore) {
+			Object.assign(change, { type: "added", after: newIntegrity[key] });
+		} else if (
+			canonicalIntegrity(oldIntegrity[key]) !==
+			canonicalIntegrity(newIntegrity[key])
+		) {
+			Object.assign(change, {
+				type: "rehashed",
+				before: oldIntegrity[key],
+				after: newIntegrity[key],
+			});
+		} else {
+			continue;
+		}
+
+		change.specifiers = specifiersFor([newMap, oldMap], key);
+		changes.push(change);
+	}
+
+	const summary = { added: 0, removed: 0, remapped: 0, rehashed: 0 };
+	for (const change of changes) {
+		summary[change.type]++;
+	}
+
+	return { identical: changes.length === 0, changes, summary };
+}
+
+/**
+ * Names an entry as it appears in the import map
+ * @param {ImportMapChange} change - Change
+ * @returns {string} Entry path, e.g. scopes["/app/"]["lodash"]
+ */
+function describeEntry(change) {
+	const scope = change.scope ? `[${JSON.stringify(change.scope)}]` : "";
+	const via =
+		change.specifiers && change.specifiers.length > 0
+			? ` (${change.specifiers.join(", ")})`
+			: "";
+	return `${change.section}${scope}[${JSON.stringify(change.key)}]${via}`;
+}
+
+const CHANGELOG_SECTIONS = [
+	["rehashed", "Rehashed", "~"],
+	["remapped", "Remapped", "~"],
+	["added", "Added", "+"],
+	["removed", "Removed", "-"],
+];
+
+/**
+ * Formats a diff as a changelog for review
+ * Integrity changes come first: they mean the code behind a URL changed.
+ * @param {ImportMapDiff} diff - Differences
+ * @returns {string} Changelog text
+ */
+function formatChangelog(diff) {
+	if (diff.identical) {
+		return "Import maps are identical\n";
+	}
+
+	const { added, removed, remapped, rehashed } = diff.summary;
+	const lines = [
+		`Import map changes: ${rehashed} rehashed, ${remapped} remapped, ${added} added, ${removed} removed`,
+	];
+
+	for (const [type, title, marker] of CHANGELOG_SECTIONS) {
+		const changes = diff.changes.filter((change) => change.type === type);
+		if (changes.length === 0) {
+			continue;
+		}
+
+		lines.push("", `${title}:`);
+		for (const change of changes) {
+			lines.push(`  ${marker} ${describeEntry(change)}`);
+			if (change.before !== undefined) {
+				lines.push(`      - ${change.before}`);
+			}
+			if (change.after !== undefined) {
+				lines.push(`      + ${change.after}`);
+			}
+		}
+	}
+
+	return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+	diffImportMaps,
+	formatChangelog,
+};
@@ -0,0 +1,88 @@
+// import-map-fetch.js - Fetch and parse import maps, failing with typed errors
+//
+// The clients, the signature check and the service worker all fetch import
+// maps. Going through here, a map that is absent fails with
+// MissingImportMapError, one that cannot be fetched with FetchFailedError and
+// one that is not a JSON object with ImportMapParseError.
+const {
+	FetchFailedError,
+	ImportMapParseError,
+	MissingImportMapError,
+} = require("./integrity-errors");
+
+/**
+ * Fetches an import map, checking the response status
+ * @param {string} url - Import map URL
+ * @param {function(string): Promise<Response>} [fetchImpl] - Fetch implementation
+ * @param {string} [label="import map"] - What is fetched, for error messages
+ * @returns {Promise<Response>} Successful response
+ * @throws {FetchFailedError|MissingImportMapError} If the request fails or the map does not exist
+ */
+async function fetchImportMapResponse(
+	url,
+	fetchImpl = fetch,
+	label = "import map",
+) {
+	let response;
+	try {
+		response = await fetchImpl(url);
+	} catch (error) {
+		throw new FetchFailedError(`Failed to fetch ${label}: ${url}`, {
+			url,
+			cause: error,
+		});
+	}
+
+	if (!response.ok) {
+		const message = `Failed to fetch ${label}: ${response.status} ${response.statusText}`;
+		throw response.status === 404 || response.status === 410
+			? new MissingImportMapError(message, { url })
+			: new FetchFailedError(message, { url });
+	}
+	return response;
+}
+
+/**
+ * Parses import map JSON
+ * @param {string} text - Import map source
+ * @param {string} [url] - Where the map came from, for error messages
+ * @returns {Object} Import map
+ * @throws {ImportMapParseError} If the text is not a JSON object
+ */
+function parseImportMapText(text, url) {
+	const where = url ? `: ${url}` : "";
+	let importMap;
+	try {
+		importMap = JSON.parse(text);
+	} catch (error) {
+		throw new ImportMapParseError(`Import map is not valid JSON${where}`, {
+			url,
+			cause: error,
+		});
+	}
+
+	if (!importMap || typeof importMap !== "object" || Array.isArray(importMap)) {
+		throw new ImportMapParseError(`Import map is not a JSON object${where}`, {
+			url,
+		});
+	}
+	return importMap;
+}
+
+/**
+ * Fetches and parses an import map
+ * @param {string} url - Import map URL
+ * @param {function(string): Promise<Response>} [fetchImpl] - Fetch implementation
+ * @returns {Promise<Object>} Import map
+ * @throws {import("./integrity-errors").ModuleIntegrityError} If the map cannot be fetched or parsed
+ */
+async function fetchImportMap(url, fetchImpl = fetch) {
+	const response = await fetchImportMapResponse(url, fetchImpl);
+	return parseImportMapText(await response.text(), url);
+}
+
+module.exports = {
+	fetchImportMapResponse,
+	parseImportMapText,
+	fetchImportMap,
+};
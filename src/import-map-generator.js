@@ -0,0 +1,98 @@
+// import-map-generator.js - Builds an import map with integrity from files on disk
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { formatIntegrity, normalizeAlgorithms } = require("./sri-metadata");
+
+/**
+ * Options for generating an import map from a directory
+ * @typedef {Object} GenerateImportMapOptions
+ * @property {string|string[]} [algorithm] - Hash algorithm(s) to emit (default "sha384")
+ * @property {string} [baseURL] - URL prefix the directory is served from (default "/")
+ * @property {string[]} [extensions] - File extensions to include (default [".js", ".mjs"])
+ */
+
+/**
+ * Lists the files below a directory, depth first, in sorted order
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} Paths relative to dir, with "/" separators
+ */
+function listFiles(dir) {
+	const files = [];
+
+	const walk = (current) => {
+		const entries = fs
+			.readdirSync(path.join(dir, current), { withFileTypes: true })
+			.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+		for (const entry of entries) {
+			const relativePath = current ? `${current}/${entry.name}` : entry.name;
+			if (entry.isDirectory()) {
+				walk(relativePath);
+			} else if (entry.isFile()) {
+				files.push(relativePath);
+			}
+		}
+	};
+
+	walk("");
+	return files;
+}
+
+/**
+ * Calculates integrity metadata for content with each algorithm
+ * @param {string|Buffer} content - Content to hash
+ * @param {string[]} algorithms - Normalized algorithm names
+ * @returns {string} Space-separated integrity metadata
+ */
+function calculateIntegrity(content, algorithms) {
+	return algorithms
+		.map((algorithm) =>
+			formatIntegrity(
+				algorithm,
+				crypto.createHash(algorithm).update(content).digest("base64"),
+			),
+		)
+		.join(" ");
+}
+
+/**
+ * Hashes every module in a directory into an import map
+ * Specifiers are file names without extension, as the build plugins emit
+ * them; when two files share a name, the later one is keyed by its path.
+ * @param {string} dir - Directory to hash
+ * @param {GenerateImportMapOptions} [options] - Generation options
+ * @returns {{imports: Object<string, string>, integrity: Object<string, string>}} Import map
+ */
+function generateImportMapFromDirectory(dir, options = {}) {
+	const algorithms = normalizeAlgorithms(options.algorithm);
+	const baseURL = (options.baseURL || "/").replace(/\/?$/, "/");
+	const extensions = options.extensions || [".js", ".mjs"];
+	const importMap = { imports: {}, integrity: {} };
+
+	for (const relativePath of listFiles(dir)) {
+		const extension = path.posix.extname(relativePath);
+		if (!extensions.includes(extension)) {
+			continue;
+		}
+
+		const url = `${baseURL}${relativePath}`;
+		let specifier = path.posix.basename(relativePath, extension);
+		if (specifier in importMap.imports) {
+			specifier = relativePath.slice(0, -extension.length);
+		}
+
+		importMap.imports[specifier] = url;
+		importMap.integrity[url] = calculateIntegrity(
+			fs.readFileSync(path.join(dir, relativePath)),
+			algorithms,
+		);
+	}
+
+	return importMap;
+}
+
+module.exports = {
+	listFiles,
+	generateImportMapFromDirectory,
+};
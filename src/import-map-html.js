@@ -0,0 +1,60 @@
+// import-map-html.js - Writes an import map into HTML documents
+
+// An existing import map script, with its content
+const IMPORT_MAP_SCRIPT =
+	/<script\b[^>]*\btype\s*=\s*["']?importmap["']?[^>]*>[\s\S]*?<\/script\s*>/i;
+const HEAD_OPEN_TAG = /<head\b[^>]*>/i;
+
+/**
+ * Serializes an import map for use inside an inline script
+ * "<" is escaped so the content can never close the script element or open
+ * an HTML comment; JSON parsing restores it.
+ * @param {Object} importMap - Import map
+ * @returns {string} JSON safe to place in a script element
+ */
+function serializeImportMapForHTML(importMap) {
+	return JSON.stringify(importMap, null, 2).replace(/</g, "\\u003c");
+}
+
+/**
+ * Escapes a value for use in a double-quoted HTML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+	return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Puts an import map script into an HTML document
+ * An existing import map is replaced. Otherwise the script goes first in
+ * <head>, since an import map must come before any module script.
+ * @param {string} html - HTML document
+ * @param {Object} importMap - Import map
+ * @param {{nonce?: string}} [options] - Script attributes
+ * @returns {string} Updated HTML
+ */
+function injectImportMapIntoHTML(html, importMap, options = {}) {
+	const nonce = options.nonce
+		? ` nonce="${escapeAttribute(options.nonce)}"`
+		: "";
+	const script = `<script type="importmap"${nonce}>\n${serializeImportMapForHTML(importMap)}\n</script>`;
+
+	if (IMPORT_MAP_SCRIPT.test(html)) {
+		return html.replace(IMPORT_MAP_SCRIPT, () => script);
+	}
+
+	const head = HEAD_OPEN_TAG.exec(html);
+	if (head) {
+		const index = head.index + head[0].length;
+		return `${html.slice(0, index)}\n${script}${html.slice(index)}`;
+	}
+
+	return `${script}\n${html}`;
+}
+
+module.exports = {
+	escapeAttribute,
+	serializeImportMapForHTML,
+	injectImportMapIntoHTML,
+};
@@ -0,0 +1,461 @@
+// import-map-merge.js - Merge several import maps the way browsers do
+//
+// Follows the HTML spec's "merge existing and new import maps": a page may
+// have several import maps (app, vendor, separately built micro-frontends),
+// and an entry from a later map never replaces one already defined. Ignored
+// entries are reported as conflicts. Integrity entries follow the same rule,
+// but two maps pinning one URL to different hashes is usually a deployment
+// mistake, so that can be made an error.
+//
+// A document's import maps cannot be replaced once modules have loaded, so
+// applyImportMapToDocument adds a new <script type="importmap"> holding only
+// what the new map contributes, and never removes an existing one.
+const {
+	resolveURLLikeModuleSpecifier,
+	tryParseURL,
+} = require("./import-map-resolver");
+const { parseImportMapText } = require("./import-map-fetch");
+const {
+	assertValidImportMap,
+	toJSONPath,
+	warnImportMapDiagnostics,
+} = require("./import-map-schema");
+const { ImportMapConflictError } = require("./integrity-errors");
+
+// Base URL relative entries are resolved against outside a browser
+const DEFAULT_BASE_URL = "http://localhost/";
+
+/**
+ * One map to merge, with where it came from
+ * @typedef {Object} ImportMapSource
+ * @property {Object} importMap - Import map
+ * @property {string|URL} [baseURL] - Base URL its relative entries resolve against;
+ *   when it differs from the merge's, its entries are written as absolute URLs
+ * @property {string} [name] - Label used in conflict reports (default "#<index>")
+ */
+
+/**
+ * An entry that was ignored because an earlier map already defined it
+ * @typedef {Object} ImportMapConflict
+ * @property {"imports"|"scopes"|"integrity"} section - Section of the entry
+ * @property {string} path - JSON path of the ignored entry in its own map
+ * @property {string} key - Specifier, or URL for integrity entries
+ * @property {string} [scope] - Scope prefix, for scoped entries
+ * @property {"already-defined"|"already-resolved"} reason - Why it was ignored
+ * @property {{source: string, value: string|null}} kept - Entry that stays in effect
+ *   (value and source are null for already-resolved specifiers)
+ * @property {{source: string, value: string|null}} ignored - Entry that was dropped
+ */
+
+/**
+ * Options for merging import maps
+ * @typedef {Object} MergeImportMapsOptions
+ * @property {string|URL} [baseURL] - Base URL of the merged map (default document.baseURI)
+ * @property {Iterable<string>} [resolvedSpecifiers] - Specifiers modules have already
+ *   been resolved with; later top-level entries for them are ignored, as browsers do
+ * @property {"keep-first"|"error"} [integrityConflicts="keep-first"] - What to do when
+ *   maps list different integrity for one URL: keep the earlier entry and report it,
+ *   or throw an ImportMapConflictError
+ * @property {boolean} [validate=true] - Check each map with assertValidImportMap first;
+ *   without it, entries browsers would ignore are skipped
+ */
+
+/**
+ * Result of merging import maps
+ * @typedef {Object} MergedImportMap
+ * @property {Object} importMap - Merged import map
+ * @property {ImportMapConflict[]} conflicts - Entries that were ignored
+ */
+
+/**
+ * Gets the base URL relative entries resolve against
+ * @param {string|URL} [baseURL] - Configured base URL
+ * @returns {string} Base URL
+ */
+function getBaseURL(baseURL) {
+	if (baseURL) {
+		return String(baseURL);
+	}
+	return typeof document === "undefined" ? DEFAULT_BASE_URL : document.baseURI;
+}
+
+/**
+ * Whether a value is a JSON object
+ * @param {*} value - Value
+ * @returns {boolean} Whether it is a non-array object
+ */
+function isObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Gets the entries of an import map section, ignoring sections that are not objects
+ * @param {*} section - Section value
+ * @returns {Array<[string, *]>} Entries
+ */
+function entriesOf(section) {
+	return isObject(section) ? Object.entries(section) : [];
+}
+
+/**
+ * Normalizes a specifier, address or integrity key for comparison
+ * @param {string} value - Value as written
+ * @param {string} baseURL - Base URL
+ * @returns {string} Absolute URL for URL-like values, otherwise the value itself
+ */
+function normalizeEntry(value, baseURL) {
+	const url = resolveURLLikeModuleSpecifier(value, baseURL);
+	return url ? url.href : value;
+}
+
+/**
+ * Whether a top-level imports key would change how an already-resolved
+ * specifier resolves
+ * @param {string} key - Normalized specifier key
+ * @param {Set<string>} resolved - Specifiers already resolved
+ * @returns {boolean} Whether the entry must be ignored
+ */
+function affectsResolved(key, resolved) {
+	for (const specifier of resolved) {
+		if (specifier === key || (key.endsWith("/") && specifier.startsWith(key))) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Creates a merger that accepts import maps one at a time, earlier maps winning
+ * @param {MergeImportMapsOptions} [options] - Merge options
+ * @returns {{add: function((Object|ImportMapSource)): MergedImportMap, result: function(): MergedImportMap}} Merger
+ */
+function createImportMapMerger(options = {}) {
+	const baseURL = getBaseURL(options.baseURL);
+	const resolved = new Set(options.resolvedSpecifiers || []);
+	const imports = new Map();
+	const scopes = new Map();
+	const integrity = new Map();
+	const conflicts = [];
+	let count = 0;
+
+	/**
+	 * Merges one map
+	 * @param {Object|ImportMapSource} input - Import map, or a source record
+	 * @returns {MergedImportMap} The entries this map added, and what it conflicted with
+	 */
+	function add(input) {
+		const source =
+			input && typeof input.importMap === "object"
+				? input
+				: { importMap: input };
+		const name = source.name || `#${count}`;
+		const sourceBase = getBaseURL(source.baseURL || baseURL);
+		// Entries from a map with another base are written as absolute URLs
+		const rebase = sourceBase !== baseURL;
+		count++;
+
+		if (options.validate !== false) {
+			assertValidImportMap(source.importMap, { baseURL: sourceBase });
+		}
+		const importMap = source.importMap;
+		const added = {};
+		const newConflicts = [];
+
+		const conflict = (record) => {
+			newConflicts.push(record);
+			conflicts.push(record);
+		};
+
+		// Scopes are merged before imports, as in the spec
+		for (const [scopeKey, specifierMap] of entriesOf(importMap.scopes)) {
+			const scopeURL = tryParseURL(scopeKey, sourceBase)?.href;
+			if (!scopeURL || !isObject(specifierMap)) {
+				continue;
+			}
+			let scope = scopes.get(scopeURL);
+			if (!scope) {
+				scope = { key: rebase ? scopeURL : scopeKey, entries: new Map() };
+				scopes.set(scopeURL, scope);
+			}
+
+			for (const [key, address] of entriesOf(specifierMap)) {
+				if (typeof address !== "string") {
+					continue;
+				}
+				const normalizedKey = normalizeEntry(key, sourceBase);
+				const value = normalizeEntry(address, sourceBase);
+				const existing = scope.entries.get(normalizedKey);
+				if (existing) {
+					if (existing.value !== value) {
+						conflict({
+							section: "scopes",
+							path: toJSONPath(["scopes", scopeKey, key]),
+							key,
+							scope: scopeKey,
+							reason: "already-defined",
+							kept: { source: existing.source, value: existing.address },
+							ignored: { source: name, value: address },
+						});
+					}
+					continue;
+				}
+
+				const entry = {
+					key: rebase ? normalizedKey : key,
+					address: rebase ? value : address,
+					value,
+					source: name,
+				};
+				scope.entries.set(normalizedKey, entry);
+				added.scopes = added.scopes || {};
+				added.scopes[scope.key] = added.scopes[scope.key] || {};
+				added.scopes[scope.key][entry.key] = entry.address;
+			}
+		}
+
+		for (const [key, address] of entriesOf(importMap.imports)) {
+			if (typeof address !== "string") {
+				continue;
+			}
+			const normalizedKey = normalizeEntry(key, sourceBase);
+			const value = normalizeEntry(address, sourceBase);
+			const existing = imports.get(normalizedKey);
+			if (existing) {
+				if (existing.value !== value) {
+					conflict({
+						section: "imports",
+						path: toJSONPath(["imports", key]),
+						key,
+						reason: "already-defined",
+						kept: { source: existing.source, value: existing.address },
+						ignored: { source: name, value: address },
+					});
+				}
+				continue;
+			}
+			if (affectsResolved(normalizedKey, resolved)) {
+				conflict({
+					section: "imports",
+					path: toJSONPath(["imports", key]),
+					key,
+					reason: "already-resolved",
+					kept: { source: null, value: null },
+					ignored: { source: name, value: address },
+				});
+				continue;
+			}
+
+			const entry = {
+				key: rebase ? normalizedKey : key,
+				address: rebase ? value : address,
+				value,
+				source: name,
+			};
+			imports.set(normalizedKey, entry);
+			added.imports = added.imports || {};
+			added.imports[entry.key] = entry.address;
+		}
+
+		for (const [key, metadata] of entriesOf(importMap.integrity)) {
+			if (typeof metadata !== "string") {
+				continue;
+			}
+			const normalizedKey = normalizeEntry(key, sourceBase);
+			const existing = integrity.get(normalizedKey);
+			if (existing) {
+				if (existing.value !== metadata) {
+					const record = {
+						section: "integrity",
+						path: toJSONPath(["integrity", key]),
+						key,
+						reason: "already-defined",
+						kept: { source: existing.source, value: existing.value },
+						ignored: { source: name, value: metadata },
+					};
+					if (options.integrityConflicts === "error") {
+						throw new ImportMapConflictError(
+							`Import maps ${existing.source} and ${name} list different integrity for ${key}`,
+							{
+								url: normalizedKey,
+								expected: existing.value,
+								conflicts: [record],
+							},
+						);
+					}
+					conflict(record);
+				}
+				continue;
+			}
+
+			const entry = {
+				key: rebase ? normalizedKey : key,
+				value: metadata,
+				source: name,
+			};
+			integrity.set(normalizedKey, entry);
+			added.integrity = added.integrity || {};
+			added.integrity[entry.key] = metadata;
+		}
+
+		return { importMap: added, conflicts: newConflicts };
+	}
+
+	/**
+	 * Builds the merged map from everything added so far
+	 * @returns {MergedImportMap} Merged map and all conflicts
+	 */
+	function result() {
+		const importMap = { imports: {} };
+		for (const entry of imports.values()) {
+			importMap.imports[entry.key] = entry.address;
+		}
+		if (scopes.size > 0) {
+			importMap.scopes = {};
+			for (const scope of scopes.values()) {
+				importMap.scopes[scope.key] = {};
+				for (const entry of scope.entries.values()) {
+					importMap.scopes[scope.key][entry.key] = entry.address;
+				}
+			}
+		}
+		if (integrity.size > 0) {
+			importMap.integrity = {};
+			for (const entry of integrity.values()) {
+				importMap.integrity[entry.key] = entry.value;
+			}
+		}
+		return { importMap, conflicts: [...conflicts] };
+	}
+
+	return { add, result };
+}
+
+/**
+ * Merges import maps in order; earlier maps win
+ * @param {Array<Object|ImportMapSource>} sources - Maps, in the order a page would load them
+ * @param {MergeImportMapsOptions} [options] - Merge options
+ * @returns {MergedImportMap} Merged map and the entries that were ignored
+ * @throws {ImportMapConflictError} On integrity conflicts, with integrityConflicts: "error"
+ * @throws {import("./integrity-errors").ImportMapParseError} If a map is invalid
+ */
+function mergeImportMaps(sources, options = {}) {
+	const merger = createImportMapMerger(options);
+	for (const source of sources) {
+		merger.add(source);
+	}
+	return merger.result();
+}
+
+/**
+ * Formats a conflict for a log message
+ * @param {ImportMapConflict} conflict - Conflict
+ * @returns {string} Description
+ */
+function describeImportMapConflict(conflict) {
+	if (conflict.reason === "already-resolved") {
+		return `${conflict.path} from ${conflict.ignored.source} was ignored: "${conflict.key}" has already been resolved`;
+	}
+	return `${conflict.path} from ${conflict.ignored.source} was ignored: ${conflict.kept.source} already maps it to ${JSON.stringify(conflict.kept.value)}`;
+}
+
+/**
+ * Gets the source of every import map script in a document, in document order
+ * @param {Document} doc - Document
+ * @returns {string[]} Script contents, skipping empty scripts
+ */
+function readImportMapScripts(doc) {
+	return [...doc.querySelectorAll('script[type="importmap"]')]
+		.map((script) => script.textContent)
+		.filter(Boolean);
+}
+
+/**
+ * Parses a document's import map scripts, skipping any that are not JSON
+ * objects, as browsers do
+ * @param {string[]} sources - Script contents
+ * @returns {Object[]} Import maps
+ */
+function parseImportMapScripts(sources) {
+	const importMaps = [];
+	for (const source of sources) {
+		try {
+			importMaps.push(parseImportMapText(source));
+		} catch (error) {
+			console.error("Error parsing import map:", error);
+		}
+	}
+	return importMaps;
+}
+
+/**
+ * Gets the import map in effect in a document: its import maps merged in
+ * document order
+ * In development, problems with each map are logged once as warnings with
+ * their JSON paths.
+ * @param {Document} doc - Document
+ * @param {{baseURL?: string|URL}} [options] - Base URL (default doc.baseURI)
+ * @returns {Object|null} Import map, or null if the document has none
+ */
+function readDocumentImportMap(doc, options = {}) {
+	const baseURL = options.baseURL || doc.baseURI;
+	const sources = readImportMapScripts(doc);
+	for (const source of sources) {
+		warnImportMapDiagnostics(source, { baseURL });
+	}
+
+	const importMaps = parseImportMapScripts(sources);
+	if (importMaps.length <= 1) {
+		return importMaps[0] || null;
+	}
+	// Entries browsers ignore were reported above
+	return mergeImportMaps(importMaps, { baseURL, validate: false }).importMap;
+}
+
+/**
+ * Adds an import map to the document without replacing the existing ones
+ * Only the entries that survive merging with the document's maps are
+ * added, in a new script carrying the nonce of the first import map.
+ * Ignored entries are logged as warnings.
+ * @param {Object} importMap - Import map to add
+ * @param {MergeImportMapsOptions & {document?: Document}} [options] - Merge options
+ * @returns {MergedImportMap} The entries added, and the conflicts
+ * @throws {ImportMapConflictError} On integrity conflicts, with integrityConflicts: "error"
+ */
+function applyImportMapToDocument(importMap, options = {}) {
+	const doc = options.document || document;
+	const merger = createImportMapMerger({
+		...options,
+		baseURL: options.baseURL || doc.baseURI,
+		validate: false,
+	});
+	parseImportMapScripts(readImportMapScripts(doc)).forEach(
+		(documentMap, index) =>
+			merger.add({ importMap: documentMap, name: `document map #${index}` }),
+	);
+
+	const result = merger.add({ importMap, name: "new map" });
+	for (const conflict of result.conflicts) {
+		console.warn(`[import map] ${describeImportMapConflict(conflict)}`);
+	}
+
+	if (Object.keys(result.importMap).length > 0) {
+		const existing = doc.querySelector('script[type="importmap"]');
+		const script = doc.createElement("script");
+		script.type = "importmap";
+		if (existing?.nonce) {
+			script.nonce = existing.nonce;
+		}
+		script.textContent = JSON.stringify(result.importMap);
+		doc.head.appendChild(script);
+	}
+	return result;
+}
+
+module.exports = {
+	createImportMapMerger,
+	mergeImportMaps,
+	describeImportMapConflict,
+	readImportMapScripts,
+	readDocumentImportMap,
+	applyImportMapToDocument,
+};
@@ -0,0 +1,464 @@
+// import-map-resolver.js - WHATWG import map parsing and module specifier resolution
+//
+// Implements the "parse an import map string" and "resolve a module specifier"
+// algorithms from the HTML standard so that integrity lookups resolve exactly
+// the URL the browser is going to load.
+// https://html.spec.whatwg.org/multipage/webappapis.html#import-maps
+
+const SPECIAL_SCHEMES = new Set([
+	"ftp:",
+	"file:",
+	"http:",
+	"https:",
+	"ws:",
+	"wss:",
+]);
+
+/**
+ * Normalized import map, as produced by parseImportMap
+ * @typedef {Object} NormalizedImportMap
+ * @property {Object<string, string|null>} imports - Specifier map, keys sorted longest-first
+ * @property {Object<string, Object<string, string|null>>} scopes - Scope prefix to specifier map
+ * @property {Object<string, string>} integrity - Absolute URL to integrity metadata
+ */
+
+/**
+ * Options accepted by parseImportMap
+ * @typedef {Object} ParseImportMapOptions
+ * @property {function(string, string[]): void} [onWarning] - Receives non-fatal parse warnings and the path of keys to the offending entry (defaults to console.warn)
+ */
+
+/**
+ * Converts a base URL argument into a URL object
+ * @param {string|URL} baseURL - Base URL
+ * @returns {URL} Parsed base URL
+ */
+function toURL(baseURL) {
+	return baseURL instanceof URL ? baseURL : new URL(baseURL);
+}
+
+/**
+ * Parses a string as a URL, returning null instead of throwing
+ * @param {string} input - URL string
+ * @param {string|URL} [base] - Base URL
+ * @returns {URL|null} Parsed URL or null
+ */
+function tryParseURL(input, base) {
+	try {
+		return base === undefined ? new URL(input) : new URL(input, base);
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Resolves a URL-like module specifier ("/x", "./x", "../x" or an absolute URL)
+ * @param {string} specifier - Module specifier
+ * @param {string|URL} baseURL - Base URL to resolve relative specifiers against
+ * @returns {URL|null} Resolved URL, or null if the specifier is not URL-like
+ */
+function resolveURLLikeModuleSpecifier(specifier, baseURL) {
+	if (
+		specifier.startsWith("/") ||
+		specifier.startsWith("./") ||
+		specifier.startsWith("../")
+	) {
+		return tryParseURL(specifier, baseURL);
+	}
+
+	return tryParseURL(specifier);
+}
+
+/**
+ * Returns the keys of a specifier map in code unit order, longest-first
+ * Object key order cannot be relied on for this, since integer-like keys
+ * always enumerate first.
+ * @param {Object} map - Specifier map or scopes object
+ * @returns {string[]} Sorted keys
+ */
+function sortedKeys(map) {
+	return Object.keys(map).sort().reverse();
+}
+
+/**
+ * Copies an object with its keys in code unit order, longest-first
+ * @param {Object} map - Object to sort
+ * @returns {Object} Sorted copy
+ */
+function sortObject(map) {
+	const sorted = {};
+	for (const key of sortedKeys(map)) {
+		sorted[key] = map[key];
+	}
+	return sorted;
+}
+
+/**
+ * Creates the TypeError thrown for an import map with an invalid structure
+ * @param {string} message - Error message
+ * @param {string[]} path - Keys leading to the invalid value
+ * @returns {TypeError} Error, with the path attached
+ */
+function structureError(message, path) {
+	const error = new TypeError(message);
+	error.path = path;
+	return error;
+}
+
+/**
+ * Checks whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-null, non-array object
+ */
+function isObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Normalizes a specifier map key
+ * @param {string} specifierKey - Key as written in the import map
+ * @param {string|URL} baseURL - Base URL of the import map
+ * @param {function(string, string[]): void} warn - Warning callback
+ * @param {string[]} path - Keys leading to the entry
+ * @returns {string|null} Normalized key, or null if the key must be ignored
+ */
+function normalizeSpecifierKey(specifierKey, baseURL, warn, path) {
+	if (specifierKey === "") {
+		warn("Invalid empty string specifier key.", path);
+		return null;
+	}
+
+	const url = resolveURLLikeModuleSpecifier(specifierKey, baseURL);
+	return url ? url.href : specifierKey;
+}
+
+/**
+ * Sorts and normalizes a specifier map ("imports" or a single scope)
+ * @param {Object} originalMap - Specifier map as written in the import map
+ * @param {string|URL} baseURL - Base URL of the import map
+ * @param {function(string, string[]): void} warn - Warning callback
+ * @param {string[]} mapPath - Keys leading to the specifier map
+ * @returns {Object<string, string|null>} Normalized specifier map
+ */
+function sortAndNormalizeSpecifierMap(originalMap, baseURL, warn, mapPath) {
+	const normalized = {};
+
+	for (const [specifierKey, value] of Object.entries(originalMap)) {
+		const path = [...mapPath, specifierKey];
+		const normalizedSpecifierKey = normalizeSpecifierKey(
+			specifierKey,
+			baseURL,
+			warn,
+			path,
+		);
+		if (normalizedSpecifierKey === null) {
+			continue;
+		}
+
+		if (typeof value !== "string") {
+			warn(
+				`Invalid address ${JSON.stringify(value)} for "${specifierKey}".`,
+				path,
+			);
+			normalized[normalizedSpecifierKey] = null;
+			continue;
+		}
+
+		const addressURL = resolveURLLikeModuleSpecifier(value, baseURL);
+		if (addressURL === null) {
+			warn(`Invalid address "${value}" for "${specifierKey}".`, path);
+			normalized[normalizedSpecifierKey] = null;
+			continue;
+		}
+
+		if (specifierKey.endsWith("/") && !addressURL.href.endsWith("/")) {
+			warn(
+				`Invalid address "${addressURL.href}" for package specifier "${specifierKey}". Package addresses must end with "/".`,
+				path,
+			);
+			normalized[normalizedSpecifierKey] = null;
+			continue;
+		}
+
+		normalized[normalizedSpecifierKey] = addressURL.href;
+	}
+
+	return sortObject(normalized);
+}
+
+/**
+ * Sorts and normalizes the "scopes" section of an import map
+ * @param {Object} originalMap - Scopes as written in the import map
+ * @param {string|URL} baseURL - Base URL of the import map
+ * @param {function(string, string[]): void} warn - Warning callback
+ * @returns {Object<string, Object<string, string|null>>} Normalized scopes
+ */
+function sortAndNormalizeScopes(originalMap, baseURL, warn) {
+	const normalized = {};
+
+	for (const [scopePrefix, potentialSpecifierMap] of Object.entries(
+		originalMap,
+	)) {
+		const path = ["scopes", scopePrefix];
+		if (!isObject(potentialSpecifierMap)) {
+			throw structureError(
+				`The value for the "${scopePrefix}" scope prefix must be an object.`,
+				path,
+			);
+		}
+
+		const scopePrefixURL = tryParseURL(scopePrefix, baseURL);
+		if (scopePrefixURL === null) {
+			warn(
+				`Invalid scope "${scopePrefix}" (parsed against "${baseURL}").`,
+				path,
+			);
+			continue;
+		}
+
+		normalized[scopePrefixURL.href] = sortAndNormalizeSpecifierMap(
+			potentialSpecifierMap,
+			baseURL,
+			warn,
+			path,
+		);
+	}
+
+	return sortObject(normalized);
+}
+
+/**
+ * Normalizes the "integrity" section of an import map
+ * @param {Object} originalMap - Integrity map as written in the import map
+ * @param {string|URL} baseURL - Base URL of the import map
+ * @param {function(string, string[]): void} warn - Warning callback
+ * @returns {Object<string, string>} Absolute URL to integrity metadata
+ */
+function normalizeModuleIntegrityMap(originalMap, baseURL, warn) {
+	const normalized = {};
+
+	for (const [key, value] of Object.entries(originalMap)) {
+		const resolvedURL = resolveURLLikeModuleSpecifier(key, baseURL);
+		if (resolvedURL === null) {
+			warn(`Invalid integrity key "${key}". Keys must be URLs or URL-like.`, [
+				"integrity",
+				key,
+			]);
+			continue;
+		}
+
+		if (typeof value !== "string") {
+			warn(`Invalid integrity value ${JSON.stringify(value)} for "${key}".`, [
+				"integrity",
+				key,
+			]);
+			continue;
+		}
+
+		normalized[resolvedURL.href] = value;
+	}
+
+	return normalized;
+}
+
+/**
+ * Parses and normalizes an import map
+ * Relative URLs and URL-like keys are resolved against baseURL, invalid
+ * entries are reported through onWarning, and structural errors throw a
+ * TypeError as they would in the browser. The TypeError's path property
+ * lists the keys leading to the invalid value.
+ * @param {string|Object} input - Import map JSON string or already-parsed object
+ * @param {string|URL} baseURL - Base URL of the import map (usually document.baseURI)
+ * @param {ParseImportMapOptions} [options] - Parse options
+ * @returns {NormalizedImportMap} Normalized import map
+ */
+function parseImportMap(input, baseURL, options = {}) {
+	const warn = options.onWarning || ((message) => console.warn(message));
+	const base = toURL(baseURL);
+	const parsed = typeof input === "string" ? JSON.parse(input) : input;
+
+	if (!isObject(parsed)) {
+		throw structureError(
+			"The top-level value of an import map must be an object.",
+			[],
+		);
+	}
+
+	const importMap = { imports: {}, scopes: {}, integrity: {} };
+
+	if ("imports" in parsed) {
+		if (!isObject(parsed.imports)) {
+			throw structureError('The "imports" top-level key must be an object.', [
+				"imports",
+			]);
+		}
+		importMap.imports = sortAndNormalizeSpecifierMap(
+			parsed.imports,
+			base,
+			warn,
+			["imports"],
+		);
+	}
+
+	if ("scopes" in parsed) {
+		if (!isObject(parsed.scopes)) {
+			throw structureError('The "scopes" top-level key must be an object.', [
+				"scopes",
+			]);
+		}
+		importMap.scopes = sortAndNormalizeScopes(parsed.scopes, base, warn);
+	}
+
+	if ("integrity" in parsed) {
+		if (!isObject(parsed.integrity)) {
+			throw structureError('The "integrity" top-level key must be an object.', [
+				"integrity",
+			]);
+		}
+		importMap.integrity = normalizeModuleIntegrityMap(
+			parsed.integrity,
+			base,
+			warn,
+		);
+	}
+
+	for (const key of Object.keys(parsed)) {
+		if (key !== "imports" && key !== "scopes" && key !== "integrity") {
+			warn(
+				`Invalid top-level key "${key}". Only "imports", "scopes" and "integrity" are allowed.`,
+				[key],
+			);
+		}
+	}
+
+	return importMap;
+}
+
+/**
+ * Checks whether a URL uses a special scheme (http, https, file, ...)
+ * @param {URL} url - URL to check
+ * @returns {boolean} Whether the scheme is special
+ */
+function isSpecial(url) {
+	return SPECIAL_SCHEMES.has(url.protocol);
+}
+
+/**
+ * Looks a normalized specifier up in a single specifier map
+ * @param {string} normalizedSpecifier - Specifier, or serialized URL for URL-like specifiers
+ * @param {URL|null} asURL - Specifier parsed as a URL, if URL-like
+ * @param {Object<string, string|null>} specifierMap - Normalized specifier map
+ * @returns {URL|null} Resolved URL, or null when nothing matches
+ */
+function resolveImportsMatch(normalizedSpecifier, asURL, specifierMap) {
+	for (const specifierKey of sortedKeys(specifierMap)) {
+		const resolutionResult = specifierMap[specifierKey];
+
+		if (specifierKey === normalizedSpecifier) {
+			if (resolutionResult === null) {
+				throw new TypeError(
+					`Resolution of "${normalizedSpecifier}" was blocked by a null entry.`,
+				);
+			}
+			return new URL(resolutionResult);
+		}
+
+		if (
+			specifierKey.endsWith("/") &&
+			normalizedSpecifier.startsWith(specifierKey) &&
+			(asURL === null || isSpecial(asURL))
+		) {
+			if (resolutionResult === null) {
+				throw new TypeError(
+					`Resolution of "${normalizedSpecifier}" was blocked by a null entry.`,
+				);
+			}
+
+			const afterPrefix = normalizedSpecifier.slice(specifierKey.length);
+			const url = tryParseURL(afterPrefix, resolutionResult);
+			if (url === null) {
+				throw new TypeError(
+					`Resolution of "${normalizedSpecifier}" was blocked since the remainder "${afterPrefix}" could not be resolved against "${resolutionResult}".`,
+				);
+			}
+
+			if (!url.href.startsWith(resolutionResult)) {
+				throw new TypeError(
+					`Resolution of "${normalizedSpecifier}" was blocked due to it backtracking above its prefix "${specifierKey}".`,
+				);
+			}
+
+			return url;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Resolves a module specifier against a normalized import map
+ * @param {string} specifier - Module specifier
+ * @param {NormalizedImportMap} importMap - Import map returned by parseImportMap
+ * @param {string|URL} baseURL - URL of the referring script (or the document base URL)
+ * @returns {URL} Resolved module URL
+ * @throws {TypeError} If the specifier is bare and unmapped, or blocked by the map
+ */
+function resolveModuleSpecifier(specifier, importMap, baseURL) {
+	const base = toURL(baseURL);
+	const baseURLString = base.href;
+	const asURL = resolveURLLikeModuleSpecifier(specifier, base);
+	const normalizedSpecifier = asURL ? asURL.href : specifier;
+	const scopes = importMap.scopes || {};
+
+	for (const scopePrefix of sortedKeys(scopes)) {
+		if (
+			scopePrefix === baseURLString ||
+			(scopePrefix.endsWith("/") && baseURLString.startsWith(scopePrefix))
+		) {
+			const scopeImportsMatch = resolveImportsMatch(
+				normalizedSpecifier,
+				asURL,
+				scopes[scopePrefix],
+			);
+			if (scopeImportsMatch !== null) {
+				return scopeImportsMatch;
+			}
+		}
+	}
+
+	const topLevelImportsMatch = resolveImportsMatch(
+		normalizedSpecifier,
+		asURL,
+		importMap.imports || {},
+	);
+	if (topLevelImportsMatch !== null) {
+		return topLevelImportsMatch;
+	}
+
+	if (asURL !== null) {
+		return asURL;
+	}
+
+	throw new TypeError(
+		`Failed to resolve module specifier "${specifier}". Relative references must start with either "/", "./", or "../".`,
+	);
+}
+
+/**
+ * Gets the integrity metadata the import map assigns to a resolved URL
+ * @param {string|URL} url - Resolved module URL
+ * @param {NormalizedImportMap} importMap - Import map returned by parseImportMap
+ * @returns {string|undefined} Integrity metadata, if any
+ */
+function resolveModuleIntegrity(url, importMap) {
+	const href = url instanceof URL ? url.href : url;
+	return importMap.integrity ? importMap.integrity[href] : undefined;
+}
+
+module.exports = {
+	parseImportMap,
+	resolveModuleSpecifier,
+	resolveModuleIntegrity,
+	resolveURLLikeModuleSpecifier,
+	tryParseURL,
+};
@@ -0,0 +1,232 @@
+// import-map-schema.js - Validate import maps and report problems by JSON path
+//
+// Browsers skip invalid import map entries with a console warning and reject
+// a map whose structure is wrong. This reports the same problems up front,
+// plus integrity entries that can never verify, each with the JSON path of
+// the offending value. The build plugins fail on errors; the clients print
+// the diagnostics as warnings in development.
+const {
+	parseImportMap,
+	resolveURLLikeModuleSpecifier,
+} = require("./import-map-resolver");
+const { ImportMapParseError } = require("./integrity-errors");
+const { METADATA_TOKEN, SUPPORTED_ALGORITHMS } = require("./sri-metadata");
+
+// Digest length in bytes, by algorithm
+const DIGEST_BYTES = { sha256: 32, sha384: 48, sha512: 64 };
+
+// Base URL relative entries are resolved against outside a browser
+const DEFAULT_BASE_URL = "http://localhost/";
+
+/**
+ * A problem found in an import map
+ * @typedef {Object} ImportMapDiagnostic
+ * @property {"error"|"warning"} severity - "error" for a map browsers reject or an
+ *   entry that can never verify; "warning" for an entry browsers ignore
+ * @property {string} path - JSON path of the offending value, e.g. '$.imports["lodash/"]'
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Options for validateImportMap
+ * @typedef {Object} ValidateImportMapOptions
+ * @property {string|URL} [baseURL] - Base URL relative entries resolve against (default document.baseURI)
+ * @property {Iterable<string>} [knownURLs] - URLs that exist, e.g. the build's emitted assets;
+ *   integrity entries for any other URL are reported as pointing at nothing
+ */
+
+/**
+ * Result of validateImportMap
+ * @typedef {Object} ImportMapValidation
+ * @property {boolean} valid - Whether there are no errors
+ * @property {ImportMapDiagnostic[]} diagnostics - Errors and warnings, in document order
+ */
+
+/**
+ * Formats a list of keys as a JSON path
+ * @param {string[]} keys - Keys from the root of the map
+ * @returns {string} JSON path, e.g. '$.scopes["/admin/"].react'
+ */
+function toJSONPath(keys) {
+	return `$${keys
+		.map((key) =>
+			/^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`,
+		)
+		.join("")}`;
+}
+
+/**
+ * Gets the base URL relative entries resolve against
+ * @param {string|URL} [baseURL] - Configured base URL
+ * @returns {string|URL} Base URL
+ */
+function getBaseURL(baseURL) {
+	if (baseURL) {
+		return baseURL;
+	}
+	return typeof document === "undefined" ? DEFAULT_BASE_URL : document.baseURI;
+}
+
+/**
+ * Checks one integrity metadata string
+ * Unlike the SRI spec, which lets metadata without a supported algorithm
+ * match anything, this library fails such modules, so that is an error.
+ * @param {string} metadata - Integrity metadata
+ * @returns {string|null} What is wrong, or null
+ */
+function checkIntegrityMetadata(metadata) {
+	let supported = 0;
+
+	for (const token of metadata.trim().split(/\s+/).filter(Boolean)) {
+		const match = METADATA_TOKEN.exec(token);
+		if (!match) {
+			return `Malformed integrity metadata "${token}".`;
+		}
+
+		const algorithm = match[1].toLowerCase();
+		if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+			continue;
+		}
+		supported++;
+
+		const digest = match[2].replace(/=+$/, "");
+		if (digest.length !== Math.ceil((DIGEST_BYTES[algorithm] * 4) / 3)) {
+			return `"${token}" is not the length of a ${algorithm} digest, so nothing can match it.`;
+		}
+	}
+
+	if (supported === 0) {
+		return `Integrity metadata "${metadata}" has no supported algorithm (${SUPPORTED_ALGORITHMS.join(", ")}), so the module can never verify.`;
+	}
+	return null;
+}
+
+/**
+ * Validates an import map against the HTML spec's parsing rules and the
+ * integrity section's semantics
+ * @param {string|Object} input - Import map JSON or parsed object
+ * @param {ValidateImportMapOptions} [options] - Validation options
+ * @returns {ImportMapValidation} Diagnostics
+ */
+function validateImportMap(input, options = {}) {
+	const diagnostics = [];
+	const report = (severity, keys, message) =>
+		diagnostics.push({ severity, path: toJSONPath(keys), message });
+
+	let parsed = input;
+	if (typeof input === "string") {
+		try {
+			parsed = JSON.parse(input);
+		} catch (error) {
+			report("error", [], `Import map is not valid JSON: ${error.message}`);
+			return { valid: false, diagnostics };
+		}
+	}
+
+	const baseURL = getBaseURL(options.baseURL);
+	try {
+		parseImportMap(parsed, baseURL, {
+			onWarning: (message, keys) => report("warning", keys || [], message),
+		});
+	} catch (error) {
+		report("error", error.path || [], error.message);
+		return { valid: false, diagnostics };
+	}
+
+	const knownURLs = options.knownURLs
+		? new Set([...options.knownURLs].map((url) => new URL(url, baseURL).href))
+		: null;
+
+	for (const [key, value] of Object.entries(parsed.integrity || {})) {
+		if (typeof value !== "string") {
+			// Already reported by the parser
+			continue;
+		}
+
+		const problem = checkIntegrityMetadata(value);
+		if (problem) {
+			report("error", ["integrity", key], problem);
+		}
+
+		// Keys that are not URL-like were reported by the parser
+		const url = resolveURLLikeModuleSpecifier(key, baseURL);
+		if (url && knownURLs && !knownURLs.has(url.href)) {
+			report(
+				"warning",
+				["integrity", key],
+				`Integrity entry for "${key}" points at nothing: no such file was emitted.`,
+			);
+		}
+	}
+
+	return {
+		valid: diagnostics.every((diagnostic) => diagnostic.severity !== "error"),
+		diagnostics,
+	};
+}
+
+/**
+ * Formats diagnostics one per line, e.g. for a build log
+ * @param {ImportMapDiagnostic[]} diagnostics - Diagnostics
+ * @returns {string} Formatted diagnostics
+ */
+function formatImportMapDiagnostics(diagnostics) {
+	return diagnostics
+		.map(({ severity, path, message }) => `${severity} ${path}: ${message}`)
+		.join("\n");
+}
+
+/**
+ * Validates an import map, throwing if it has errors
+ * @param {string|Object} input - Import map JSON or parsed object
+ * @param {ValidateImportMapOptions} [options] - Validation options
+ * @returns {ImportMapDiagnostic[]} Warnings
+ * @throws {ImportMapParseError} With the errors on error.diagnostics
+ */
+function assertValidImportMap(input, options = {}) {
+	const { diagnostics } = validateImportMap(input, options);
+	const errors = diagnostics.filter(({ severity }) => severity === "error");
+	if (errors.length > 0) {
+		throw new ImportMapParseError(
+			`Invalid import map:\n${formatImportMapDiagnostics(errors)}`,
+			{ diagnostics: errors },
+		);
+	}
+	return diagnostics;
+}
+
+// Maps warnImportMapDiagnostics has reported on, so each map is reported once
+const warnedSources = new Set();
+
+/**
+ * Prints an import map's diagnostics as console warnings, in development
+ * builds only; each distinct map is reported once
+ * @param {string|Object} input - Import map JSON or parsed object
+ * @param {ValidateImportMapOptions} [options] - Validation options
+ * @returns {ImportMapDiagnostic[]} Diagnostics (empty in production, or when already reported)
+ */
+function warnImportMapDiagnostics(input, options = {}) {
+	if (typeof process === "undefined" || process.env.NODE_ENV === "production") {
+		return [];
+	}
+
+	const source = typeof input === "string" ? input : JSON.stringify(input);
+	if (warnedSources.has(source)) {
+		return [];
+	}
+	warnedSources.add(source);
+
+	const { diagnostics } = validateImportMap(input, options);
+	for (const diagnostic of diagnostics) {
+		console.warn(`[import map] ${formatImportMapDiagnostics([diagnostic])}`);
+	}
+	return diagnostics;
+}
+
+module.exports = {
+	toJSONPath,
+	validateImportMap,
+	formatImportMapDiagnostics,
+	assertValidImportMap,
+	warnImportMapDiagnostics,
+};
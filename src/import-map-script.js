@@ -0,0 +1,101 @@
+// import-map-script.js - Server-rendered import map for the Next.js App Router
+//
+// An import map only protects modules resolved after it is parsed, so it has
+// to be in the HTML the server sends, ahead of any module script. Loading it
+// from an effect, after hydration, is too late. <ImportMapScript /> reads the
+// map the build emitted and inlines it.
+const fs = require("fs");
+const path = require("path");
+const { createElement } = require("react");
+const { parseImportMapText } = require("./import-map-fetch");
+const { serializeImportMapForHTML } = require("./import-map-html");
+const { MissingImportMapError } = require("./integrity-errors");
+
+/**
+ * Props of ImportMapScript
+ * @typedef {Object} ImportMapScriptProps
+ * @property {string} [nonce] - CSP nonce for the script, e.g. from a request header set by middleware
+ * @property {Object} [importMap] - Import map to inline instead of the build's
+ * @property {string} [distDir=".next"] - Next.js build directory, relative to the working directory
+ * @property {string} [importMapPath] - Import map path within distDir (default: the plugin's importMapPath)
+ */
+
+// Import maps read from disk, by path; a build's map does not change
+const importMapCache = new Map();
+
+/**
+ * Whether the plugin's injectImportMap option is on
+ * The plugin defines these variables in the bundles it builds. Outside
+ * them, e.g. where the package is not bundled, injection is on.
+ * @returns {boolean} Whether to inline the import map
+ */
+function isImportMapInjectionEnabled() {
+	return process.env.MODULE_INTEGRITY_INJECT_IMPORT_MAP !== "false";
+}
+
+/**
+ * Reads the import map a build emitted
+ * Cached in production; read again on each call in development, where the
+ * map changes as pages compile.
+ * @param {string} file - Import map path
+ * @returns {Object} Import map
+ * @throws {MissingImportMapError} If the build emitted no import map
+ * @throws {import("./integrity-errors").ImportMapParseError} If it is not a JSON object
+ */
+function readBuildImportMap(file) {
+	const cached = importMapCache.get(file);
+	if (cached) {
+		return cached;
+	}
+
+	let text;
+	try {
+		text = fs.readFileSync(file, "utf8");
+	} catch (error) {
+		throw new MissingImportMapError(
+			`Import map not found at ${file}; is NextJSModuleIntegrityPlugin configured?`,
+			{ url: file, cause: error },
+		);
+	}
+
+	const importMap = parseImportMapText(text, file);
+	if (process.env.NODE_ENV === "production") {
+		importMapCache.set(file, importMap);
+	}
+	return importMap;
+}
+
+/**
+ * Server component that inlines the build's import map
+ * Render it in <head> of the root layout, before any module script. It
+ * renders nothing when the plugin's injectImportMap option is false.
+ * @param {ImportMapScriptProps} props - Component props
+ * @returns {Object|null} <script type="importmap"> element
+ */
+function ImportMapScript({
+	nonce,
+	importMap,
+	distDir = ".next",
+	importMapPath = process.env.MODULE_INTEGRITY_IMPORT_MAP_PATH ||
+		"importmap.json",
+}) {
+	if (!isImportMapInjectionEnabled()) {
+		return null;
+	}
+
+	const map =
+		importMap ||
+		readBuildImportMap(path.resolve(process.cwd(), distDir, importMapPath));
+
+	return createElement("script", {
+		type: "importmap",
+		nonce,
+		dangerouslySetInnerHTML: { __html: serializeImportMapForHTML(map) },
+	});
+}
+
+module.exports = {
+	ImportMapScript,
+	readBuildImportMap,
+	isImportMapInjectionEnabled,
+};
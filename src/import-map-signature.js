@@ -0,0 +1,250 @@
+// import-map-signature.js - Verify detached import map signatures with Web Crypto
+//
+// The build signs a canonical serialization of the import map and emits the
+// signature next to it (importmap.json.sig). Clients verify it against a
+// public key pinned in their own code, so a tampered map is never applied.
+const {
+	fetchImportMapResponse,
+	parseImportMapText,
+} = require("./import-map-fetch");
+const {
+	FetchFailedError,
+	SignatureVerificationError,
+} = require("./integrity-errors");
+
+/**
+ * Signature algorithms, by the name used in signature files and pinned keys
+ * `importParams` are the Web Crypto key import parameters, `verifyParams`
+ * the verify parameters; `curve` is the Node.js name of the signing curve.
+ */
+const SIGNATURE_ALGORITHMS = {
+	Ed25519: {
+		importParams: { name: "Ed25519" },
+		verifyParams: { name: "Ed25519" },
+	},
+	"ECDSA-P256": {
+		curve: "prime256v1",
+		hash: "sha256",
+		importParams: { name: "ECDSA", namedCurve: "P-256" },
+		verifyParams: { name: "ECDSA", hash: "SHA-256" },
+	},
+	"ECDSA-P384": {
+		curve: "secp384r1",
+		hash: "sha384",
+		importParams: { name: "ECDSA", namedCurve: "P-384" },
+		verifyParams: { name: "ECDSA", hash: "SHA-384" },
+	},
+};
+
+/**
+ * A public key trusted to sign import maps
+ * @typedef {Object} TrustedKey
+ * @property {"Ed25519"|"ECDSA-P256"|"ECDSA-P384"} algorithm - Signature algorithm
+ * @property {string|JsonWebKey} publicKey - Base64 SPKI (DER) or a JWK
+ */
+
+/**
+ * Contents of a detached signature file
+ * @typedef {Object} ImportMapSignature
+ * @property {string} algorithm - Signature algorithm
+ * @property {string} signature - Base64 signature over the canonical import map; raw r||s for ECDSA
+ */
+
+/**
+ * Options for fetchSignedImportMap
+ * @typedef {Object} SignedImportMapOptions
+ * @property {TrustedKey|TrustedKey[]} trustedKeys - Pinned public keys; any one of them may have signed the map
+ * @property {string} [signatureUrl] - Signature URL (default: the map URL + ".sig")
+ * @property {function(string): Promise<Response>} [fetch] - Fetch implementation
+ */
+
+/**
+ * Serializes a JSON value canonically: object keys sorted, no whitespace
+ * Two maps that parse to the same value always serialize to the same
+ * string, however the file was formatted.
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map((item) => (item === undefined ? "null" : canonicalJSON(item))).join(",")}]`;
+	}
+
+	if (value && typeof value === "object") {
+		const members = Object.keys(value)
+			.sort()
+			.filter((key) => value[key] !== undefined)
+			.map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+		return `{${members.join(",")}}`;
+	}
+
+	return JSON.stringify(value);
+}
+
+/**
+ * The bytes an import map signature covers
+ * @param {Object} importMap - Import map
+ * @returns {Uint8Array} UTF-8 canonical JSON
+ */
+function getSignedBytes(importMap) {
+	return new TextEncoder().encode(canonicalJSON(importMap));
+}
+
+/**
+ * Decodes base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(base64) {
+	const binary = atob(base64.trim());
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+/**
+ * Imports a pinned public key for verification
+ * @param {TrustedKey} trustedKey - Pinned key
+ * @returns {Promise<CryptoKey>} Web Crypto key
+ */
+function importPublicKey(trustedKey) {
+	const { importParams } = SIGNATURE_ALGORITHMS[trustedKey.algorithm];
+
+	if (typeof trustedKey.publicKey === "string") {
+		return crypto.subtle.importKey(
+			"spki",
+			fromBase64(trustedKey.publicKey),
+			importParams,
+			false,
+			["verify"],
+		);
+	}
+
+	return crypto.subtle.importKey(
+		"jwk",
+		trustedKey.publicKey,
+		importParams,
+		false,
+		["verify"],
+	);
+}
+
+/**
+ * Parses a signature file, from text or an already parsed object
+ * @param {string|ImportMapSignature} signatureFile - Signature file
+ * @returns {ImportMapSignature|null} Signature, or null if malformed
+ */
+function parseSignatureFile(signatureFile) {
+	try {
+		const signature =
+			typeof signatureFile === "string"
+				? JSON.parse(signatureFile)
+				: signatureFile;
+		if (
+			signature &&
+			typeof signature.algorithm === "string" &&
+			typeof signature.signature === "string"
+		) {
+			return signature;
+		}
+	} catch {
+		// Treated as malformed below
+	}
+	return null;
+}
+
+/**
+ * Verifies a detached import map signature against pinned public keys
+ * Only keys pinned for the algorithm the signature names are tried, so a
+ * signature cannot choose a weaker algorithm than the key was pinned for.
+ * @param {Object} importMap - Parsed import map
+ * @param {string|ImportMapSignature} signatureFile - Signature file contents
+ * @param {TrustedKey|TrustedKey[]} trustedKeys - Pinned public keys
+ * @returns {Promise<boolean>} Whether a pinned key signed this map
+ */
+async function verifyImportMapSignature(importMap, signatureFile, trustedKeys) {
+	const signature = parseSignatureFile(signatureFile);
+	if (!signature || !Object.hasOwn(SIGNATURE_ALGORITHMS, signature.algorithm)) {
+		return false;
+	}
+
+	const { verifyParams } = SIGNATURE_ALGORITHMS[signature.algorithm];
+	const data = getSignedBytes(importMap);
+	let signatureBytes;
+	try {
+		signatureBytes = fromBase64(signature.signature);
+	} catch {
+		return false;
+	}
+
+	const keys = (
+		Array.isArray(trustedKeys) ? trustedKeys : [trustedKeys]
+	).filter((key) => key && key.algorithm === signature.algorithm);
+	for (const trustedKey of keys) {
+		try {
+			const key = await importPublicKey(trustedKey);
+			if (await crypto.subtle.verify(verifyParams, key, signatureBytes, data)) {
+				return true;
+			}
+		} catch {
+			// A key that cannot be imported verifies nothing; try the next one
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Fetches an import map and its detached signature, and verifies it
+ * @param {string} url - Import map URL
+ * @param {SignedImportMapOptions} options - Trusted keys and fetch options
+ * @returns {Promise<Object>} The verified import map
+ * @throws {import("./integrity-errors").ModuleIntegrityError} If either file cannot be fetched or parsed, or the signature does not verify
+ */
+async function fetchSignedImportMap(url, options) {
+	const fetchImpl = options.fetch || fetch;
+	const signatureUrl = options.signatureUrl || `${url}.sig`;
+
+	const [mapResponse, signatureResponse] = await Promise.all([
+		fetchImportMapResponse(url, fetchImpl),
+		fetchImpl(signatureUrl).catch((error) => {
+			throw new FetchFailedError(
+				`Failed to fetch import map signature: ${signatureUrl}`,
+				{ url: signatureUrl, cause: error },
+			);
+		}),
+	]);
+	if (!signatureResponse.ok) {
+		throw new FetchFailedError(
+			`Failed to fetch import map signature: ${signatureResponse.statusText}`,
+			{ url: signatureUrl },
+		);
+	}
+
+	const importMap = parseImportMapText(await mapResponse.text(), url);
+	const signatureFile = await signatureResponse.text();
+	if (
+		!(await verifyImportMapSignature(
+			importMap,
+			signatureFile,
+			options.trustedKeys,
+		))
+	) {
+		throw new SignatureVerificationError(
+			`Import map signature verification failed: ${url}`,
+			{ url },
+		);
+	}
+
+	return importMap;
+}
+
+module.exports = {
+	SIGNATURE_ALGORITHMS,
+	canonicalJSON,
+	getSignedBytes,
+	verifyImportMapSignature,
+	fetchSignedImportMap,
+};
@@ -0,0 +1,120 @@
+// import-map-signing.js - Sign import maps at build time (Node.js only)
+const crypto = require("crypto");
+const fs = require("fs");
+const {
+	SIGNATURE_ALGORITHMS,
+	getSignedBytes,
+} = require("./import-map-signature");
+const { UnsupportedAlgorithmError } = require("./integrity-errors");
+
+/**
+ * Signing options for the build plugins
+ * @typedef {Object} SigningConfig
+ * @property {string} [privateKey] - PEM private key (Ed25519, or ECDSA on P-256/P-384)
+ * @property {string} [privateKeyPath] - Path to a PEM private key, used when privateKey is not set
+ * @property {string} [signaturePath] - Output path of the signature (default: the import map path + ".sig")
+ */
+
+/**
+ * Loads the private key named by a signing config
+ * @param {SigningConfig} signing - Signing config
+ * @returns {crypto.KeyObject} Private key
+ * @throws {Error} If neither privateKey nor privateKeyPath is set
+ */
+function loadSigningKey(signing) {
+	if (signing.privateKey) {
+		return crypto.createPrivateKey(signing.privateKey);
+	}
+	if (signing.privateKeyPath) {
+		return crypto.createPrivateKey(fs.readFileSync(signing.privateKeyPath));
+	}
+	throw new Error(
+		"Import map signing needs a privateKey or privateKeyPath option",
+	);
+}
+
+/**
+ * Determines the signature algorithm for a private key
+ * @param {crypto.KeyObject} key - Private key
+ * @returns {string} Algorithm name, e.g. "Ed25519"
+ * @throws {UnsupportedAlgorithmError} For unsupported key types
+ */
+function getSigningAlgorithm(key) {
+	if (key.asymmetricKeyType === "ed25519") {
+		return "Ed25519";
+	}
+
+	if (key.asymmetricKeyType === "ec") {
+		const { namedCurve } = key.asymmetricKeyDetails;
+		const name = Object.keys(SIGNATURE_ALGORITHMS).find(
+			(algorithm) => SIGNATURE_ALGORITHMS[algorithm].curve === namedCurve,
+		);
+		if (name) {
+			return name;
+		}
+	}
+
+	throw new UnsupportedAlgorithmError(
+		`Unsupported import map signing key. Supported algorithms: ${Object.keys(SIGNATURE_ALGORITHMS).join(", ")}.`,
+		{ algorithm: key.asymmetricKeyType },
+	);
+}
+
+/**
+ * Signs an import map
+ * @param {Object} importMap - Import map
+ * @param {crypto.KeyObject|string} privateKey - Private key or PEM
+ * @returns {import("./import-map-signature").ImportMapSignature} Signature file contents
+ */
+function signImportMap(importMap, privateKey) {
+	const key =
+		typeof privateKey === "string"
+			? crypto.createPrivateKey(privateKey)
+			: privateKey;
+	const algorithm = getSigningAlgorithm(key);
+	const { hash } = SIGNATURE_ALGORITHMS[algorithm];
+
+	// Web Crypto verifies ECDSA signatures in raw r||s form, not DER
+	const signature = crypto.sign(hash || null, getSignedBytes(importMap), {
+		key,
+		dsaEncoding: "ieee-p1363",
+	});
+
+	return { algorithm, signature: signature.toString("base64") };
+}
+
+/**
+ * Serializes a signature for a detached .sig file
+ * @param {import("./import-map-signature").ImportMapSignature} signature - Signature
+ * @returns {string} File contents
+ */
+function serializeSignature(signature) {
+	return `${JSON.stringify(signature, null, 2)}\n`;
+}
+
+/**
+ * Exports the public half of a private key, ready to pin in client code
+ * @param {crypto.KeyObject|string} privateKey - Private key or PEM
+ * @returns {import("./import-map-signature").TrustedKey} Trusted key with base64 SPKI
+ */
+function getTrustedKey(privateKey) {
+	const key =
+		typeof privateKey === "string"
+			? crypto.createPrivateKey(privateKey)
+			: privateKey;
+
+	return {
+		algorithm: getSigningAlgorithm(key),
+		publicKey: crypto
+			.createPublicKey(key)
+			.export({ type: "spki", format: "der" })
+			.toString("base64"),
+	};
+}
+
+module.exports = {
+	loadSigningKey,
+	signImportMap,
+	serializeSignature,
+	getTrustedKey,
+};
@@ -0,0 +1,155 @@
+// import-map-specifiers.js - Choose import map specifiers for emitted chunks
+//
+// A file's basename is not a usable specifier: Next.js emits page-<hash>.js
+// under every route folder, and the hash changes with every build. Each
+// strategy here derives a name from something stable instead, or returns
+// null to let the next strategy in the list decide.
+const {
+	formatPackageSpecifier,
+	getChunkPackages,
+} = require("./chunk-packages");
+const { ModuleIntegrityError } = require("./integrity-errors");
+
+/**
+ * An emitted file to name
+ * @typedef {Object} SpecifierContext
+ * @property {string} assetName - File name relative to the output directory
+ * @property {Object} [info] - Webpack asset info, with contenthash, chunkhash and fullhash
+ * @property {Object} [chunk] - Webpack chunk the file belongs to
+ * @property {Object} [compilation] - Webpack compilation
+ * @property {function(string): boolean} [isTaken] - Whether a specifier already
+ *   names another file
+ */
+
+/**
+ * A named strategy, or a function returning a specifier or null
+ * @typedef {"package"|"chunk"|"route"|"logical"|function(SpecifierContext): (string|null)} SpecifierStrategy
+ */
+
+// A hash segment in a file name, used when webpack gives no hash values
+const HASH_SEGMENT = /[-.~][0-9a-f]{8,}(?=\.|$)/gi;
+
+/**
+ * Gets the hash values in a file name from its asset info
+ * @param {Object} [info] - Webpack asset info
+ * @returns {string[]} Hash values
+ */
+function getAssetHashes(info = {}) {
+	return ["contenthash", "chunkhash", "fullhash"]
+		.flatMap((key) => info[key] || [])
+		.filter(Boolean);
+}
+
+/**
+ * Gets a file's name without its hashes or extension, e.g.
+ * "static/chunks/app/blog/page" for "static/chunks/app/blog/page-4f1c2e9a0b3d7a65.js"
+ * @param {SpecifierContext} context - File to name
+ * @returns {string} Logical name
+ */
+function logicalName({ assetName, info }) {
+	const hashes = getAssetHashes(info);
+	let name = assetName.replace(/\\/g, "/").replace(/\.m?js$/, "");
+
+	if (hashes.length > 0) {
+		for (const hash of hashes) {
+			name = name.split(hash).join("");
+		}
+		// Drop the separators and empty folders the hashes leave behind
+		name = name
+			.replace(/[-.~]+(?=\/|$)/g, "")
+			.replace(/([-.~])[-.~]+/g, "$1")
+			.replace(/\/{2,}/g, "/")
+			.replace(/^\//, "");
+	} else {
+		name = name.replace(HASH_SEGMENT, "");
+	}
+	return name;
+}
+
+/**
+ * Names route chunks by their segment in app/ or pages/, e.g. "app/blog/page"
+ * @param {SpecifierContext} context - File to name
+ * @returns {string|null} Route specifier, or null for other chunks
+ */
+function routeName(context) {
+	const match = /(?:^|\/)((?:app|pages)\/.+)$/.exec(logicalName(context));
+	return match ? match[1] : null;
+}
+
+/**
+ * Names a file after its webpack chunk
+ * @param {SpecifierContext} context - File to name
+ * @returns {string|null} Chunk name, or null for unnamed chunks
+ */
+function chunkName({ chunk }) {
+	return chunk?.name || null;
+}
+
+/**
+ * Names a chunk after the npm package that makes up most of it, by size,
+ * with its version, e.g. "react-dom@18.2.0"
+ * @param {SpecifierContext} context - File to name
+ * @returns {string|null} Package specifier, or null if no package has a majority
+ */
+function packageName({ chunk, compilation }) {
+	if (!chunk || !compilation?.chunkGraph) {
+		return null;
+	}
+
+	const { packages, size } = getChunkPackages(chunk, compilation);
+	const [largest] = packages;
+	return largest && largest.size * 2 > size
+		? formatPackageSpecifier(largest)
+		: null;
+}
+
+// Strategies by name
+const SPECIFIER_STRATEGIES = {
+	package: packageName,
+	chunk: chunkName,
+	route: routeName,
+	logical: logicalName,
+};
+
+/**
+ * Creates a function that names emitted files
+ * Strategies are tried in order, and the logical name is used if none of
+ * them applies, so every file gets a specifier. A specifier that is already
+ * taken falls through too, except from the last strategy, so two chunks made
+ * mostly of one package get the package name and a logical name rather than
+ * colliding.
+ * @param {SpecifierStrategy|SpecifierStrategy[]} [strategies="logical"] - Strategies, in order
+ * @returns {function(SpecifierContext): string} Specifier for a file
+ * @throws {ModuleIntegrityError} If a strategy name is unknown
+ */
+function createSpecifierResolver(strategies = "logical") {
+	const resolvers = [].concat(strategies).map((strategy) => {
+		if (typeof strategy === "function") {
+			return strategy;
+		}
+		if (!Object.hasOwn(SPECIFIER_STRATEGIES, strategy)) {
+			throw new ModuleIntegrityError(
+				`Unknown specifier strategy "${strategy}"; expected one of ${Object.keys(SPECIFIER_STRATEGIES).join(", ")} or a function`,
+			);
+		}
+		return SPECIFIER_STRATEGIES[strategy];
+	});
+
+	return (context) => {
+		const { isTaken = () => false } = context;
+		for (const [index, resolve] of resolvers.entries()) {
+			const specifier = resolve(context);
+			const last = index === resolvers.length - 1;
+			if (specifier && (last || !isTaken(specifier))) {
+				return specifier;
+			}
+		}
+		return logicalName(context);
+	};
+}
+
+module.exports = {
+	SPECIFIER_STRATEGIES,
+	createSpecifierResolver,
+	logicalName,
+};
@@ -2,6 +2,46 @@
  * Module Script Integrity Implementation
  */
 
+import {
+  parseImportMap as normalizeImportMap,
+  resolveModuleIntegrity,
+  resolveModuleSpecifier as resolveWithImportMap,
+} from './import-map-resolver';
+import {
+  DEFAULT_ALGORITHM,
+  formatIntegrity,
+  normalizeAlgorithms,
+} from './sri-metadata';
+import { digestBytes } from './integrity-digest';
+import { fetchImportMap, parseImportMapText } from './import-map-fetch';
+import {
+  type ImportMapDiagnostic,
+  assertValidImportMap,
+  validateImportMap,
+  warnImportMapDiagnostics,
+} from './import-map-schema';
+import {
+  ERROR_CODES,
+  FetchFailedError,
+  ImportMapConflictError,
+  ImportMapParseError,
+  IntegrityMismatchError,
+  MissingImportMapError,
+  ModuleIntegrityError,
+  SignatureVerificationError,
+  UnsupportedAlgorithmError,
+  isModuleIntegrityError,
+} from './integrity-errors';
+import { type TrustedKey, fetchSignedImportMap } from './import-map-signature';
+import {
+  type ImportMapConflict,
+  type MergeImportMapsOptions,
+  type MergedImportMap,
+  applyImportMapToDocument,
+  mergeImportMaps,
+} from './import-map-merge';
+import { checkModuleIntegrity } from './verified-import';
+
 // Type definitions for Import Map with Integrity
 interface ImportMapEntry {
   [moduleSpecifier: string]: string;
@@ -14,24 +54,33 @@ interface ImportMap {
 }
 
 /**
- * Calculate SHA-384 integrity hash for content
+ * Calculate the base64 digest of content
  * @param content Content to hash
- * @returns Promise resolving to integrity string
+ * @param algorithm Hash algorithm ("sha256", "sha384" or "sha512")
+ * @returns Promise resolving to the base64 digest
  */
-async function calculateIntegrity(content: string | ArrayBuffer): Promise<string> {
-  // Convert string to ArrayBuffer if needed
+async function calculateDigest(content: string | ArrayBuffer, algorithm: string): Promise<string> {
+  // Convert string to bytes if needed
   const data = typeof content === 'string' 
     ? new TextEncoder().encode(content) 
     : content;
   
-  // Calculate SHA-384 hash using Web Crypto API
-  const hashBuffer = await crypto.subtle.digest('SHA-384', data);
-  
-  // Convert to base64
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashBase64 = btoa(String.fromCharCode(...hashArray));
-  
-  return `sha384-${hashBase64}`;
+  return digestBytes(data, algorithm);
+}
+
+/**
+ * Calculate integrity hash for content
+ * @param content Content to hash
+ * @param algorithm Hash algorithm ("sha256", "sha384" or "sha512"), defaults to sha384
+ * @returns Promise resolving to integrity string
+ */
+async function calculateIntegrity(
+  content: string | ArrayBuffer,
+  algorithm: string = DEFAULT_ALGORITHM
+): Promise<string> {
+  const [normalizedAlgorithm] = normalizeAlgorithms(algorithm);
+  const digest = await calculateDigest(content, normalizedAlgorithm);
+  return formatIntegrity(normalizedAlgorithm, digest);
 }
 
 /**
@@ -41,58 +90,126 @@ async function calculateIntegrity(content: string | ArrayBuffer): Promise<string
  */
 async function fetchAndCalculateIntegrity(url: string): Promise<string> {
   const response = await fetch(url);
-  const content = await response.text();
+  if (!response.ok) {
+    throw new FetchFailedError(`Failed to fetch module: ${response.statusText}`, { url });
+  }
+  const content = await response.arrayBuffer();
   return calculateIntegrity(content);
 }
 
+/**
+ * Get the base URL that import map entries resolve against
+ * @returns Document base URL
+ */
+function getBaseURL(): string {
+  return document.baseURI;
+}
+
+// Normalized import maps, by import map object and base URL, so that each
+// map is parsed, and its warnings reported, once rather than on every lookup.
+// Import maps are treated as immutable once they have been used.
+const normalizedImportMaps = new WeakMap<ImportMap, Map<string, ReturnType<typeof normalizeImportMap>>>();
+
+/**
+ * Normalize an import map against a base URL, reusing earlier results
+ * @param importMap Import map
+ * @param baseURL Base URL of the import map
+ * @returns Normalized import map
+ */
+function getNormalizedImportMap(importMap: ImportMap, baseURL: string): ReturnType<typeof normalizeImportMap> {
+  let byBaseURL = normalizedImportMaps.get(importMap);
+  if (!byBaseURL) {
+    byBaseURL = new Map();
+    normalizedImportMaps.set(importMap, byBaseURL);
+  }
+  let normalized = byBaseURL.get(baseURL);
+  if (!normalized) {
+    normalized = normalizeImportMap(importMap, baseURL);
+    byBaseURL.set(baseURL, normalized);
+  }
+  return normalized;
+}
+
 /**
  * Resolve a module specifier to a URL using an import map
+ * Follows the WHATWG resolution algorithm, including scopes and
+ * trailing-slash prefix matches
  * @param specifier Module specifier
  * @param importMap Import map
- * @returns Resolved URL or original specifier if not in import map
+ * @param baseURL URL of the referring script, defaults to the document base URL
+ * @returns Resolved absolute URL
  */
-function resolveModuleSpecifier(specifier: string, importMap: ImportMap): string {
-  if (importMap.imports && specifier in importMap.imports) {
-    return importMap.imports[specifier];
-  }
-  return specifier;
+function resolveModuleSpecifier(
+  specifier: string,
+  importMap: ImportMap,
+  baseURL: string = getBaseURL()
+): string {
+  const normalized = getNormalizedImportMap(importMap, baseURL);
+  return resolveWithImportMap(specifier, normalized, baseURL).href;
 }
 
 /**
  * Check if a module has an integrity hash in the import map
- * @param url Module URL
+ * @param url Module URL or bare specifier
  * @param importMap Import map
+ * @param baseURL Base URL of the import map, defaults to the document base URL
  * @returns Boolean indicating if the module has an integrity hash
  */
-function hasIntegrityCheck(url: string, importMap: ImportMap): boolean {
-  return !!(importMap.integrity && importMap.integrity[url]);
+function hasIntegrityCheck(url: string, importMap: ImportMap, baseURL: string = getBaseURL()): boolean {
+  return !!getIntegrityHash(url, importMap, baseURL);
 }
 
 /**
  * Get the integrity hash for a module URL from the import map
- * @param url Module URL
+ * URL keys are compared after resolving against the base URL; keys that are
+ * not URL-like (bare specifiers) only match exactly.
+ * @param url Module URL or bare specifier
  * @param importMap Import map
+ * @param baseURL Base URL of the import map, defaults to the document base URL
  * @returns Integrity hash or undefined if not found
  */
-function getIntegrityHash(url: string, importMap: ImportMap): string | undefined {
+function getIntegrityHash(
+  url: string,
+  importMap: ImportMap,
+  baseURL: string = getBaseURL()
+): string | undefined {
+  let resolvedUrl: URL | null = null;
+  try {
+    resolvedUrl = new URL(url, baseURL);
+  } catch {
+    // Not a URL, fall back to an exact key match
+  }
+
+  if (resolvedUrl) {
+    const normalized = getNormalizedImportMap(importMap, baseURL);
+    const integrity = resolveModuleIntegrity(resolvedUrl, normalized);
+    if (integrity) {
+      return integrity;
+    }
+  }
+
   return importMap.integrity?.[url];
 }
 
 /**
  * Verify module integrity
+ * The strongest algorithm listed in the metadata is used, and the module
+ * passes if it matches any of that algorithm's digests. Use
+ * checkModuleIntegrity to get the ModuleIntegrityError explaining a failure.
  * @param url Module URL
- * @param expectedHash Expected integrity hash
+ * @param expectedHash Expected integrity metadata
  * @returns Promise resolving to boolean indicating if integrity is valid
+ * @throws Errors other than ModuleIntegrityErrors
  */
 async function verifyIntegrity(url: string, expectedHash: string): Promise<boolean> {
   try {
-    const response = await fetch(url);
-    const content = await response.text();
-    const actualHash = await calculateIntegrity(content);
-    return actualHash === expectedHash;
+    await checkModuleIntegrity(url, expectedHash);
+    return true;
   } catch (error) {
-    console.error(`Error verifying integrity for ${url}:`, error);
-    return false;
+    if (isModuleIntegrityError(error)) {
+      return false;
+    }
+    throw error;
   }
 }
 
@@ -101,83 +218,126 @@ async function verifyIntegrity(url: string, expectedHash: string): Promise<boole
  * @param specifier Module specifier
  * @param importMap Import map
  * @returns Promise resolving to imported module
+ * @throws IntegrityMismatchError, UnsupportedAlgorithmError or FetchFailedError
  */
 async function importWithIntegrity<T>(specifier: string, importMap: ImportMap): Promise<T> {
   // Resolve the specifier to a URL using the import map
   const resolvedUrl = resolveModuleSpecifier(specifier, importMap);
   
   // Check if the resolved URL has an integrity hash
-  const integrity = getIntegrityHash(resolvedUrl, importMap);
-  
-  if (integrity) {
-    // Verify integrity before importing
-    const isValid = await verifyIntegrity(resolvedUrl, integrity);
-    if (!isValid) {
-      throw new Error(`Integrity check failed for module: ${resolvedUrl}`);
-    }
-  } else {
+  let integrity = getIntegrityHash(resolvedUrl, importMap);
+
+  if (!integrity) {
     // If no direct integrity hash for the resolved URL, check if there's a bare specifier
     // that resolves to this URL and has an integrity hash
     for (const [bareSpecifier, targetUrl] of Object.entries(importMap.imports || {})) {
-      if (targetUrl === resolvedUrl && hasIntegrityCheck(bareSpecifier, importMap)) {
-        throw new Error(`Integrity check failed for module: ${resolvedUrl} (via ${bareSpecifier})`);
+      if (
+        importMap.integrity?.[bareSpecifier] &&
+        new URL(targetUrl, getBaseURL()).href === resolvedUrl
+      ) {
+        integrity = importMap.integrity[bareSpecifier];
+        break;
       }
     }
   }
+
+  if (integrity) {
+    // Verify integrity before importing; failures carry url, expected and actual
+    await checkModuleIntegrity(resolvedUrl, integrity);
+  }
   
   // Import the module if integrity check passed or no integrity hash found
   return import(resolvedUrl) as Promise<T>;
 }
 
+/**
+ * Check an import map against the spec's parsing rules and the integrity
+ * section's semantics; in development, warnings are logged with their JSON paths
+ * @param importMap Import map
+ * @returns The same import map
+ * @throws ImportMapParseError With error.diagnostics, if the map has errors
+ */
+function checkImportMap(importMap: ImportMap): ImportMap {
+  assertValidImportMap(importMap, { baseURL: getBaseURL() });
+  warnImportMapDiagnostics(importMap, { baseURL: getBaseURL() });
+  return importMap;
+}
+
 /**
  * Parse an import map from JSON
  * @param json Import map JSON
  * @returns Parsed import map
+ * @throws ImportMapParseError If the JSON is invalid, not an object, or
+ *   fails schema validation
  */
 function parseImportMap(json: string): ImportMap {
-  try {
-    return JSON.parse(json) as ImportMap;
-  } catch (error) {
-    console.error('Error parsing import map:', error);
-    throw error;
-  }
+  return checkImportMap(parseImportMapText(json) as ImportMap);
 }
 
 /**
  * Load import map from a URL
  * @param url Import map URL
+ * @param trustedKeys Pinned public keys; when given, the map's detached
+ *   signature (url + ".sig") must verify against one of them
  * @returns Promise resolving to import map
+ * @throws MissingImportMapError, FetchFailedError, ImportMapParseError (also
+ *   for schema errors) or SignatureVerificationError
  */
-async function loadImportMap(url: string): Promise<ImportMap> {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to load import map: ${response.statusText}`);
-  }
-  const json = await response.text();
-  return parseImportMap(json);
+async function loadImportMap(
+  url: string,
+  trustedKeys?: TrustedKey | TrustedKey[],
+): Promise<ImportMap> {
+  const importMap = trustedKeys
+    ? await fetchSignedImportMap(url, { trustedKeys })
+    : await fetchImportMap(url);
+  return checkImportMap(importMap);
 }
 
 /**
  * Apply import map to document
+ * Existing import maps are kept; entries they already define are ignored,
+ * as browsers do, and returned as conflicts.
  * @param importMap Import map to apply
+ * @param options Merge options
+ * @returns Entries added and conflicts
  */
-function applyImportMap(importMap: ImportMap): void {
-  const script = document.createElement('script');
-  script.type = 'importmap';
-  script.textContent = JSON.stringify(importMap);
-  document.head.appendChild(script);
+function applyImportMap(
+  importMap: ImportMap,
+  options: MergeImportMapsOptions = {}
+): MergedImportMap {
+  return applyImportMapToDocument(importMap, {
+    baseURL: getBaseURL(),
+    ...options,
+  });
 }
 
 // Export functions
 export {
   ImportMap,
   ImportMapEntry,
+  ImportMapDiagnostic,
+  validateImportMap,
+  ImportMapConflict,
+  MergeImportMapsOptions,
+  MergedImportMap,
+  mergeImportMaps,
+  ERROR_CODES,
+  ModuleIntegrityError,
+  IntegrityMismatchError,
+  UnsupportedAlgorithmError,
+  FetchFailedError,
+  ImportMapParseError,
+  MissingImportMapError,
+  SignatureVerificationError,
+  ImportMapConflictError,
+  isModuleIntegrityError,
   calculateIntegrity,
   fetchAndCalculateIntegrity,
   resolveModuleSpecifier,
   hasIntegrityCheck,
   getIntegrityHash,
   verifyIntegrity,
+  checkModuleIntegrity,
   importWithIntegrity,
   parseImportMap,
   loadImportMap,
@@ -0,0 +1,150 @@
+// integrity-error-boundary.js - Error boundary for module integrity failures
+const { Component, createElement } = require("react");
+const { ERROR_CODES, isModuleIntegrityError } = require("./integrity-errors");
+
+/**
+ * Whether two resetKeys arrays differ
+ * @param {Array} [previous] - Previous keys
+ * @param {Array} [next] - Next keys
+ * @returns {boolean} Whether any key changed
+ */
+function resetKeysChanged(previous = [], next = []) {
+	return (
+		previous.length !== next.length ||
+		previous.some((key, index) => !Object.is(key, next[index]))
+	);
+}
+
+/**
+ * Whether an error means some bytes did not match what was expected
+ * Fetch failures, unsupported algorithms and invalid import maps are load
+ * failures rather than signs of tampering.
+ * @param {Error} error - Caught ModuleIntegrityError
+ * @returns {boolean} Whether the error reports mismatched bytes or a bad signature
+ */
+function indicatesTampering(error) {
+	switch (error.code) {
+		case ERROR_CODES.INTEGRITY_MISMATCH:
+		case ERROR_CODES.SIGNATURE_INVALID:
+			return true;
+		case ERROR_CODES.MODULE_GRAPH_INVALID:
+			return Boolean(
+				error.report?.failures.some((failure) => failure.status === "mismatch"),
+			);
+		default:
+			return false;
+	}
+}
+
+/**
+ * Error boundary for module integrity failures
+ * Catches ModuleIntegrityErrors thrown during render, by lazy components
+ * while suspended, and by useModuleWithIntegrity with `throwOnError`. Other
+ * errors are passed on to the next boundary up.
+ *
+ * Props:
+ * - fallback(error, retry): renders the failure; a default notice otherwise,
+ *   which only warns of tampering for integrity or signature mismatches
+ * - onError(error, info): called once per caught error, e.g. to report it
+ * - onReset(): called before the children are rendered again
+ * - resetKeys: rendering the children again when any of them changes
+ */
+class IntegrityErrorBoundary extends Component {
+	constructor(props) {
+		super(props);
+		this.state = { error: null };
+		this.retry = this.retry.bind(this);
+	}
+
+	static getDerivedStateFromError(error) {
+		return { error };
+	}
+
+	componentDidCatch(error, info) {
+		if (isModuleIntegrityError(error) && this.props.onError) {
+			this.props.onError(error, info);
+		}
+	}
+
+	componentDidUpdate(prevProps) {
+		if (
+			this.state.error &&
+			resetKeysChanged(prevProps.resetKeys, this.props.resetKeys)
+		) {
+			this.retry();
+		}
+	}
+
+	/**
+	 * Renders the children again, e.g. after the import map was reloaded
+	 */
+	retry() {
+		if (this.props.onReset) {
+			this.props.onReset();
+		}
+		this.setState({ error: null });
+	}
+
+	render() {
+		const { error } = this.state;
+		if (!error) {
+			return this.props.children;
+		}
+		if (!isModuleIntegrityError(error)) {
+			// Not ours: let an outer boundary handle it
+			throw error;
+		}
+
+		if (this.props.fallback) {
+			return this.props.fallback(error, this.retry);
+		}
+
+		const tampered = indicatesTampering(error);
+		return createElement(
+			"div",
+			{
+				role: "alert",
+				style: {
+					padding: "20px",
+					margin: "20px",
+					border: "1px solid #f44336",
+					borderRadius: "4px",
+					backgroundColor: "#ffebee",
+				},
+			},
+			createElement(
+				"h2",
+				null,
+				tampered ? "Module Integrity Error" : "Module Load Error",
+			),
+			createElement(
+				"p",
+				null,
+				tampered
+					? "A security issue has been detected. One or more scripts may have been tampered with."
+					: "One or more scripts could not be loaded.",
+			),
+			createElement(
+				"p",
+				null,
+				createElement("strong", null, "Error:"),
+				" ",
+				error.message,
+			),
+			createElement(
+				"button",
+				{ type: "button", onClick: this.retry },
+				"Try Again",
+			),
+			createElement(
+				"button",
+				{ type: "button", onClick: () => window.location.reload() },
+				"Reload Application",
+			),
+		);
+	}
+}
+
+module.exports = {
+	IntegrityErrorBoundary,
+};
@@ -0,0 +1,182 @@
+// integrity-errors.js - Errors thrown when loading or verifying modules and import maps
+//
+// Shared by the runtime and build code, so that callers (and React error
+// boundaries) can recognise failures by type, or branch on error.code,
+// rather than by matching message strings. Every class extends
+// ModuleIntegrityError.
+
+// Values of error.code
+const ERROR_CODES = {
+	INTEGRITY: "ERR_MODULE_INTEGRITY",
+	INTEGRITY_MISMATCH: "ERR_INTEGRITY_MISMATCH",
+	UNSUPPORTED_ALGORITHM: "ERR_UNSUPPORTED_ALGORITHM",
+	FETCH_FAILED: "ERR_FETCH_FAILED",
+	IMPORT_MAP_PARSE: "ERR_IMPORT_MAP_PARSE",
+	IMPORT_MAP_MISSING: "ERR_IMPORT_MAP_MISSING",
+	SIGNATURE_INVALID: "ERR_SIGNATURE_INVALID",
+	MODULE_GRAPH_INVALID: "ERR_MODULE_GRAPH_INVALID",
+	IMPORT_MAP_CONFLICT: "ERR_IMPORT_MAP_CONFLICT",
+};
+
+/**
+ * Details attached to a ModuleIntegrityError
+ * @typedef {Object} ModuleIntegrityErrorDetails
+ * @property {string} [url] - URL of the module or import map concerned
+ * @property {string|null} [expected] - Integrity metadata from the import map
+ * @property {string|null} [actual] - Integrity of the bytes received
+ * @property {string|null} [algorithm] - Hash algorithm the check used, or the unsupported one
+ * @property {string} [status] - Failure status, as in graph reports: "mismatch", "unsupported" or "error"
+ * @property {*} [cause] - Underlying error
+ * @property {import("./module-graph").ModuleGraphReport} [report] - Graph report, for graph verification failures
+ * @property {import("./import-map-schema").ImportMapDiagnostic[]} [diagnostics] - Schema errors, for invalid import maps
+ * @property {import("./import-map-merge").ImportMapConflict[]} [conflicts] - Conflicting entries, for import maps that cannot be merged
+ */
+
+/**
+ * Base class of every error in this library
+ * Thrown directly for failures no subclass describes, such as build
+ * invariants.
+ */
+class ModuleIntegrityError extends Error {
+	/**
+	 * @param {string} message - Error message
+	 * @param {ModuleIntegrityErrorDetails} [details] - Structured details
+	 */
+	constructor(message, details = {}) {
+		const { cause, ...fields } = details;
+		super(message, cause === undefined ? undefined : { cause });
+		this.name = "ModuleIntegrityError";
+		this.code = ERROR_CODES.INTEGRITY;
+		Object.assign(this, fields);
+	}
+}
+
+/**
+ * Bytes did not match the integrity metadata they were checked against
+ */
+class IntegrityMismatchError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, { status: "mismatch", ...details });
+		this.name = "IntegrityMismatchError";
+		this.code = ERROR_CODES.INTEGRITY_MISMATCH;
+	}
+}
+
+/**
+ * Integrity metadata lists no algorithm this library can check
+ */
+class UnsupportedAlgorithmError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, { status: "unsupported", ...details });
+		this.name = "UnsupportedAlgorithmError";
+		this.code = ERROR_CODES.UNSUPPORTED_ALGORITHM;
+	}
+}
+
+/**
+ * A module, import map or signature could not be fetched or read
+ */
+class FetchFailedError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, { status: "error", ...details });
+		this.name = "FetchFailedError";
+		this.code = ERROR_CODES.FETCH_FAILED;
+	}
+}
+
+/**
+ * An import map is not valid JSON, or not a JSON object
+ */
+class ImportMapParseError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = "ImportMapParseError";
+		this.code = ERROR_CODES.IMPORT_MAP_PARSE;
+	}
+}
+
+/**
+ * An import map that was required does not exist
+ */
+class MissingImportMapError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = "MissingImportMapError";
+		this.code = ERROR_CODES.IMPORT_MAP_MISSING;
+	}
+}
+
+/**
+ * An import map's detached signature did not verify against a trusted key
+ */
+class SignatureVerificationError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = "SignatureVerificationError";
+		this.code = ERROR_CODES.SIGNATURE_INVALID;
+	}
+}
+
+/**
+ * One or more modules in a dependency graph failed verification
+ * The graph report, on error.report, lists each failure.
+ */
+class ModuleGraphError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = "ModuleGraphError";
+		this.code = ERROR_CODES.MODULE_GRAPH_INVALID;
+	}
+}
+
+/**
+ * Import maps being merged list different integrity for the same URL
+ */
+class ImportMapConflictError extends ModuleIntegrityError {
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = "ImportMapConflictError";
+		this.code = ERROR_CODES.IMPORT_MAP_CONFLICT;
+	}
+}
+
+// Names recognised by isModuleIntegrityError
+const ERROR_NAMES = new Set([
+	"ModuleIntegrityError",
+	"IntegrityMismatchError",
+	"UnsupportedAlgorithmError",
+	"FetchFailedError",
+	"ImportMapParseError",
+	"MissingImportMapError",
+	"SignatureVerificationError",
+	"ModuleGraphError",
+	"ImportMapConflictError",
+]);
+
+/**
+ * Whether a value is a ModuleIntegrityError, or one of its subclasses
+ * Also recognises errors from another copy of this module, e.g. one
+ * bundled separately, by name.
+ * @param {*} error - Value to check
+ * @returns {boolean} Whether it is an integrity error
+ */
+function isModuleIntegrityError(error) {
+	return (
+		error instanceof ModuleIntegrityError ||
+		(error instanceof Error && ERROR_NAMES.has(error.name))
+	);
+}
+
+module.exports = {
+	ERROR_CODES,
+	ModuleIntegrityError,
+	IntegrityMismatchError,
+	UnsupportedAlgorithmError,
+	FetchFailedError,
+	ImportMapParseError,
+	MissingImportMapError,
+	SignatureVerificationError,
+	ModuleGraphError,
+	ImportMapConflictError,
+	isModuleIntegrityError,
+};
@@ -0,0 +1,130 @@
+// lazy-with-integrity.js - Suspense-compatible components loaded with integrity verification
+//
+// Works like React.lazy: concurrent loads of the same specifier share one
+// verification, and a failed load keeps its error, so every render until a
+// reset throws it to the error boundary. React renders again right after an
+// error; starting a new load there would suspend instead, and the boundary
+// would never see the failure. Call the component's reset(), e.g. from the
+// boundary's onReset, to verify again.
+const { createElement, forwardRef } = require("react");
+
+/**
+ * Options for lazyWithIntegrity and preloadWithIntegrity
+ * @typedef {Object} LazyWithIntegrityOptions
+ * @property {"url"|"blob"|"data"} [evaluateAs] - How the verified module is evaluated
+ * @property {boolean} [verifyGraph] - Verify the whole dependency graph first (default true)
+ */
+
+/**
+ * A load shared by every component and preload of one specifier
+ * @typedef {Object} LoadRecord
+ * @property {"pending"|"resolved"|"rejected"} status - Load state
+ * @property {*} value - Module namespace, or the error
+ * @property {Promise<*>} promise - Settles with the load
+ */
+
+/**
+ * Creates lazyWithIntegrity and preloadWithIntegrity for an import function
+ * @param {function(string, LazyWithIntegrityOptions): Promise<*>} importWithIntegrity - Verifying import
+ * @returns {{lazyWithIntegrity: Function, preloadWithIntegrity: Function}} Bound helpers
+ */
+function createLazyWithIntegrity(importWithIntegrity) {
+	const records = new Map();
+
+	function cacheKey(specifier, options) {
+		return `${specifier} ${options.evaluateAs || "url"} ${options.verifyGraph !== false}`;
+	}
+
+	function load(specifier, options) {
+		const key = cacheKey(specifier, options);
+		let record = records.get(key);
+
+		if (!record) {
+			record = { status: "pending", value: undefined };
+			record.promise = importWithIntegrity(specifier, options).then(
+				(module) => {
+					record.status = "resolved";
+					record.value = module;
+					return module;
+				},
+				(error) => {
+					record.status = "rejected";
+					record.value = error;
+					throw error;
+				},
+			);
+			// Rendering reads the status; the rejection is handled there
+			record.promise.catch(() => {});
+			records.set(key, record);
+		}
+
+		return record;
+	}
+
+	/**
+	 * Starts verifying and importing a module before it renders, e.g. when a
+	 * link to its route is hovered. Concurrent calls share one load.
+	 * @param {string} specifier - Module specifier
+	 * @param {LazyWithIntegrityOptions} [options] - Import options
+	 * @returns {Promise<*>} Module namespace
+	 */
+	function preloadWithIntegrity(specifier, options = {}) {
+		return load(specifier, options).promise;
+	}
+
+	/**
+	 * Creates a component that suspends while its module is verified and
+	 * imported, then renders one of its exports
+	 * Render it inside <Suspense>. Integrity failures are thrown to the
+	 * nearest error boundary. On the server it renders the Suspense
+	 * fallback, and the client renders the component.
+	 * @param {string} specifier - Module specifier
+	 * @param {string} [exportName="default"] - Export holding the component
+	 * @param {LazyWithIntegrityOptions} [options] - Import options
+	 * @returns {Object} Component, with preload() and reset() methods
+	 */
+	function lazyWithIntegrity(specifier, exportName = "default", options = {}) {
+		const key = cacheKey(specifier, options);
+
+		const LazyComponent = forwardRef(function LazyWithIntegrity(props, ref) {
+			if (typeof window === "undefined") {
+				// Inside <Suspense>, React renders the fallback and retries on the client
+				throw new Error(
+					`lazyWithIntegrity(${JSON.stringify(specifier)}) only renders on the client`,
+				);
+			}
+
+			const record = load(specifier, options);
+			if (record.status === "pending") {
+				throw record.promise;
+			}
+			if (record.status === "rejected") {
+				throw record.value;
+			}
+
+			const Component = record.value[exportName];
+			if (Component === undefined) {
+				throw new Error(
+					`Module ${JSON.stringify(specifier)} has no export named "${exportName}"`,
+				);
+			}
+			return createElement(Component, ref ? { ...props, ref } : props);
+		});
+
+		LazyComponent.displayName = `LazyWithIntegrity(${specifier})`;
+		LazyComponent.preload = () => preloadWithIntegrity(specifier, options);
+		// Forgets a failed load, so the next render verifies again
+		LazyComponent.reset = () => {
+			if (records.get(key)?.status === "rejected") {
+				records.delete(key);
+			}
+		};
+		return LazyComponent;
+	}
+
+	return { lazyWithIntegrity, preloadWithIntegrity };
+}
+
+module.exports = {
+	createLazyWithIntegrity,
+};
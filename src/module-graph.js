@@ -0,0 +1,266 @@
+// module-graph.js - Verify a module and everything it imports before evaluation
+//
+// The browser loads a module's static imports on its own, without checking
+// them against the import map's integrity table. This walks the graph first:
+// each module is fetched, checked, and lexed for further imports, so a bad
+// dependency is found before any code in the graph runs. Modules without
+// integrity metadata are only recorded: the browser fetches them anyway, so
+// fetching them here too would cost every import a second request.
+const { resolveURLLikeModuleSpecifier } = require("./import-map-resolver");
+const { digestBytes } = require("./integrity-digest");
+const { lexModule } = require("./module-lexer");
+const {
+	SUPPORTED_ALGORITHMS,
+	formatIntegrity,
+	getStrongestAlgorithm,
+	matchesIntegrityMetadata,
+} = require("./sri-metadata");
+
+// Content types that are fetched and hashed but never lexed for imports
+const NON_SCRIPT_CONTENT_TYPE = /json|css|wasm/i;
+
+/**
+ * Options for verifyModuleGraph
+ * @typedef {Object} ModuleGraphOptions
+ * @property {function(string, string): string} [resolve] - Resolves a specifier against the importing module URL; may throw for blocked or unmapped specifiers
+ * @property {function(string): (string|undefined)} [getIntegrity] - Integrity metadata for a module URL
+ * @property {function(string): Promise<Response>} [fetch] - Fetch implementation
+ * @property {boolean} [includeDynamic] - Also follow import() calls with string literal specifiers (default true)
+ * @property {boolean} [requireIntegrity] - Treat modules without integrity metadata as failures (default false)
+ * @property {boolean} [followUnchecked] - Fetch modules without integrity metadata to follow their
+ *   imports, and check the modules they import (default false, or true with requireIntegrity)
+ * @property {boolean} [keepSources] - Keep the source of each verified module in the report's `sources`,
+ *   so it can be evaluated without fetching it again (default false)
+ */
+
+/**
+ * Verification result for one module in the graph
+ * @typedef {Object} ModuleReport
+ * @property {string|null} url - Module URL; null if the specifier could not be resolved
+ * @property {string|null} specifier - Specifier the module was first imported with; null for the entry
+ * @property {string|null} importer - URL of the module that first imported it; null for the entry
+ * @property {"verified"|"unchecked"|"mismatch"|"unsupported"|"unresolved"|"error"} status - Verification outcome;
+ *   an unresolved import() is reported but does not fail the graph, since it may never run
+ * @property {boolean} [dynamic] - For unresolved specifiers, whether they came from import()
+ * @property {string} [expected] - Integrity metadata from the import map
+ * @property {string} [actual] - Integrity of the fetched bytes, for the strongest expected algorithm
+ * @property {string[]} dependencies - URLs of static imports
+ * @property {string[]} dynamicDependencies - URLs of import() calls with string literal specifiers
+ * @property {number} computedImports - Number of import() calls whose specifier is not a literal
+ * @property {string} [error] - Failure description; for unchecked modules, why they could not be followed
+ */
+
+/**
+ * Verification result for a module graph
+ * @typedef {Object} ModuleGraphReport
+ * @property {string} entry - Entry module URL
+ * @property {boolean} valid - Whether every module passed
+ * @property {ModuleReport[]} modules - One report per module, in discovery order
+ * @property {ModuleReport[]} failures - Reports of modules that did not pass
+ * @property {Map<string, import("./verified-import").VerifiedModuleSource>} [sources] - Source of each
+ *   verified script module, by URL, with keepSources
+ */
+
+/**
+ * Default resolver: URL-like specifiers resolve against the importing
+ * module, bare specifiers need an import map
+ * @param {string} specifier - Imported specifier
+ * @param {string} importerURL - Importing module URL
+ * @returns {string} Resolved URL
+ * @throws {TypeError} For bare specifiers
+ */
+function resolveWithoutImportMap(specifier, importerURL) {
+	const url = resolveURLLikeModuleSpecifier(specifier, importerURL);
+	if (!url) {
+		throw new TypeError(
+			`Bare specifier "${specifier}" was not remapped to anything.`,
+		);
+	}
+	return url.href;
+}
+
+/**
+ * Checks whether a module report counts as a failure
+ * @param {ModuleReport} report - Module report
+ * @param {boolean} requireIntegrity - Whether unchecked modules fail
+ * @returns {boolean} Whether the module failed
+ */
+function isFailure(report, requireIntegrity) {
+	if (report.status === "unchecked") {
+		return requireIntegrity;
+	}
+	if (report.status === "unresolved" && report.dynamic) {
+		return false;
+	}
+	return report.status !== "verified";
+}
+
+/**
+ * Fetches, verifies and lexes every module reachable from an entry module
+ * Modules are fetched once each, in parallel, and cycles are followed only
+ * once. Imports of a module that fails verification are not followed, since
+ * its bytes cannot be trusted to name them, and neither are those of
+ * unchecked modules unless followUnchecked is set.
+ * @param {string} entryURL - Absolute URL of the entry module
+ * @param {ModuleGraphOptions} [options] - Verification options
+ * @returns {Promise<ModuleGraphReport>} Per-module report
+ */
+async function verifyModuleGraph(entryURL, options = {}) {
+	const {
+		resolve = resolveWithoutImportMap,
+		getIntegrity = () => undefined,
+		fetch: fetchImpl = fetch,
+		includeDynamic = true,
+		requireIntegrity = false,
+		followUnchecked = requireIntegrity,
+		keepSources = false,
+	} = options;
+	const modules = new Map();
+	const sources = new Map();
+	const unresolved = [];
+
+	const visit = async (url, specifier, importer) => {
+		if (modules.has(url)) {
+			return;
+		}
+
+		const expected = getIntegrity(url);
+		const report = {
+			url,
+			specifier,
+			importer,
+			status: expected ? "verified" : "unchecked",
+			expected,
+			dependencies: [],
+			dynamicDependencies: [],
+			computedImports: 0,
+		};
+		modules.set(url, report);
+
+		if (!expected && !followUnchecked) {
+			return;
+		}
+
+		let algorithm = null;
+		if (expected) {
+			algorithm = getStrongestAlgorithm(expected);
+			if (!algorithm) {
+				report.status = "unsupported";
+				report.error = `Unsupported hash algorithm. Supported algorithms: ${SUPPORTED_ALGORITHMS.join(", ")}.`;
+				return;
+			}
+		}
+
+		let response;
+		let bytes;
+		try {
+			response = await fetchImpl(url);
+			if (!response.ok) {
+				throw new Error(`Failed to fetch module: ${response.statusText}`);
+			}
+			bytes = new Uint8Array(await response.arrayBuffer());
+		} catch (error) {
+			// Unchecked modules fail only through requireIntegrity
+			if (expected) {
+				report.status = "error";
+			}
+			report.error = error.message;
+			return;
+		}
+
+		if (algorithm) {
+			const digest = await digestBytes(bytes, algorithm);
+			report.actual = formatIntegrity(algorithm, digest);
+			if (!matchesIntegrityMetadata(expected, algorithm, digest)) {
+				report.status = "mismatch";
+				report.error = `Integrity check failed for module: ${url}`;
+				return;
+			}
+		}
+
+		const contentType = response.headers?.get("content-type") || "";
+		if (NON_SCRIPT_CONTENT_TYPE.test(contentType)) {
+			return;
+		}
+
+		const source = new TextDecoder("utf-8").decode(bytes);
+		const { imports } = lexModule(source);
+		const resolved = {};
+		if (keepSources && algorithm) {
+			sources.set(url, { url, integrity: expected, source, resolved });
+		}
+		const pending = [];
+		for (const entry of imports) {
+			if (entry.specifier === null) {
+				report.computedImports++;
+				continue;
+			}
+			if (entry.dynamic && !includeDynamic) {
+				continue;
+			}
+
+			let dependencyURL;
+			try {
+				dependencyURL = resolve(entry.specifier, url);
+			} catch (error) {
+				unresolved.push({
+					url: null,
+					specifier: entry.specifier,
+					importer: url,
+					status: "unresolved",
+					dynamic: entry.dynamic,
+					dependencies: [],
+					dynamicDependencies: [],
+					computedImports: 0,
+					error: error.message,
+				});
+				continue;
+			}
+			resolved[entry.specifier] = dependencyURL;
+
+			const list = entry.dynamic
+				? report.dynamicDependencies
+				: report.dependencies;
+			if (!list.includes(dependencyURL)) {
+				list.push(dependencyURL);
+			}
+			pending.push(visit(dependencyURL, entry.specifier, url));
+		}
+
+		await Promise.all(pending);
+	};
+
+	await visit(entryURL, null, null);
+
+	const reports = [...modules.values(), ...unresolved];
+	const failures = reports.filter((report) =>
+		isFailure(report, requireIntegrity),
+	);
+
+	return {
+		entry: entryURL,
+		valid: failures.length === 0,
+		modules: reports,
+		failures,
+		...(keepSources ? { sources } : {}),
+	};
+}
+
+/**
+ * Formats the failures of a graph report as a single error message
+ * @param {ModuleGraphReport} report - Graph report
+ * @returns {string} Error message
+ */
+function describeGraphFailures(report) {
+	const lines = report.failures.map((failure) => {
+		const target = failure.url || failure.specifier;
+		const via = failure.importer ? ` (imported by ${failure.importer})` : "";
+		return `  ${failure.status}: ${target}${via}${failure.error ? ` - ${failure.error}` : ""}`;
+	});
+	return `Module graph verification failed for ${report.entry}:\n${lines.join("\n")}`;
+}
+
+module.exports = {
+	verifyModuleGraph,
+	describeGraphFailures,
+};
@@ -1,41 +1,95 @@
-// module-integrity-client.js - Updated for NextJS v15 with SHA-384 only
+// module-integrity-client.js - Updated for NextJS v15 with SHA-256/384/512 support
 import { useEffect, useState } from "react";
+import { fetchImportMap } from "./import-map-fetch";
+import {
+	applyImportMapToDocument,
+	mergeImportMaps,
+	readDocumentImportMap,
+	readImportMapScripts,
+} from "./import-map-merge";
+import {
+	parseImportMap,
+	resolveModuleIntegrity,
+	resolveModuleSpecifier,
+} from "./import-map-resolver";
+import { fetchSignedImportMap } from "./import-map-signature";
+import { digestBytes } from "./integrity-digest";
+import { IntegrityErrorBoundary } from "./integrity-error-boundary";
+import {
+	ERROR_CODES,
+	FetchFailedError,
+	ImportMapConflictError,
+	ImportMapParseError,
+	IntegrityMismatchError,
+	MissingImportMapError,
+	ModuleGraphError,
+	ModuleIntegrityError,
+	SignatureVerificationError,
+	UnsupportedAlgorithmError,
+	isModuleIntegrityError,
+} from "./integrity-errors";
+import { createLazyWithIntegrity } from "./lazy-with-integrity";
+import { describeGraphFailures, verifyModuleGraph } from "./module-graph";
+import {
+	DEFAULT_ALGORITHM,
+	formatIntegrity,
+	normalizeAlgorithms,
+} from "./sri-metadata";
+import { onModuleIntegrityViolation } from "./trusted-import-map";
+import {
+	checkModuleIntegrity,
+	evaluateVerifiedModules,
+	importVerifiedModule,
+} from "./verified-import";
+import {
+	createViolationReporter,
+	violationsFromError,
+} from "./violation-reporter";
+
+// Normalized form of the last import maps read from the document
+let normalizedImportMapCache = { source: null, importMap: null };
+
+// Reporter set up by configureViolationReporting, if any
+let violationReporter = null;
 
 /**
  * Gets the import map from the document
+ * A document with several import maps gets them merged in document order,
+ * earlier entries winning. In development, problems with each map are
+ * logged once as warnings with their JSON paths.
  * @returns {Object|null} Import map or null if not found
  */
 export function getImportMap() {
 	if (typeof document === "undefined") return null;
 
-	const script = document.querySelector('script[type="importmap"]');
-	if (!script || !script.textContent) {
-		return null;
-	}
-
-	try {
-		return JSON.parse(script.textContent);
-	} catch (error) {
-		console.error("Error parsing import map:", error);
-		return null;
-	}
+	return readDocumentImportMap(document, { baseURL: getBaseURL() });
 }
 
+/**
+ * Options for loading an import map
+ * @typedef {Object} LoadImportMapOptions
+ * @property {import("./import-map-signature").TrustedKey|import("./import-map-signature").TrustedKey[]} [trustedKeys]
+ *   Pinned public keys. When set, the map is only applied if its detached
+ *   signature verifies against one of them.
+ * @property {string} [signatureUrl] Signature URL (default: url + ".sig")
+ */
+
 /**
  * Loads and applies the import map from a URL
  * @param {string} url URL to load the import map from
+ * @param {LoadImportMapOptions} [options] Signature verification options
  * @returns {Promise<Object>} The loaded import map
+ * @throws {ModuleIntegrityError} MissingImportMapError, FetchFailedError,
+ *   ImportMapParseError or SignatureVerificationError
  */
-export async function loadImportMap(url = "/importmap.json") {
+export async function loadImportMap(url = "/importmap.json", options = {}) {
 	if (typeof window === "undefined") return null;
 
 	try {
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`Failed to fetch import map: ${response.statusText}`);
-		}
+		const importMap = options.trustedKeys
+			? await fetchSignedImportMap(url, options)
+			: await fetchImportMap(url);
 
-		const importMap = await response.json();
 		applyImportMap(importMap);
 		return importMap;
 	} catch (error) {
@@ -46,61 +100,107 @@ export async function loadImportMap(url = "/importmap.json") {
 
 /**
  * Applies an import map to the document
+ * Import maps already in the document are kept: the entries of this map
+ * that they do not define are added in a new import map, and the ones they
+ * do define are logged and ignored, as browsers do.
  * @param {Object} importMap Import map to apply
+ * @param {import("./import-map-merge").MergeImportMapsOptions} [options] Merge options
+ * @returns {import("./import-map-merge").MergedImportMap|null} Entries added and
+ *   conflicts, or null on the server
  */
-export function applyImportMap(importMap) {
-	if (typeof document === "undefined") return;
+export function applyImportMap(importMap, options = {}) {
+	if (typeof document === "undefined") return null;
 
-	// Remove existing import map if any
-	const existingScript = document.querySelector('script[type="importmap"]');
-	if (existingScript) {
-		existingScript.remove();
-	}
+	return applyImportMapToDocument(importMap, {
+		baseURL: getBaseURL(),
+		...options,
+	});
+}
 
-	// Create and add new import map
-	const script = document.createElement("script");
-	script.type = "importmap";
-	script.textContent = JSON.stringify(importMap);
-	document.head.appendChild(script);
+/**
+ * Calculates the base64 digest of content
+ * @param {string|ArrayBuffer} content Content to hash
+ * @param {string} algorithm Hash algorithm: "sha256", "sha384" or "sha512"
+ * @returns {Promise<string>} Base64 digest
+ */
+async function calculateDigest(content, algorithm) {
+	const encoder = new TextEncoder();
+	const data = typeof content === "string" ? encoder.encode(content) : content;
+	return digestBytes(data, algorithm);
 }
 
 /**
- * Calculates integrity hash for content using SHA-384 only
+ * Calculates integrity hash for content
  * @param {string|ArrayBuffer} content Content to hash
+ * @param {string} [algorithm] Hash algorithm: "sha256", "sha384" or "sha512"
  * @returns {Promise<string>} Integrity hash
  */
-export async function calculateIntegrity(content) {
+export async function calculateIntegrity(
+	content,
+	algorithm = DEFAULT_ALGORITHM,
+) {
 	if (typeof window === "undefined") return null;
 
-	// We only support SHA-384 now
-	const algorithm = "SHA-384";
-	const encoder = new TextEncoder();
-	const data = typeof content === "string" ? encoder.encode(content) : content;
+	const [normalizedAlgorithm] = normalizeAlgorithms(algorithm);
 
 	try {
-		const hashBuffer = await crypto.subtle.digest(algorithm, data);
-		const hashArray = Array.from(new Uint8Array(hashBuffer));
-		const hashBase64 = btoa(String.fromCharCode.apply(null, hashArray));
-
-		return `sha384-${hashBase64}`;
+		const digest = await calculateDigest(content, normalizedAlgorithm);
+		return formatIntegrity(normalizedAlgorithm, digest);
 	} catch (error) {
 		console.error("Error calculating integrity:", error);
 		throw error;
 	}
 }
 
+/**
+ * Gets the base URL that import map entries and specifiers resolve against
+ * @returns {string} Document base URL
+ */
+function getBaseURL() {
+	return document.baseURI;
+}
+
+/**
+ * Gets the import map from the document, normalized per the import maps spec
+ * @returns {Object|null} Normalized import map or null if not found
+ */
+export function getNormalizedImportMap() {
+	const source =
+		typeof document === "undefined"
+			? ""
+			: readImportMapScripts(document).join("\n");
+	if (!source) {
+		return null;
+	}
+
+	if (normalizedImportMapCache.source !== source) {
+		const importMap = getImportMap();
+		normalizedImportMapCache = {
+			source,
+			// Problems were reported by getImportMap in development
+			importMap: importMap
+				? parseImportMap(importMap, getBaseURL(), { onWarning: () => {} })
+				: null,
+		};
+	}
+
+	return normalizedImportMapCache.importMap;
+}
+
 /**
  * Resolves a module specifier to a URL using the import map
+ * Follows the WHATWG resolution algorithm, including scopes and
+ * trailing-slash prefix matches
  * @param {string} specifier Module specifier
  * @returns {string} Resolved URL
  */
 export function resolveSpecifier(specifier) {
-	const importMap = getImportMap();
-	if (!importMap || !importMap.imports) {
+	const importMap = getNormalizedImportMap();
+	if (!importMap) {
 		return specifier;
 	}
 
-	return importMap.imports[specifier] || specifier;
+	return resolveModuleSpecifier(specifier, importMap, getBaseURL()).href;
 }
 
 /**
@@ -109,116 +209,241 @@ export function resolveSpecifier(specifier) {
  * @returns {string|undefined} Integrity hash
  */
 export function getIntegrityForUrl(url) {
-	const importMap = getImportMap();
-	if (!importMap || !importMap.integrity) {
+	const importMap = getNormalizedImportMap();
+	if (!importMap) {
 		return undefined;
 	}
 
-	return importMap.integrity[url];
+	return resolveModuleIntegrity(new URL(url, getBaseURL()), importMap);
 }
 
 /**
- * Checks if a URL has a direct or indirect integrity constraint
- * @param {string} url URL to check
- * @returns {boolean} Whether the URL has an integrity constraint
+ * Finds the integrity hash for a module URL, either keyed by the URL itself
+ * or by a bare specifier that resolves to it
+ * @param {string} url Module URL
+ * @returns {string|undefined} Integrity hash
  */
-export function hasIntegrityConstraint(url) {
-	const importMap = getImportMap();
-	if (!importMap) return false;
+function findIntegrityForUrl(url) {
+	const integrity = getIntegrityForUrl(url);
+	if (integrity) {
+		return integrity;
+	}
 
-	// Check direct integrity
-	if (importMap.integrity && importMap.integrity[url]) {
-		return true;
+	const importMap = getImportMap();
+	if (!importMap || !importMap.imports || !importMap.integrity) {
+		return undefined;
 	}
 
-	// Check indirect integrity via bare specifiers
-	if (importMap.imports) {
-		for (const [specifier, targetUrl] of Object.entries(importMap.imports)) {
-			if (
-				targetUrl === url &&
-				importMap.integrity &&
-				importMap.integrity[specifier]
-			) {
-				return true;
-			}
+	const { href } = new URL(url, getBaseURL());
+	for (const [specifier, targetUrl] of Object.entries(importMap.imports)) {
+		if (
+			importMap.integrity[specifier] &&
+			typeof targetUrl === "string" &&
+			new URL(targetUrl, getBaseURL()).href === href
+		) {
+			return importMap.integrity[specifier];
 		}
 	}
 
-	return false;
+	return undefined;
+}
+
+/**
+ * Checks if a URL has a direct or indirect integrity constraint
+ * @param {string} url URL to check
+ * @returns {boolean} Whether the URL has an integrity constraint
+ */
+export function hasIntegrityConstraint(url) {
+	return !!findIntegrityForUrl(url);
 }
 
 /**
- * Verifies the integrity of a module using SHA-384
+ * Verifies the integrity of a module against its integrity metadata
+ * Use checkModuleIntegrity to get the ModuleIntegrityError explaining a failure.
  * @param {string} url Module URL
  * @returns {Promise<boolean>} Whether the module has valid integrity
+ * @throws {Error} Errors other than ModuleIntegrityErrors
  */
 export async function verifyIntegrity(url) {
 	const importMap = getImportMap();
 	if (!importMap) return true;
 
-	// Get direct integrity hash
-	let integrity = importMap.integrity && importMap.integrity[url];
-
-	// If no direct hash, check for indirect via bare specifiers
-	if (!integrity && importMap.imports) {
-		for (const [specifier, targetUrl] of Object.entries(importMap.imports)) {
-			if (
-				targetUrl === url &&
-				importMap.integrity &&
-				importMap.integrity[specifier]
-			) {
-				integrity = importMap.integrity[specifier];
-				break;
-			}
-		}
-	}
+	// Get the direct integrity hash, or one assigned via a bare specifier
+	const integrity = findIntegrityForUrl(url);
 
 	// If no integrity hash, consider it valid
 	if (!integrity) return true;
 
-	// Verify integrity is using sha384
-	if (!integrity.startsWith("sha384-")) {
-		console.error(
-			`Integrity hash format not supported: ${integrity}. Only SHA-384 is supported.`,
-		);
-		return false;
+	try {
+		// Hash the bytes exactly as served with the strongest listed algorithm
+		await checkModuleIntegrity(url, integrity);
+		return true;
+	} catch (error) {
+		if (isModuleIntegrityError(error)) {
+			return false;
+		}
+		throw error;
 	}
+}
 
+/**
+ * Options for importing a module with integrity verification
+ * @typedef {Object} ImportWithIntegrityOptions
+ * @property {"url"|"blob"|"data"} [evaluateAs] - "url" (default) verifies the module
+ *   and then imports its URL, which fetches it again. "blob" and "data" evaluate the
+ *   verified bytes themselves, so a second response can never be swapped in.
+ * @property {boolean} [verifyGraph] - Verify every module the import reaches,
+ *   statically or through import() with a literal specifier, before evaluating
+ *   any of them (default true)
+ * @property {boolean} [throwOnError] - useModuleWithIntegrity only: throw
+ *   ModuleIntegrityErrors during render, so the nearest IntegrityErrorBoundary
+ *   handles them, instead of returning them as `error`
+ */
+
+/**
+ * Resolves a specifier imported by a verified module, as the browser would
+ * from the module's original URL
+ * @param {string} specifier Imported specifier
+ * @param {string} moduleURL URL the module was fetched from
+ * @returns {string|null} Resolved URL, or null to leave the specifier unchanged
+ */
+function resolveFromModule(specifier, moduleURL) {
+	const importMap = getNormalizedImportMap() || { imports: {}, scopes: {} };
 	try {
-		// Fetch the module
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`Failed to fetch module: ${response.statusText}`);
-		}
+		return resolveModuleSpecifier(specifier, importMap, moduleURL).href;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Verifies a module and its whole dependency graph against the import map
+ * @param {string} specifier Module specifier
+ * @param {Object} [options] Graph options, see verifyModuleGraph
+ * @returns {Promise<import("./module-graph").ModuleGraphReport>} Per-module report
+ */
+export async function verifyImportGraph(specifier, options = {}) {
+	const url = new URL(resolveSpecifier(specifier), getBaseURL()).href;
+
+	return verifyModuleGraph(url, {
+		resolve: (dependency, importerURL) => {
+			const importMap = getNormalizedImportMap() || { imports: {}, scopes: {} };
+			return resolveModuleSpecifier(dependency, importMap, importerURL).href;
+		},
+		getIntegrity: findIntegrityForUrl,
+		...options,
+	});
+}
+
+/**
+ * Options for violation reporting
+ * @typedef {import("./violation-reporter").ViolationReporterOptions & {serviceWorker?: boolean}} ViolationReportingOptions
+ *   serviceWorker: also forward the reports of the import map service worker (default true)
+ */
 
-		// Calculate integrity
-		const content = await response.text();
-		const actualIntegrity = await calculateIntegrity(content);
+/**
+ * Sends every integrity violation detected on this page to an endpoint
+ * @param {ViolationReportingOptions} options Reporter options
+ * @returns {function(): Promise<void>} Stops reporting, after sending what is queued
+ */
+export function configureViolationReporting(options) {
+	const reporter = createViolationReporter(options);
+	const unsubscribe =
+		options.serviceWorker !== false &&
+		typeof navigator !== "undefined" &&
+		navigator.serviceWorker
+			? onModuleIntegrityViolation((report) =>
+					reporter.report({ ...report, source: "service-worker" }),
+				)
+			: () => {};
+
+	violationReporter = reporter;
+	return () => {
+		unsubscribe();
+		if (violationReporter === reporter) {
+			violationReporter = null;
+		}
+		return reporter.dispose();
+	};
+}
 
-		// Compare
-		return actualIntegrity === integrity;
+/**
+ * Imports a module with integrity verification
+ * Integrity failures are sent to the configured violation reporter.
+ * @param {string} specifier Module specifier
+ * @param {ImportWithIntegrityOptions} [options] Import options
+ * @returns {Promise<any>} The imported module
+ */
+export async function importWithIntegrity(specifier, options = {}) {
+	try {
+		return await importModuleWithIntegrity(specifier, options);
 	} catch (error) {
-		console.error(`Error verifying integrity for ${url}:`, error);
-		return false;
+		if (violationReporter) {
+			for (const violation of violationsFromError(error, specifier)) {
+				violationReporter.report(violation);
+			}
+		}
+		throw error;
 	}
 }
 
 /**
- * Imports a module with integrity verification
+ * Suspense-compatible components and route preloading; see lazy-with-integrity.js
+ * @example
+ * const Chart = lazyWithIntegrity("chart-widget", "Chart");
+ * <Suspense fallback={<Spinner />}><Chart data={data} /></Suspense>
+ */
+export const { lazyWithIntegrity, preloadWithIntegrity } =
+	createLazyWithIntegrity(importWithIntegrity);
+
+/**
+ * Imports a module with integrity verification; importWithIntegrity reports its failures
  * @param {string} specifier Module specifier
+ * @param {ImportWithIntegrityOptions} [options] Import options
  * @returns {Promise<any>} The imported module
  */
-export async function importWithIntegrity(specifier) {
+async function importModuleWithIntegrity(specifier, options) {
 	// Resolve the specifier to a URL
 	const url = resolveSpecifier(specifier);
+	const evaluateAs = options.evaluateAs || "url";
+
+	if (options.verifyGraph !== false && getImportMap()) {
+		// Check the whole graph before anything in it is evaluated
+		const report = await verifyImportGraph(specifier, {
+			keepSources: evaluateAs !== "url",
+		});
+		if (!report.valid) {
+			throw new ModuleGraphError(describeGraphFailures(report), {
+				url: report.entry,
+				report,
+			});
+		}
+
+		// Evaluate the bytes the graph check verified, without fetching again
+		if (evaluateAs !== "url" && report.sources.has(report.entry)) {
+			return evaluateVerifiedModules(report.sources, report.entry, evaluateAs);
+		}
+		return import(url);
+	}
 
-	// Check if URL has an integrity constraint
-	if (hasIntegrityConstraint(url)) {
-		// Verify integrity
-		const isValid = await verifyIntegrity(url);
-		if (!isValid) {
-			throw new Error(`Integrity check failed for module: ${url}`);
+	if (evaluateAs !== "url") {
+		const integrity = findIntegrityForUrl(url);
+		if (integrity) {
+			// Fetch once, verify, and evaluate those exact bytes
+			return importVerifiedModule(url, integrity, {
+				evaluateAs,
+				resolve: resolveFromModule,
+				getIntegrity: findIntegrityForUrl,
+			});
 		}
+
+		return import(url);
+	}
+
+	// Verify integrity if the URL has an integrity constraint
+	const integrity = findIntegrityForUrl(url);
+	if (integrity) {
+		await checkModuleIntegrity(url, integrity);
 	}
 
 	// Import the module
@@ -228,9 +453,11 @@ export async function importWithIntegrity(specifier) {
 /**
  * React hook for importing a module with integrity verification - NextJS v15 compatible
  * @param {string} specifier Module specifier
+ * @param {ImportWithIntegrityOptions} [options] Import options
  * @returns {Object} Module loading state
  */
-export function useModuleWithIntegrity(specifier) {
+export function useModuleWithIntegrity(specifier, options = {}) {
+	const { evaluateAs, verifyGraph, throwOnError } = options;
 	const [state, setState] = useState({
 		module: null,
 		loading: true,
@@ -240,7 +467,7 @@ export function useModuleWithIntegrity(specifier) {
 	useEffect(() => {
 		let mounted = true;
 
-		importWithIntegrity(specifier)
+		importWithIntegrity(specifier, { evaluateAs, verifyGraph })
 			.then((module) => {
 				if (mounted) {
 					setState({
@@ -263,64 +490,28 @@ export function useModuleWithIntegrity(specifier) {
 		return () => {
 			mounted = false;
 		};
-	}, [specifier]);
+	}, [specifier, evaluateAs, verifyGraph]);
 
-	return state;
-}
-
-/**
- * NextJS v15 compatible component for handling integrity verification errors
- * @param {Object} props Component props
- * @returns {JSX.Element} React component
- */
-export function IntegrityErrorBoundary({ children, fallback }) {
-	const [hasError, setHasError] = useState(false);
-	const [error, setError] = useState(null);
-
-	useEffect(() => {
-		const handleError = (event) => {
-			if (event.message && event.message.includes("Integrity check failed")) {
-				event.preventDefault();
-				setError(event.message);
-				setHasError(true);
-			}
-		};
-
-		window.addEventListener("error", handleError);
-		return () => window.removeEventListener("error", handleError);
-	}, []);
-
-	if (hasError) {
-		if (fallback) {
-			return fallback(error);
-		}
-
-		return (
-			<div
-				style={{
-					padding: "20px",
-					margin: "20px",
-					border: "1px solid #f44336",
-					borderRadius: "4px",
-					backgroundColor: "#ffebee",
-				}}
-			>
-				<h2>Module Integrity Error</h2>
-				<p>
-					A security issue has been detected. One or more scripts may have been
-					tampered with.
-				</p>
-				{error && (
-					<p>
-						<strong>Error:</strong> {error}
-					</p>
-				)}
-				<button onClick={() => window.location.reload()}>
-					Reload Application
-				</button>
-			</div>
-		);
+	if (throwOnError && isModuleIntegrityError(state.error)) {
+		throw state.error;
 	}
 
-	return children;
+	return state;
 }
+
+export {
+	IntegrityErrorBoundary,
+	ERROR_CODES,
+	ModuleIntegrityError,
+	IntegrityMismatchError,
+	UnsupportedAlgorithmError,
+	FetchFailedError,
+	ImportMapParseError,
+	MissingImportMapError,
+	SignatureVerificationError,
+	ModuleGraphError,
+	ImportMapConflictError,
+	isModuleIntegrityError,
+	checkModuleIntegrity,
+	mergeImportMaps,
+};
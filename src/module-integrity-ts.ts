@@ -1,9 +1,68 @@
 /**
  * TypeScript implementation for ES Module Integrity
- * Updated for NextJS v15 with SHA-384 support only
+ * Updated for NextJS v15 with SHA-256/384/512 support
  */
 
 import { useEffect, useState } from "react";
+import { fetchImportMap } from "./import-map-fetch";
+import {
+	type ImportMapConflict,
+	type MergeImportMapsOptions,
+	type MergedImportMap,
+	applyImportMapToDocument,
+	mergeImportMaps,
+	readDocumentImportMap,
+} from "./import-map-merge";
+import {
+	parseImportMap,
+	resolveModuleIntegrity,
+	resolveModuleSpecifier,
+} from "./import-map-resolver";
+import {
+	type SignedImportMapOptions,
+	type TrustedKey,
+	fetchSignedImportMap,
+} from "./import-map-signature";
+import { digestBytes } from "./integrity-digest";
+import {
+	ERROR_CODES,
+	FetchFailedError,
+	ImportMapConflictError,
+	ImportMapParseError,
+	IntegrityMismatchError,
+	MissingImportMapError,
+	ModuleGraphError,
+	ModuleIntegrityError,
+	SignatureVerificationError,
+	UnsupportedAlgorithmError,
+	isModuleIntegrityError,
+} from "./integrity-errors";
+import {
+	type LazyWithIntegrityOptions,
+	createLazyWithIntegrity,
+} from "./lazy-with-integrity";
+import {
+	type ModuleGraphOptions,
+	type ModuleGraphReport,
+	describeGraphFailures,
+	verifyModuleGraph,
+} from "./module-graph";
+import {
+	DEFAULT_ALGORITHM,
+	formatIntegrity,
+	normalizeAlgorithms,
+} from "./sri-metadata";
+import { onModuleIntegrityViolation } from "./trusted-import-map";
+import {
+	checkModuleIntegrity,
+	evaluateVerifiedModules,
+	importVerifiedModule,
+} from "./verified-import";
+import {
+	type ViolationReporterOptions,
+	createViolationReporter,
+	violationsFromError,
+} from "./violation-reporter";
 
 // Type definitions for Import Map with Integrity
 interface ImportMapEntry {
@@ -24,6 +83,46 @@ interface NextJSIntegrityConfig {
 	injectImportMap?: boolean;
 }
 
+// Options for importing a module with integrity verification
+interface ImportWithIntegrityOptions {
+	/**
+	 * "url" (default) verifies the module and then imports its URL, which
+	 * fetches it again. "blob" and "data" evaluate the verified bytes
+	 * themselves, so a second response can never be swapped in.
+	 */
+	evaluateAs?: "url" | "blob" | "data";
+	/**
+	 * Verify every module the import reaches, statically or through import()
+	 * with a literal specifier, before evaluating any of them (default true)
+	 */
+	verifyGraph?: boolean;
+	/**
+	 * useModuleWithIntegrity only: throw ModuleIntegrityErrors during render,
+	 * so the nearest IntegrityErrorBoundary handles them, instead of
+	 * returning them as `error`
+	 */
+	throwOnError?: boolean;
+}
+
+// Options for violation reporting
+interface ViolationReportingOptions extends ViolationReporterOptions {
+	/**
+	 * Also forward the reports of the import map service worker (default true)
+	 */
+	serviceWorker?: boolean;
+}
+
+// Options for loading an import map
+interface LoadImportMapOptions {
+	/**
+	 * Pinned public keys. When set, the map is only applied if its detached
+	 * signature verifies against one of them.
+	 */
+	trustedKeys?: TrustedKey | TrustedKey[];
+	/** Signature URL (default: the map URL + ".sig") */
+	signatureUrl?: string;
+}
+
 // Module loading result
 interface ModuleLoadingResult<T = any> {
 	module: T | null;
@@ -32,35 +131,58 @@ interface ModuleLoadingResult<T = any> {
 }
 
 /**
- * Calculates the SHA-384 hash for a given content
+ * Calculates the base64 digest of a given content
  * @param content The module content to hash
- * @returns Promise that resolves to the integrity string
+ * @param algorithm Hash algorithm ("sha256", "sha384" or "sha512")
+ * @returns Promise that resolves to the base64 digest
  */
-async function calculateIntegrity(content: string): Promise<string> {
-	// Convert the content to an ArrayBuffer
-	const encoder = new TextEncoder();
-	const data = encoder.encode(content);
-
-	// Calculate SHA-384 hash (only algorithm supported)
-	const hashBuffer = await crypto.subtle.digest("SHA-384", data);
+async function calculateDigest(
+	content: string | ArrayBuffer,
+	algorithm: string,
+): Promise<string> {
+	// Convert string content to bytes
+	const data =
+		typeof content === "string" ? new TextEncoder().encode(content) : content;
+
+	return digestBytes(data, algorithm);
+}
 
-	// Convert to base64
-	const hashArray = Array.from(new Uint8Array(hashBuffer));
-	const hashBase64 = btoa(String.fromCharCode(...hashArray));
+/**
+ * Calculates the integrity hash for a given content
+ * @param content The module content to hash
+ * @param algorithm Hash algorithm ("sha256", "sha384" or "sha512"), defaults to sha384
+ * @returns Promise that resolves to the integrity string
+ */
+async function calculateIntegrity(
+	content: string | ArrayBuffer,
+	algorithm: string = DEFAULT_ALGORITHM,
+): Promise<string> {
+	const [normalizedAlgorithm] = normalizeAlgorithms(algorithm);
+	const digest = await calculateDigest(content, normalizedAlgorithm);
 
 	// Return the integrity string
-	return `sha384-${hashBase64}`;
+	return formatIntegrity(normalizedAlgorithm, digest);
 }
 
 /**
  * Fetches module content and calculates its integrity
  * @param url The URL of the module
+ * @param algorithm Hash algorithm, defaults to sha384
  * @returns Promise that resolves to the integrity string
  */
-async function fetchAndCalculateIntegrity(url: string): Promise<string> {
+async function fetchAndCalculateIntegrity(
+	url: string,
+	algorithm: string = DEFAULT_ALGORITHM,
+): Promise<string> {
 	const response = await fetch(url);
-	const content = await response.text();
-	return calculateIntegrity(content);
+	if (!response.ok) {
+		throw new FetchFailedError(
+			`Failed to fetch module: ${response.statusText}`,
+			{ url },
+		);
+	}
+	const content = await response.arrayBuffer();
+	return calculateIntegrity(content, algorithm);
 }
 
 /**
@@ -87,55 +209,58 @@ async function generateImportMapWithIntegrity(
 
 /**
  * Injects an import map into the document
+ * Import maps already in the document are kept: the entries of this map
+ * that they do not define are added in a new import map, and the ones they
+ * do define are logged and ignored, as browsers do.
  * @param importMap The import map to inject
+ * @param options Merge options, e.g. `{ integrityConflicts: "error" }`
+ * @returns The entries added and the conflicts, or null on the server
  */
-function injectImportMap(importMap: ImportMap): void {
+function injectImportMap(
+	importMap: ImportMap,
+	options: MergeImportMapsOptions = {},
+): MergedImportMap | null {
 	// Skip if running on server
-	if (typeof document === "undefined") return;
+	if (typeof document === "undefined") return null;
 
-	const script = document.createElement("script");
-	script.type = "importmap";
-	script.textContent = JSON.stringify(importMap, null, 2);
-	document.head.appendChild(script);
+	return applyImportMapToDocument(importMap, {
+		baseURL: document.baseURI,
+		...options,
+	});
 }
 
 /**
  * Gets the import map from the document
+ * A document with several import maps gets them merged in document order,
+ * earlier entries winning. In development, problems with each map are
+ * logged once as warnings with their JSON paths.
  * @returns Import map or null if not found
  */
 function getImportMap(): ImportMap | null {
 	if (typeof document === "undefined") return null;
 
-	const script = document.querySelector('script[type="importmap"]');
-	if (!script || !script.textContent) {
-		return null;
-	}
-
-	try {
-		return JSON.parse(script.textContent);
-	} catch (error) {
-		console.error("Error parsing import map:", error);
-		return null;
-	}
+	return readDocumentImportMap(document, { baseURL: document.baseURI });
 }
 
 /**
  * Loads and applies the import map from a URL
  * @param url URL to load the import map from
+ * @param options Signature verification options
  * @returns Promise that resolves to the loaded import map
+ * @throws MissingImportMapError, FetchFailedError, ImportMapParseError or
+ *   SignatureVerificationError
  */
 async function loadImportMap(
 	url = "/importmap.json",
+	options: LoadImportMapOptions = {},
 ): Promise<ImportMap | null> {
 	if (typeof window === "undefined") return null;
 
 	try {
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`Failed to fetch import map: ${response.statusText}`);
-		}
+		const importMap: ImportMap = options.trustedKeys
+			? await fetchSignedImportMap(url, options as SignedImportMapOptions)
+			: await fetchImportMap(url);
 
-		const importMap = await response.json();
 		injectImportMap(importMap);
 		return importMap;
 	} catch (error) {
@@ -146,28 +271,25 @@ async function loadImportMap(
 
 /**
  * Validates whether a loaded module's integrity matches the expected hash
+ * Use checkModuleIntegrity to get the ModuleIntegrityError explaining a failure.
  * @param url The URL of the module
  * @param expectedIntegrity The expected integrity hash
  * @returns Promise that resolves to a boolean indicating if integrity is valid
+ * @throws Errors other than ModuleIntegrityErrors
  */
 async function validateModuleIntegrity(
 	url: string,
 	expectedIntegrity: string,
 ): Promise<boolean> {
 	try {
-		// Verify the expected integrity uses sha384
-		if (!expectedIntegrity.startsWith("sha384-")) {
-			console.error(
-				`Integrity hash algorithm not supported: ${expectedIntegrity}. Only SHA-384 is supported.`,
-			);
+		// Hash the bytes exactly as served with the strongest listed algorithm
+		await checkModuleIntegrity(url, expectedIntegrity);
+		return true;
+	} catch (error) {
+		if (isModuleIntegrityError(error)) {
 			return false;
 		}
-
-		const actualIntegrity = await fetchAndCalculateIntegrity(url);
-		return actualIntegrity === expectedIntegrity;
-	} catch (error) {
-		console.error(`Error validating integrity for ${url}:`, error);
-		return false;
+		throw error;
 	}
 }
 
@@ -229,27 +351,173 @@ function hasIntegrityConstraint(url: string): boolean {
 	return false;
 }
 
+/**
+ * Verifies a module and its whole dependency graph against the import map
+ * @param specifier Module specifier
+ * @param options Graph options, see verifyModuleGraph
+ * @returns Promise that resolves to a per-module report
+ */
+async function verifyImportGraph(
+	specifier: string,
+	options: Omit<ModuleGraphOptions, "resolve" | "getIntegrity" | "fetch"> = {},
+): Promise<ModuleGraphReport> {
+	const { resolve, getIntegrity } = createGraphResolver();
+
+	return verifyModuleGraph(
+		new URL(resolveSpecifier(specifier), document.baseURI).href,
+		{ resolve, getIntegrity, ...options },
+	);
+}
+
+/**
+ * Resolves the specifiers and integrity of a module's dependencies
+ * through the document's import map
+ * @returns Resolver and integrity lookup for dependency URLs
+ */
+function createGraphResolver() {
+	const importMap = parseImportMap(getImportMap() || {}, document.baseURI, {
+		onWarning: () => {},
+	});
+
+	return {
+		resolve: (dependency: string, importerURL: string) =>
+			resolveModuleSpecifier(dependency, importMap, importerURL).href,
+		getIntegrity: (url: string) =>
+			resolveModuleIntegrity(new URL(url), importMap) ||
+			getIntegrityForUrl(url),
+	};
+}
+
+// Reporter set up by configureViolationReporting, if any
+let violationReporter: ReturnType<typeof createViolationReporter> | null = null;
+
+/**
+ * Sends every integrity violation detected on this page to an endpoint
+ * @param options Reporter options
+ * @returns Function that stops reporting, after sending what is queued
+ */
+function configureViolationReporting(
+	options: ViolationReportingOptions,
+): () => Promise<void> {
+	const reporter = createViolationReporter(options);
+	const unsubscribe =
+		options.serviceWorker !== false &&
+		typeof navigator !== "undefined" &&
+		navigator.serviceWorker
+			? onModuleIntegrityViolation((report) =>
+					reporter.report({ ...report, source: "service-worker" }),
+				)
+			: () => {};
+
+	violationReporter = reporter;
+	return () => {
+		unsubscribe();
+		if (violationReporter === reporter) {
+			violationReporter = null;
+		}
+		return reporter.dispose();
+	};
+}
+
 /**
  * Imports a module with integrity verification
+ * Integrity failures are sent to the configured violation reporter.
  * @param specifier Module specifier
+ * @param options Import options
  * @returns Promise that resolves to the imported module
  */
-async function importWithIntegrity<T = any>(specifier: string): Promise<T> {
+async function importWithIntegrity<T = any>(
+	specifier: string,
+	options: ImportWithIntegrityOptions = {},
+): Promise<T> {
+	try {
+		return await importModuleWithIntegrity<T>(specifier, options);
+	} catch (error) {
+		if (violationReporter) {
+			for (const violation of violationsFromError(error as Error, specifier)) {
+				violationReporter.report(violation);
+			}
+		}
+		throw error;
+	}
+}
+
+/**
+ * Suspense-compatible components and route preloading; see lazy-with-integrity.js
+ * @example
+ * const Chart = lazyWithIntegrity("chart-widget", "Chart");
+ * <Suspense fallback={<Spinner />}><Chart data={data} /></Suspense>
+ */
+const { lazyWithIntegrity, preloadWithIntegrity } =
+	createLazyWithIntegrity(importWithIntegrity);
+
+/**
+ * Imports a module with integrity verification; importWithIntegrity reports its failures
+ * @param specifier Module specifier
+ * @param options Import options
+ * @returns Promise that resolves to the imported module
+ */
+async function importModuleWithIntegrity<T>(
+	specifier: string,
+	options: ImportWithIntegrityOptions,
+): Promise<T> {
 	// Resolve the specifier to a URL
 	const url = resolveSpecifier(specifier);
+	const evaluateAs = options.evaluateAs || "url";
+
+	if (options.verifyGraph !== false && getImportMap()) {
+		// Check the whole graph before anything in it is evaluated
+		const report = await verifyImportGraph(specifier, {
+			keepSources: evaluateAs !== "url",
+		});
+		if (!report.valid) {
+			throw new ModuleGraphError(describeGraphFailures(report), {
+				url: report.entry,
+				report,
+			});
+		}
 
-	// Check if URL has an integrity constraint
-	if (hasIntegrityConstraint(url)) {
-		// Get the integrity hash
-		const integrityHash = getIntegrityForUrl(url);
+		// Evaluate the bytes the graph check verified, without fetching again
+		if (evaluateAs !== "url" && report.sources?.has(report.entry)) {
+			return evaluateVerifiedModules(
+				report.sources,
+				report.entry,
+				evaluateAs,
+			) as Promise<T>;
+		}
+		return import(url) as Promise<T>;
+	}
 
+	if (evaluateAs !== "url") {
+		const integrityHash = getIntegrityForUrl(url);
 		if (integrityHash) {
-			// Verify integrity
-			const isValid = await validateModuleIntegrity(url, integrityHash);
-			if (!isValid) {
-				throw new Error(`Integrity check failed for module: ${url}`);
-			}
+			// Fetch once, verify, and evaluate those exact bytes, dependencies
+			// included. The URL is made absolute so imports can be rewritten.
+			const { resolve, getIntegrity } = createGraphResolver();
+			return importVerifiedModule(
+				new URL(url, document.baseURI).href,
+				integrityHash,
+				{
+					evaluateAs,
+					resolve: (dependency: string, importerURL: string) => {
+						try {
+							return resolve(dependency, importerURL);
+						} catch {
+							return null;
+						}
+					},
+					getIntegrity,
+				},
+			) as Promise<T>;
 		}
+
+		return import(url) as Promise<T>;
+	}
+
+	// Verify integrity if the URL has an integrity constraint
+	const integrityHash = getIntegrityForUrl(url);
+	if (integrityHash) {
+		await checkModuleIntegrity(url, integrityHash);
 	}
 
 	// Import the module
@@ -259,11 +527,14 @@ async function importWithIntegrity<T = any>(specifier: string): Promise<T> {
 /**
  * React hook for importing a module with integrity verification - NextJS v15 compatible
  * @param specifier Module specifier
+ * @param options Import options
  * @returns Module loading state
  */
 function useModuleWithIntegrity<T = any>(
 	specifier: string,
+	options: ImportWithIntegrityOptions = {},
 ): ModuleLoadingResult<T> {
+	const { evaluateAs, verifyGraph, throwOnError } = options;
 	const [state, setState] = useState<ModuleLoadingResult<T>>({
 		module: null,
 		loading: true,
@@ -273,7 +544,7 @@ function useModuleWithIntegrity<T = any>(
 	useEffect(() => {
 		let mounted = true;
 
-		importWithIntegrity<T>(specifier)
+		importWithIntegrity<T>(specifier, { evaluateAs, verifyGraph })
 			.then((module) => {
 				if (mounted) {
 					setState({
@@ -296,7 +567,11 @@ function useModuleWithIntegrity<T = any>(
 		return () => {
 			mounted = false;
 		};
-	}, [specifier]);
+	}, [specifier, evaluateAs, verifyGraph]);
+
+	if (throwOnError && isModuleIntegrityError(state.error)) {
+		throw state.error;
+	}
 
 	return state;
 }
@@ -306,39 +581,55 @@ function useModuleWithIntegrity<T = any>(
  */
 class IntegrityModuleLoader {
 	private importMap: ImportMap;
+	private options: ImportWithIntegrityOptions;
 
-	constructor(importMap: ImportMap) {
+	/**
+	 * @param importMap The import map to manage
+	 * @param options Default import options, e.g. `{ evaluateAs: "blob" }`
+	 */
+	constructor(importMap: ImportMap, options: ImportWithIntegrityOptions = {}) {
 		this.importMap = importMap;
+		this.options = options;
 	}
 
 	/**
 	 * Safely imports a module, verifying its integrity
 	 * @param specifier The module specifier to import
+	 * @param options Import options, overriding the loader defaults
 	 * @returns Promise that resolves to the imported module
 	 */
-	async importModule<T>(specifier: string): Promise<T> {
-		return importWithIntegrity<T>(specifier);
+	async importModule<T>(
+		specifier: string,
+		options: ImportWithIntegrityOptions = {},
+	): Promise<T> {
+		return importWithIntegrity<T>(specifier, { ...this.options, ...options });
 	}
 
 	/**
 	 * Adds a new module to the import map
+	 * Only the new entries are added to the document, in an import map of
+	 * their own. An entry the document already defines is not replaced.
 	 * @param specifier The module specifier
 	 * @param url The module URL
+	 * @returns The conflicts, if the document already maps the specifier or URL
 	 */
-	async addModule(specifier: string, url: string): Promise<void> {
-		if (!this.importMap.imports) {
-			this.importMap.imports = {};
-		}
-
-		if (!this.importMap.integrity) {
-			this.importMap.integrity = {};
-		}
-
-		this.importMap.imports[specifier] = url;
-		this.importMap.integrity[url] = await fetchAndCalculateIntegrity(url);
+	async addModule(
+		specifier: string,
+		url: string,
+	): Promise<ImportMapConflict[]> {
+		const integrity = await fetchAndCalculateIntegrity(url);
+
+		this.importMap.imports = { ...this.importMap.imports, [specifier]: url };
+		this.importMap.integrity = {
+			...this.importMap.integrity,
+			[url]: integrity,
+		};
 
-		// Update the import map in the document
-		injectImportMap(this.importMap);
+		const result = injectImportMap({
+			imports: { [specifier]: url },
+			integrity: { [url]: integrity },
+		});
+		return result ? result.conflicts : [];
 	}
 }
 
@@ -364,21 +655,46 @@ function createNextJSIntegrityConfig(
 
 // Export types and functions for use in other modules
 export {
-	ImportMap,
-	ImportMapEntry,
-	NextJSIntegrityConfig,
-	ModuleLoadingResult,
+	type ImportMap,
+	type ImportMapEntry,
+	type NextJSIntegrityConfig,
+	type ImportWithIntegrityOptions,
+	type LoadImportMapOptions,
+	type ViolationReportingOptions,
+	type ModuleLoadingResult,
+	type ModuleGraphReport,
+	type LazyWithIntegrityOptions,
+	type ImportMapConflict,
+	type MergeImportMapsOptions,
+	type MergedImportMap,
+	ERROR_CODES,
+	ModuleIntegrityError,
+	IntegrityMismatchError,
+	UnsupportedAlgorithmError,
+	FetchFailedError,
+	ImportMapParseError,
+	MissingImportMapError,
+	SignatureVerificationError,
+	ModuleGraphError,
+	ImportMapConflictError,
+	isModuleIntegrityError,
 	calculateIntegrity,
 	fetchAndCalculateIntegrity,
 	generateImportMapWithIntegrity,
 	injectImportMap,
 	getImportMap,
+	mergeImportMaps,
 	loadImportMap,
 	validateModuleIntegrity,
+	checkModuleIntegrity,
 	resolveSpecifier,
 	getIntegrityForUrl,
 	hasIntegrityConstraint,
+	verifyImportGraph,
+	configureViolationReporting,
 	importWithIntegrity,
+	lazyWithIntegrity,
+	preloadWithIntegrity,
 	useModuleWithIntegrity,
 	IntegrityModuleLoader,
 	createNextJSIntegrityConfig,
@@ -3,12 +3,30 @@
  * Based on the article: "Shipping support for module script integrity in Chrome & Safari"
  */
 
-import fs from "fs";
-import path from "path";
 import crypto from "crypto";
 import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
 import { Plugin } from "next/dist/build/webpack/plugins/middleware-plugin";
-import webpack from "webpack";
+import type webpack from "webpack";
+import { fetchImportMap } from "./import-map-fetch";
+import {
+	type MergeImportMapsOptions,
+	type MergedImportMap,
+	applyImportMapToDocument,
+} from "./import-map-merge";
+import { type TrustedKey, fetchSignedImportMap } from "./import-map-signature";
+import {
+	ERROR_CODES,
+	FetchFailedError,
+	ImportMapParseError,
+	IntegrityMismatchError,
+	MissingImportMapError,
+	ModuleIntegrityError,
+	SignatureVerificationError,
+	UnsupportedAlgorithmError,
+	isModuleIntegrityError,
+} from "./integrity-errors";
 
 // Type definitions
 interface ImportMapEntry {
@@ -70,15 +88,18 @@ interface IntegrityConfig {
 	moduleFilter?: (filePath: string) => boolean;
 }
 
-/**
- * A custom error class for module integrity errors
- */
-class ModuleIntegrityError extends Error {
-	constructor(message: string) {
-		super(`[ModuleIntegrity] ${message}`);
-		this.name = "ModuleIntegrityError";
-	}
-}
+// Shared with the client runtime, so error boundaries can recognise it
+export {
+	ERROR_CODES,
+	ModuleIntegrityError,
+	IntegrityMismatchError,
+	UnsupportedAlgorithmError,
+	FetchFailedError,
+	ImportMapParseError,
+	MissingImportMapError,
+	SignatureVerificationError,
+	isModuleIntegrityError,
+};
 
 /**
  * Assert that a condition is true, or throw an error
@@ -102,6 +123,7 @@ function calculateIntegrity(content: string | Buffer): string {
 	} catch (error) {
 		throw new ModuleIntegrityError(
 			`Failed to calculate integrity: ${error instanceof Error ? error.message : String(error)}`,
+			{ algorithm: "sha384", cause: error },
 		);
 	}
 }
@@ -112,7 +134,7 @@ function calculateIntegrity(content: string | Buffer): string {
  */
 function generateImportMapWithIntegrity(
 	modules: Record<string, Buffer | string>,
-	baseUrl: string = "/",
+	baseUrl = "/",
 ): ImportMap {
 	invariant(
 		Object.keys(modules).length > 0,
@@ -167,8 +189,9 @@ function readModulesFromDirectories(
 					const content = fs.readFileSync(file);
 					modules[relativePath] = content;
 				} catch (error) {
-					throw new ModuleIntegrityError(
+					throw new FetchFailedError(
 						`Failed to read file ${file}: ${error instanceof Error ? error.message : String(error)}`,
+						{ url: file, cause: error },
 					);
 				}
 			}
@@ -217,6 +240,7 @@ function writeImportMap(importMap: ImportMap, outputPath: string): void {
 	} catch (error) {
 		throw new ModuleIntegrityError(
 			`Failed to write import map to ${outputPath}: ${error instanceof Error ? error.message : String(error)}`,
+			{ url: outputPath, cause: error },
 		);
 	}
 }
@@ -243,188 +267,105 @@ export class ModuleIntegrityPlugin implements webpack.WebpackPluginInstance {
 	}
 
 	apply(compiler: webpack.Compiler): void {
-		// Use the compilation hook to access the module graph
-		compiler.hooks.compilation.tap("ModuleIntegrityPlugin", (compilation) => {
-			// Wait until after the chunk optimization to ensure all modules are processed
-			compilation.hooks.afterOptimizeChunkModules.tap(
-				"ModuleIntegrityPlugin",
-				(chunks) => {
-					try {
-						// Map for collecting module assets
-						const moduleAssets: Record<string, Buffer | string> = {};
-						const processedModules = new Set<string>();
-
-						// Process chunks to get all module dependencies
-						chunks.forEach((chunk) => {
-							// For webpack 5, use chunk.getModules()
-							const chunkModules = Array.from(
-								chunk.modulesIterable || chunk.getModules(),
-							);
-
-							chunkModules.forEach((module) => {
-								this.processModule(
-									module,
-									moduleAssets,
-									processedModules,
-									compilation,
-								);
-							});
-						});
-
-						// If directories are specified, also include those modules
-						// This is for modules that might not be in the webpack graph
-						// but should still be integrity-verified
-						if (this.config.directories.length > 0) {
-							const filesFromDirs = readModulesFromDirectories(
-								this.config.directories,
-								this.config.extensions,
-							);
-
-							Object.entries(filesFromDirs).forEach(([filePath, content]) => {
-								// Only add if not already processed through webpack
-								if (!processedModules.has(filePath)) {
-									moduleAssets[filePath] = content;
-								}
-							});
-						}
+		// Hash the files as written to disk, after minification and real
+		// content hashing; hashes of module sources match nothing served
+		compiler.hooks.afterEmit.tap("ModuleIntegrityPlugin", (compilation) => {
+			try {
+				// Emitted files, keyed by path relative to the output directory
+				const moduleAssets: Record<string, Buffer | string> = {};
+				const outputDir = compilation.outputOptions.path || process.cwd();
 
-						// Generate import map
-						const importMap = generateImportMapWithIntegrity(
-							moduleAssets,
-							this.config.modulePrefix || "/",
-						);
-
-						// Write import map to output
-						const outputPath = path.join(
-							process.cwd(),
-							"public",
-							this.config.outputPath,
-						);
-
-						writeImportMap(importMap, outputPath);
-
-						console.log(
-							`[ModuleIntegrityPlugin] Generated import map with ${Object.keys(importMap.integrity || {}).length} integrity hashes from ${processedModules.size} webpack modules`,
-						);
-					} catch (error) {
-						console.error(
-							error instanceof Error ? error.message : String(error),
-						);
-						if (error instanceof ModuleIntegrityError) {
-							// We don't want to fail the build for integrity errors
-							console.error(
-								"[ModuleIntegrityPlugin] Failed to generate import map",
-							);
-						} else {
-							// For other errors, we might want to fail the build
-							throw error;
-						}
+				for (const chunk of compilation.chunks) {
+					if (!this.chunkHasIncludedModule(chunk, compilation)) {
+						continue;
 					}
-				},
-			);
-		});
-	}
 
-	/**
-	 * Process a webpack module and its dependencies recursively
-	 */
-	private processModule(
-		module: any,
-		moduleAssets: Record<string, Buffer | string>,
-		processedModules: Set<string>,
-		compilation: webpack.compilation.Compilation,
-	): void {
-		// Skip if module has no resource (like external modules) or has been processed
-		if (!module.resource || processedModules.has(module.resource)) {
-			return;
-		}
+					for (const file of chunk.files) {
+						if (this.config.extensions.includes(path.extname(file))) {
+							moduleAssets[file] = this.readEmittedFile(outputDir, file);
+						}
+					}
+				}
+				const emittedCount = Object.keys(moduleAssets).length;
+
+				// If directories are specified, also include those modules
+				// These are served as they are, so their bytes are hashed directly
+				if (this.config.directories.length > 0) {
+					const filesFromDirs = readModulesFromDirectories(
+						this.config.directories,
+						this.config.extensions,
+					);
 
-		// Check if we should include this module
-		if (this.shouldIncludeModule(module.resource)) {
-			try {
-				// Get module source code
-				let source: string | Buffer;
-
-				// Different ways to get source based on webpack version/module type
-				if (typeof module.originalSource === "function") {
-					source = module.originalSource().source();
-				} else if (module.source) {
-					source =
-						typeof module.source === "function"
-							? module.source().source()
-							: module.source;
-				} else if (compilation.moduleGraph) {
-					// For webpack 5
-					const moduleSource = compilation.codeGenerationResults
-						?.get(module)
-						?.sources?.get("javascript");
-					if (moduleSource) {
-						source = moduleSource.source();
-					} else {
-						// If we can't get the source, skip this module
-						return;
+					for (const [filePath, content] of Object.entries(filesFromDirs)) {
+						moduleAssets[filePath] = content;
 					}
-				} else {
-					// If we can't get the source, skip this module
-					return;
 				}
 
-				// Add to processed modules to avoid duplication
-				processedModules.add(module.resource);
+				// Generate import map
+				const importMap = generateImportMapWithIntegrity(
+					moduleAssets,
+					this.config.modulePrefix || "/",
+				);
+
+				// Write import map to output
+				const outputPath = path.join(
+					process.cwd(),
+					"public",
+					this.config.outputPath,
+				);
 
-				// Store module source for integrity calculation
-				moduleAssets[module.resource] = source;
+				writeImportMap(importMap, outputPath);
 
-				// Process dependencies recursively
-				this.processDependencies(
-					module,
-					moduleAssets,
-					processedModules,
-					compilation,
+				console.log(
+					`[ModuleIntegrityPlugin] Generated import map with ${Object.keys(importMap.integrity || {}).length} integrity hashes from ${emittedCount} emitted files`,
 				);
 			} catch (error) {
-				console.warn(
-					`[ModuleIntegrityPlugin] Failed to process module ${module.resource}: ${error instanceof Error ? error.message : String(error)}`,
-				);
+				console.error(error instanceof Error ? error.message : String(error));
+				if (isModuleIntegrityError(error)) {
+					// We don't want to fail the build for integrity errors
+					console.error(
+						"[ModuleIntegrityPlugin] Failed to generate import map",
+					);
+				} else {
+					// For other errors, we might want to fail the build
+					throw error;
+				}
 			}
-		}
+		});
 	}
 
 	/**
-	 * Process module dependencies recursively
+	 * Whether a chunk contains a module the configuration includes
+	 * Concatenated modules are checked module by module.
 	 */
-	private processDependencies(
-		module: any,
-		moduleAssets: Record<string, Buffer | string>,
-		processedModules: Set<string>,
-		compilation: webpack.compilation.Compilation,
-	): void {
-		// Get dependencies based on webpack version
-		let dependencies: any[] = [];
-
-		if (compilation.moduleGraph) {
-			// Webpack 5
-			dependencies = Array.from(
-				compilation.moduleGraph.getOutgoingConnections(module) || [],
-			)
-				.filter((connection) => connection.module)
-				.map((connection) => connection.module);
-		} else if (module.dependencies) {
-			// Webpack 4
-			dependencies = module.dependencies
-				.filter((dep: any) => dep.module)
-				.map((dep: any) => dep.module);
+	private chunkHasIncludedModule(
+		chunk: webpack.Chunk,
+		compilation: webpack.Compilation,
+	): boolean {
+		for (const module of compilation.chunkGraph.getChunkModulesIterable(
+			chunk,
+		) as Iterable<any>) {
+			const modules = module.modules ? Array.from(module.modules) : [module];
+			if (modules.some((m: any) => this.shouldIncludeModule(m.resource))) {
+				return true;
+			}
 		}
+		return false;
+	}
 
-		// Process each dependency
-		dependencies.forEach((depModule) => {
-			this.processModule(
-				depModule,
-				moduleAssets,
-				processedModules,
-				compilation,
+	/**
+	 * Read a file the compilation emitted
+	 */
+	private readEmittedFile(outputDir: string, file: string): Buffer {
+		const filePath = path.join(outputDir, file);
+		try {
+			return fs.readFileSync(filePath);
+		} catch (error) {
+			throw new FetchFailedError(
+				`Failed to read emitted file ${filePath}: ${error instanceof Error ? error.message : String(error)}`,
+				{ url: filePath, cause: error },
 			);
-		});
+		}
 	}
 
 	/**
@@ -454,15 +395,18 @@ export class ModuleIntegrityPlugin implements webpack.WebpackPluginInstance {
 
 /**
  * Load the import map from a specified URL
- * This runs in the browser
+ * This runs in the browser. With trustedKeys, the map's detached signature
+ * (url + ".sig") must verify against one of the pinned keys.
  */
-export async function loadImportMap(url: string): Promise<ImportMap> {
+export async function loadImportMap(
+	url: string,
+	trustedKeys?: TrustedKey | TrustedKey[],
+): Promise<ImportMap> {
 	try {
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`Failed to fetch import map: ${response.statusText}`);
+		if (trustedKeys) {
+			return await fetchSignedImportMap(url, { trustedKeys });
 		}
-		return await response.json();
+		return await fetchImportMap(url);
 	} catch (error) {
 		console.error("Error loading import map:", error);
 		throw error;
@@ -471,18 +415,19 @@ export async function loadImportMap(url: string): Promise<ImportMap> {
 
 /**
  * Apply import map to the document
- * This runs in the browser
+ * This runs in the browser. Existing import maps are kept; entries they
+ * already define are ignored, as browsers do, and returned as conflicts.
  */
-export function applyImportMap(importMap: ImportMap): void {
+export function applyImportMap(
+	importMap: ImportMap,
+	options: MergeImportMapsOptions = {},
+): MergedImportMap | null {
 	if (typeof document === "undefined") {
 		console.warn("applyImportMap can only be used in browser environment");
-		return;
+		return null;
 	}
 
-	const script = document.createElement("script");
-	script.type = "importmap";
-	script.textContent = JSON.stringify(importMap, null, 2);
-	document.head.appendChild(script);
+	return applyImportMapToDocument(importMap, options);
 }
 
 /**
@@ -1,74 +1,143 @@
-// module-integrity-validator.js - Updated for NextJS v15 with SHA-384 only
+// module-integrity-validator.js - Validates NextJS v15 build output against SRI metadata
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { createMatcher } = require("./glob-pattern");
+const { parseImportMapText } = require("./import-map-fetch");
+const { listFiles } = require("./import-map-generator");
+const {
+	ERROR_CODES,
+	MissingImportMapError,
+	ModuleIntegrityError,
+} = require("./integrity-errors");
+const {
+	DEFAULT_ALGORITHM,
+	SUPPORTED_ALGORITHMS,
+	formatIntegrity,
+	getStrongestAlgorithm,
+	matchesIntegrityMetadata,
+} = require("./sri-metadata");
+const { writeReports } = require("./validator-reporters");
+
+// Failure categories, as they appear in results and reports
+const FAILURE_CATEGORIES = {
+	MISMATCH: "mismatch",
+	MISSING: "missing",
+	UNSUPPORTED_ALGORITHM: "unsupported-algorithm",
+	UNCOVERED: "uncovered",
+};
+
+// Build outputs that coverage mode expects to find in the integrity table
+const DEFAULT_COVERAGE_INCLUDE = ["**/*.js", "**/*.mjs", "**/*.css"];
+
+/**
+ * Coverage options: which build outputs must have an integrity entry
+ * @typedef {Object} CoverageConfig
+ * @property {string[]} include - Glob patterns, relative to distDir, of outputs to check (default JS, MJS and CSS files)
+ * @property {string[]} exclude - Glob patterns of outputs to skip, e.g. "cache/**"
+ * @property {number} maxUncovered - Number of uncovered outputs tolerated before validation fails (default 0)
+ */
 
 /**
  * Configuration for the validator
  * @typedef {Object} ValidatorConfig
  * @property {string} distDir - Directory containing the build output
- * @property {string} importMapPath - Path to the import map (relative to distDir)
+ * @property {string} importMapPath - Path to the import map (relative to distDir, or absolute)
+ * @property {boolean} failOnMissing - Whether files listed in the map but absent from distDir fail validation (default true)
+ * @property {{log: Function, error: Function}} logger - Destination for progress output (default console)
+ * @property {Array<{reporter: string|import("./validator-reporters").ValidationReporter, outputFile: string}>} reporters - Report files to write, e.g. `{ reporter: "junit", outputFile: "reports/integrity.xml" }`
+ * @property {string} cwd - Directory that report files and the paths inside them are relative to (default process.cwd())
+ * @property {boolean|CoverageConfig} coverage - Also report build outputs that have no integrity entry
+ */
+
+/**
+ * A module that failed validation
+ * @typedef {Object} ValidationFailure
+ * @property {string} url - URL key from the import map's integrity table
+ * @property {string} file - Absolute path of the module in distDir
+ * @property {"mismatch"|"missing"|"unsupported-algorithm"|"uncovered"} category - Why it failed
+ * @property {string|null} expected - Integrity metadata from the import map; null for uncovered outputs
+ * @property {string|null} actual - Integrity of the file, for mismatches and uncovered outputs
+ * @property {string} [error] - Description for missing files and unsupported algorithms
+ * @property {string} [code] - error.code the same failure has at runtime, e.g. "ERR_INTEGRITY_MISMATCH"; absent for uncovered outputs
+ */
+
+/**
+ * Validation results
+ * @typedef {Object} ValidationResults
+ * @property {string} distDir - Absolute build output directory
+ * @property {string} importMapPath - Absolute import map path
+ * @property {boolean} failOnMissing - Whether missing files fail validation
+ * @property {number} total - Entries in the integrity table
+ * @property {number} passed - Entries that matched
+ * @property {number} failed - Mismatches and unsupported algorithms
+ * @property {number} missing - Entries whose file does not exist
+ * @property {Array<{url: string, file: string, expected: string}>} passes - Entries that matched
+ * @property {ValidationFailure[]} failures - Entries that did not match or could not be checked
+ * @property {{files: number, covered: number, uncovered: number, maxUncovered: number, success: boolean}} [coverage] - Coverage summary, in coverage mode
+ * @property {boolean} success - Whether validation passed
  */
 
 /**
  * Validates the integrity of all modules in the NextJS v15 build output
- * against the generated import map, using SHA-384 only
+ * against the generated import map. Each entry may list several hashes; the
+ * strongest supported algorithm is checked, as browsers do.
  *
  * @param {ValidatorConfig} config - Configuration options
- * @returns {Promise<Object>} Validation results
+ * @returns {Promise<ValidationResults>} Validation results
+ * @throws {ModuleIntegrityError} If the import map is missing, unparseable or has no integrity entries
  */
 async function validateNextJSBuildIntegrity(config = {}) {
 	const distDir = config.distDir || ".next";
 	const importMapPath = config.importMapPath || "importmap.json";
-	const algorithm = "sha384"; // We now only support SHA-384
-
-	console.log(
-		`Validating NextJS v15 build output integrity using ${algorithm.toUpperCase()}...`,
-	);
+	const failOnMissing = config.failOnMissing !== false;
+	const logger = config.logger || console;
+	logger.log("Validating NextJS v15 build output integrity...");
 
 	// Read the import map
-	const fullImportMapPath = path.join(distDir, importMapPath);
+	const fullImportMapPath = path.resolve(distDir, importMapPath);
 	if (!fs.existsSync(fullImportMapPath)) {
-		console.error(`Import map not found at ${fullImportMapPath}`);
-		throw new Error(`Import map not found at ${fullImportMapPath}`);
+		logger.error(`Import map not found at ${fullImportMapPath}`);
+		throw new MissingImportMapError(
+			`Import map not found at ${fullImportMapPath}`,
+			{ url: fullImportMapPath },
+		);
 	}
 
-	const importMap = JSON.parse(fs.readFileSync(fullImportMapPath, "utf-8"));
+	const importMap = parseImportMapText(
+		fs.readFileSync(fullImportMapPath, "utf-8"),
+		fullImportMapPath,
+	);
 	const { imports, integrity } = importMap;
 
 	if (!integrity || Object.keys(integrity).length === 0) {
-		console.error("No integrity hashes found in import map");
-		throw new Error("No integrity hashes found in import map");
+		logger.error("No integrity hashes found in import map");
+		throw new ModuleIntegrityError("No integrity hashes found in import map", {
+			url: fullImportMapPath,
+		});
 	}
 
 	// Track validation results
 	const results = {
+		distDir: path.resolve(distDir),
+		importMapPath: fullImportMapPath,
+		failOnMissing,
 		total: 0,
 		passed: 0,
 		failed: 0,
 		missing: 0,
+		passes: [],
 		failures: [],
 		success: false,
 	};
 
+	// Files the integrity table accounts for, for coverage mode
+	const coveredFiles = new Set();
+
 	// Validate each module with an integrity hash
 	for (const [url, expectedHash] of Object.entries(integrity)) {
 		results.total++;
 
-		// Ensure hash is using SHA-384
-		if (!expectedHash.startsWith(`${algorithm}-`)) {
-			console.error(
-				`Integrity hash format not supported: ${expectedHash}. Only SHA-384 is supported.`,
-			);
-			results.failed++;
-			results.failures.push({
-				url,
-				expected: expectedHash,
-				error: "Unsupported hash algorithm. Only SHA-384 is supported.",
-			});
-			continue;
-		}
-
 		// Get the file path from the URL
 		let filePath = url;
 		// Remove the base URL if present
@@ -80,15 +149,39 @@ async function validateNextJSBuildIntegrity(config = {}) {
 			filePath = urlObj.pathname.substring(1);
 		}
 
-		const fullPath = path.join(distDir, filePath);
+		const fullPath = path.resolve(distDir, filePath);
+		coveredFiles.add(fullPath);
+
+		// Pick the strongest algorithm the entry lists
+		const algorithm = getStrongestAlgorithm(expectedHash);
+		if (!algorithm) {
+			logger.error(
+				`Integrity metadata has no supported algorithm: ${expectedHash}`,
+			);
+			results.failed++;
+			results.failures.push({
+				url,
+				file: fullPath,
+				category: FAILURE_CATEGORIES.UNSUPPORTED_ALGORITHM,
+				code: ERROR_CODES.UNSUPPORTED_ALGORITHM,
+				expected: expectedHash,
+				actual: null,
+				error: `Unsupported hash algorithm. Supported algorithms: ${SUPPORTED_ALGORITHMS.join(", ")}.`,
+			});
+			continue;
+		}
 
 		// Check if the file exists
 		if (!fs.existsSync(fullPath)) {
-			console.error(`Module file not found: ${fullPath}`);
+			logger.error(`Module file not found: ${fullPath}`);
 			results.missing++;
 			results.failures.push({
 				url,
+				file: fullPath,
+				category: FAILURE_CATEGORIES.MISSING,
+				code: ERROR_CODES.FETCH_FAILED,
 				expected: expectedHash,
+				actual: null,
 				error: "File not found",
 			});
 			continue;
@@ -97,52 +190,134 @@ async function validateNextJSBuildIntegrity(config = {}) {
 		// Read file content
 		const content = fs.readFileSync(fullPath);
 
-		// Calculate hash with SHA-384 only
+		// Calculate hash with the selected algorithm
 		const hash = crypto.createHash(algorithm).update(content).digest("base64");
 
-		const actualHash = `${algorithm}-${hash}`;
+		const actualHash = formatIntegrity(algorithm, hash);
 
 		// Compare hashes
-		if (actualHash === expectedHash) {
+		if (matchesIntegrityMetadata(expectedHash, algorithm, hash)) {
 			results.passed++;
+			results.passes.push({ url, file: fullPath, expected: expectedHash });
 		} else {
 			results.failed++;
 			results.failures.push({
 				url,
+				file: fullPath,
+				category: FAILURE_CATEGORIES.MISMATCH,
+				code: ERROR_CODES.INTEGRITY_MISMATCH,
 				expected: expectedHash,
 				actual: actualHash,
 			});
 		}
 	}
 
+	if (config.coverage) {
+		results.coverage = checkCoverage(
+			distDir,
+			coveredFiles,
+			config.coverage === true ? {} : config.coverage,
+			results.failures,
+		);
+	}
+
 	// Report results
-	console.log("\nIntegrity Validation Results:");
-	console.log(`Total modules: ${results.total}`);
-	console.log(`Passed: ${results.passed}`);
-	console.log(`Failed: ${results.failed}`);
-	console.log(`Missing: ${results.missing}`);
+	logger.log("\nIntegrity Validation Results:");
+	logger.log(`Total modules: ${results.total}`);
+	logger.log(`Passed: ${results.passed}`);
+	logger.log(`Failed: ${results.failed}`);
+	logger.log(`Missing: ${results.missing}`);
+	if (results.coverage) {
+		logger.log(
+			`Uncovered build outputs: ${results.coverage.uncovered} of ${results.coverage.files} (${results.coverage.maxUncovered} allowed)`,
+		);
+	}
 
 	if (results.failures.length > 0) {
-		console.log("\nFailures:");
+		logger.log("\nFailures:");
 		results.failures.forEach((failure) => {
-			console.log(`\nURL: ${failure.url}`);
-			console.log(`Expected: ${failure.expected}`);
-			if (failure.actual) {
-				console.log(`Actual: ${failure.actual}`);
+			logger.log(`\nURL: ${failure.url} (${failure.category})`);
+			logger.log(`Expected: ${failure.expected}`);
+			if (failure.category === FAILURE_CATEGORIES.UNCOVERED) {
+				logger.log(`Integrity: ${failure.actual}`);
+			} else if (failure.actual) {
+				logger.log(`Actual: ${failure.actual}`);
 			} else if (failure.error) {
-				console.log(`Error: ${failure.error}`);
+				logger.log(`Error: ${failure.error}`);
 			}
 		});
+	}
 
-		results.success = false;
-	} else {
-		console.log("\nAll modules passed integrity validation!");
-		results.success = true;
+	// Missing files are reported either way, but only fail when asked to
+	results.success =
+		results.failed === 0 &&
+		(!failOnMissing || results.missing === 0) &&
+		(!results.coverage || results.coverage.success);
+	if (results.success) {
+		logger.log("\nAll modules passed integrity validation!");
+	}
+
+	const reportContext = { cwd: config.cwd || process.cwd() };
+	for (const outputFile of writeReports(
+		results,
+		config.reporters,
+		reportContext,
+	)) {
+		logger.log(`Wrote integrity report to ${outputFile}`);
 	}
 
 	return results;
 }
 
+/**
+ * Finds build outputs without an integrity entry
+ * Each one is added to failures with its current integrity, so it can be
+ * copied into the map once reviewed.
+ * @param {string} distDir - Build output directory
+ * @param {Set<string>} coveredFiles - Absolute paths listed in the integrity table
+ * @param {CoverageConfig} coverage - Coverage options
+ * @param {ValidationFailure[]} failures - Failure list to append to
+ * @returns {{files: number, covered: number, uncovered: number, maxUncovered: number, success: boolean}} Coverage summary
+ */
+function checkCoverage(distDir, coveredFiles, coverage, failures) {
+	const isIncluded = createMatcher(
+		coverage.include || DEFAULT_COVERAGE_INCLUDE,
+	);
+	const isExcluded = createMatcher(coverage.exclude || []);
+	const maxUncovered = coverage.maxUncovered || 0;
+	const summary = { files: 0, covered: 0, uncovered: 0, maxUncovered };
+
+	for (const relativePath of listFiles(distDir)) {
+		if (!isIncluded(relativePath) || isExcluded(relativePath)) {
+			continue;
+		}
+
+		summary.files++;
+		const fullPath = path.resolve(distDir, relativePath);
+		if (coveredFiles.has(fullPath)) {
+			summary.covered++;
+			continue;
+		}
+
+		summary.uncovered++;
+		const hash = crypto
+			.createHash(DEFAULT_ALGORITHM)
+			.update(fs.readFileSync(fullPath))
+			.digest("base64");
+		failures.push({
+			url: `/${relativePath}`,
+			file: fullPath,
+			category: FAILURE_CATEGORIES.UNCOVERED,
+			expected: null,
+			actual: formatIntegrity(DEFAULT_ALGORITHM, hash),
+			error: "No integrity entry in the import map",
+		});
+	}
+
+	summary.success = summary.uncovered <= maxUncovered;
+	return summary;
+}
+
 /**
  * Command-line runner for the validation process
  * @param {string} distDir - Directory containing the build output
@@ -160,14 +335,16 @@ function runValidation(distDir = ".next") {
 		});
 }
 
-// Allow running as a standalone script
-if (require.main === module) {
-	const args = process.argv.slice(2);
-	const distDir = args[0] || ".next";
-	runValidation(distDir);
-}
-
 module.exports = {
+	FAILURE_CATEGORIES,
 	validateNextJSBuildIntegrity,
 	runValidation,
 };
+
+// Allow running as a standalone script; same as `sri-import-map verify`
+if (require.main === module) {
+	const { runCli } = require("./cli");
+	runCli(["verify", ...process.argv.slice(2)]).then((exitCode) => {
+		process.exitCode = exitCode;
+	});
+}
@@ -0,0 +1,417 @@
+// module-lexer.js - Lightweight ES module lexer for import specifiers
+//
+// Finds static imports, re-exports, dynamic import() calls and import.meta
+// without a full parser. Comments, strings, template literals and regular
+// expression literals are skipped so that text inside them is never reported.
+
+// Keywords after which a "/" starts a regular expression, not a division
+const REGEX_KEYWORDS = new Set([
+	"await",
+	"case",
+	"delete",
+	"do",
+	"else",
+	"in",
+	"instanceof",
+	"new",
+	"of",
+	"return",
+	"throw",
+	"typeof",
+	"void",
+	"yield",
+]);
+
+// Statements whose parenthesised head may be followed by a regular
+// expression, as in `if (x) /re/.test(s)`
+const CONTROL_KEYWORDS = new Set(["if", "while", "for", "with"]);
+
+/**
+ * An import found in module source
+ * `start` and `end` delimit the specifier text inside its quotes; for
+ * dynamic imports without a string literal, specifier is null and the range
+ * covers the first token of the argument.
+ * @typedef {Object} ModuleImport
+ * @property {string|null} specifier - Imported specifier, null for non-literal dynamic imports
+ * @property {number} start - Start offset of the specifier text
+ * @property {number} end - End offset of the specifier text
+ * @property {boolean} dynamic - Whether this is an import() call
+ */
+
+/**
+ * Result of lexing a module
+ * @typedef {Object} LexResult
+ * @property {ModuleImport[]} imports - Imports in source order
+ * @property {Array<{start: number, end: number}>} importMetas - Ranges of `import.meta` expressions
+ */
+
+/**
+ * Checks whether a character can start an identifier
+ * @param {string} ch - Character
+ * @returns {boolean} Whether ch starts an identifier
+ */
+function isIdentifierStart(ch) {
+	return /[A-Za-z_$\\]/.test(ch) || ch.charCodeAt(0) > 0x7f;
+}
+
+/**
+ * Checks whether a character can continue an identifier
+ * @param {string} ch - Character
+ * @returns {boolean} Whether ch continues an identifier
+ */
+function isIdentifierPart(ch) {
+	return /[\w$\\]/.test(ch) || ch.charCodeAt(0) > 0x7f;
+}
+
+/**
+ * Decodes the escape sequences of a string literal body
+ * @param {string} raw - String literal body, without quotes
+ * @returns {string} Decoded value
+ */
+function decodeString(raw) {
+	if (!raw.includes("\\")) {
+		return raw;
+	}
+
+	try {
+		return JSON.parse(`"${raw.replace(/\\'/g, "'").replace(/"/g, '\\"')}"`);
+	} catch {
+		return raw;
+	}
+}
+
+/**
+ * Checks whether a "/" after the given token starts a regular expression
+ * @param {Object|undefined} previous - Previous significant token
+ * @returns {boolean} Whether a regular expression may start here
+ */
+function regexAllowedAfter(previous) {
+	if (!previous) {
+		return true;
+	}
+
+	switch (previous.type) {
+		case "identifier":
+			return REGEX_KEYWORDS.has(previous.value);
+		case "punctuator":
+			if (previous.value === ")") {
+				return previous.closesControl === true;
+			}
+			if (previous.value === "++" || previous.value === "--") {
+				// `i++ / 2` divides; `++/re/.lastIndex` does not parse anyway
+				return !previous.postfix;
+			}
+			return !(previous.value === "]" || previous.value === "}");
+		default:
+			return false;
+	}
+}
+
+/**
+ * Checks whether a "(" about to be read opens the head of a control statement
+ * @param {Array<{type: string, value: string}>} tokens - Tokens read so far
+ * @returns {boolean} Whether it follows if, while, for, for await or with
+ */
+function startsControlHead(tokens) {
+	let k = tokens.length - 1;
+	if (tokens[k]?.value === "await" && tokens[k - 1]?.value === "for") {
+		k--;
+	}
+	return (
+		tokens[k]?.type === "identifier" &&
+		CONTROL_KEYWORDS.has(tokens[k].value) &&
+		// `loader.for(...)` is a method call
+		tokens[k - 1]?.value !== "."
+	);
+}
+
+/**
+ * Checks whether a "++" or "--" about to be read is a postfix operator
+ * @param {Object|undefined} previous - Previous significant token
+ * @param {string} source - Module source
+ * @param {number} start - Offset of the operator
+ * @returns {boolean} Whether it follows an operand on the same line
+ */
+function isPostfixUpdate(previous, source, start) {
+	if (!previous || source.slice(previous.end, start).includes("\n")) {
+		return false;
+	}
+	if (previous.type === "identifier") {
+		return !REGEX_KEYWORDS.has(previous.value);
+	}
+	return (
+		previous.type === "punctuator" &&
+		(previous.value === ")" || previous.value === "]")
+	);
+}
+
+/**
+ * Splits module source into the tokens the import scanner needs
+ * @param {string} source - Module source
+ * @returns {Array<{type: string, value: string, start: number, end: number, closesControl?: boolean, postfix?: boolean}>} Tokens
+ */
+function tokenize(source) {
+	const tokens = [];
+	// Brace depths at which an enclosing template literal resumes
+	const templateStack = [];
+	// For each open "(", whether it starts the head of if, while, for or with
+	const parenStack = [];
+	let braceDepth = 0;
+	let i = 0;
+
+	const push = (type, value, start, end) => {
+		tokens.push({ type, value, start, end });
+	};
+
+	// Reads template characters from i; stops after the closing "`" or "${"
+	const readTemplate = (start) => {
+		while (i < source.length) {
+			const ch = source[i];
+			if (ch === "\\") {
+				i += 2;
+			} else if (ch === "`") {
+				i++;
+				push("template", "", start, i);
+				return;
+			} else if (ch === "$" && source[i + 1] === "{") {
+				i += 2;
+				templateStack.push(braceDepth);
+				braceDepth++;
+				push("punctuator", "${", start, i);
+				return;
+			} else {
+				i++;
+			}
+		}
+	};
+
+	while (i < source.length) {
+		const ch = source[i];
+		const next = source[i + 1];
+
+		if (/\s/.test(ch)) {
+			i++;
+		} else if (ch === "/" && next === "/") {
+			const lineEnd = source.indexOf("\n", i);
+			i = lineEnd === -1 ? source.length : lineEnd;
+		} else if (ch === "/" && next === "*") {
+			const commentEnd = source.indexOf("*/", i + 2);
+			i = commentEnd === -1 ? source.length : commentEnd + 2;
+		} else if (ch === '"' || ch === "'") {
+			const start = i + 1;
+			i = start;
+			while (i < source.length && source[i] !== ch && source[i] !== "\n") {
+				i += source[i] === "\\" ? 2 : 1;
+			}
+			push("string", decodeString(source.slice(start, i)), start, i);
+			i++;
+		} else if (ch === "`") {
+			i++;
+			readTemplate(i - 1);
+		} else if (ch === "}" && templateStack.length > 0) {
+			braceDepth--;
+			if (templateStack[templateStack.length - 1] === braceDepth) {
+				templateStack.pop();
+				i++;
+				readTemplate(i - 1);
+			} else {
+				push("punctuator", "}", i, i + 1);
+				i++;
+			}
+		} else if (isIdentifierStart(ch)) {
+			const start = i;
+			i++;
+			while (i < source.length && isIdentifierPart(source[i])) {
+				i++;
+			}
+			push("identifier", source.slice(start, i), start, i);
+		} else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(next))) {
+			const start = i;
+			i++;
+			while (i < source.length && /[\w.]/.test(source[i])) {
+				i++;
+			}
+			push("number", source.slice(start, i), start, i);
+		} else if (ch === "/" && regexAllowedAfter(tokens[tokens.length - 1])) {
+			const start = i;
+			let inClass = false;
+			i++;
+			while (i < source.length && source[i] !== "\n") {
+				const c = source[i];
+				if (c === "\\") {
+					i += 2;
+					continue;
+				}
+				i++;
+				if (c === "[") {
+					inClass = true;
+				} else if (c === "]") {
+					inClass = false;
+				} else if (c === "/" && !inClass) {
+					break;
+				}
+			}
+			while (i < source.length && isIdentifierPart(source[i])) {
+				i++;
+			}
+			push("regex", source.slice(start, i), start, i);
+		} else if (ch === "." && next === "." && source[i + 2] === ".") {
+			push("punctuator", "...", i, i + 3);
+			i += 3;
+		} else if ((ch === "+" || ch === "-") && next === ch) {
+			const postfix = isPostfixUpdate(tokens[tokens.length - 1], source, i);
+			push("punctuator", ch + ch, i, i + 2);
+			tokens[tokens.length - 1].postfix = postfix;
+			i += 2;
+		} else {
+			if (ch === "{") {
+				braceDepth++;
+			} else if (ch === "}") {
+				braceDepth--;
+			} else if (ch === "(") {
+				parenStack.push(startsControlHead(tokens));
+			}
+			push("punctuator", ch, i, i + 1);
+			if (ch === ")") {
+				tokens[tokens.length - 1].closesControl = parenStack.pop() === true;
+			}
+			i++;
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Checks whether a token is a given punctuator
+ * @param {Object|undefined} token - Token
+ * @param {string} value - Punctuator
+ * @returns {boolean} Whether the token matches
+ */
+function isPunctuator(token, value) {
+	return !!token && token.type === "punctuator" && token.value === value;
+}
+
+/**
+ * Checks whether a token is a given identifier or keyword
+ * @param {Object|undefined} token - Token
+ * @param {string} value - Identifier
+ * @returns {boolean} Whether the token matches
+ */
+function isIdentifier(token, value) {
+	return !!token && token.type === "identifier" && token.value === value;
+}
+
+/**
+ * Creates a static import entry from a string token
+ * @param {Object} token - String token
+ * @returns {ModuleImport} Import entry
+ */
+function staticImport(token) {
+	return {
+		specifier: token.value,
+		start: token.start,
+		end: token.end,
+		dynamic: false,
+	};
+}
+
+/**
+ * Lexes ES module source for its imports
+ * @param {string} source - Module source
+ * @returns {LexResult} Imports and import.meta ranges
+ */
+function lexModule(source) {
+	const tokens = tokenize(source);
+	const imports = [];
+	const importMetas = [];
+
+	for (let k = 0; k < tokens.length; k++) {
+		const token = tokens[k];
+		const previous = tokens[k - 1];
+		const next = tokens[k + 1];
+
+		// Property accesses such as `loader.import(...)` are not imports
+		if (isPunctuator(previous, ".") || isPunctuator(previous, "#")) {
+			continue;
+		}
+
+		if (isIdentifier(token, "import")) {
+			if (isPunctuator(next, "(")) {
+				const argument = tokens[k + 2];
+				const after = tokens[k + 3];
+				if (
+					argument &&
+					argument.type === "string" &&
+					(isPunctuator(after, ")") || isPunctuator(after, ","))
+				) {
+					imports.push({ ...staticImport(argument), dynamic: true });
+				} else if (argument) {
+					imports.push({
+						specifier: null,
+						start: argument.start,
+						end: argument.end,
+						dynamic: true,
+					});
+				}
+			} else if (
+				isPunctuator(next, ".") &&
+				isIdentifier(tokens[k + 2], "meta")
+			) {
+				importMetas.push({ start: token.start, end: tokens[k + 2].end });
+			} else if (next && next.type === "string") {
+				imports.push(staticImport(next));
+			} else {
+				// import a, { b as c } from "x" / import * as ns from "x"
+				for (let j = k + 1; j < tokens.length; j++) {
+					if (
+						isPunctuator(tokens[j], ";") ||
+						isIdentifier(tokens[j], "import") ||
+						isIdentifier(tokens[j], "export")
+					) {
+						break;
+					}
+					if (
+						isIdentifier(tokens[j], "from") &&
+						tokens[j + 1] &&
+						tokens[j + 1].type === "string"
+					) {
+						imports.push(staticImport(tokens[j + 1]));
+						k = j + 1;
+						break;
+					}
+				}
+			}
+		} else if (isIdentifier(token, "export")) {
+			let j = k + 1;
+			if (isPunctuator(tokens[j], "*")) {
+				j++;
+				if (isIdentifier(tokens[j], "as")) {
+					j += 2;
+				}
+			} else if (isPunctuator(tokens[j], "{")) {
+				while (j < tokens.length && !isPunctuator(tokens[j], "}")) {
+					j++;
+				}
+				j++;
+			} else {
+				continue;
+			}
+
+			if (
+				isIdentifier(tokens[j], "from") &&
+				tokens[j + 1] &&
+				tokens[j + 1].type === "string"
+			) {
+				imports.push(staticImport(tokens[j + 1]));
+				k = j + 1;
+			}
+		}
+	}
+
+	return { imports, importMetas };
+}
+
+module.exports = {
+	lexModule,
+};
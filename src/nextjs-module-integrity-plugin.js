@@ -2,16 +2,74 @@
 const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const {
+	formatImportMapDiagnostics,
+	validateImportMap,
+} = require("./import-map-schema");
+const { getChunkPackages, getModulePackage } = require("./chunk-packages");
+const {
+	CSP_FORMATS,
+	buildPolicy,
+	integritySources,
+	parsePolicy,
+	removeSources,
+	serializePolicy,
+} = require("./csp-policy");
+const { createSpecifierResolver } = require("./import-map-specifiers");
+const { ModuleIntegrityError } = require("./integrity-errors");
+const {
+	loadSigningKey,
+	serializeSignature,
+	signImportMap,
+} = require("./import-map-signing");
+const { formatIntegrity, normalizeAlgorithms } = require("./sri-metadata");
 
 /**
  * Configuration for the NextJS Module Integrity Plugin
  * @typedef {Object} ModuleIntegrityConfig
  * @property {string[]} packages - Array of package names to generate integrity hashes for
+ * @property {string|string[]} algorithm - Hash algorithm(s) to emit: "sha256", "sha384" and/or "sha512"
  * @property {boolean} generateVercelConfig - Whether to generate headers in vercel.json
  * @property {string} importMapPath - Path to output the import map JSON
- * @property {boolean} injectImportMap - Whether to inject the import map into HTML
+ * @property {boolean} injectImportMap - Whether <ImportMapScript /> inlines the import map into the HTML
+ * @property {import("./import-map-signing").SigningConfig} signing - Emit a detached signature of the import map, e.g. `{ privateKeyPath: "keys/importmap.pem" }`
+ * @property {boolean} validate - Check the generated import map; errors fail the build and warnings are reported (default true)
+ * @property {import("./import-map-specifiers").SpecifierStrategy|import("./import-map-specifiers").SpecifierStrategy[]} specifier
+ *   How each chunk's specifier is chosen: "package", "chunk", "route" and/or "logical", tried in order (default ["package", "logical"])
+ * @property {string|false} packageManifestPath - Path to output the manifest of the npm packages, with versions, in each chunk (false to skip it)
+ * @property {CSPConfig|false} csp - Content-Security-Policy allowing the hashed chunks, also used for vercel.json (default false)
  */
 
+/**
+ * Content-Security-Policy to write next to the import map
+ * @typedef {Object} CSPConfig
+ * @property {string} [policy] - Policy to add the hashes to (default "default-src 'self'; script-src 'self'")
+ * @property {boolean} [strictDynamic] - Add 'strict-dynamic' to script-src
+ * @property {string} [nonce] - Nonce to allow in script-src, e.g. a placeholder the server replaces
+ * @property {string[]} [requireSriFor] - Resource types for a require-sri-for directive, e.g. ["script"]
+ * @property {{next?: string, headers?: string, nginx?: string, meta?: string}} [outputs] - Output path
+ *   for each format: Next.js headers() JSON, a Netlify/Cloudflare _headers file, an nginx
+ *   add_header line, or a <meta> tag
+ */
+
+// Where the hashes added to vercel.json are recorded, relative to the output
+// directory; `next build` keeps .next/cache when it clears the rest
+const VERCEL_HASHES_PATH = "cache/module-integrity/vercel-hashes.json";
+
+/**
+ * Reads the hash sources a previous build added to vercel.json
+ * @param {string} hashesPath - File recording them
+ * @returns {string[]} Hash sources, none if there was no previous build
+ */
+function readPreviousHashes(hashesPath) {
+	try {
+		const hashes = JSON.parse(fs.readFileSync(hashesPath, "utf8"));
+		return Array.isArray(hashes) ? hashes : [];
+	} catch {
+		return [];
+	}
+}
+
 /**
  * Middleware creator for NextJS v15+ that adds module integrity functionality
  * @param {ModuleIntegrityConfig} config - Middleware configuration
@@ -48,14 +106,36 @@ class NextJSModuleIntegrityPlugin {
 	constructor(config = {}) {
 		this.config = {
 			packages: [],
+			algorithm: "sha384",
 			generateVercelConfig: true,
 			importMapPath: "importmap.json",
 			injectImportMap: true,
+			validate: true,
+			specifier: ["package", "logical"],
+			packageManifestPath: "importmap.packages.json",
+			csp: false,
 			...config,
 		};
 
-		// We now only support SHA-384 for integrity
-		this.algorithm = "sha384";
+		// Fails construction on an unknown strategy name
+		this.resolveSpecifier = createSpecifierResolver(this.config.specifier);
+
+		for (const format of Object.keys(this.config.csp?.outputs || {})) {
+			if (!Object.hasOwn(CSP_FORMATS, format)) {
+				throw new ModuleIntegrityError(
+					`Unknown CSP output format "${format}"; expected one of ${Object.keys(CSP_FORMATS).join(", ")}`,
+				);
+			}
+		}
+
+		// Every configured algorithm is emitted, so clients can move to a
+		// stronger one while older hashes are still listed
+		this.algorithms = normalizeAlgorithms(this.config.algorithm);
+
+		// Loaded up front so a missing or unsupported key fails the build early
+		this.signingKey = this.config.signing
+			? loadSigningKey(this.config.signing)
+			: null;
 
 		this.importMap = {
 			imports: {},
@@ -68,17 +148,34 @@ class NextJSModuleIntegrityPlugin {
 	 * @param {Object} compiler - Webpack compiler instance
 	 */
 	apply(compiler) {
-		// Use the processAssets hook from the webpack 5 API for NextJS v15
+		// Read by <ImportMapScript />, which is bundled into the server build
+		new compiler.webpack.DefinePlugin({
+			"process.env.MODULE_INTEGRITY_INJECT_IMPORT_MAP": JSON.stringify(
+				String(this.config.injectImportMap),
+			),
+			"process.env.MODULE_INTEGRITY_IMPORT_MAP_PATH": JSON.stringify(
+				this.config.importMapPath,
+			),
+		}).apply(compiler);
+
+		// Hash at the last processAssets stage, after minification and
+		// real content hashing, so the hashes match the bytes that are emitted
 		compiler.hooks.compilation.tap(
 			"NextJSModuleIntegrityPlugin",
 			(compilation) => {
 				compilation.hooks.processAssets.tap(
 					{
 						name: "NextJSModuleIntegrityPlugin",
-						stage: compilation.PROCESS_ASSETS_STAGE_ANALYZE,
+						stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_REPORT,
 					},
 					(assets) => {
 						const assetNames = Object.keys(assets);
+						const chunksByFile = this.getChunksByFile(compilation);
+
+						// Each compilation gets its own map, so a rebuild does not keep
+						// entries for files it no longer emits
+						this.importMap = { imports: {}, integrity: {} };
+						const packageManifest = {};
 
 						// Get JS assets
 						const jsAssets = assetNames.filter((name) => name.endsWith(".js"));
@@ -87,26 +184,90 @@ class NextJSModuleIntegrityPlugin {
 						const targetAssets = this.filterAssetsByPackages(
 							compilation,
 							jsAssets,
+							chunksByFile,
 						);
 
 						// Process each target asset
 						targetAssets.forEach((assetName) => {
 							const asset = assets[assetName];
-							const content = asset.source();
+							const content =
+								typeof asset.buffer === "function"
+									? asset.buffer()
+									: asset.source();
 
 							// Calculate integrity hash
 							const integrity = this.calculateIntegrity(content);
 
-							// Add to import map
-							this.addToImportMap(assetName, integrity);
+							// Add to import map, reporting specifiers taken by another file
+							const chunk = chunksByFile.get(assetName);
+							const specifier = this.resolveSpecifier({
+								assetName,
+								info: compilation.getAsset(assetName)?.info,
+								chunk,
+								compilation,
+								isTaken: (candidate) =>
+									Object.hasOwn(this.importMap.imports, candidate),
+							});
+							const existing = this.addToImportMap(
+								assetName,
+								integrity,
+								specifier,
+							);
+							if (existing) {
+								compilation.errors.push(
+									new compiler.webpack.WebpackError(
+										`[NextJSModuleIntegrityPlugin] Specifier "${specifier}" would map both ${existing} and /${assetName}; choose a different specifier strategy`,
+									),
+								);
+							}
+
+							// Record the third-party code the hash covers
+							packageManifest[`/${assetName}`] = {
+								specifier,
+								integrity,
+								packages: chunk
+									? getChunkPackages(chunk, compilation).packages
+									: [],
+							};
 						});
 
+						if (this.config.validate) {
+							this.reportDiagnostics(compilation, compiler, assetNames);
+						}
+
 						// Add import map as an asset
 						const importMapJson = JSON.stringify(this.importMap, null, 2);
 						compilation.emitAsset(this.config.importMapPath, {
 							source: () => importMapJson,
 							size: () => importMapJson.length,
 						});
+
+						if (this.config.packageManifestPath) {
+							const manifestJson = JSON.stringify(packageManifest, null, 2);
+							compilation.emitAsset(this.config.packageManifestPath, {
+								source: () => manifestJson,
+								size: () => manifestJson.length,
+							});
+						}
+
+						if (this.config.csp) {
+							this.emitPolicy(compilation);
+						}
+
+						// Detached signature over the canonical form of the map
+						if (this.signingKey) {
+							const signatureJson = serializeSignature(
+								signImportMap(this.importMap, this.signingKey),
+							);
+							compilation.emitAsset(
+								this.config.signing.signaturePath ||
+									`${this.config.importMapPath}.sig`,
+								{
+									source: () => signatureJson,
+									size: () => signatureJson.length,
+								},
+							);
+						}
 					},
 				);
 			},
@@ -117,7 +278,9 @@ class NextJSModuleIntegrityPlugin {
 			"NextJSModuleIntegrityPlugin",
 			(compilation, callback) => {
 				if (this.config.generateVercelConfig) {
-					this.generateVercelConfig();
+					this.generateVercelConfig(
+						path.join(compiler.outputPath, VERCEL_HASHES_PATH),
+					);
 				}
 
 				callback();
@@ -125,103 +288,179 @@ class NextJSModuleIntegrityPlugin {
 		);
 	}
 
+	/**
+	 * Validates the import map, adding its diagnostics to the compilation
+	 * Errors fail the build; warnings are shown with the other build warnings.
+	 * @param {Object} compilation - Webpack compilation object
+	 * @param {Object} compiler - Webpack compiler instance
+	 * @param {string[]} assetNames - Emitted asset names
+	 */
+	reportDiagnostics(compilation, compiler, assetNames) {
+		const { WebpackError } = compiler.webpack;
+		const { diagnostics } = validateImportMap(this.importMap, {
+			knownURLs: assetNames.map((name) => `/${name}`),
+		});
+
+		for (const diagnostic of diagnostics) {
+			const error = new WebpackError(
+				`[NextJSModuleIntegrityPlugin] ${this.config.importMapPath}: ${formatImportMapDiagnostics([diagnostic])}`,
+			);
+			if (diagnostic.severity === "error") {
+				compilation.errors.push(error);
+			} else {
+				compilation.warnings.push(error);
+			}
+		}
+	}
+
 	/**
 	 * Filter assets based on configured packages
+	 * An asset is kept if the chunk that emitted it contains one of the
+	 * packages; assets that belong to no chunk are dropped.
 	 * @param {Object} compilation - Webpack compilation object
 	 * @param {string[]} assetNames - All asset names
+	 * @param {Map<string, Object>} [chunksByFile] - Chunks by file name
 	 * @returns {string[]} - Filtered asset names
 	 */
-	filterAssetsByPackages(compilation, assetNames) {
+	filterAssetsByPackages(
+		compilation,
+		assetNames,
+		chunksByFile = this.getChunksByFile(compilation),
+	) {
 		if (!this.config.packages || this.config.packages.length === 0) {
 			return assetNames;
 		}
 
 		return assetNames.filter((name) => {
-			return this.config.packages.some((pkg) => {
-				// Direct imports check
-				if (name.includes(`node_modules/${pkg}/`)) {
-					return true;
-				}
-
-				// Use the improved chunk detection
-				if (
-					this.chunkContainsPackage(compilation, name.replace(/\.js$/, ""), pkg)
-				) {
-					return true;
-				}
-
-				return false;
-			});
+			const chunk = chunksByFile.get(name);
+			return (
+				chunk !== undefined &&
+				this.config.packages.some((pkg) =>
+					this.chunkContainsPackage(compilation, chunk, pkg),
+				)
+			);
 		});
 	}
 
 	/**
 	 * Determine if a chunk contains a specific package
-	 * This method analyzes the module graph to determine this accurately
+	 * Works for unnamed chunks, such as Next.js split chunks. Each module's
+	 * package comes from the package.json it was resolved with, so pnpm's
+	 * .pnpm/<name>@<version>/node_modules/<name> layout, scoped packages and
+	 * Windows paths are all recognised.
 	 * @param {Object} compilation - Webpack compilation object
-	 * @param {string} chunkName - Name of the chunk
+	 * @param {Object} chunk - Webpack chunk
 	 * @param {string} packageName - Package to check for
 	 * @returns {boolean} - Whether the chunk contains the package
 	 */
-	chunkContainsPackage(compilation, chunkName, packageName) {
-		const chunk = compilation.namedChunks.get(chunkName);
-		if (!chunk) return false;
-
-		// Get all modules in this chunk - updated for webpack 5 API
-		const modulesInChunk = new Set();
-		for (const module of chunk.getModules()) {
-			modulesInChunk.add(module);
-		}
-
-		// Check if any module is from the package
-		return Array.from(modulesInChunk).some((module) => {
-			// Check the module resource path
-			if (module.resource) {
-				return module.resource.includes(`node_modules/${packageName}/`);
-			}
-
+	chunkContainsPackage(compilation, chunk, packageName) {
+		for (const module of compilation.chunkGraph.getChunkModulesIterable(
+			chunk,
+		)) {
 			// For concatenated modules, check each source
-			if (module.modules) {
-				return Array.from(module.modules).some(
-					(m) =>
-						m.resource && m.resource.includes(`node_modules/${packageName}/`),
-				);
+			for (const inner of module.modules || [module]) {
+				if (getModulePackage(inner)?.name === packageName) {
+					return true;
+				}
 			}
-
-			return false;
-		});
+		}
+		return false;
 	}
 
 	/**
-	 * Calculate integrity hash for content using SHA-384 only
+	 * Calculate integrity metadata for content with every configured algorithm
 	 * @param {string|Buffer} content - Content to hash
-	 * @returns {string} - Integrity hash
+	 * @returns {string} - Space-separated integrity metadata
 	 */
 	calculateIntegrity(content) {
-		const hash = crypto.createHash(this.algorithm);
-		hash.update(content);
-		return `${this.algorithm}-${hash.digest("base64")}`;
+		return this.algorithms
+			.map((algorithm) => {
+				const hash = crypto.createHash(algorithm);
+				hash.update(content);
+				return formatIntegrity(algorithm, hash.digest("base64"));
+			})
+			.join(" ");
+	}
+
+	/**
+	 * Maps each emitted file to the chunk it belongs to
+	 * @param {Object} compilation - Webpack compilation object
+	 * @returns {Map<string, Object>} Chunks by file name
+	 */
+	getChunksByFile(compilation) {
+		const chunksByFile = new Map();
+		for (const chunk of compilation.chunks) {
+			for (const file of chunk.files) {
+				chunksByFile.set(file, chunk);
+			}
+		}
+		return chunksByFile;
 	}
 
 	/**
 	 * Add an asset to the import map
+	 * A specifier that already maps to another asset is left as it is.
 	 * @param {string} assetName - Asset name
 	 * @param {string} integrity - Integrity hash
+	 * @param {string} [specifier] - Specifier (default: the asset's logical name)
+	 * @returns {string|null} URL the specifier already maps to, on a collision
 	 */
-	addToImportMap(assetName, integrity) {
-		// Create a specifier from the asset name
-		// Remove extension and path to create a simpler specifier
-		const specifier = path.basename(assetName, path.extname(assetName));
-
-		// Add to import map
-		this.importMap.imports[specifier] = `/${assetName}`;
-		this.importMap.integrity[`/${assetName}`] = integrity;
+	addToImportMap(
+		assetName,
+		integrity,
+		specifier = this.resolveSpecifier({ assetName }),
+	) {
+		const url = `/${assetName}`;
+		const existing = this.importMap.imports[specifier];
+
+		this.importMap.integrity[url] = integrity;
+		if (existing && existing !== url) {
+			return existing;
+		}
+		this.importMap.imports[specifier] = url;
+		return null;
+	}
+
+	/**
+	 * Builds the Content-Security-Policy allowing every hashed chunk
+	 * @param {string} [policy] - Policy to add to (default the csp config's policy)
+	 * @returns {import("./csp-policy").CSPPolicy} Policy
+	 */
+	buildPolicy(policy) {
+		const { outputs, ...options } = this.config.csp || {};
+		return buildPolicy({
+			...options,
+			...(policy === undefined ? {} : { policy }),
+			integrity: this.importMap.integrity,
+		});
+	}
+
+	/**
+	 * Emits the Content-Security-Policy in each configured format
+	 * @param {Object} compilation - Webpack compilation object
+	 */
+	emitPolicy(compilation) {
+		const policy = this.buildPolicy();
+		for (const [format, outputPath] of Object.entries(
+			this.config.csp.outputs || {},
+		)) {
+			const content = CSP_FORMATS[format](policy);
+			compilation.emitAsset(outputPath, {
+				source: () => content,
+				size: () => content.length,
+			});
+		}
 	}
 
 	/**
 	 * Generate or update Vercel configuration with security headers
+	 * The hashes the previous build added to script-src, as recorded in
+	 * hashesPath, are replaced with this build's, so chunks a rebuild no longer
+	 * emits stop being allowed. Other sources, such as hashes added by hand for
+	 * inline scripts, are kept.
+	 * @param {string} hashesPath - File recording the hashes this plugin added
 	 */
-	generateVercelConfig() {
+	generateVercelConfig(hashesPath) {
 		const vercelConfigPath = path.resolve(process.cwd(), "vercel.json");
 		let vercelConfig = { headers: [] };
 
@@ -237,63 +476,41 @@ class NextJSModuleIntegrityPlugin {
 			}
 		}
 
-		// Generate Content-Security-Policy with script-src entries
-		const scriptSrcEntries = Object.entries(this.importMap.integrity)
-			.map(([url, integrity]) => {
-				return `'${integrity}'`;
-			})
-			.join(" ");
-
-		// Check if we already have a CSP header
-		const existingCspHeaderIndex = vercelConfig.headers.findIndex(
-			(header) =>
-				header.source &&
-				header.headers &&
-				header.headers.some((h) => h.key === "Content-Security-Policy"),
-		);
-
-		if (existingCspHeaderIndex >= 0) {
-			// Update existing CSP header
-			const cspHeaderIndex = vercelConfig.headers[
-				existingCspHeaderIndex
-			].headers.findIndex((h) => h.key === "Content-Security-Policy");
-
-			if (cspHeaderIndex >= 0) {
-				let cspValue =
-					vercelConfig.headers[existingCspHeaderIndex].headers[cspHeaderIndex]
-						.value;
-
-				// Check if there's a script-src directive
-				if (cspValue.includes("script-src ")) {
-					// Add integrity hashes to existing script-src
-					cspValue = cspValue.replace(
-						/(script-src [^;]*)/,
-						`$1 ${scriptSrcEntries}`,
-					);
-				} else {
-					// Add new script-src directive
-					cspValue += `; script-src 'self' ${scriptSrcEntries}`;
-				}
-
-				vercelConfig.headers[existingCspHeaderIndex].headers[
-					cspHeaderIndex
-				].value = cspValue;
-			}
+		// Find an existing CSP header to add to
+		const cspHeader = vercelConfig.headers
+			.filter((rule) => rule.source && Array.isArray(rule.headers))
+			.flatMap((rule) => rule.headers)
+			.find((header) => header.key === "Content-Security-Policy");
+
+		if (cspHeader) {
+			cspHeader.value = serializePolicy(
+				this.buildPolicy(
+					removeSources(
+						parsePolicy(cspHeader.value),
+						"script-src",
+						readPreviousHashes(hashesPath),
+					),
+				),
+			);
 		} else {
-			// Add new CSP header
 			vercelConfig.headers.push({
 				source: "/(.*)",
 				headers: [
 					{
 						key: "Content-Security-Policy",
-						value: `default-src 'self'; script-src 'self' ${scriptSrcEntries}`,
+						value: serializePolicy(this.buildPolicy()),
 					},
 				],
 			});
 		}
 
-		// Write updated vercel.json
+		// Write updated vercel.json, and the hashes the next build replaces
 		fs.writeFileSync(vercelConfigPath, JSON.stringify(vercelConfig, null, 2));
+		fs.mkdirSync(path.dirname(hashesPath), { recursive: true });
+		fs.writeFileSync(
+			hashesPath,
+			JSON.stringify(integritySources(this.importMap.integrity), null, 2),
+		);
 		console.log(
 			`Updated vercel.json with integrity headers for ${Object.keys(this.importMap.integrity).length} modules`,
 		);
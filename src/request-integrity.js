@@ -0,0 +1,237 @@
+// request-integrity.js - Enforce import map integrity on intercepted requests
+//
+// Used by the service worker for every script, worker and modulepreload
+// request. Integrity keys are resolved the way the browser resolves module
+// URLs, so relative, absolute, cross-origin and bare-specifier keys all
+// match the request they describe. The response is hashed as served and
+// only the verified bytes are handed back to the page.
+const { digestBytes } = require("./integrity-digest");
+const {
+	parseImportMap,
+	resolveModuleSpecifier,
+	resolveURLLikeModuleSpecifier,
+} = require("./import-map-resolver");
+const {
+	formatIntegrity,
+	getStrongestAlgorithm,
+	matchesIntegrityMetadata,
+} = require("./sri-metadata");
+
+// Request destinations that load JavaScript. <link rel="modulepreload">
+// requests have the destination of what they preload: "script" by default.
+const MODULE_DESTINATIONS = new Set([
+	"script",
+	"worker",
+	"sharedworker",
+	"audioworklet",
+	"paintworklet",
+]);
+
+// Message type of the reports posted to controlled clients
+const VIOLATION_MESSAGE_TYPE = "module-integrity-violation";
+
+/**
+ * Integrity entry that applies to a request
+ * @typedef {Object} IntegrityMatch
+ * @property {string} url - Normalized URL the entry is keyed by
+ * @property {string} integrity - Integrity metadata
+ */
+
+/**
+ * Outcome of checking a response
+ * @typedef {Object} ResponseVerification
+ * @property {"verified"|"mismatch"|"unsupported"|"opaque"|"error"} status - Check result; "error" means the request itself failed, and the response is passed through
+ * @property {string} expected - Expected integrity metadata
+ * @property {string|null} actual - Integrity of the bytes received
+ * @property {Uint8Array|null} bytes - Response bytes, when they could be read
+ */
+
+/**
+ * Report posted to clients when a request is blocked
+ * @typedef {Object} IntegrityViolationReport
+ * @property {"module-integrity-violation"} type - Message type
+ * @property {string} url - Request URL
+ * @property {string} destination - Request destination
+ * @property {string} status - Verification status
+ * @property {string} expected - Expected integrity metadata
+ * @property {string|null} actual - Integrity of the bytes received
+ * @property {string} [clientId] - Client that made the request
+ * @property {string} timestamp - ISO 8601 time of the violation
+ */
+
+/**
+ * Whether a request loads JavaScript and so is subject to integrity checks
+ * @param {Request} request - Intercepted request
+ * @returns {boolean} Whether to check the request
+ */
+function isModuleRequest(request) {
+	return MODULE_DESTINATIONS.has(request.destination);
+}
+
+/**
+ * Removes the fragment from a URL, which is never part of a request
+ * @param {URL} url - URL
+ * @returns {string} Serialized URL without fragment
+ */
+function withoutHash(url) {
+	const copy = new URL(url);
+	copy.hash = "";
+	return copy.href;
+}
+
+/**
+ * Builds a lookup from request URLs to the trusted map's integrity entries
+ * URL-like keys are resolved against baseURL; bare-specifier keys are
+ * resolved through the map's imports, as the browser would load them.
+ * Explicit URL keys win over bare-specifier keys for the same URL.
+ * @param {Object} importMap - Trusted import map, as written
+ * @param {string|URL} baseURL - Base URL the map applies to
+ * @returns {function(string|URL): IntegrityMatch|null} Lookup by request URL
+ */
+function createIntegrityLookup(importMap, baseURL) {
+	const parsed = parseImportMap(importMap, baseURL, { onWarning: () => {} });
+	const entries = new Map();
+
+	for (const [key, integrity] of Object.entries(importMap.integrity || {})) {
+		if (
+			typeof integrity !== "string" ||
+			resolveURLLikeModuleSpecifier(key, baseURL) !== null
+		) {
+			continue;
+		}
+		try {
+			const url = withoutHash(resolveModuleSpecifier(key, parsed, baseURL));
+			entries.set(url, integrity);
+		} catch {
+			// Unmapped bare keys describe no request
+		}
+	}
+
+	for (const [url, integrity] of Object.entries(parsed.integrity)) {
+		entries.set(withoutHash(new URL(url)), integrity);
+	}
+
+	return (requestURL) => {
+		const url = new URL(requestURL);
+		const href = withoutHash(url);
+		if (entries.has(href)) {
+			return { url: href, integrity: entries.get(href) };
+		}
+
+		// Cache-busting query strings are not part of the map's keys
+		url.search = "";
+		const withoutQuery = withoutHash(url);
+		if (entries.has(withoutQuery)) {
+			return { url: withoutQuery, integrity: entries.get(withoutQuery) };
+		}
+
+		return null;
+	};
+}
+
+/**
+ * Checks a response's bytes against integrity metadata
+ * @param {Response} response - Network response
+ * @param {string} integrity - Expected integrity metadata
+ * @returns {Promise<ResponseVerification>} Verification result
+ */
+async function verifyResponseIntegrity(response, integrity) {
+	const result = { expected: integrity, actual: null, bytes: null };
+
+	const algorithm = getStrongestAlgorithm(integrity);
+	if (!algorithm) {
+		return { ...result, status: "unsupported" };
+	}
+	// A no-cors cross-origin response cannot be read, so it cannot be verified
+	if (response.type === "opaque" || response.type === "opaqueredirect") {
+		return { ...result, status: "opaque" };
+	}
+	if (!response.ok) {
+		return { ...result, status: "error" };
+	}
+
+	const bytes = new Uint8Array(await response.arrayBuffer());
+	const digest = await digestBytes(bytes, algorithm);
+	return {
+		...result,
+		status: matchesIntegrityMetadata(integrity, algorithm, digest)
+			? "verified"
+			: "mismatch",
+		actual: formatIntegrity(algorithm, digest),
+		bytes,
+	};
+}
+
+/**
+ * Builds the response that hands verified bytes to the page
+ * @param {Response} response - Original network response
+ * @param {Uint8Array} bytes - Verified bytes
+ * @returns {Response} Response with the same status and headers
+ */
+function createVerifiedResponse(response, bytes) {
+	return new Response(bytes, {
+		status: response.status,
+		statusText: response.statusText,
+		headers: response.headers,
+	});
+}
+
+/**
+ * Describes a blocked request for clients
+ * @param {Request} request - Intercepted request
+ * @param {ResponseVerification} verification - Failed verification
+ * @param {string} [clientId] - Requesting client
+ * @returns {IntegrityViolationReport} Report
+ */
+function createViolationReport(request, verification, clientId) {
+	return {
+		type: VIOLATION_MESSAGE_TYPE,
+		url: request.url,
+		destination: request.destination,
+		status: verification.status,
+		expected: verification.expected,
+		actual: verification.actual,
+		clientId: clientId || undefined,
+		timestamp: new Date().toISOString(),
+	};
+}
+
+const VIOLATION_REASONS = {
+	mismatch: "the response does not match its integrity metadata",
+	unsupported: "its integrity metadata uses no supported hash algorithm",
+	opaque: "the cross-origin response cannot be read; request it with CORS",
+};
+
+/**
+ * Builds the error response returned in place of a blocked module
+ * @param {IntegrityViolationReport} report - Violation report
+ * @returns {Response} Error response
+ */
+function createViolationResponse(report) {
+	const reason = VIOLATION_REASONS[report.status] || report.status;
+	const lines = [
+		`Blocked ${report.url}: ${reason}.`,
+		`Expected: ${report.expected}`,
+		`Actual: ${report.actual || "(not computed)"}`,
+	];
+
+	return new Response(`${lines.join("\n")}\n`, {
+		status: 403,
+		statusText: "Module Integrity Violation",
+		headers: {
+			"Content-Type": "text/plain; charset=utf-8",
+			"Cache-Control": "no-store",
+		},
+	});
+}
+
+module.exports = {
+	MODULE_DESTINATIONS,
+	VIOLATION_MESSAGE_TYPE,
+	isModuleRequest,
+	createIntegrityLookup,
+	verifyResponseIntegrity,
+	createVerifiedResponse,
+	createViolationReport,
+	createViolationResponse,
+};
@@ -0,0 +1,398 @@
+// sha2.js - Incremental SHA-256, SHA-384 and SHA-512
+//
+// Web Crypto can only digest a complete buffer. This implementation accepts
+// data chunk by chunk, so a module can be hashed while it streams in from
+// response.body instead of being buffered first.
+const { UnsupportedAlgorithmError } = require("./integrity-errors");
+
+// Round constants, first 32 bits of the cube roots of the first 64 primes
+const K256 = new Uint32Array([
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+	0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+	0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+	0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+	0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+	0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+	0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+	0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+	0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+	0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+	0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+// Round constants as high/low 32-bit pairs, first 64 bits of the cube roots
+// of the first 80 primes
+const K512 = new Uint32Array([
+	0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f,
+	0xe9b5dba5, 0x8189dbbc, 0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+	0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118, 0xd807aa98, 0xa3030242,
+	0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+	0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235,
+	0xc19bf174, 0xcf692694, 0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+	0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65, 0x2de92c6f, 0x592b0275,
+	0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+	0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f,
+	0xbf597fc7, 0xbeef0ee4, 0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+	0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70, 0x27b70a85, 0x46d22ffc,
+	0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+	0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6,
+	0x92722c85, 0x1482353b, 0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+	0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30, 0xd192e819, 0xd6ef5218,
+	0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+	0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99,
+	0x34b0bcb5, 0xe19b48a8, 0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+	0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3, 0x748f82ee, 0x5defb2fc,
+	0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+	0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915,
+	0xc67178f2, 0xe372532b, 0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+	0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178, 0x06f067aa, 0x72176fba,
+	0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+	0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc,
+	0x431d67c4, 0x9c100d4c, 0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+	0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+]);
+
+const INITIAL_STATE = {
+	sha256: [
+		0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+		0x1f83d9ab, 0x5be0cd19,
+	],
+	sha384: [
+		0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17,
+		0x152fecd8, 0xf70e5939, 0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511,
+		0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4,
+	],
+	sha512: [
+		0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b,
+		0xa54ff53a, 0x5f1d36f1, 0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f,
+		0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179,
+	],
+};
+
+const DIGEST_LENGTHS = { sha256: 32, sha384: 48, sha512: 64 };
+
+/**
+ * Incremental SHA-2 hash
+ * @typedef {Object} IncrementalHash
+ * @property {function(Uint8Array): IncrementalHash} update - Adds bytes to the hash
+ * @property {function(): Uint8Array} digest - Finishes the hash and returns the digest
+ */
+
+/**
+ * Runs the SHA-256 compression function over one 64-byte block
+ * @param {Uint32Array} state - Hash state, updated in place
+ * @param {Uint32Array} w - Message schedule scratch space (64 words)
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number} offset - Offset of the block in bytes
+ */
+function compress256(state, w, bytes, offset) {
+	for (let i = 0; i < 16; i++) {
+		const j = offset + i * 4;
+		w[i] =
+			(bytes[j] << 24) |
+			(bytes[j + 1] << 16) |
+			(bytes[j + 2] << 8) |
+			bytes[j + 3];
+	}
+
+	for (let i = 16; i < 64; i++) {
+		const w15 = w[i - 15];
+		const w2 = w[i - 2];
+		const s0 =
+			((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+		const s1 =
+			((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+		w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+	}
+
+	let a = state[0];
+	let b = state[1];
+	let c = state[2];
+	let d = state[3];
+	let e = state[4];
+	let f = state[5];
+	let g = state[6];
+	let h = state[7];
+
+	for (let i = 0; i < 64; i++) {
+		const S1 =
+			((e >>> 6) | (e << 26)) ^
+			((e >>> 11) | (e << 21)) ^
+			((e >>> 25) | (e << 7));
+		const ch = (e & f) ^ (~e & g);
+		const t1 = (h + S1 + ch + K256[i] + w[i]) | 0;
+		const S0 =
+			((a >>> 2) | (a << 30)) ^
+			((a >>> 13) | (a << 19)) ^
+			((a >>> 22) | (a << 10));
+		const maj = (a & b) ^ (a & c) ^ (b & c);
+		const t2 = (S0 + maj) | 0;
+
+		h = g;
+		g = f;
+		f = e;
+		e = (d + t1) | 0;
+		d = c;
+		c = b;
+		b = a;
+		a = (t1 + t2) | 0;
+	}
+
+	state[0] += a;
+	state[1] += b;
+	state[2] += c;
+	state[3] += d;
+	state[4] += e;
+	state[5] += f;
+	state[6] += g;
+	state[7] += h;
+}
+
+/**
+ * Runs the SHA-512 compression function over one 128-byte block
+ * 64-bit words are kept as high/low pairs of 32-bit integers; additions sum
+ * the low halves as plain numbers and carry the overflow into the high half.
+ * @param {Uint32Array} state - Hash state as 16 high/low words, updated in place
+ * @param {Uint32Array} w - Message schedule scratch space (160 words)
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {number} offset - Offset of the block in bytes
+ */
+function compress512(state, w, bytes, offset) {
+	for (let i = 0; i < 32; i++) {
+		const j = offset + i * 4;
+		w[i] =
+			(bytes[j] << 24) |
+			(bytes[j + 1] << 16) |
+			(bytes[j + 2] << 8) |
+			bytes[j + 3];
+	}
+
+	for (let i = 16; i < 80; i++) {
+		// sigma0 = rotr1 ^ rotr8 ^ shr7
+		let h = w[(i - 15) * 2];
+		let l = w[(i - 15) * 2 + 1];
+		const s0h = ((h >>> 1) | (l << 31)) ^ ((h >>> 8) | (l << 24)) ^ (h >>> 7);
+		const s0l =
+			((l >>> 1) | (h << 31)) ^
+			((l >>> 8) | (h << 24)) ^
+			((l >>> 7) | (h << 25));
+
+		// sigma1 = rotr19 ^ rotr61 ^ shr6
+		h = w[(i - 2) * 2];
+		l = w[(i - 2) * 2 + 1];
+		const s1h = ((h >>> 19) | (l << 13)) ^ ((l >>> 29) | (h << 3)) ^ (h >>> 6);
+		const s1l =
+			((l >>> 19) | (h << 13)) ^
+			((h >>> 29) | (l << 3)) ^
+			((l >>> 6) | (h << 26));
+
+		const lo =
+			(s0l >>> 0) + (s1l >>> 0) + w[(i - 7) * 2 + 1] + w[(i - 16) * 2 + 1];
+		const hi =
+			(s0h >>> 0) +
+			(s1h >>> 0) +
+			w[(i - 7) * 2] +
+			w[(i - 16) * 2] +
+			Math.floor(lo / 0x100000000);
+		w[i * 2] = hi;
+		w[i * 2 + 1] = lo;
+	}
+
+	let ah = state[0];
+	let al = state[1];
+	let bh = state[2];
+	let bl = state[3];
+	let ch = state[4];
+	let cl = state[5];
+	let dh = state[6];
+	let dl = state[7];
+	let eh = state[8];
+	let el = state[9];
+	let fh = state[10];
+	let fl = state[11];
+	let gh = state[12];
+	let gl = state[13];
+	let hh = state[14];
+	let hl = state[15];
+
+	for (let i = 0; i < 80; i++) {
+		// Sigma1(e) = rotr14 ^ rotr18 ^ rotr41
+		const S1h =
+			((eh >>> 14) | (el << 18)) ^
+			((eh >>> 18) | (el << 14)) ^
+			((el >>> 9) | (eh << 23));
+		const S1l =
+			((el >>> 14) | (eh << 18)) ^
+			((el >>> 18) | (eh << 14)) ^
+			((eh >>> 9) | (el << 23));
+		const chh = (eh & fh) ^ (~eh & gh);
+		const chl = (el & fl) ^ (~el & gl);
+
+		const t1l = hl + (S1l >>> 0) + (chl >>> 0) + K512[i * 2 + 1] + w[i * 2 + 1];
+		const t1h =
+			hh +
+			(S1h >>> 0) +
+			(chh >>> 0) +
+			K512[i * 2] +
+			w[i * 2] +
+			Math.floor(t1l / 0x100000000);
+
+		// Sigma0(a) = rotr28 ^ rotr34 ^ rotr39
+		const S0h =
+			((ah >>> 28) | (al << 4)) ^
+			((al >>> 2) | (ah << 30)) ^
+			((al >>> 7) | (ah << 25));
+		const S0l =
+			((al >>> 28) | (ah << 4)) ^
+			((ah >>> 2) | (al << 30)) ^
+			((ah >>> 7) | (al << 25));
+		const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+		const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+
+		const t2l = (S0l >>> 0) + (majl >>> 0);
+		const t2h = (S0h >>> 0) + (majh >>> 0) + Math.floor(t2l / 0x100000000);
+
+		hh = gh;
+		hl = gl;
+		gh = fh;
+		gl = fl;
+		fh = eh;
+		fl = el;
+
+		const el2 = dl + (t1l >>> 0);
+		eh = (dh + t1h + Math.floor(el2 / 0x100000000)) >>> 0;
+		el = el2 >>> 0;
+
+		dh = ch;
+		dl = cl;
+		ch = bh;
+		cl = bl;
+		bh = ah;
+		bl = al;
+
+		const al2 = (t1l >>> 0) + (t2l >>> 0);
+		ah = (t1h + t2h + Math.floor(al2 / 0x100000000)) >>> 0;
+		al = al2 >>> 0;
+	}
+
+	const words = [
+		ah,
+		al,
+		bh,
+		bl,
+		ch,
+		cl,
+		dh,
+		dl,
+		eh,
+		el,
+		fh,
+		fl,
+		gh,
+		gl,
+		hh,
+		hl,
+	];
+	for (let i = 0; i < 16; i += 2) {
+		const lo = state[i + 1] + words[i + 1];
+		state[i] = state[i] + words[i] + Math.floor(lo / 0x100000000);
+		state[i + 1] = lo;
+	}
+}
+
+/**
+ * Creates an incremental SHA-2 hash
+ * @param {string} algorithm - "sha256", "sha384" or "sha512"
+ * @returns {IncrementalHash} Hash object
+ */
+function createHash(algorithm) {
+	const name = String(algorithm).toLowerCase();
+	if (!INITIAL_STATE[name]) {
+		throw new UnsupportedAlgorithmError(
+			`Unsupported hash algorithm: ${algorithm}`,
+			{ algorithm },
+		);
+	}
+
+	const is256 = name === "sha256";
+	const blockSize = is256 ? 64 : 128;
+	const compress = is256 ? compress256 : compress512;
+	const state = new Uint32Array(INITIAL_STATE[name]);
+	const w = new Uint32Array(is256 ? 64 : 160);
+	const block = new Uint8Array(blockSize);
+	let blockLength = 0;
+	let bytesHashed = 0;
+	let finished = false;
+
+	const hash = {
+		update(data) {
+			if (finished) {
+				throw new Error("Hash already finished");
+			}
+
+			const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+			let position = 0;
+			bytesHashed += bytes.length;
+
+			// Complete a partially filled block first
+			if (blockLength > 0) {
+				const count = Math.min(blockSize - blockLength, bytes.length);
+				block.set(bytes.subarray(0, count), blockLength);
+				blockLength += count;
+				position = count;
+				if (blockLength < blockSize) {
+					return hash;
+				}
+				compress(state, w, block, 0);
+				blockLength = 0;
+			}
+
+			// Hash whole blocks straight from the input
+			while (bytes.length - position >= blockSize) {
+				compress(state, w, bytes, position);
+				position += blockSize;
+			}
+
+			block.set(bytes.subarray(position), 0);
+			blockLength = bytes.length - position;
+			return hash;
+		},
+
+		digest() {
+			if (finished) {
+				throw new Error("Hash already finished");
+			}
+			finished = true;
+
+			// Padding: a single 1 bit, zeros, then the message length in bits
+			const lengthSize = is256 ? 8 : 16;
+			block[blockLength++] = 0x80;
+			if (blockLength > blockSize - lengthSize) {
+				block.fill(0, blockLength);
+				compress(state, w, block, 0);
+				blockLength = 0;
+			}
+			block.fill(0, blockLength);
+
+			const bitsHigh = Math.floor(bytesHashed / 0x20000000);
+			const bitsLow = (bytesHashed * 8) >>> 0;
+			const view = new DataView(block.buffer);
+			view.setUint32(blockSize - 8, bitsHigh);
+			view.setUint32(blockSize - 4, bitsLow);
+			compress(state, w, block, 0);
+
+			const output = new Uint8Array(DIGEST_LENGTHS[name]);
+			const outputView = new DataView(output.buffer);
+			for (let i = 0; i < output.length / 4; i++) {
+				outputView.setUint32(i * 4, state[i]);
+			}
+			return output;
+		},
+	};
+
+	return hash;
+}
+
+module.exports = {
+	createHash,
+};
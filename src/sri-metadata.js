@@ -0,0 +1,169 @@
+// sri-metadata.js - Subresource Integrity metadata parsing and matching
+//
+// Follows the "parse metadata" and "get the strongest metadata from set"
+// algorithms of the SRI spec: https://w3c.github.io/webappsec-subresource-integrity/
+// Unlike the spec, metadata without any supported algorithm does not match
+// everything; callers treat it as an unsupported-algorithm failure instead.
+const { UnsupportedAlgorithmError } = require("./integrity-errors");
+
+// Supported algorithms, weakest first
+const SUPPORTED_ALGORITHMS = ["sha256", "sha384", "sha512"];
+
+const DEFAULT_ALGORITHM = "sha384";
+
+// hash-algo "-" base64-value [ "?" option-expression ]
+const METADATA_TOKEN = /^([A-Za-z0-9]+)-([A-Za-z0-9+/_-]+={0,2})(?:\?(.*))?$/;
+
+/**
+ * A single parsed integrity metadata token
+ * @typedef {Object} IntegrityMetadata
+ * @property {string} algorithm - Lowercase algorithm name, e.g. "sha384"
+ * @property {string} digest - Base64 digest
+ * @property {string[]} options - Option expressions following "?"
+ */
+
+/**
+ * Checks whether an algorithm is supported
+ * @param {string} algorithm - Algorithm name
+ * @returns {boolean} Whether the algorithm can be used for integrity checks
+ */
+function isSupportedAlgorithm(algorithm) {
+	return SUPPORTED_ALGORITHMS.includes(String(algorithm).toLowerCase());
+}
+
+/**
+ * Parses an integrity metadata string into its supported tokens
+ * Tokens with unknown algorithms or malformed digests are ignored.
+ * @param {string} metadata - Space-separated integrity metadata
+ * @returns {IntegrityMetadata[]} Parsed metadata
+ */
+function parseIntegrityMetadata(metadata) {
+	if (typeof metadata !== "string") {
+		return [];
+	}
+
+	const result = [];
+	for (const token of metadata.trim().split(/\s+/)) {
+		const match = METADATA_TOKEN.exec(token);
+		if (!match) {
+			continue;
+		}
+
+		const algorithm = match[1].toLowerCase();
+		if (!isSupportedAlgorithm(algorithm)) {
+			continue;
+		}
+
+		result.push({
+			algorithm,
+			digest: match[2],
+			options: match[3] ? match[3].split("?") : [],
+		});
+	}
+
+	return result;
+}
+
+/**
+ * Picks the metadata entries that use the strongest algorithm present
+ * @param {IntegrityMetadata[]} parsedMetadata - Metadata from parseIntegrityMetadata
+ * @returns {IntegrityMetadata[]} Entries for the strongest algorithm
+ */
+function getStrongestMetadata(parsedMetadata) {
+	let strongest = -1;
+	for (const item of parsedMetadata) {
+		strongest = Math.max(
+			strongest,
+			SUPPORTED_ALGORITHMS.indexOf(item.algorithm),
+		);
+	}
+
+	if (strongest < 0) {
+		return [];
+	}
+
+	return parsedMetadata.filter(
+		(item) => item.algorithm === SUPPORTED_ALGORITHMS[strongest],
+	);
+}
+
+/**
+ * Gets the strongest algorithm in an integrity metadata string
+ * @param {string} metadata - Space-separated integrity metadata
+ * @returns {string|null} Algorithm name, or null if none is supported
+ */
+function getStrongestAlgorithm(metadata) {
+	const strongest = getStrongestMetadata(parseIntegrityMetadata(metadata));
+	return strongest.length > 0 ? strongest[0].algorithm : null;
+}
+
+/**
+ * Checks a digest against integrity metadata
+ * The digest must have been computed with the strongest algorithm in the
+ * metadata, and match any of that algorithm's digests.
+ * @param {string} metadata - Space-separated integrity metadata
+ * @param {string} algorithm - Algorithm the digest was computed with
+ * @param {string} digest - Base64 digest of the resource bytes
+ * @returns {boolean} Whether the digest satisfies the metadata
+ */
+function matchesIntegrityMetadata(metadata, algorithm, digest) {
+	return getStrongestMetadata(parseIntegrityMetadata(metadata)).some(
+		(item) => item.algorithm === algorithm && item.digest === digest,
+	);
+}
+
+/**
+ * Formats a digest as an integrity metadata token
+ * @param {string} algorithm - Algorithm name
+ * @param {string} digest - Base64 digest
+ * @returns {string} Metadata token, e.g. "sha384-..."
+ */
+function formatIntegrity(algorithm, digest) {
+	return `${algorithm}-${digest}`;
+}
+
+/**
+ * Converts an algorithm name to its Web Crypto name
+ * @param {string} algorithm - Algorithm name, e.g. "sha384"
+ * @returns {string} Web Crypto name, e.g. "SHA-384"
+ */
+function toWebCryptoAlgorithm(algorithm) {
+	return algorithm.toUpperCase().replace(/^SHA/, "SHA-");
+}
+
+/**
+ * Normalizes an algorithm option to a list of supported algorithms
+ * @param {string|string[]} [algorithms] - Algorithm name(s)
+ * @returns {string[]} Lowercase algorithm names
+ * @throws {UnsupportedAlgorithmError} If an algorithm is not supported
+ */
+function normalizeAlgorithms(algorithms = DEFAULT_ALGORITHM) {
+	const list = (Array.isArray(algorithms) ? algorithms : [algorithms]).map(
+		(algorithm) => String(algorithm).toLowerCase(),
+	);
+
+	for (const algorithm of list) {
+		if (!isSupportedAlgorithm(algorithm)) {
+			throw new UnsupportedAlgorithmError(
+				`Unsupported integrity algorithm: ${algorithm}. Supported algorithms: ${SUPPORTED_ALGORITHMS.join(", ")}.`,
+				{ algorithm },
+			);
+		}
+	}
+
+	return list;
+}
+
+module.exports = {
+	SUPPORTED_ALGORITHMS,
+	DEFAULT_ALGORITHM,
+	METADATA_TOKEN,
+	isSupportedAlgorithm,
+	parseIntegrityMetadata,
+	getStrongestMetadata,
+	getStrongestAlgorithm,
+	matchesIntegrityMetadata,
+	formatIntegrity,
+	toWebCryptoAlgorithm,
+	normalizeAlgorithms,
+};
@@ -0,0 +1,305 @@
+// trusted-import-map.js - Obtain the trusted import map for the service worker
+//
+// The service worker compares served import maps against a trusted copy and
+// enforces its integrity entries, so that copy must come from somewhere an
+// attacker who controls the served map cannot reach: the SW bundle itself, a
+// same-origin URL pinned by hash, or a map signed with a pinned key. There is
+// no fallback: if the trusted map cannot be obtained, loading fails.
+const {
+	fetchImportMapResponse,
+	parseImportMapText,
+} = require("./import-map-fetch");
+const { fetchSignedImportMap } = require("./import-map-signature");
+const { digestBytes } = require("./integrity-digest");
+const {
+	FetchFailedError,
+	ImportMapParseError,
+	IntegrityMismatchError,
+	MissingImportMapError,
+	UnsupportedAlgorithmError,
+} = require("./integrity-errors");
+const { VIOLATION_MESSAGE_TYPE } = require("./request-integrity");
+const {
+	formatIntegrity,
+	getStrongestAlgorithm,
+	matchesIntegrityMetadata,
+} = require("./sri-metadata");
+
+// Registration query parameter that carries the service worker config
+const CONFIG_PARAM = "config";
+
+// How long checkForImportMapUpdate waits for the service worker's answer
+const UPDATE_CHECK_TIMEOUT = 10000;
+
+// Messages that ask the service worker to re-fetch the trusted map, and its answer
+const UPDATE_CHECK_MESSAGE_TYPE = "check-import-map-update";
+const UPDATE_RESULT_MESSAGE_TYPE = "import-map-update";
+
+/**
+ * Where the service worker gets its trusted import map
+ * - "bundled": inlined into the service worker at build time
+ * - "url": a same-origin URL, optionally pinned by integrity metadata
+ * - "signed": any URL, accepted only with a detached signature from a pinned key
+ * @typedef {Object} TrustSource
+ * @property {"bundled"|"url"|"signed"} type - Source type
+ * @property {string} [url] - Map URL, for "url" and "signed"
+ * @property {string} [integrity] - Integrity metadata the map bytes must match, for "url"
+ * @property {string} [signatureUrl] - Signature URL, for "signed" (default: url + ".sig")
+ * @property {import("./import-map-signature").TrustedKey[]} [trustedKeys] - Pinned keys, for "signed"
+ */
+
+/**
+ * Service worker configuration, passed at registration
+ * @typedef {Object} ServiceWorkerConfig
+ * @property {TrustSource} trustSource - Where the trusted map comes from
+ * @property {boolean} [enforceIntegrity=true] - Whether to enforce module integrity checks
+ * @property {boolean} [enforceTrustedMap=false] - Whether to serve the trusted map when the served one differs
+ * @property {boolean} [logResults=true] - Whether to log verification results to the console
+ * @property {boolean} [cacheModules=true] - Whether to serve verified modules from Cache Storage on repeat loads
+ */
+
+const DEFAULT_CONFIG = {
+	trustSource: { type: "bundled" },
+	enforceIntegrity: true,
+	enforceTrustedMap: false,
+	logResults: true,
+	cacheModules: true,
+};
+
+/**
+ * Checks a config and fills in defaults
+ * @param {Partial<ServiceWorkerConfig>} [config] - Config
+ * @returns {ServiceWorkerConfig} Complete config
+ * @throws {Error} If the trust source is invalid
+ */
+function normalizeServiceWorkerConfig(config = {}) {
+	const normalized = { ...DEFAULT_CONFIG, ...config };
+	const source = normalized.trustSource;
+
+	if (!source || !["bundled", "url", "signed"].includes(source.type)) {
+		throw new Error(
+			`Unknown trusted import map source: ${source?.type}. Expected "bundled", "url" or "signed".`,
+		);
+	}
+	if (source.type !== "bundled" && typeof source.url !== "string") {
+		throw new Error(`The "${source.type}" trust source needs a url`);
+	}
+	if (
+		source.type === "signed" &&
+		!(Array.isArray(source.trustedKeys) && source.trustedKeys.length > 0)
+	) {
+		throw new Error('The "signed" trust source needs trustedKeys');
+	}
+
+	return normalized;
+}
+
+/**
+ * Builds the service worker script URL that carries a config
+ * Changing the config changes the script URL, which makes the browser
+ * install the worker again with the new settings.
+ * @param {string} scriptURL - Service worker script URL
+ * @param {Partial<ServiceWorkerConfig>} config - Config
+ * @returns {string} Script URL with the config in its query string
+ */
+function getServiceWorkerURL(scriptURL, config) {
+	const normalized = normalizeServiceWorkerConfig(config);
+	const [path, query = ""] = scriptURL.split("?");
+	const params = new URLSearchParams(query);
+	params.set(CONFIG_PARAM, JSON.stringify(normalized));
+	return `${path}?${params}`;
+}
+
+/**
+ * Reads the config from the service worker's own script URL
+ * @param {string|URL} location - Service worker location (self.location)
+ * @returns {ServiceWorkerConfig} Config, with defaults for anything not passed
+ */
+function readServiceWorkerConfig(location) {
+	const value = new URL(location).searchParams.get(CONFIG_PARAM);
+	return normalizeServiceWorkerConfig(value ? JSON.parse(value) : {});
+}
+
+/**
+ * Registers the import map service worker with a config
+ * The worker must be bundled, and is registered as a classic script unless
+ * options set `type: "module"`.
+ * @param {string} scriptURL - URL of the bundled service worker script
+ * @param {Partial<ServiceWorkerConfig>} config - Config
+ * @param {RegistrationOptions} [options] - Registration options
+ * @returns {Promise<ServiceWorkerRegistration>} Registration
+ */
+function registerImportMapServiceWorker(scriptURL, config, options = {}) {
+	return navigator.serviceWorker.register(
+		getServiceWorkerURL(scriptURL, config),
+		options,
+	);
+}
+
+/**
+ * Subscribes to the violation reports the service worker posts when it blocks a module
+ * @param {function(import("./request-integrity").IntegrityViolationReport): void} callback - Receives each report
+ * @returns {function(): void} Unsubscribes
+ */
+function onModuleIntegrityViolation(callback) {
+	const listener = (event) => {
+		if (event.data && event.data.type === VIOLATION_MESSAGE_TYPE) {
+			callback(event.data);
+		}
+	};
+	navigator.serviceWorker.addEventListener("message", listener);
+	return () => navigator.serviceWorker.removeEventListener("message", listener);
+}
+
+/**
+ * Result of an update check
+ * @typedef {Object} ImportMapUpdateResult
+ * @property {boolean} updated - Whether a new map version became active
+ * @property {string} [version] - Active map version
+ * @property {string|null} [previousVersion] - Version that was active before
+ * @property {string} [error] - Why the trusted map could not be fetched
+ */
+
+/**
+ * Asks the controlling service worker to fetch the trusted map again
+ * Needed for "url" and "signed" sources, whose map can change without a
+ * new service worker being installed.
+ * @param {{timeout?: number}} [options] - Milliseconds to wait for the worker's
+ *   answer (default 10000)
+ * @returns {Promise<ImportMapUpdateResult>} Update result
+ * @throws {FetchFailedError} If the worker does not answer in time
+ */
+function checkForImportMapUpdate({ timeout = UPDATE_CHECK_TIMEOUT } = {}) {
+	const { controller } = navigator.serviceWorker;
+	if (!controller) {
+		return Promise.reject(new Error("No service worker controls this page"));
+	}
+
+	return new Promise((resolve, reject) => {
+		const listener = (event) => {
+			if (event.data && event.data.type === UPDATE_RESULT_MESSAGE_TYPE) {
+				clearTimeout(timer);
+				navigator.serviceWorker.removeEventListener("message", listener);
+				resolve(event.data);
+			}
+		};
+		const timer = setTimeout(() => {
+			navigator.serviceWorker.removeEventListener("message", listener);
+			reject(
+				new FetchFailedError(
+					`Service worker did not answer the import map update check within ${timeout} ms`,
+				),
+			);
+		}, timeout);
+		navigator.serviceWorker.addEventListener("message", listener);
+		controller.postMessage({ type: UPDATE_CHECK_MESSAGE_TYPE });
+	});
+}
+
+/**
+ * Fetches a same-origin import map, checking its bytes if it is pinned
+ * @param {TrustSource} source - "url" source
+ * @param {string} origin - Service worker origin
+ * @param {function(string): Promise<Response>} fetchImpl - Fetch implementation
+ * @returns {Promise<Object>} Import map
+ */
+async function fetchPinnedImportMap(source, origin, fetchImpl) {
+	const url = new URL(source.url, origin);
+	if (url.origin !== origin) {
+		throw new Error(
+			`Trusted import map must be same-origin: ${url.href} (use a signed source for other origins)`,
+		);
+	}
+
+	const response = await fetchImportMapResponse(
+		url.href,
+		fetchImpl,
+		"trusted import map",
+	);
+	const bytes = new Uint8Array(await response.arrayBuffer());
+
+	if (source.integrity) {
+		const algorithm = getStrongestAlgorithm(source.integrity);
+		if (!algorithm) {
+			throw new UnsupportedAlgorithmError(
+				`Trusted import map integrity has no supported algorithm: ${source.integrity}`,
+				{ url: url.href, expected: source.integrity, algorithm: null },
+			);
+		}
+		const digest = await digestBytes(bytes, algorithm);
+		if (!matchesIntegrityMetadata(source.integrity, algorithm, digest)) {
+			throw new IntegrityMismatchError(
+				`Trusted import map failed its integrity check: ${url}`,
+				{
+					url: url.href,
+					expected: source.integrity,
+					actual: formatIntegrity(algorithm, digest),
+					algorithm,
+				},
+			);
+		}
+	}
+
+	return parseImportMapText(new TextDecoder().decode(bytes), url.href);
+}
+
+/**
+ * Loads the trusted import map from the configured source
+ * @param {TrustSource} source - Trust source
+ * @param {Object} [options] - Options
+ * @param {Object|null} [options.bundledMap] - Map inlined at build time, for "bundled"
+ * @param {string} [options.origin] - Service worker origin, for "url"
+ * @param {function(string): Promise<Response>} [options.fetch] - Fetch implementation
+ * @returns {Promise<Object>} Trusted import map
+ * @throws {import("./integrity-errors").ModuleIntegrityError} If the map cannot be obtained or verified; never falls back
+ */
+async function loadTrustedImportMap(source, options = {}) {
+	const fetchImpl = options.fetch || fetch;
+	let importMap;
+
+	switch (source.type) {
+		case "bundled":
+			if (!options.bundledMap) {
+				throw new MissingImportMapError(
+					"No import map was bundled into the service worker. Define __TRUSTED_IMPORT_MAP__ at build time or configure another trust source.",
+				);
+			}
+			importMap = options.bundledMap;
+			break;
+		case "url":
+			importMap = await fetchPinnedImportMap(source, options.origin, fetchImpl);
+			break;
+		case "signed":
+			importMap = await fetchSignedImportMap(
+				new URL(source.url, options.origin).href,
+				{
+					trustedKeys: source.trustedKeys,
+					signatureUrl:
+						source.signatureUrl &&
+						new URL(source.signatureUrl, options.origin).href,
+					fetch: fetchImpl,
+				},
+			);
+			break;
+		default:
+			throw new Error(`Unknown trusted import map source: ${source.type}`);
+	}
+
+	if (!importMap || typeof importMap !== "object" || Array.isArray(importMap)) {
+		throw new ImportMapParseError("Trusted import map is not a JSON object");
+	}
+	return importMap;
+}
+
+module.exports = {
+	CONFIG_PARAM,
+	UPDATE_CHECK_MESSAGE_TYPE,
+	UPDATE_RESULT_MESSAGE_TYPE,
+	normalizeServiceWorkerConfig,
+	getServiceWorkerURL,
+	readServiceWorkerConfig,
+	registerImportMapServiceWorker,
+	onModuleIntegrityViolation,
+	checkForImportMapUpdate,
+	loadTrustedImportMap,
+};
@@ -0,0 +1,264 @@
+// validator-reporters.js - Write validation results as CI artifacts
+//
+// JSON for scripts, JUnit XML for test result viewers, and SARIF for code
+// scanning, which annotates the offending files in pull requests.
+const fs = require("fs");
+const path = require("path");
+
+const TOOL_NAME = "sri-import-map";
+
+// One rule per failure category
+const RULES = {
+	mismatch: {
+		name: "IntegrityMismatch",
+		description:
+			"The module's contents do not match its integrity metadata in the import map.",
+	},
+	missing: {
+		name: "MissingModule",
+		description:
+			"The import map lists integrity metadata for a file that is not in the build output.",
+	},
+	"unsupported-algorithm": {
+		name: "UnsupportedAlgorithm",
+		description:
+			"The integrity metadata uses no supported hash algorithm (sha256, sha384, sha512).",
+	},
+	uncovered: {
+		name: "UncoveredOutput",
+		description: "A build output has no integrity entry in the import map.",
+	},
+};
+
+/**
+ * Turns validation results into the contents of a report file
+ * @typedef {Object} ValidationReporter
+ * @property {string} name - Reporter name
+ * @property {function(import("./module-integrity-validator").ValidationResults, ReporterContext): string} format - Formats the results
+ */
+
+/**
+ * @typedef {Object} ReporterContext
+ * @property {string} cwd - Directory that file paths in the report are relative to
+ */
+
+/**
+ * Makes a path relative to the working directory, with "/" separators
+ * @param {string} file - Absolute path
+ * @param {string} cwd - Working directory
+ * @returns {string} Relative path
+ */
+function relativePath(file, cwd) {
+	return path.relative(cwd, file).split(path.sep).join("/");
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXML(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;");
+}
+
+/**
+ * Describes a failure in one line
+ * @param {import("./module-integrity-validator").ValidationFailure} failure - Failure
+ * @returns {string} Message
+ */
+function describeFailure(failure) {
+	switch (failure.category) {
+		case "mismatch":
+			return `Integrity mismatch for ${failure.url}: expected ${failure.expected}, got ${failure.actual}`;
+		case "missing":
+			return `Module ${failure.url} is listed in the import map but was not found in the build output`;
+		case "uncovered":
+			return `Build output ${failure.url} has no integrity entry in the import map (currently ${failure.actual})`;
+		default:
+			return `${failure.error || "Validation failed"} (${failure.url}: ${failure.expected})`;
+	}
+}
+
+/**
+ * Whether a failure fails the run, rather than only being reported
+ * @param {import("./module-integrity-validator").ValidationResults} results - Results
+ * @param {import("./module-integrity-validator").ValidationFailure} failure - Failure
+ * @returns {boolean} Whether the failure is an error
+ */
+function isError(results, failure) {
+	if (failure.category === "missing") {
+		return results.failOnMissing;
+	}
+	if (failure.category === "uncovered") {
+		return !results.coverage.success;
+	}
+	return true;
+}
+
+/** @type {ValidationReporter} */
+const jsonReporter = {
+	name: "json",
+	format(results) {
+		return `${JSON.stringify(results, null, 2)}\n`;
+	},
+};
+
+/** @type {ValidationReporter} */
+const junitReporter = {
+	name: "junit",
+	format(results, { cwd }) {
+		const cases = [];
+		const tests = results.passes.length + results.failures.length;
+		let failures = 0;
+		let skipped = 0;
+
+		for (const pass of results.passes) {
+			cases.push(
+				`    <testcase classname="${TOOL_NAME}" name="${escapeXML(pass.url)}" file="${escapeXML(relativePath(pass.file, cwd))}"/>`,
+			);
+		}
+
+		for (const failure of results.failures) {
+			const attributes = `classname="${TOOL_NAME}" name="${escapeXML(failure.url)}" file="${escapeXML(relativePath(failure.file, cwd))}"`;
+			const message = escapeXML(describeFailure(failure));
+
+			if (isError(results, failure)) {
+				failures++;
+				const details = [
+					`expected: ${failure.expected}`,
+					`actual: ${failure.actual || "(none)"}`,
+				];
+				cases.push(
+					`    <testcase ${attributes}>\n      <failure message="${message}" type="${escapeXML(failure.category)}">${escapeXML(details.join("\n"))}</failure>\n    </testcase>`,
+				);
+			} else {
+				skipped++;
+				cases.push(
+					`    <testcase ${attributes}>\n      <skipped message="${message}"/>\n    </testcase>`,
+				);
+			}
+		}
+
+		return [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			`<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}">`,
+			`  <testsuite name="module-integrity" tests="${tests}" failures="${failures}" errors="0" skipped="${skipped}">`,
+			...cases,
+			"  </testsuite>",
+			"</testsuites>",
+			"",
+		].join("\n");
+	},
+};
+
+/** @type {ValidationReporter} */
+const sarifReporter = {
+	name: "sarif",
+	format(results, { cwd }) {
+		const ruleIds = Object.keys(RULES);
+
+		const sarifResults = results.failures.map((failure) => ({
+			ruleId: failure.category,
+			ruleIndex: ruleIds.indexOf(failure.category),
+			level: isError(results, failure) ? "error" : "warning",
+			message: { text: describeFailure(failure) },
+			locations: [
+				{
+					physicalLocation: {
+						// A missing file cannot be annotated, so point at the map
+						artifactLocation: {
+							uri: relativePath(
+								failure.category === "missing"
+									? results.importMapPath
+									: failure.file,
+								cwd,
+							),
+						},
+					},
+				},
+			],
+			properties: {
+				url: failure.url,
+				expected: failure.expected,
+				actual: failure.actual,
+			},
+		}));
+
+		const log = {
+			$schema: "https://json.schemastore.org/sarif-2.1.0.json",
+			version: "2.1.0",
+			runs: [
+				{
+					tool: {
+						driver: {
+							name: TOOL_NAME,
+							rules: ruleIds.map((id) => ({
+								id,
+								name: RULES[id].name,
+								shortDescription: { text: RULES[id].description },
+							})),
+						},
+					},
+					results: sarifResults,
+				},
+			],
+		};
+
+		return `${JSON.stringify(log, null, 2)}\n`;
+	},
+};
+
+const REPORTERS = {
+	json: jsonReporter,
+	junit: junitReporter,
+	sarif: sarifReporter,
+};
+
+/**
+ * Looks up a reporter by name, or passes a custom reporter through
+ * @param {string|ValidationReporter} reporter - Reporter name or object
+ * @returns {ValidationReporter} Reporter
+ * @throws {Error} For unknown reporter names
+ */
+function getReporter(reporter) {
+	if (typeof reporter === "object" && typeof reporter.format === "function") {
+		return reporter;
+	}
+	if (!Object.hasOwn(REPORTERS, reporter)) {
+		throw new Error(
+			`Unknown reporter: ${reporter}. Available reporters: ${Object.keys(REPORTERS).join(", ")}.`,
+		);
+	}
+	return REPORTERS[reporter];
+}
+
+/**
+ * Writes validation results with each configured reporter
+ * @param {import("./module-integrity-validator").ValidationResults} results - Results
+ * @param {Array<{reporter: string|ValidationReporter, outputFile: string}>} [reporters] - Reporters and their output files
+ * @param {ReporterContext} [context] - Reporter context
+ * @returns {string[]} Paths of the files written
+ */
+function writeReports(
+	results,
+	reporters = [],
+	context = { cwd: process.cwd() },
+) {
+	return reporters.map(({ reporter, outputFile }) => {
+		const file = path.resolve(context.cwd, outputFile);
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, getReporter(reporter).format(results, context));
+		return file;
+	});
+}
+
+module.exports = {
+	REPORTERS,
+	getReporter,
+	writeReports,
+};
@@ -0,0 +1,410 @@
+// verified-import.js - Evaluate a module graph from the exact bytes that were verified
+//
+// import(url) after a verification fetch downloads the module a second time,
+// and a compromised server can answer the two requests differently. Here
+// each module is fetched once, verified, and evaluated from those bytes
+// through a blob: or data: URL. Dependencies are linked bottom-up: a module's
+// imports are rewritten to the blob: or data: URLs of its verified
+// dependencies, so the browser never fetches them from the network either.
+//
+// Two gaps remain. A dependency without integrity metadata is imported from
+// its own URL, unchecked, as the browser would. And an import that closes a
+// cycle cannot point at a URL that does not exist yet, so it keeps the
+// original URL: that module is fetched again and evaluated as a second,
+// unverified instance. Verify such graphs with verifyModuleGraph instead.
+const { resolveURLLikeModuleSpecifier } = require("./import-map-resolver");
+const { digestBytes, digestResponse } = require("./integrity-digest");
+const {
+	FetchFailedError,
+	IntegrityMismatchError,
+	UnsupportedAlgorithmError,
+} = require("./integrity-errors");
+const { lexModule } = require("./module-lexer");
+const {
+	SUPPORTED_ALGORITHMS,
+	formatIntegrity,
+	getStrongestAlgorithm,
+	matchesIntegrityMetadata,
+} = require("./sri-metadata");
+
+/**
+ * Options for importVerifiedModule
+ * @typedef {Object} VerifiedImportOptions
+ * @property {"blob"|"data"} [evaluateAs] - How to evaluate the verified bytes (default "blob"); use "data" where CSP blocks blob: scripts
+ * @property {function(string, string): (string|null)} [resolve] - Resolves a specifier imported by the module against the module URL; returning null leaves it unchanged
+ * @property {function(string): (string|undefined)} [getIntegrity] - Integrity metadata for a dependency URL;
+ *   dependencies without any are imported from their URL, unchecked
+ * @property {function(string): Promise<Response>} [fetch] - Fetch implementation
+ */
+
+/**
+ * A module whose bytes were verified, ready to be linked
+ * @typedef {Object} VerifiedModuleSource
+ * @property {string} url - URL the module was fetched from
+ * @property {string} integrity - Integrity metadata it was checked against
+ * @property {string} source - Module source, decoded from the verified bytes
+ * @property {Object<string, string>} resolved - URL each literal specifier in it resolves to
+ */
+
+// blob: or data: URLs of linked modules, by evaluation mode, URL, integrity
+// and the URLs its imports were rewritten to. Each verified module gets one
+// URL per set of dependency URLs, so a dependency shared by several modules
+// is instantiated once, and a module is linked again when one of its
+// dependencies is. Blob URLs are never revoked: later import() calls inside
+// the graph still need them.
+const linkedURLs = new Map();
+
+// Evaluated entry modules, by evaluation mode, URL and integrity
+const moduleCache = new Map();
+
+/**
+ * Default resolver for imports inside a verified module: URL-like
+ * specifiers resolve against the original module URL, bare ones are left to
+ * the document import map
+ * @param {string} specifier - Imported specifier
+ * @param {string} moduleURL - URL the module was fetched from
+ * @returns {string|null} Absolute URL or null
+ */
+function resolveRelativeSpecifier(specifier, moduleURL) {
+	const url = resolveURLLikeModuleSpecifier(specifier, moduleURL);
+	return url ? url.href : null;
+}
+
+/**
+ * Rewrites module source so it can run from a blob: or data: URL
+ * Those URLs cannot serve as a base for relative specifiers, so every
+ * string-literal import is replaced with the URL it resolves to from the
+ * original location, and `import.meta.url` with the original URL. Dynamic
+ * imports with computed specifiers are left unchanged.
+ * @param {string} source - Module source
+ * @param {string} moduleURL - URL the module was fetched from
+ * @param {function(string, string): (string|null)} [resolve] - Specifier resolver
+ * @returns {string} Rewritten source
+ */
+function rewriteModuleSource(
+	source,
+	moduleURL,
+	resolve = resolveRelativeSpecifier,
+) {
+	const { imports, importMetas } = lexModule(source);
+	const replacements = [];
+
+	for (const entry of imports) {
+		if (entry.specifier === null) {
+			continue;
+		}
+
+		const resolved = resolve(entry.specifier, moduleURL);
+		if (resolved && resolved !== entry.specifier) {
+			// Replace the whole literal, quotes included
+			replacements.push({
+				start: entry.start - 1,
+				end: entry.end + 1,
+				text: JSON.stringify(resolved),
+			});
+		}
+	}
+
+	for (const meta of importMetas) {
+		const member = /^\s*\.\s*url\b/.exec(source.slice(meta.end));
+		if (member) {
+			replacements.push({
+				start: meta.start,
+				end: meta.end + member[0].length,
+				text: JSON.stringify(moduleURL),
+			});
+		}
+	}
+
+	replacements.sort((a, b) => b.start - a.start);
+	let rewritten = source;
+	for (const { start, end, text } of replacements) {
+		rewritten = rewritten.slice(0, start) + text + rewritten.slice(end);
+	}
+	return rewritten;
+}
+
+/**
+ * Picks the algorithm to check integrity metadata with
+ * @param {string} url - Module URL
+ * @param {string} integrity - Expected integrity metadata
+ * @returns {string} Strongest supported algorithm
+ * @throws {UnsupportedAlgorithmError} If the metadata lists none
+ */
+function getCheckAlgorithm(url, integrity) {
+	const algorithm = getStrongestAlgorithm(integrity);
+	if (!algorithm) {
+		throw new UnsupportedAlgorithmError(
+			`Integrity metadata has no supported algorithm for module: ${url}. Supported algorithms: ${SUPPORTED_ALGORITHMS.join(", ")}.`,
+			{ url, expected: integrity, actual: null, algorithm: null },
+		);
+	}
+	return algorithm;
+}
+
+/**
+ * Fetches a module, checking the response status
+ * @param {string} url - Module URL
+ * @param {string} integrity - Expected integrity metadata
+ * @param {function(string): Promise<Response>} fetchImpl - Fetch implementation
+ * @returns {Promise<Response>} Successful response
+ * @throws {FetchFailedError} If the request fails
+ */
+async function fetchModule(url, integrity, fetchImpl) {
+	let response;
+	try {
+		response = await fetchImpl(url);
+	} catch (error) {
+		throw new FetchFailedError(`Failed to fetch module: ${url}`, {
+			url,
+			expected: integrity,
+			cause: error,
+		});
+	}
+	if (!response.ok) {
+		throw new FetchFailedError(
+			`Failed to fetch module: ${response.statusText}`,
+			{ url, expected: integrity },
+		);
+	}
+	return response;
+}
+
+/**
+ * Checks a digest against integrity metadata
+ * @param {string} url - Module URL
+ * @param {string} integrity - Expected integrity metadata
+ * @param {string} algorithm - Algorithm the digest was computed with
+ * @param {string} digest - Base64 digest of the module bytes
+ * @returns {string} Integrity token of the bytes
+ * @throws {IntegrityMismatchError} If the digest is not listed
+ */
+function assertDigest(url, integrity, algorithm, digest) {
+	const actual = formatIntegrity(algorithm, digest);
+	if (!matchesIntegrityMetadata(integrity, algorithm, digest)) {
+		throw new IntegrityMismatchError(
+			`Integrity check failed for module: ${url}`,
+			{ url, expected: integrity, actual, algorithm },
+		);
+	}
+	return actual;
+}
+
+/**
+ * Fetches a module once and checks its bytes against integrity metadata
+ * @param {string} url - Module URL
+ * @param {string} integrity - Expected integrity metadata
+ * @param {function(string): Promise<Response>} [fetchImpl] - Fetch implementation
+ * @returns {Promise<Uint8Array>} The verified bytes
+ * @throws {import("./integrity-errors").ModuleIntegrityError} If the fetch fails or the bytes do not match
+ */
+async function fetchVerifiedBytes(url, integrity, fetchImpl = fetch) {
+	const algorithm = getCheckAlgorithm(url, integrity);
+	const response = await fetchModule(url, integrity, fetchImpl);
+	const bytes = new Uint8Array(await response.arrayBuffer());
+	assertDigest(url, integrity, algorithm, await digestBytes(bytes, algorithm));
+	return bytes;
+}
+
+/**
+ * Fetches a module and checks it against integrity metadata, without
+ * keeping the bytes; large modules are hashed as they stream in
+ * @param {string} url - Module URL
+ * @param {string} integrity - Expected integrity metadata
+ * @param {function(string): Promise<Response>} [fetchImpl] - Fetch implementation
+ * @returns {Promise<string>} Integrity token of the bytes received
+ * @throws {import("./integrity-errors").ModuleIntegrityError} If the fetch fails or the bytes do not match
+ */
+async function checkModuleIntegrity(url, integrity, fetchImpl = fetch) {
+	const algorithm = getCheckAlgorithm(url, integrity);
+	const response = await fetchModule(url, integrity, fetchImpl);
+	return assertDigest(
+		url,
+		integrity,
+		algorithm,
+		await digestResponse(response, algorithm),
+	);
+}
+
+/**
+ * Decodes module bytes as the browser does: always UTF-8, BOM removed
+ * @param {Uint8Array} bytes - Module bytes
+ * @returns {string} Module source
+ */
+function decodeModuleSource(bytes) {
+	return new TextDecoder("utf-8").decode(bytes);
+}
+
+/**
+ * Creates a URL that evaluates module source
+ * @param {string} source - Module source
+ * @param {"blob"|"data"} evaluateAs - URL type to use
+ * @returns {string} blob: or data: URL
+ */
+function createModuleURL(source, evaluateAs) {
+	if (evaluateAs === "data") {
+		return `data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`;
+	}
+	return URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+}
+
+/**
+ * Fetches and verifies a module and every dependency that has integrity
+ * metadata, before any of them is evaluated
+ * Each module is fetched once, however many modules import it.
+ * @param {string} url - Absolute URL of the entry module
+ * @param {string} integrity - Expected integrity metadata of the entry module
+ * @param {VerifiedImportOptions} [options] - Import options
+ * @returns {Promise<Map<string, VerifiedModuleSource>>} Verified modules by URL
+ * @throws {import("./integrity-errors").ModuleIntegrityError} If any module fails to fetch or verify
+ */
+async function loadVerifiedSources(url, integrity, options = {}) {
+	const {
+		resolve = resolveRelativeSpecifier,
+		getIntegrity = () => undefined,
+		fetch: fetchImpl = fetch,
+	} = options;
+	const modules = new Map();
+
+	const visit = async (moduleURL, expected) => {
+		if (modules.has(moduleURL)) {
+			return;
+		}
+		const module = {
+			url: moduleURL,
+			integrity: expected,
+			source: "",
+			resolved: {},
+		};
+		modules.set(moduleURL, module);
+
+		module.source = decodeModuleSource(
+			await fetchVerifiedBytes(moduleURL, expected, fetchImpl),
+		);
+
+		const pending = [];
+		for (const { specifier } of lexModule(module.source).imports) {
+			const dependencyURL =
+				specifier === null ? null : resolve(specifier, moduleURL);
+			if (!dependencyURL) {
+				continue;
+			}
+			module.resolved[specifier] = dependencyURL;
+			const dependencyIntegrity = getIntegrity(dependencyURL);
+			if (dependencyIntegrity) {
+				pending.push(visit(dependencyURL, dependencyIntegrity));
+			}
+		}
+		await Promise.all(pending);
+	};
+
+	await visit(url, integrity);
+	return modules;
+}
+
+/**
+ * Gives each verified module a blob: or data: URL, dependencies first
+ * Every import of a verified dependency is rewritten to that dependency's
+ * URL; other imports are rewritten to the absolute URL they resolve to.
+ * @param {Map<string, VerifiedModuleSource>} modules - Verified modules by URL
+ * @param {string} entryURL - URL of the entry module
+ * @param {"blob"|"data"} evaluateAs - URL type to use
+ * @param {function(string, "blob"|"data"): string} [createURL] - Creates the URL for linked source
+ * @returns {string} URL to import the entry module from
+ */
+function linkVerifiedModules(
+	modules,
+	entryURL,
+	evaluateAs,
+	createURL = createModuleURL,
+) {
+	const linking = new Set();
+	// URLs linked by this call, so a shared dependency is only visited once
+	const linked = new Map();
+
+	const link = (url) => {
+		if (linked.has(url)) {
+			return linked.get(url);
+		}
+		const module = modules.get(url);
+
+		linking.add(url);
+		const targets = {};
+		for (const [specifier, dependencyURL] of Object.entries(module.resolved)) {
+			// A module still being linked is an import cycle; keep its URL
+			targets[specifier] =
+				modules.has(dependencyURL) && !linking.has(dependencyURL)
+					? link(dependencyURL)
+					: dependencyURL;
+		}
+		linking.delete(url);
+
+		const key = `${evaluateAs} ${url} ${module.integrity} ${JSON.stringify(targets)}`;
+		if (linkedURLs.has(key)) {
+			linked.set(url, linkedURLs.get(key));
+			return linkedURLs.get(key);
+		}
+
+		const linkedURL = createURL(
+			rewriteModuleSource(module.source, url, (specifier) =>
+				Object.hasOwn(targets, specifier) ? targets[specifier] : null,
+			),
+			evaluateAs,
+		);
+		linkedURLs.set(key, linkedURL);
+		linked.set(url, linkedURL);
+		return linkedURL;
+	};
+
+	return link(entryURL);
+}
+
+/**
+ * Evaluates modules that were already verified, linking them first
+ * @param {Map<string, VerifiedModuleSource>} modules - Verified modules by URL,
+ *   such as the sources of a verifyModuleGraph report
+ * @param {string} entryURL - URL of the entry module
+ * @param {"blob"|"data"} [evaluateAs="blob"] - URL type to use
+ * @returns {Promise<any>} Module namespace
+ */
+function evaluateVerifiedModules(modules, entryURL, evaluateAs = "blob") {
+	const linkedURL = linkVerifiedModules(modules, entryURL, evaluateAs);
+	return import(/* webpackIgnore: true */ /* @vite-ignore */ linkedURL);
+}
+
+/**
+ * Fetches, verifies and evaluates a module graph from the verified bytes
+ * The entry module, and each dependency with integrity metadata, is only
+ * requested once and runs from the bytes that were hashed. See the file
+ * header for the imports this does not cover.
+ * @param {string} url - Absolute module URL
+ * @param {string} integrity - Expected integrity metadata
+ * @param {VerifiedImportOptions} [options] - Import options
+ * @returns {Promise<any>} Module namespace
+ */
+function importVerifiedModule(url, integrity, options = {}) {
+	const evaluateAs = options.evaluateAs || "blob";
+	const cacheKey = `${evaluateAs} ${url} ${integrity}`;
+
+	if (!moduleCache.has(cacheKey)) {
+		const promise = loadVerifiedSources(url, integrity, options)
+			.then((modules) => evaluateVerifiedModules(modules, url, evaluateAs))
+			.catch((error) => {
+				moduleCache.delete(cacheKey);
+				throw error;
+			});
+		moduleCache.set(cacheKey, promise);
+	}
+
+	return moduleCache.get(cacheKey);
+}
+
+module.exports = {
+	rewriteModuleSource,
+	fetchVerifiedBytes,
+	checkModuleIntegrity,
+	loadVerifiedSources,
+	linkVerifiedModules,
+	evaluateVerifiedModules,
+	importVerifiedModule,
+};
@@ -0,0 +1,134 @@
+// verified-module-cache.js - Cache Storage for module bytes that passed verification
+//
+// Entries are keyed by integrity digest, not URL: bytes that hashed to a
+// digest are valid wherever that digest is expected, and a URL whose
+// integrity changes simply misses the cache. When a new trusted map is
+// installed, digests it no longer lists are pruned.
+const { canonicalJSON } = require("./import-map-signature");
+const { digestBytes } = require("./integrity-digest");
+const {
+	formatIntegrity,
+	getStrongestMetadata,
+	parseIntegrityMetadata,
+} = require("./sri-metadata");
+
+// Name of the cache that holds verified module bytes
+const MODULE_CACHE_NAME = "verified-modules";
+
+// Path segment, under the service worker scope, of the synthetic cache keys
+const CACHE_KEY_PREFIX = "__verified-modules__/";
+
+/**
+ * Identifies a version of the trusted import map
+ * Maps that parse to the same value have the same version, however the
+ * file is formatted.
+ * @param {Object} importMap - Import map
+ * @returns {Promise<string>} Version, e.g. "sha256-..."
+ */
+async function getImportMapVersion(importMap) {
+	const bytes = new TextEncoder().encode(canonicalJSON(importMap));
+	return formatIntegrity("sha256", await digestBytes(bytes, "sha256"));
+}
+
+/**
+ * Builds the cache key for one digest
+ * @param {string} token - Integrity token, e.g. "sha384-..."
+ * @param {string} scope - Service worker scope URL
+ * @returns {string} Cache key URL
+ */
+function getModuleCacheKey(token, scope) {
+	return new URL(`${CACHE_KEY_PREFIX}${encodeURIComponent(token)}`, scope).href;
+}
+
+/**
+ * Lists the digests that satisfy integrity metadata
+ * Only the strongest algorithm counts, as it does when verifying.
+ * @param {string} integrity - Integrity metadata
+ * @returns {string[]} Integrity tokens
+ */
+function getAcceptedDigests(integrity) {
+	return getStrongestMetadata(parseIntegrityMetadata(integrity)).map(
+		({ algorithm, digest }) => formatIntegrity(algorithm, digest),
+	);
+}
+
+/**
+ * Collects every digest an import map's integrity section accepts
+ * @param {Object} importMap - Import map
+ * @returns {Set<string>} Integrity tokens
+ */
+function getReferencedDigests(importMap) {
+	const digests = new Set();
+	for (const integrity of Object.values(importMap.integrity || {})) {
+		if (typeof integrity === "string") {
+			for (const token of getAcceptedDigests(integrity)) {
+				digests.add(token);
+			}
+		}
+	}
+	return digests;
+}
+
+/**
+ * Wraps a Cache Storage cache as a store of verified module bytes
+ * @param {Cache} cache - Cache from caches.open(MODULE_CACHE_NAME)
+ * @param {string} scope - Service worker scope URL
+ * @returns {{match: Function, put: Function, prune: Function}} Verified module cache
+ */
+function createVerifiedModuleCache(cache, scope) {
+	return {
+		/**
+		 * Finds cached bytes that satisfy integrity metadata
+		 * @param {string} integrity - Expected integrity metadata
+		 * @returns {Promise<Response|undefined>} Cached response, if any
+		 */
+		async match(integrity) {
+			for (const token of getAcceptedDigests(integrity)) {
+				const cached = await cache.match(getModuleCacheKey(token, scope));
+				if (cached) {
+					return cached;
+				}
+			}
+			return undefined;
+		},
+
+		/**
+		 * Stores verified bytes under their digest
+		 * @param {string} token - Integrity token the bytes hashed to
+		 * @param {Response} response - Response holding the verified bytes
+		 * @returns {Promise<void>}
+		 */
+		put(token, response) {
+			return cache.put(getModuleCacheKey(token, scope), response);
+		},
+
+		/**
+		 * Deletes entries for digests the import map no longer lists
+		 * @param {Object} importMap - New trusted import map
+		 * @returns {Promise<number>} Number of entries deleted
+		 */
+		async prune(importMap) {
+			const keep = new Set(
+				[...getReferencedDigests(importMap)].map((token) =>
+					getModuleCacheKey(token, scope),
+				),
+			);
+			let deleted = 0;
+			for (const request of await cache.keys()) {
+				const key = typeof request === "string" ? request : request.url;
+				if (!keep.has(key) && (await cache.delete(request))) {
+					deleted++;
+				}
+			}
+			return deleted;
+		},
+	};
+}
+
+module.exports = {
+	MODULE_CACHE_NAME,
+	getImportMapVersion,
+	getModuleCacheKey,
+	getReferencedDigests,
+	createVerifiedModuleCache,
+};
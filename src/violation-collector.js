@@ -0,0 +1,139 @@
+// violation-collector.js - Reference collector for integrity violation reports
+//
+// A small HTTP server for trying reporting out locally, and a template for a
+// production endpoint. It accepts Reporting API batches
+// (application/reports+json), plain JSON, and legacy CSP reports
+// (application/csp-report), and hands each report to a callback.
+const http = require("http");
+
+// Largest request body accepted, in bytes
+const DEFAULT_MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Options for createViolationCollector
+ * @typedef {Object} ViolationCollectorOptions
+ * @property {function(Object): void} onReport - Receives each report
+ * @property {string} [path="/reports"] - Path reports are posted to
+ * @property {number} [maxBodySize] - Largest request body accepted, in bytes
+ * @property {string} [allowOrigin="*"] - Access-Control-Allow-Origin for cross-origin pages
+ */
+
+/**
+ * Normalizes a posted payload to a list of reports
+ * @param {string} contentType - Request content type
+ * @param {*} payload - Parsed request body
+ * @returns {Object[]} Reports
+ */
+function parseReports(contentType, payload) {
+	// Legacy CSP report-uri format: { "csp-report": { ... } }
+	if (contentType === "application/csp-report" || payload?.["csp-report"]) {
+		return [
+			{ type: "csp-violation", age: 0, body: payload["csp-report"] || {} },
+		];
+	}
+	return Array.isArray(payload) ? payload : [payload];
+}
+
+/**
+ * Creates a request handler that collects violation reports
+ * @param {ViolationCollectorOptions} options - Collector options
+ * @returns {function(http.IncomingMessage, http.ServerResponse): void} Request handler
+ */
+function createViolationCollector(options) {
+	const reportPath = options.path || "/reports";
+	const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+	const corsHeaders = {
+		"Access-Control-Allow-Origin": options.allowOrigin || "*",
+		"Access-Control-Allow-Methods": "POST, OPTIONS",
+		"Access-Control-Allow-Headers": "Content-Type",
+	};
+
+	return (request, response) => {
+		const { pathname } = new URL(request.url, "http://localhost");
+		if (pathname !== reportPath) {
+			response.writeHead(404, corsHeaders).end();
+			return;
+		}
+		if (request.method === "OPTIONS") {
+			response.writeHead(204, corsHeaders).end();
+			return;
+		}
+		if (request.method !== "POST") {
+			response.writeHead(405, { ...corsHeaders, Allow: "POST, OPTIONS" }).end();
+			return;
+		}
+
+		const chunks = [];
+		let size = 0;
+		let rejected = false;
+
+		request.on("data", (chunk) => {
+			size += chunk.length;
+			if (size > maxBodySize && !rejected) {
+				rejected = true;
+				response.writeHead(413, corsHeaders).end();
+				request.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+
+		request.on("end", () => {
+			if (rejected) {
+				return;
+			}
+
+			const contentType = (request.headers["content-type"] || "")
+				.split(";")[0]
+				.trim();
+			let reports;
+			try {
+				reports = parseReports(
+					contentType,
+					JSON.parse(Buffer.concat(chunks).toString("utf8")),
+				);
+			} catch {
+				response.writeHead(400, corsHeaders).end();
+				return;
+			}
+
+			for (const report of reports) {
+				options.onReport(report);
+			}
+			response.writeHead(204, corsHeaders).end();
+		});
+	};
+}
+
+/**
+ * Starts a collector that writes each report as a line of JSON
+ * @param {Object} options - Server options
+ * @param {number} [options.port=8787] - Port to listen on (0 for any free port)
+ * @param {string} [options.host="127.0.0.1"] - Interface to listen on
+ * @param {string} [options.path="/reports"] - Path reports are posted to
+ * @param {{write: function(string): void}} options.output - Stream the reports are written to
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startViolationCollector(options) {
+	const server = http.createServer(
+		createViolationCollector({
+			path: options.path,
+			onReport: (report) =>
+				options.output.write(
+					`${JSON.stringify({ receivedAt: new Date().toISOString(), ...report })}\n`,
+				),
+		}),
+	);
+
+	return new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(options.port ?? 8787, options.host || "127.0.0.1", () =>
+			resolve(server),
+		);
+	});
+}
+
+module.exports = {
+	createViolationCollector,
+	startViolationCollector,
+};
@@ -0,0 +1,232 @@
+// violation-reporter.js - Send integrity violations to a reporting endpoint
+//
+// Violations are queued and sent in batches with navigator.sendBeacon, which
+// survives the page being unloaded. The payload uses the Reporting API
+// format (application/reports+json), the same envelope CSP report-to
+// endpoints receive, so existing collectors can ingest it.
+const { VIOLATION_MESSAGE_TYPE } = require("./request-integrity");
+
+// Content type of Reporting API payloads
+const REPORTS_CONTENT_TYPE = "application/reports+json";
+
+/**
+ * One integrity violation
+ * @typedef {Object} IntegrityViolation
+ * @property {string} url - URL of the module that failed verification
+ * @property {string|null} [expected] - Integrity metadata from the import map
+ * @property {string|null} [actual] - Integrity of the bytes received
+ * @property {string} [status] - Failure status, e.g. "mismatch"
+ * @property {string} [specifier] - Specifier that was imported
+ * @property {string} [destination] - Request destination, for service worker reports
+ * @property {string} [source] - What detected the violation: "client" or "service-worker"
+ */
+
+/**
+ * A report in the Reporting API format
+ * @typedef {Object} ViolationReport
+ * @property {"module-integrity-violation"} type - Report type
+ * @property {number} age - Milliseconds between the violation and sending the report
+ * @property {string} url - URL of the page the violation happened on
+ * @property {string} user_agent - User agent of the page
+ * @property {Object} body - Violation details (documentURL, blockedURL, expected, actual, ...)
+ */
+
+/**
+ * Options for createViolationReporter
+ * @typedef {Object} ViolationReporterOptions
+ * @property {string} endpoint - URL reports are sent to
+ * @property {number} [batchSize=10] - Reports per request; reaching it sends immediately
+ * @property {number} [flushInterval=5000] - Milliseconds to wait before sending a partial batch
+ * @property {number} [maxQueueSize=100] - Reports kept while waiting; older ones are dropped
+ * @property {function(string, Blob): boolean} [sendBeacon] - Beacon implementation
+ * @property {function(string, Object): Promise<Response>} [fetch] - Fallback when a beacon cannot be queued
+ * @property {function(): {url: string, userAgent: string}} [getContext] - Page URL and user agent
+ */
+
+/**
+ * Describes the current page
+ * @returns {{url: string, userAgent: string}} Page URL and user agent
+ */
+function getPageContext() {
+	return {
+		url: typeof location === "undefined" ? "" : location.href,
+		userAgent: typeof navigator === "undefined" ? "" : navigator.userAgent,
+	};
+}
+
+/**
+ * Converts a violation to a Reporting API report
+ * @param {IntegrityViolation} violation - Violation
+ * @param {{url: string, userAgent: string}} context - Page URL and user agent
+ * @param {number} timestamp - When the violation happened, in milliseconds since the epoch
+ * @param {number} now - When the report is sent
+ * @returns {ViolationReport} Report
+ */
+function toReport(violation, context, timestamp, now) {
+	return {
+		type: VIOLATION_MESSAGE_TYPE,
+		age: Math.max(0, now - timestamp),
+		url: context.url,
+		user_agent: context.userAgent,
+		body: {
+			documentURL: context.url,
+			blockedURL: violation.url,
+			expected: violation.expected ?? null,
+			actual: violation.actual ?? null,
+			status: violation.status || "mismatch",
+			specifier: violation.specifier,
+			destination: violation.destination,
+			source: violation.source || "client",
+			disposition: "enforce",
+		},
+	};
+}
+
+/**
+ * Extracts the violations described by an integrity error
+ * Graph verification errors carry a report with one entry per failing
+ * module; other integrity errors carry url, expected and actual.
+ * @param {Error} error - Error thrown by importWithIntegrity
+ * @param {string} [specifier] - Specifier that was imported
+ * @returns {IntegrityViolation[]} Violations
+ */
+function violationsFromError(error, specifier) {
+	if (Array.isArray(error?.report?.failures)) {
+		return (
+			error.report.failures
+				// Modules that failed to load or resolve are not violations
+				.filter(
+					(failure) =>
+						failure.status !== "error" && failure.status !== "unresolved",
+				)
+				.map((failure) => ({
+					url: failure.url,
+					expected: failure.expected,
+					actual: failure.actual,
+					status: failure.status,
+					specifier: failure.specifier || specifier,
+				}))
+		);
+	}
+	// Errors from failed fetches are not violations either
+	if (error?.url && error.status !== "error") {
+		return [
+			{
+				url: error.url,
+				expected: error.expected,
+				actual: error.actual,
+				status: error.status,
+				specifier,
+			},
+		];
+	}
+	return [];
+}
+
+/**
+ * Creates a reporter that batches violations and sends them to an endpoint
+ * @param {ViolationReporterOptions} options - Reporter options
+ * @returns {{report: function(IntegrityViolation): void, flush: function(): Promise<void>, dispose: function(): Promise<void>}} Reporter
+ */
+function createViolationReporter(options) {
+	if (!options || !options.endpoint) {
+		throw new Error("Violation reporting needs an endpoint");
+	}
+
+	const batchSize = options.batchSize || 10;
+	const flushInterval = options.flushInterval ?? 5000;
+	const maxQueueSize = options.maxQueueSize || 100;
+	const getContext = options.getContext || getPageContext;
+	const sendBeacon =
+		options.sendBeacon ||
+		(typeof navigator !== "undefined" && navigator.sendBeacon
+			? (url, data) => navigator.sendBeacon(url, data)
+			: null);
+	const fetchImpl =
+		options.fetch || (typeof fetch === "undefined" ? null : fetch);
+
+	let queue = [];
+	let timer = null;
+
+	function send(reports) {
+		const body = JSON.stringify(reports);
+
+		if (sendBeacon) {
+			const data = new Blob([body], { type: REPORTS_CONTENT_TYPE });
+			if (sendBeacon(options.endpoint, data)) {
+				return Promise.resolve();
+			}
+		}
+
+		if (!fetchImpl) {
+			return Promise.resolve();
+		}
+		return fetchImpl(options.endpoint, {
+			method: "POST",
+			body,
+			keepalive: true,
+			headers: { "Content-Type": REPORTS_CONTENT_TYPE },
+		}).then(
+			() => {},
+			(error) => console.error("Failed to send integrity reports:", error),
+		);
+	}
+
+	async function flush() {
+		if (timer) {
+			clearTimeout(timer);
+			timer = null;
+		}
+
+		const now = Date.now();
+		const context = getContext();
+		while (queue.length > 0) {
+			const batch = queue.splice(0, batchSize);
+			await send(
+				batch.map(({ violation, timestamp }) =>
+					toReport(violation, context, timestamp, now),
+				),
+			);
+		}
+	}
+
+	// Send what is queued before the page goes away
+	const onHidden = () => {
+		if (document.visibilityState === "hidden") {
+			flush();
+		}
+	};
+	if (typeof document !== "undefined") {
+		document.addEventListener("visibilitychange", onHidden);
+	}
+
+	return {
+		report(violation) {
+			queue.push({ violation, timestamp: Date.now() });
+			if (queue.length > maxQueueSize) {
+				queue = queue.slice(-maxQueueSize);
+			}
+
+			if (queue.length >= batchSize) {
+				flush();
+			} else if (!timer) {
+				timer = setTimeout(flush, flushInterval);
+			}
+		},
+
+		flush,
+
+		dispose() {
+			if (typeof document !== "undefined") {
+				document.removeEventListener("visibilitychange", onHidden);
+			}
+			return flush();
+		},
+	};
+}
+
+module.exports = {
+	REPORTS_CONTENT_TYPE,
+	createViolationReporter,
+	violationsFromError,
+};
@@ -1,8 +1,21 @@
 // vite-plugin-module-integrity.ts
-import { Plugin, ResolvedConfig } from "vite";
 import { createHash } from "crypto";
-import fs from "fs/promises";
 import path from "path";
+import fs from "fs/promises";
+import type { Plugin, ResolvedConfig } from "vite";
+import {
+	formatImportMapDiagnostics,
+	validateImportMap,
+} from "./import-map-schema";
+import {
+	type SigningConfig,
+	loadSigningKey,
+	serializeSignature,
+	signImportMap,
+} from "./import-map-signing";
+import { formatIntegrity, normalizeAlgorithms } from "./sri-metadata";
+
+type IntegrityAlgorithm = "sha256" | "sha384" | "sha512";
 
 interface ModuleIntegrityOptions {
 	/**
@@ -11,14 +24,27 @@ interface ModuleIntegrityOptions {
 	extensions?: string[];
 
 	/**
-	 * Hash algorithm to use
+	 * Hash algorithm(s) to use. With several algorithms every entry lists one
+	 * hash per algorithm, and browsers check the strongest.
 	 */
-	algorithm?: "sha256" | "sha384" | "sha512";
+	algorithm?: IntegrityAlgorithm | IntegrityAlgorithm[];
 
 	/**
 	 * Output path for the generated import map (relative to dist)
 	 */
 	importMapPath?: string;
+
+	/**
+	 * Emit a detached signature of the import map (by default at
+	 * importMapPath + ".sig"), signed with a local Ed25519 or ECDSA key
+	 */
+	signing?: SigningConfig;
+
+	/**
+	 * Check the generated import map: errors fail the build and warnings are
+	 * reported. Default: true
+	 */
+	validate?: boolean;
 }
 
 interface ImportMap {
@@ -33,8 +59,13 @@ export default function moduleIntegrityPlugin(
 		extensions = [".js", ".jsx", ".ts", ".tsx", ".mjs"],
 		algorithm = "sha384",
 		importMapPath = "importmap.json",
+		signing,
+		validate = true,
 	} = options;
 
+	const algorithms = normalizeAlgorithms(algorithm);
+	const signingKey = signing ? loadSigningKey(signing) : null;
+
 	let config: ResolvedConfig;
 	const importMap: ImportMap = {
 		imports: {},
@@ -69,11 +100,17 @@ export default function moduleIntegrityPlugin(
 					continue;
 				}
 
-				// Calculate hash using specified algorithm
-				const hash = createHash(algorithm).update(content).digest("base64");
+				// Calculate hash using each specified algorithm
+				const integrity = algorithms
+					.map((name) =>
+						formatIntegrity(
+							name,
+							createHash(name).update(content).digest("base64"),
+						),
+					)
+					.join(" ");
 
 				// Add to import map
-				const integrity = `${algorithm}-${hash}`;
 				const assetPath = config.base + fileName;
 
 				// Add the module to imports and integrity maps
@@ -90,6 +127,29 @@ export default function moduleIntegrityPlugin(
 				}
 			}
 
+			if (validate) {
+				const { diagnostics } = validateImportMap(importMap, {
+					knownURLs: Object.keys(bundle).map(
+						(fileName) => config.base + fileName,
+					),
+				});
+				for (const diagnostic of diagnostics) {
+					if (diagnostic.severity === "warning") {
+						this.warn(
+							`${importMapPath}: ${formatImportMapDiagnostics([diagnostic])}`,
+						);
+					}
+				}
+				const errors = diagnostics.filter(
+					(diagnostic) => diagnostic.severity === "error",
+				);
+				if (errors.length > 0) {
+					this.error(
+						`Invalid import map ${importMapPath}:\n${formatImportMapDiagnostics(errors)}`,
+					);
+				}
+			}
+
 			// Write import map to output directory
 			const importMapJson = JSON.stringify(importMap, null, 2);
 			this.emitFile({
@@ -98,6 +158,15 @@ export default function moduleIntegrityPlugin(
 				source: importMapJson,
 			});
 
+			// Detached signature over the canonical form of the map
+			if (signing && signingKey) {
+				this.emitFile({
+					type: "asset",
+					fileName: signing.signaturePath || `${importMapPath}.sig`,
+					source: serializeSignature(signImportMap(importMap, signingKey)),
+				});
+			}
+
 			// Inject script to load the import map
 			const publicDir = path.join(config.root, "public");
 			try {
@@ -160,7 +229,10 @@ export default function moduleIntegrityPlugin(
         const encoder = new TextEncoder();
         const data = encoder.encode(content);
         
-        const hashBuffer = await crypto.subtle.digest(algorithm.toUpperCase(), data);
+        const hashBuffer = await crypto.subtle.digest(
+          algorithm.toUpperCase().replace(/^SHA/, 'SHA-'),
+          data
+        );
         
         // Convert to base64
         const hashArray = Array.from(new Uint8Array(hashBuffer));
@@ -169,6 +241,14 @@ export default function moduleIntegrityPlugin(
         return \`\${algorithm}-\${hashBase64}\`;
       }
       
+      /**
+       * Create an error with the name and code used by integrity-errors.js,
+       * so isModuleIntegrityError and error.code checks recognise it
+       */
+      function integrityError(name, code, message, details) {
+        return Object.assign(new Error(message), { name, code }, details);
+      }
+
       /**
        * Import a module with integrity verification
        */
@@ -191,7 +271,12 @@ export default function moduleIntegrityPlugin(
           // Also check if there's a mapping from a bare specifier
           for (const [bare, targetUrl] of Object.entries(importMap.imports)) {
             if (targetUrl === url && importMap.integrity[bare]) {
-              throw new Error(\`Integrity check failed for module: \${url} (via \${bare})\`);
+              throw integrityError(
+                'IntegrityMismatchError',
+                'ERR_INTEGRITY_MISMATCH',
+                \`Integrity check failed for module: \${url} (via \${bare})\`,
+                { url, expected: importMap.integrity[bare], actual: null, status: 'mismatch' }
+              );
             }
           }
           
@@ -202,15 +287,44 @@ export default function moduleIntegrityPlugin(
         // Verify integrity before importing
         const response = await fetch(url);
         if (!response.ok) {
-          throw new Error(\`Failed to fetch module: \${response.statusText}\`);
+          throw integrityError(
+            'FetchFailedError',
+            'ERR_FETCH_FAILED',
+            \`Failed to fetch module: \${response.statusText}\`,
+            { url, expected: integrity, status: 'error' }
+          );
         }
         
         const content = await response.text();
-        const algorithm = integrity.split('-')[0];
+
+        // Check the strongest algorithm listed, against any of its hashes
+        const strength = ['sha256', 'sha384', 'sha512'];
+        const tokens = integrity
+          .trim()
+          .split(/\\s+/)
+          .map((token) => token.split('?')[0])
+          .filter((token) => strength.includes(token.split('-')[0]));
+        const algorithm = tokens
+          .map((token) => token.split('-')[0])
+          .sort((a, b) => strength.indexOf(b) - strength.indexOf(a))[0];
+        if (!algorithm) {
+          throw integrityError(
+            'UnsupportedAlgorithmError',
+            'ERR_UNSUPPORTED_ALGORITHM',
+            \`Unsupported integrity metadata for module: \${url}\`,
+            { url, expected: integrity, actual: null, algorithm: null, status: 'unsupported' }
+          );
+        }
+
         const actualIntegrity = await calculateIntegrity(content, algorithm);
         
-        if (actualIntegrity !== integrity) {
-          throw new Error(\`Integrity check failed for module: \${url}\`);
+        if (!tokens.includes(actualIntegrity)) {
+          throw integrityError(
+            'IntegrityMismatchError',
+            'ERR_INTEGRITY_MISMATCH',
+            \`Integrity check failed for module: \${url}\`,
+            { url, expected: integrity, actual: actualIntegrity, algorithm, status: 'mismatch' }
+          );
         }
         
         // Integrity check passed, import the module
@@ -0,0 +1,68 @@
+// sri-metadata.test.js
+const {
+	parseIntegrityMetadata,
+	getStrongestAlgorithm,
+	matchesIntegrityMetadata,
+	normalizeAlgorithms,
+	toWebCryptoAlgorithm,
+} = require("./src/sri-metadata");
+
+describe("SRI metadata", () => {
+	test("parses space-separated hashes with options", () => {
+		expect(
+			parseIntegrityMetadata(" sha256-abc=  sha512-xyz?opt1?opt2 "),
+		).toEqual([
+			{ algorithm: "sha256", digest: "abc=", options: [] },
+			{ algorithm: "sha512", digest: "xyz", options: ["opt1", "opt2"] },
+		]);
+	});
+
+	test("ignores unknown algorithms and malformed tokens", () => {
+		expect(parseIntegrityMetadata("md5-abc sha1-abc sha384 sha384-")).toEqual(
+			[],
+		);
+		expect(parseIntegrityMetadata(undefined)).toEqual([]);
+	});
+
+	test("treats algorithm names case-insensitively", () => {
+		expect(getStrongestAlgorithm("SHA384-abc")).toBe("sha384");
+	});
+
+	test("selects the strongest algorithm", () => {
+		expect(getStrongestAlgorithm("sha256-a sha512-b sha384-c")).toBe("sha512");
+		expect(getStrongestAlgorithm("md5-a")).toBeNull();
+	});
+
+	test("matches any digest of the strongest algorithm", () => {
+		const metadata = "sha256-weak sha384-old sha384-new";
+		expect(matchesIntegrityMetadata(metadata, "sha384", "old")).toBe(true);
+		expect(matchesIntegrityMetadata(metadata, "sha384", "new")).toBe(true);
+		expect(matchesIntegrityMetadata(metadata, "sha384", "other")).toBe(false);
+	});
+
+	test("does not fall back to weaker algorithms", () => {
+		expect(
+			matchesIntegrityMetadata("sha256-weak sha384-strong", "sha256", "weak"),
+		).toBe(false);
+	});
+
+	test("ignores options when matching", () => {
+		expect(matchesIntegrityMetadata("sha384-abc?ct=js", "sha384", "abc")).toBe(
+			true,
+		);
+	});
+
+	test("normalizes algorithm options", () => {
+		expect(normalizeAlgorithms()).toEqual(["sha384"]);
+		expect(normalizeAlgorithms(["SHA256", "sha512"])).toEqual([
+			"sha256",
+			"sha512",
+		]);
+		expect(() => normalizeAlgorithms("md5")).toThrow(/Unsupported/);
+	});
+
+	test("maps algorithm names to Web Crypto names", () => {
+		expect(toWebCryptoAlgorithm("sha256")).toBe("SHA-256");
+		expect(toWebCryptoAlgorithm("sha384")).toBe("SHA-384");
+	});
+});
@@ -0,0 +1,227 @@
+// trusted-import-map.test.js
+const crypto = require("crypto");
+const {
+	UPDATE_RESULT_MESSAGE_TYPE,
+	checkForImportMapUpdate,
+	getServiceWorkerURL,
+	loadTrustedImportMap,
+	normalizeServiceWorkerConfig,
+	readServiceWorkerConfig,
+	registerImportMapServiceWorker,
+} = require("./src/trusted-import-map");
+const {
+	serializeSignature,
+	signImportMap,
+} = require("./src/import-map-signing");
+const { getTrustedKey } = require("./src/import-map-signing");
+const { ERROR_CODES, FetchFailedError } = require("./src/integrity-errors");
+
+const origin = "https://app.example";
+const importMap = {
+	imports: { react: "/vendor/react.js" },
+	integrity: { "/vendor/react.js": "sha384-abc" },
+};
+const mapText = JSON.stringify(importMap);
+
+function createFetch(files) {
+	return jest.fn(async (url) =>
+		url in files
+			? new Response(files[url])
+			: new Response("", { status: 404, statusText: "Not Found" }),
+	);
+}
+
+function sha384(text) {
+	return `sha384-${crypto.createHash("sha384").update(text).digest("base64")}`;
+}
+
+describe("service worker config", () => {
+	test("round-trips through the registration URL", () => {
+		const config = {
+			trustSource: { type: "url", url: "/trusted.json" },
+			logResults: false,
+		};
+		const scriptURL = getServiceWorkerURL("/sw.js?v=2", config);
+
+		expect(scriptURL.startsWith("/sw.js?v=2&config=")).toBe(true);
+		expect(readServiceWorkerConfig(new URL(scriptURL, origin))).toEqual({
+			trustSource: { type: "url", url: "/trusted.json" },
+			enforceIntegrity: true,
+			enforceTrustedMap: false,
+			logResults: false,
+			cacheModules: true,
+		});
+	});
+
+	test("defaults to the bundled map", () => {
+		expect(readServiceWorkerConfig(`${origin}/sw.js`).trustSource).toEqual({
+			type: "bundled",
+		});
+	});
+
+	test("rejects incomplete trust sources", () => {
+		expect(() =>
+			normalizeServiceWorkerConfig({ trustSource: { type: "github" } }),
+		).toThrow(/Unknown trusted import map source/);
+		expect(() =>
+			normalizeServiceWorkerConfig({ trustSource: { type: "url" } }),
+		).toThrow(/needs a url/);
+		expect(() =>
+			normalizeServiceWorkerConfig({
+				trustSource: { type: "signed", url: "/map.json", trustedKeys: [] },
+			}),
+		).toThrow(/needs trustedKeys/);
+	});
+});
+
+describe("registerImportMapServiceWorker", () => {
+	afterEach(() => {
+		global.navigator = undefined;
+	});
+
+	test("registers a classic worker unless asked for a module", () => {
+		const register = jest.fn();
+		global.navigator = { serviceWorker: { register } };
+
+		registerImportMapServiceWorker("/sw.js", {});
+		registerImportMapServiceWorker("/sw.js", {}, { type: "module" });
+
+		expect(register.mock.calls[0][0]).toMatch(/^\/sw\.js\?/);
+		expect(register.mock.calls[0][1]).toEqual({});
+		expect(register.mock.calls[1][1]).toEqual({ type: "module" });
+	});
+});
+
+describe("checkForImportMapUpdate", () => {
+	let listeners;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		listeners = new Set();
+		global.navigator = {
+			serviceWorker: {
+				controller: { postMessage: jest.fn() },
+				addEventListener: (type, listener) => listeners.add(listener),
+				removeEventListener: (type, listener) => listeners.delete(listener),
+			},
+		};
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		global.navigator = undefined;
+	});
+
+	test("resolves with the worker's answer", async () => {
+		const result = checkForImportMapUpdate();
+		for (const listener of listeners) {
+			listener({ data: { type: UPDATE_RESULT_MESSAGE_TYPE, updated: true } });
+		}
+
+		await expect(result).resolves.toMatchObject({ updated: true });
+		expect(listeners.size).toBe(0);
+	});
+
+	test("rejects with a FetchFailedError when the worker never answers", async () => {
+		const result = checkForImportMapUpdate({ timeout: 500 });
+		jest.advanceTimersByTime(500);
+
+		await expect(result).rejects.toThrow(FetchFailedError);
+		await expect(result).rejects.toMatchObject({
+			code: ERROR_CODES.FETCH_FAILED,
+		});
+		expect(listeners.size).toBe(0);
+	});
+});
+
+describe("loadTrustedImportMap", () => {
+	test("returns the bundled map, and fails without one", async () => {
+		await expect(
+			loadTrustedImportMap({ type: "bundled" }, { bundledMap: importMap }),
+		).resolves.toBe(importMap);
+		await expect(
+			loadTrustedImportMap({ type: "bundled" }, { bundledMap: null }),
+		).rejects.toThrow(/No import map was bundled/);
+	});
+
+	test("fetches a same-origin map and checks its pinned integrity", async () => {
+		const fetchImpl = createFetch({ [`${origin}/trusted.json`]: mapText });
+
+		await expect(
+			loadTrustedImportMap(
+				{ type: "url", url: "/trusted.json", integrity: sha384(mapText) },
+				{ origin, fetch: fetchImpl },
+			),
+		).resolves.toEqual(importMap);
+
+		await expect(
+			loadTrustedImportMap(
+				{ type: "url", url: "/trusted.json", integrity: sha384("{}") },
+				{ origin, fetch: fetchImpl },
+			),
+		).rejects.toThrow(/failed its integrity check/);
+
+		await expect(
+			loadTrustedImportMap(
+				{ type: "url", url: "/trusted.json", integrity: sha384("{}") },
+				{ origin, fetch: fetchImpl },
+			),
+		).rejects.toMatchObject({
+			code: ERROR_CODES.INTEGRITY_MISMATCH,
+			url: `${origin}/trusted.json`,
+			expected: sha384("{}"),
+			actual: sha384(mapText),
+		});
+	});
+
+	test("refuses cross-origin and unavailable URL sources", async () => {
+		const fetchImpl = createFetch({});
+
+		await expect(
+			loadTrustedImportMap(
+				{ type: "url", url: "https://raw.githubusercontent.com/a/b/map.json" },
+				{ origin, fetch: fetchImpl },
+			),
+		).rejects.toThrow(/must be same-origin/);
+		expect(fetchImpl).not.toHaveBeenCalled();
+
+		await expect(
+			loadTrustedImportMap(
+				{ type: "url", url: "/trusted.json" },
+				{ origin, fetch: fetchImpl },
+			),
+		).rejects.toThrow(/404 Not Found/);
+
+		await expect(
+			loadTrustedImportMap(
+				{ type: "url", url: "/trusted.json" },
+				{ origin, fetch: fetchImpl },
+			),
+		).rejects.toMatchObject({ code: ERROR_CODES.IMPORT_MAP_MISSING });
+	});
+
+	test("accepts a signed map from any origin only if it verifies", async () => {
+		const { privateKey } = crypto.generateKeyPairSync("ed25519");
+		const url = "https://maps.example/importmap.json";
+		const source = {
+			type: "signed",
+			url,
+			trustedKeys: [getTrustedKey(privateKey)],
+		};
+		const signature = serializeSignature(signImportMap(importMap, privateKey));
+
+		await expect(
+			loadTrustedImportMap(source, {
+				origin,
+				fetch: createFetch({ [url]: mapText, [`${url}.sig`]: signature }),
+			}),
+		).resolves.toEqual(importMap);
+
+		await expect(
+			loadTrustedImportMap(source, {
+				origin,
+				fetch: createFetch({ [url]: "{}", [`${url}.sig`]: signature }),
+			}),
+		).rejects.toThrow(/signature verification failed/);
+	});
+});
@@ -18,7 +18,7 @@ function MyApp({ Component, pageProps }) {
         <div className="security-error-container">
           <h1>Security Alert</h1>
           <p>We've detected that some resources on this page may have been tampered with.</p>
-          <p>Error details: {error}</p>
+          <p>Error details: {error.message}</p>
           <button onClick={() => window.location.reload()}>
             Reload Application
           </button>
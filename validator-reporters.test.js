@@ -0,0 +1,163 @@
+// validator-reporters.test.js
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+	validateNextJSBuildIntegrity,
+} = require("./src/module-integrity-validator");
+const { getReporter } = require("./src/validator-reporters");
+
+const silent = { log: () => {}, error: () => {} };
+
+function sha384(content) {
+	return `sha384-${crypto.createHash("sha384").update(content).digest("base64")}`;
+}
+
+describe("validator reports", () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "sri-reporters-"));
+		fs.mkdirSync(path.join(dir, "dist"));
+		fs.writeFileSync(path.join(dir, "dist/ok.js"), "ok");
+		fs.writeFileSync(path.join(dir, "dist/changed.js"), "changed");
+		fs.writeFileSync(
+			path.join(dir, "dist/importmap.json"),
+			JSON.stringify({
+				integrity: {
+					"/ok.js": sha384("ok"),
+					"/changed.js": sha384("original"),
+					"/gone.js": sha384("gone"),
+					"/weak.js": "md5-abc",
+				},
+			}),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function validate(options = {}) {
+		return validateNextJSBuildIntegrity({
+			distDir: path.join(dir, "dist"),
+			logger: silent,
+			cwd: dir,
+			...options,
+		});
+	}
+
+	test("failures carry url, digests and category", async () => {
+		const results = await validate();
+
+		expect(results.success).toBe(false);
+		expect(results.passes).toEqual([
+			{
+				url: "/ok.js",
+				file: path.join(dir, "dist/ok.js"),
+				expected: sha384("ok"),
+			},
+		]);
+		expect(
+			results.failures.map(({ url, category, expected, actual }) => ({
+				url,
+				category,
+				expected,
+				actual,
+			})),
+		).toEqual([
+			{
+				url: "/changed.js",
+				category: "mismatch",
+				expected: sha384("original"),
+				actual: sha384("changed"),
+			},
+			{
+				url: "/gone.js",
+				category: "missing",
+				expected: sha384("gone"),
+				actual: null,
+			},
+			{
+				url: "/weak.js",
+				category: "unsupported-algorithm",
+				expected: "md5-abc",
+				actual: null,
+			},
+		]);
+	});
+
+	test("writes JSON, JUnit and SARIF files", async () => {
+		const results = await validate({
+			failOnMissing: false,
+			reporters: [
+				{ reporter: "json", outputFile: "reports/integrity.json" },
+				{ reporter: "junit", outputFile: "reports/integrity.xml" },
+				{ reporter: "sarif", outputFile: "reports/integrity.sarif" },
+			],
+		});
+		const read = (file) =>
+			fs.readFileSync(path.join(dir, "reports", file), "utf8");
+
+		expect(JSON.parse(read("integrity.json"))).toEqual(results);
+
+		const junit = read("integrity.xml");
+		expect(junit).toContain('tests="4" failures="2"');
+		expect(junit).toContain('skipped="1"');
+		expect(junit).toContain('name="/ok.js" file="dist/ok.js"/>');
+		expect(junit).toMatch(
+			/name="\/changed.js" file="dist\/changed.js">\s*<failure message="Integrity mismatch[^"]*" type="mismatch">/,
+		);
+		expect(junit).toMatch(/<skipped message="Module \/gone.js is listed/);
+
+		const sarif = JSON.parse(read("integrity.sarif"));
+		const [run] = sarif.runs;
+		expect(sarif.version).toBe("2.1.0");
+		expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual([
+			"mismatch",
+			"missing",
+			"unsupported-algorithm",
+			"uncovered",
+		]);
+		expect(
+			run.results.map((result) => [
+				result.ruleId,
+				result.level,
+				result.locations[0].physicalLocation.artifactLocation.uri,
+			]),
+		).toEqual([
+			["mismatch", "error", "dist/changed.js"],
+			["missing", "warning", "dist/importmap.json"],
+			["unsupported-algorithm", "error", "dist/weak.js"],
+		]);
+		expect(run.results[0].properties).toEqual({
+			url: "/changed.js",
+			expected: sha384("original"),
+			actual: sha384("changed"),
+		});
+	});
+
+	test("accepts custom reporters and escapes XML", async () => {
+		const custom = { name: "count", format: (results) => `${results.total}` };
+		await validate({
+			reporters: [{ reporter: custom, outputFile: "count.txt" }],
+		});
+		expect(fs.readFileSync(path.join(dir, "count.txt"), "utf8")).toBe("4");
+
+		const junit = getReporter("junit").format(
+			{
+				total: 1,
+				failOnMissing: true,
+				passes: [{ url: '/a"<b>.js', file: path.join(dir, "a.js") }],
+				failures: [],
+			},
+			{ cwd: dir },
+		);
+		expect(junit).toContain('name="/a&quot;&lt;b&gt;.js"');
+	});
+
+	test("rejects unknown reporters", () => {
+		expect(() => getReporter("html")).toThrow(/Unknown reporter: html/);
+	});
+});
@@ -0,0 +1,370 @@
+// verified-import.test.js
+const crypto = require("crypto");
+const {
+	ERROR_CODES,
+	FetchFailedError,
+	IntegrityMismatchError,
+	ModuleIntegrityError,
+	UnsupportedAlgorithmError,
+	isModuleIntegrityError,
+} = require("./src/integrity-errors");
+const { lexModule } = require("./src/module-lexer");
+const {
+	rewriteModuleSource,
+	fetchVerifiedBytes,
+	checkModuleIntegrity,
+	linkVerifiedModules,
+	loadVerifiedSources,
+} = require("./src/verified-import");
+
+function integrityOf(bytes, algorithm = "sha384") {
+	return `${algorithm}-${crypto.createHash(algorithm).update(bytes).digest("base64")}`;
+}
+
+function specifiers(source) {
+	return lexModule(source).imports.map((entry) => entry.specifier);
+}
+
+describe("module lexer", () => {
+	test("finds static imports and re-exports", () => {
+		const source = `
+			import "./side-effect.js";
+			import a, { b as c } from "./a.js";
+			import * as ns from 'ns';
+			export * from "./star.js";
+			export * as named from "./named.js";
+			export { x, y as z } from "./reexport.js";
+			export const value = 1;
+		`;
+
+		expect(specifiers(source)).toEqual([
+			"./side-effect.js",
+			"./a.js",
+			"ns",
+			"./star.js",
+			"./named.js",
+			"./reexport.js",
+		]);
+	});
+
+	test("finds dynamic imports, with null for computed specifiers", () => {
+		const { imports } = lexModule(
+			'const m = import("./lazy.js"); import(`./${name}.js`); import(path);',
+		);
+
+		expect(
+			imports.map(({ specifier, dynamic }) => [specifier, dynamic]),
+		).toEqual([
+			["./lazy.js", true],
+			[null, true],
+			[null, true],
+		]);
+	});
+
+	test("ignores comments, strings, templates and regular expressions", () => {
+		const source = `
+			// import "./line-comment.js";
+			/* import "./block-comment.js"; */
+			const s = 'import "./string.js"';
+			const t = \`import "./template.js" \${ { a: "import('./nested.js')" }.a }\`;
+			const r = /import "\\.\\/regex.js"/;
+			loader.import("./method.js");
+			import "./real.js";
+		`;
+
+		expect(specifiers(source)).toEqual(["./real.js"]);
+	});
+
+	test("reads a regular expression after the head of if, while or for", () => {
+		expect(specifiers('if (x) /a"/.test(s); import "./b.js";')).toEqual([
+			"./b.js",
+		]);
+		expect(
+			specifiers(
+				"while (f(x)) /'/g.exec(s);\nfor await (const x of y) /`/;\nimport './c.js';",
+			),
+		).toEqual(["./c.js"]);
+		// After other parentheses "/" is still division
+		expect(specifiers('const q = (a) / 2; import "./d.js"; // /')).toEqual([
+			"./d.js",
+		]);
+	});
+
+	test("reads division after a postfix increment or decrement", () => {
+		expect(specifiers('let a = i++ / 2; import("./x.js");')).toEqual([
+			"./x.js",
+		]);
+		expect(
+			specifiers('n = list[0]-- / 2 + (k)++ / 3; import "./y.js"; // /'),
+		).toEqual(["./y.js"]);
+	});
+
+	test("reports import.meta ranges", () => {
+		const source = "const url = import.meta.url;";
+		const [meta] = lexModule(source).importMetas;
+
+		expect(source.slice(meta.start, meta.end)).toBe("import.meta");
+	});
+});
+
+describe("rewriteModuleSource", () => {
+	const moduleURL = "https://cdn.example.com/pkg/lib/index.js";
+
+	test("resolves relative imports against the original URL", () => {
+		const source =
+			'import { a } from "./a.js";\nexport * from \'../b.js\';\nimport("/c.js");';
+
+		expect(rewriteModuleSource(source, moduleURL)).toBe(
+			'import { a } from "https://cdn.example.com/pkg/lib/a.js";\n' +
+				'export * from "https://cdn.example.com/pkg/b.js";\n' +
+				'import("https://cdn.example.com/c.js");',
+		);
+	});
+
+	test("leaves bare specifiers to the resolver", () => {
+		const source = 'import React from "react";\nimport "./x.js";';
+
+		expect(rewriteModuleSource(source, moduleURL)).toContain('from "react"');
+		expect(
+			rewriteModuleSource(source, moduleURL, (specifier) =>
+				specifier === "react" ? "https://esm.sh/react" : null,
+			),
+		).toBe('import React from "https://esm.sh/react";\nimport "./x.js";');
+	});
+
+	test("replaces import.meta.url with the original URL", () => {
+		expect(
+			rewriteModuleSource("new URL('./w.wasm', import.meta.url);", moduleURL),
+		).toBe(`new URL('./w.wasm', "${moduleURL}");`);
+	});
+});
+
+describe("fetchVerifiedBytes", () => {
+	const bytes = Buffer.from('export default "ok";\n');
+	const respond = (body) => jest.fn(async () => new Response(body));
+
+	test("returns the bytes that were verified", async () => {
+		const fetchImpl = respond(bytes);
+		const result = await fetchVerifiedBytes(
+			"https://example.com/m.js",
+			integrityOf(bytes),
+			fetchImpl,
+		);
+
+		expect(Buffer.from(result).equals(bytes)).toBe(true);
+		expect(fetchImpl).toHaveBeenCalledTimes(1);
+	});
+
+	test("rejects mismatched bytes with a ModuleIntegrityError", async () => {
+		const expected = integrityOf(Buffer.from("tampered"));
+		const error = await fetchVerifiedBytes(
+			"https://example.com/m.js",
+			expected,
+			respond(bytes),
+		).catch((caught) => caught);
+
+		expect(error).toBeInstanceOf(ModuleIntegrityError);
+		expect(error).toBeInstanceOf(IntegrityMismatchError);
+		expect(error.message).toMatch(/Integrity check failed/);
+		expect(error).toMatchObject({
+			code: ERROR_CODES.INTEGRITY_MISMATCH,
+			url: "https://example.com/m.js",
+			expected,
+			actual: integrityOf(bytes),
+			algorithm: "sha384",
+			status: "mismatch",
+		});
+	});
+
+	test("rejects metadata without a supported algorithm", async () => {
+		const fetchImpl = respond(bytes);
+
+		const error = await fetchVerifiedBytes(
+			"https://example.com/m.js",
+			"md5-abc",
+			fetchImpl,
+		).catch((caught) => caught);
+		expect(error).toBeInstanceOf(UnsupportedAlgorithmError);
+		expect(error.message).toMatch(/no supported algorithm/);
+		expect(error.code).toBe(ERROR_CODES.UNSUPPORTED_ALGORITHM);
+		expect(fetchImpl).not.toHaveBeenCalled();
+	});
+
+	test("wraps failed requests in a FetchFailedError", async () => {
+		const error = await fetchVerifiedBytes(
+			"https://example.com/m.js",
+			integrityOf(bytes),
+			async () => new Response("", { status: 500, statusText: "Oops" }),
+		).catch((caught) => caught);
+
+		expect(error).toBeInstanceOf(FetchFailedError);
+		expect(error).toMatchObject({
+			code: ERROR_CODES.FETCH_FAILED,
+			url: "https://example.com/m.js",
+			status: "error",
+		});
+	});
+
+	test("checks streamed modules with the same errors", async () => {
+		await expect(
+			checkModuleIntegrity(
+				"https://example.com/m.js",
+				integrityOf(bytes),
+				respond(bytes),
+			),
+		).resolves.toBe(integrityOf(bytes));
+
+		await expect(
+			checkModuleIntegrity(
+				"https://example.com/m.js",
+				integrityOf(Buffer.from("tampered")),
+				respond(bytes),
+			),
+		).rejects.toMatchObject({
+			code: ERROR_CODES.INTEGRITY_MISMATCH,
+			actual: integrityOf(bytes),
+		});
+	});
+
+	test("recognises integrity errors by name across module copies", () => {
+		const foreign = new Error("Integrity check failed");
+		foreign.name = "ModuleIntegrityError";
+
+		expect(isModuleIntegrityError(foreign)).toBe(true);
+		expect(isModuleIntegrityError(new Error("Integrity check failed"))).toBe(
+			false,
+		);
+		expect(isModuleIntegrityError(null)).toBe(false);
+	});
+});
+
+describe("verified module graphs", () => {
+	const base = "https://example.com/graph/";
+	const files = {
+		"entry.js":
+			'import { a } from "./a.js";\nimport "./shared.js";\nimport "./unchecked.js";\nexport default a;',
+		"a.js": 'import "./shared.js";\nexport const a = import("./lazy.js");',
+		"shared.js": "export const shared = 1;",
+		"lazy.js": 'import "./entry.js";',
+		"unchecked.js": "",
+	};
+	const integrity = Object.fromEntries(
+		Object.entries(files)
+			.filter(([name]) => name !== "unchecked.js")
+			.map(([name, source]) => [`${base}${name}`, integrityOf(source)]),
+	);
+	const fetchFiles = (overrides = {}) =>
+		jest.fn(
+			async (url) =>
+				new Response({ ...files, ...overrides }[url.slice(base.length)]),
+		);
+	const load = (fetchImpl) =>
+		loadVerifiedSources(`${base}entry.js`, integrity[`${base}entry.js`], {
+			getIntegrity: (url) => integrity[url],
+			fetch: fetchImpl,
+		});
+
+	test("fetches and verifies each dependency with integrity once", async () => {
+		const fetchImpl = fetchFiles();
+		const modules = await load(fetchImpl);
+
+		expect([...modules.keys()].sort()).toEqual(
+			["a.js", "entry.js", "lazy.js", "shared.js"].map((name) => base + name),
+		);
+		expect(fetchImpl).toHaveBeenCalledTimes(4);
+		expect(modules.get(`${base}a.js`).resolved).toEqual({
+			"./shared.js": `${base}shared.js`,
+			"./lazy.js": `${base}lazy.js`,
+		});
+	});
+
+	test("rejects the graph when a dependency does not match", async () => {
+		await expect(
+			load(fetchFiles({ "shared.js": "export const shared = 2;" })),
+		).rejects.toMatchObject({
+			code: ERROR_CODES.INTEGRITY_MISMATCH,
+			url: `${base}shared.js`,
+		});
+	});
+
+	test("links dependencies to the URLs of their verified source", async () => {
+		const modules = await load(fetchFiles());
+		const linked = [];
+		const entryURL = linkVerifiedModules(
+			modules,
+			`${base}entry.js`,
+			"blob",
+			(source) => {
+				linked.push(source);
+				return `blob:test/${linked.length}`;
+			},
+		);
+		const byURL = Object.fromEntries(
+			linked.map((source, index) => [`blob:test/${index + 1}`, source]),
+		);
+
+		// Dependencies first, and the shared module only once
+		expect(linked).toHaveLength(4);
+		expect(entryURL).toBe("blob:test/4");
+		expect(byURL[entryURL]).toMatch(
+			/^import \{ a \} from "blob:test\/3";\nimport "blob:test\/1";\nimport "https:\/\/example\.com\/graph\/unchecked\.js";/,
+		);
+		// The import closing the cycle keeps its original URL
+		expect(linked).toContain('import "https://example.com/graph/entry.js";');
+	});
+
+	test("links an importer again when a dependency gets a new URL", () => {
+		const entry = {
+			url: `${base}relink/entry.js`,
+			integrity: integrityOf('import "./dep.js";'),
+			source: 'import "./dep.js";',
+			resolved: { "./dep.js": `${base}relink/dep.js` },
+		};
+		const dep = {
+			url: `${base}relink/dep.js`,
+			integrity: integrityOf("export {};"),
+			source: "export {};",
+			resolved: {},
+		};
+		const linked = [];
+		const createURL = (source) => {
+			linked.push(source);
+			return `blob:relink/${linked.length}`;
+		};
+
+		// dep.js has no integrity yet, so the entry imports it directly
+		const first = linkVerifiedModules(
+			new Map([[entry.url, entry]]),
+			entry.url,
+			"blob",
+			createURL,
+		);
+		expect(linked[0]).toBe(`import "${base}relink/dep.js";`);
+
+		const second = linkVerifiedModules(
+			new Map([
+				[entry.url, entry],
+				[dep.url, dep],
+			]),
+			entry.url,
+			"blob",
+			createURL,
+		);
+		expect(second).not.toBe(first);
+		expect(linked.slice(1)).toEqual(["export {};", 'import "blob:relink/2";']);
+
+		// The same graph reuses both URLs
+		expect(
+			linkVerifiedModules(
+				new Map([
+					[entry.url, entry],
+					[dep.url, dep],
+				]),
+				entry.url,
+				"blob",
+				createURL,
+			),
+		).toBe(second);
+		expect(linked).toHaveLength(3);
+	});
+});
@@ -0,0 +1,101 @@
+// verified-module-cache.test.js
+const {
+	createVerifiedModuleCache,
+	getImportMapVersion,
+	getModuleCacheKey,
+	getReferencedDigests,
+} = require("./src/verified-module-cache");
+
+const scope = "https://app.example/";
+
+// In-memory stand-in for a Cache Storage cache
+function createCache() {
+	const entries = new Map();
+	return {
+		entries,
+		async match(key) {
+			const response = entries.get(key);
+			return response ? response.clone() : undefined;
+		},
+		async put(key, response) {
+			entries.set(key, response);
+		},
+		async keys() {
+			return [...entries.keys()].map((url) => ({ url }));
+		},
+		async delete(request) {
+			return entries.delete(request.url);
+		},
+	};
+}
+
+describe("getImportMapVersion", () => {
+	test("ignores formatting and key order, but not content", async () => {
+		const version = await getImportMapVersion({
+			imports: { a: "/a.js" },
+			integrity: { "/a.js": "sha384-a" },
+		});
+
+		expect(version).toMatch(/^sha256-/);
+		expect(
+			await getImportMapVersion({
+				integrity: { "/a.js": "sha384-a" },
+				imports: { a: "/a.js" },
+			}),
+		).toBe(version);
+		expect(
+			await getImportMapVersion({
+				imports: { a: "/a.js" },
+				integrity: { "/a.js": "sha384-b" },
+			}),
+		).not.toBe(version);
+	});
+});
+
+describe("getReferencedDigests", () => {
+	test("lists the strongest digests of every entry", () => {
+		expect(
+			getReferencedDigests({
+				integrity: {
+					"/a.js": "sha256-weak sha384-a1 sha384-a2",
+					"/b.js": "sha512-b",
+					"/c.js": "md5-unsupported",
+				},
+			}),
+		).toEqual(new Set(["sha384-a1", "sha384-a2", "sha512-b"]));
+	});
+});
+
+describe("createVerifiedModuleCache", () => {
+	test("finds bytes by any accepted digest", async () => {
+		const cache = createCache();
+		const moduleCache = createVerifiedModuleCache(cache, scope);
+
+		await moduleCache.put("sha384-a2", new Response("module a"));
+
+		expect(await (await moduleCache.match("sha384-a1 sha384-a2")).text()).toBe(
+			"module a",
+		);
+		expect(await moduleCache.match("sha384-other")).toBeUndefined();
+		// A weaker algorithm alongside a stronger one does not match
+		expect(await moduleCache.match("sha384-a2 sha512-b")).toBeUndefined();
+		expect([...cache.entries.keys()]).toEqual([
+			getModuleCacheKey("sha384-a2", scope),
+		]);
+	});
+
+	test("prunes digests the new map no longer lists", async () => {
+		const cache = createCache();
+		const moduleCache = createVerifiedModuleCache(cache, scope);
+		await moduleCache.put("sha384-keep", new Response("keep"));
+		await moduleCache.put("sha384-old", new Response("old"));
+
+		const deleted = await moduleCache.prune({
+			integrity: { "/renamed.js": "sha384-keep", "/new.js": "sha384-new" },
+		});
+
+		expect(deleted).toBe(1);
+		expect(await moduleCache.match("sha384-keep")).toBeDefined();
+		expect(await moduleCache.match("sha384-old")).toBeUndefined();
+	});
+});
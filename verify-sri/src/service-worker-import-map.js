@@ -1,34 +1,96 @@
 // import-map-verifier.js - Service Worker for verifying import maps
-// Usage: Register this service worker in your application
-
-// Configuration
-const config = {
-  githubRepo: 'username/repo-name',
-  githubBranch: 'main',
-  importMapPath: 'path/to/import-map.json',
-  enforceIntegrity: true, // Whether to enforce module integrity checks
-  enforceTrustedMap: false, // If true, will use GitHub version when mismatch detected
-  logResults: true // Whether to log verification results to console
-};
+// Usage: register this service worker with registerImportMapServiceWorker()
+// from src/trusted-import-map.js, which passes the config in the script URL:
+//
+//   registerImportMapServiceWorker('/sw.js', {
+//     trustSource: { type: 'url', url: '/importmap.trusted.json', integrity: 'sha384-...' }
+//   });
+//
+// It imports the package's CommonJS modules, which browsers cannot load, so
+// it must be bundled into a single script (e.g. with Vite, esbuild or webpack)
+// before it is served. registerImportMapServiceWorker registers a classic
+// worker; pass { type: 'module' } as its third argument for an ES module bundle.
+// If no trusted import map can be obtained, it fails closed: installation
+// fails, and import maps and scripts are answered with an error.
+import { diffImportMaps, formatChangelog } from '../../src/import-map-diff';
+import {
+  createIntegrityLookup,
+  createVerifiedResponse,
+  createViolationReport,
+  createViolationResponse,
+  isModuleRequest,
+  verifyResponseIntegrity
+} from '../../src/request-integrity';
+import {
+  UPDATE_CHECK_MESSAGE_TYPE,
+  UPDATE_RESULT_MESSAGE_TYPE,
+  loadTrustedImportMap,
+  readServiceWorkerConfig
+} from '../../src/trusted-import-map';
+import {
+  MODULE_CACHE_NAME,
+  createVerifiedModuleCache,
+  getImportMapVersion
+} from '../../src/verified-module-cache';
+
+// Configuration, passed at registration
+const config = readServiceWorkerConfig(self.location);
+
+// Import map inlined at build time for the "bundled" trust source, e.g. with
+// Vite's define: { __TRUSTED_IMPORT_MAP__: JSON.stringify(importMap) }
+const bundledMap = typeof __TRUSTED_IMPORT_MAP__ !== 'undefined' ? __TRUSTED_IMPORT_MAP__ : null;
 
 // Cache name for storing the trusted import map
 const CACHE_NAME = 'import-map-verification-cache';
 
-// Service worker installation
+// Keys of the active trusted map and of the one installed but not yet active
+const ACTIVE_MAP_KEY = 'trusted-import-map';
+const PENDING_MAP_KEY = 'pending-trusted-import-map';
+
+// Service worker installation: fetch the trusted map and stage it. The
+// previous worker keeps using its own map until this one activates.
 self.addEventListener('install', event => {
   event.waitUntil(
-    fetchTrustedImportMap()
-      .then(trustedMap => {
-        return caches.open(CACHE_NAME)
-          .then(cache => cache.put('trusted-import-map', new Response(JSON.stringify(trustedMap))));
+    // A rejection here fails the installation; the previous worker stays
+    fetchTrustedImportMapRecord()
+      .then(record => {
+        return readMapRecord(ACTIVE_MAP_KEY).then(active => {
+          if (config.logResults) {
+            console.log(active && active.version === record.version
+              ? `Trusted import map unchanged (${record.version})`
+              : `Installing trusted import map ${record.version}`);
+          }
+          return writeMapRecord(PENDING_MAP_KEY, record);
+        });
       })
       .then(() => self.skipWaiting())
   );
 });
 
-// Service worker activation
+// Service worker activation: promote the staged map, dropping cached
+// modules that the new version no longer lists
 self.addEventListener('activate', event => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    readMapRecord(PENDING_MAP_KEY)
+      .then(pending => pending && activateMapRecord(pending))
+      .then(() => caches.open(CACHE_NAME))
+      .then(cache => cache.delete(PENDING_MAP_KEY))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages can ask for the trusted map to be fetched again, for sources that
+// change without a new worker (see checkForImportMapUpdate)
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === UPDATE_CHECK_MESSAGE_TYPE) {
+    event.waitUntil(
+      fetchTrustedImportMapRecord()
+        .then(activateMapRecord)
+        .then(result => ({ type: UPDATE_RESULT_MESSAGE_TYPE, ...result }))
+        .catch(error => ({ type: UPDATE_RESULT_MESSAGE_TYPE, updated: false, error: error.message }))
+        .then(message => event.source?.postMessage(message))
+    );
+  }
 });
 
 // Intercept fetch requests
@@ -43,20 +105,16 @@ self.addEventListener('fetch', event => {
       Promise.all([
         // Get the actual response from the network
         fetch(event.request.clone()),
-        // Get our trusted import map from cache
-        caches.open(CACHE_NAME).then(cache => cache.match('trusted-import-map'))
+        // Get our trusted import map
+        getTrustedImportMap()
       ])
-      .then(([networkResponse, cachedTrustedMapResponse]) => {
-        // Process both responses
-        return Promise.all([
-          networkResponse.clone().json(),
-          cachedTrustedMapResponse.json()
-        ]).then(([servedMap, trustedMap]) => {
+      .then(([networkResponse, trustedMap]) => {
+        return networkResponse.clone().json().then(servedMap => {
           // Verify the maps match
           const verificationResult = verifyImportMap(servedMap, trustedMap);
           
           if (config.logResults) {
-            console.log('Import Map Verification:', verificationResult);
+            console.log(`Import Map Verification:\n${formatChangelog(verificationResult)}`);
           }
           
           if (!verificationResult.matches && config.enforceTrustedMap) {
@@ -72,117 +130,159 @@ self.addEventListener('fetch', event => {
           return networkResponse;
         });
       })
+      .catch(trustFailureResponse)
     );
   } 
-  // For module requests, verify integrity if configured
-  else if (config.enforceIntegrity && event.request.destination === 'script') {
+  // Scripts, workers and modulepreloads are checked against the trusted map
+  else if (config.enforceIntegrity && isModuleRequest(event.request)) {
     event.respondWith(
-      caches.open(CACHE_NAME)
-        .then(cache => cache.match('trusted-import-map'))
-        .then(trustedMapResponse => trustedMapResponse.json())
-        .then(trustedMap => {
-          // Check if this module has integrity defined
-          if (trustedMap.integrity && trustedMap.integrity[url.pathname]) {
-            return fetch(event.request, {
-              integrity: trustedMap.integrity[url.pathname]
-            });
-          }
-          // No integrity defined, proceed normally
-          return fetch(event.request);
-        })
+      getIntegrityLookup().then(
+        lookup => fetchWithIntegrity(event, lookup),
+        trustFailureResponse
+      )
     );
   }
 });
 
-// Fetch the trusted import map from GitHub
-function fetchTrustedImportMap() {
-  const githubUrl = `https://raw.githubusercontent.com/${config.githubRepo}/${config.githubBranch}/${config.importMapPath}`;
-  
-  return fetch(githubUrl)
-    .then(response => {
-      if (!response.ok) {
-        throw new Error(`Failed to fetch trusted import map: ${response.status}`);
-      }
-      return response.json();
-    })
-    .catch(error => {
-      console.error('Error fetching trusted import map:', error);
-      // Return empty import map as fallback
-      return { imports: {}, scopes: {}, integrity: {} };
-    });
+// Fetch a module and hand the page only bytes that match the trusted map.
+// Requests without an integrity entry pass through unchanged.
+function fetchWithIntegrity(event, lookup) {
+  const request = event.request;
+  const match = lookup(request.url);
+  if (!match) {
+    return fetch(request);
+  }
+
+  if (!config.cacheModules) {
+    return fetchAndVerify(event, match);
+  }
+
+  // Bytes that were verified before skip the network and hashing
+  return getModuleCache()
+    .then(moduleCache => moduleCache.match(match.integrity))
+    .then(cached => cached || fetchAndVerify(event, match));
 }
 
-// Verify that served import map matches trusted import map
-function verifyImportMap(servedMap, trustedMap) {
-  const result = {
-    matches: true,
-    discrepancies: {
-      imports: {},
-      scopes: {},
-      integrity: {}
-    }
-  };
-  
-  // Check imports
-  if (servedMap.imports && trustedMap.imports) {
-    for (const [key, value] of Object.entries(trustedMap.imports)) {
-      if (!servedMap.imports[key] || servedMap.imports[key] !== value) {
-        result.matches = false;
-        result.discrepancies.imports[key] = {
-          expected: value,
-          actual: servedMap.imports[key] || 'missing'
-        };
-      }
-    }
-    
-    // Check for extra entries in served map
-    for (const key of Object.keys(servedMap.imports)) {
-      if (!trustedMap.imports[key]) {
-        result.matches = false;
-        result.discrepancies.imports[key] = {
-          expected: 'not defined',
-          actual: servedMap.imports[key]
-        };
+function fetchAndVerify(event, match) {
+  const request = event.request;
+
+  return fetch(request).then(response => {
+    return verifyResponseIntegrity(response, match.integrity).then(verification => {
+      if (verification.status === 'verified') {
+        if (config.cacheModules) {
+          const cached = createVerifiedResponse(response, verification.bytes);
+          event.waitUntil(getModuleCache().then(moduleCache => moduleCache.put(verification.actual, cached)));
+        }
+        return createVerifiedResponse(response, verification.bytes);
       }
-    }
-  }
-  
-  // Check scopes (similar approach)
-  if (servedMap.scopes && trustedMap.scopes) {
-    // Similar checking logic as for imports
-    for (const [scopeKey, scopeValue] of Object.entries(trustedMap.scopes)) {
-      if (!servedMap.scopes[scopeKey]) {
-        result.matches = false;
-        result.discrepancies.scopes[scopeKey] = { expected: scopeValue, actual: 'missing' };
-        continue;
+      if (verification.status === 'error') {
+        // The request failed; the page sees the failure as it is
+        return response;
       }
-      
-      // Check each mapping within the scope
-      for (const [mapKey, mapValue] of Object.entries(scopeValue)) {
-        if (!servedMap.scopes[scopeKey][mapKey] || servedMap.scopes[scopeKey][mapKey] !== mapValue) {
-          result.matches = false;
-          result.discrepancies.scopes[scopeKey] = result.discrepancies.scopes[scopeKey] || {};
-          result.discrepancies.scopes[scopeKey][mapKey] = {
-            expected: mapValue,
-            actual: servedMap.scopes[scopeKey][mapKey] || 'missing'
-          };
-        }
+
+      const report = createViolationReport(request, verification, event.resultingClientId || event.clientId);
+      console.error(`Module integrity violation (${report.status}): ${report.url}`);
+      event.waitUntil(reportViolation(report));
+      return createViolationResponse(report);
+    });
+  });
+}
+
+// Post a violation report to every client this worker controls
+function reportViolation(report) {
+  return self.clients.matchAll({ type: 'all' })
+    .then(clients => {
+      for (const client of clients) {
+        client.postMessage(report);
       }
-    }
+    });
+}
+
+// The trusted map's integrity entries, keyed by normalized request URL
+let integrityLookup = null;
+
+function getIntegrityLookup() {
+  if (!integrityLookup) {
+    integrityLookup = getTrustedImportMap()
+      .then(trustedMap => createIntegrityLookup(trustedMap, self.registration.scope));
+    // Let the next request try again instead of caching the failure
+    integrityLookup.catch(() => {
+      integrityLookup = null;
+    });
   }
-  
-  // Check integrity (if available)
-  if (servedMap.integrity && trustedMap.integrity) {
-    for (const [key, value] of Object.entries(trustedMap.integrity)) {
-      if (!servedMap.integrity[key] || servedMap.integrity[key] !== value) {
-        result.matches = false;
-        result.discrepancies.integrity[key] = {
-          expected: value,
-          actual: servedMap.integrity[key] || 'missing'
-        };
-      }
+  return integrityLookup;
+}
+
+function getModuleCache() {
+  return caches.open(MODULE_CACHE_NAME)
+    .then(cache => createVerifiedModuleCache(cache, self.registration.scope));
+}
+
+// Load the trusted import map from the configured source, with its version.
+// There is no fallback map: an empty one would silently disable every check.
+function fetchTrustedImportMapRecord() {
+  return loadTrustedImportMap(config.trustSource, {
+    bundledMap,
+    origin: self.location.origin
+  }).then(importMap => getImportMapVersion(importMap).then(version => ({ version, importMap })));
+}
+
+function readMapRecord(key) {
+  return caches.open(CACHE_NAME)
+    .then(cache => cache.match(key))
+    .then(cached => cached ? cached.json() : null);
+}
+
+function writeMapRecord(key, record) {
+  return caches.open(CACHE_NAME)
+    .then(cache => cache.put(key, new Response(JSON.stringify(record))));
+}
+
+// Make a map record the active one. If its version differs from the
+// current one, cached modules it no longer lists are deleted.
+function activateMapRecord(record) {
+  return readMapRecord(ACTIVE_MAP_KEY).then(active => {
+    const previousVersion = active ? active.version : null;
+    if (previousVersion === record.version) {
+      return { version: record.version, previousVersion, updated: false };
     }
-  }
-  
-  return result;
-}
\ No newline at end of file
+
+    integrityLookup = null;
+    return writeMapRecord(ACTIVE_MAP_KEY, record)
+      .then(() => getModuleCache())
+      .then(moduleCache => moduleCache.prune(record.importMap))
+      .then(pruned => {
+        if (config.logResults) {
+          console.log(`Trusted import map ${record.version} active; ${pruned} cached modules removed`);
+        }
+        return { version: record.version, previousVersion, updated: true };
+      });
+  });
+}
+
+// Read the active trusted import map, loading it again if the cache was
+// cleared. Rejects if it cannot be obtained.
+function getTrustedImportMap() {
+  return readMapRecord(ACTIVE_MAP_KEY)
+    .then(active => active || fetchTrustedImportMapRecord()
+      .then(record => activateMapRecord(record).then(() => record)))
+    .then(record => record.importMap);
+}
+
+// Answer a request with an error when the trusted map is unavailable
+function trustFailureResponse(error) {
+  console.error('Trusted import map unavailable; blocking request:', error);
+  return new Response(`Trusted import map unavailable: ${error.message}`, {
+    status: 503,
+    statusText: 'Trusted Import Map Unavailable',
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
+
+// Verify that served import map matches trusted import map. Every entry in
+// imports, scopes and integrity is compared in both directions, so extra
+// entries in the served map count as discrepancies too.
+function verifyImportMap(servedMap, trustedMap) {
+  const diff = diffImportMaps(trustedMap, servedMap);
+  return { ...diff, matches: diff.identical };
+}
@@ -0,0 +1,218 @@
+// violation-reporter.test.js
+const http = require("http");
+const {
+	REPORTS_CONTENT_TYPE,
+	createViolationReporter,
+	violationsFromError,
+} = require("./src/violation-reporter");
+const { createViolationCollector } = require("./src/violation-collector");
+
+const context = {
+	url: "https://app.example/page",
+	userAgent: "Mozilla/5.0 (test)",
+};
+
+const violation = {
+	url: "https://app.example/static/app.js",
+	expected: "sha384-expected",
+	actual: "sha384-actual",
+	status: "mismatch",
+	specifier: "app",
+};
+
+async function readBeacon(data) {
+	expect(data.type).toBe(REPORTS_CONTENT_TYPE);
+	return JSON.parse(await data.text());
+}
+
+describe("createViolationReporter", () => {
+	test("sends batches as Reporting API reports with a beacon", async () => {
+		const beacons = [];
+		const reporter = createViolationReporter({
+			endpoint: "/reports",
+			batchSize: 2,
+			flushInterval: 60000,
+			sendBeacon: (url, data) => {
+				beacons.push({ url, data });
+				return true;
+			},
+			getContext: () => context,
+		});
+
+		reporter.report(violation);
+		expect(beacons).toHaveLength(0);
+		reporter.report({ ...violation, url: "https://cdn.example/lib.js" });
+		await reporter.dispose();
+
+		expect(beacons).toHaveLength(1);
+		expect(beacons[0].url).toBe("/reports");
+		const reports = await readBeacon(beacons[0].data);
+		expect(reports).toHaveLength(2);
+		expect(reports[0]).toMatchObject({
+			type: "module-integrity-violation",
+			url: context.url,
+			user_agent: context.userAgent,
+			body: {
+				documentURL: context.url,
+				blockedURL: violation.url,
+				expected: "sha384-expected",
+				actual: "sha384-actual",
+				status: "mismatch",
+				specifier: "app",
+				source: "client",
+				disposition: "enforce",
+			},
+		});
+		expect(reports[0].age).toBeGreaterThanOrEqual(0);
+	});
+
+	test("falls back to a keepalive fetch when the beacon is refused", async () => {
+		const fetchImpl = jest.fn(async () => new Response(null, { status: 204 }));
+		const reporter = createViolationReporter({
+			endpoint: "https://collector.example/reports",
+			sendBeacon: () => false,
+			fetch: fetchImpl,
+			getContext: () => context,
+		});
+
+		reporter.report(violation);
+		await reporter.dispose();
+
+		expect(fetchImpl).toHaveBeenCalledTimes(1);
+		const [url, init] = fetchImpl.mock.calls[0];
+		expect(url).toBe("https://collector.example/reports");
+		expect(init).toMatchObject({ method: "POST", keepalive: true });
+		expect(JSON.parse(init.body)[0].body.blockedURL).toBe(violation.url);
+	});
+
+	test("keeps only the newest reports when the queue overflows", async () => {
+		const beacons = [];
+		const reporter = createViolationReporter({
+			endpoint: "/reports",
+			batchSize: 10,
+			maxQueueSize: 2,
+			sendBeacon: (_url, data) => beacons.push(data) > 0,
+			getContext: () => context,
+		});
+
+		for (const name of ["a", "b", "c"]) {
+			reporter.report({ ...violation, url: `/${name}.js` });
+		}
+		await reporter.dispose();
+
+		const reports = await readBeacon(beacons[0]);
+		expect(reports.map((report) => report.body.blockedURL)).toEqual([
+			"/b.js",
+			"/c.js",
+		]);
+	});
+
+	test("requires an endpoint", () => {
+		expect(() => createViolationReporter({})).toThrow(/endpoint/);
+	});
+});
+
+describe("violationsFromError", () => {
+	test("lists integrity failures from a graph report", () => {
+		const error = Object.assign(new Error("graph failed"), {
+			report: {
+				failures: [
+					{ url: "/a.js", status: "mismatch", expected: "x", actual: "y" },
+					{ url: "/b.js", status: "error", error: "Failed to fetch" },
+					{ url: "/c.js", status: "unsupported", expected: "md5-z" },
+				],
+			},
+		});
+
+		expect(
+			violationsFromError(error, "app").map(({ url, status }) => [url, status]),
+		).toEqual([
+			["/a.js", "mismatch"],
+			["/c.js", "unsupported"],
+		]);
+	});
+
+	test("uses the url and digests on single-module errors", () => {
+		const error = Object.assign(new Error("Integrity check failed"), {
+			url: "/a.js",
+			expected: "x",
+			actual: "y",
+			status: "mismatch",
+		});
+		expect(violationsFromError(error, "a")).toEqual([
+			{
+				url: "/a.js",
+				expected: "x",
+				actual: "y",
+				status: "mismatch",
+				specifier: "a",
+			},
+		]);
+		expect(violationsFromError(new Error("Failed to fetch"))).toEqual([]);
+	});
+});
+
+describe("createViolationCollector", () => {
+	let server;
+	let received;
+	let endpoint;
+
+	beforeEach(async () => {
+		received = [];
+		server = http.createServer(
+			createViolationCollector({ onReport: (report) => received.push(report) }),
+		);
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		endpoint = `http://127.0.0.1:${server.address().port}/reports`;
+	});
+
+	afterEach(async () => {
+		await new Promise((resolve) => server.close(resolve));
+	});
+
+	function post(body, contentType = REPORTS_CONTENT_TYPE, url = endpoint) {
+		return fetch(url, {
+			method: "POST",
+			headers: { "Content-Type": contentType },
+			body,
+		});
+	}
+
+	test("accepts Reporting API batches", async () => {
+		const reports = [
+			{ type: "module-integrity-violation", body: { blockedURL: "/a.js" } },
+			{ type: "module-integrity-violation", body: { blockedURL: "/b.js" } },
+		];
+		const response = await post(JSON.stringify(reports));
+
+		expect(response.status).toBe(204);
+		expect(response.headers.get("access-control-allow-origin")).toBe("*");
+		expect(received).toEqual(reports);
+	});
+
+	test("accepts legacy CSP reports", async () => {
+		await post(
+			JSON.stringify({
+				"csp-report": { "blocked-uri": "https://evil.example" },
+			}),
+			"application/csp-report",
+		);
+		expect(received).toEqual([
+			{
+				type: "csp-violation",
+				age: 0,
+				body: { "blocked-uri": "https://evil.example" },
+			},
+		]);
+	});
+
+	test("rejects malformed bodies, other paths and methods", async () => {
+		expect((await post("not json")).status).toBe(400);
+		expect((await post("[]", "application/json", `${endpoint}/x`)).status).toBe(
+			404,
+		);
+		expect((await fetch(endpoint)).status).toBe(405);
+		expect((await fetch(endpoint, { method: "OPTIONS" })).status).toBe(204);
+		expect(received).toEqual([]);
+	});
+});